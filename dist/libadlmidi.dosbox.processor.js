@@ -1,7 +1,23 @@
 if (typeof URL === 'undefined') { globalThis.URL = class URL { constructor(url, base) { this.href = url; } }; }
 var __defProp = Object.defineProperty;
+var __typeError = (msg) => {
+  throw TypeError(msg);
+};
 var __defNormalProp = (obj, key, value) => key in obj ? __defProp(obj, key, { enumerable: true, configurable: true, writable: true, value }) : obj[key] = value;
 var __publicField = (obj, key, value) => __defNormalProp(obj, typeof key !== "symbol" ? key + "" : key, value);
+var __accessCheck = (obj, member, msg) => member.has(obj) || __typeError("Cannot " + msg);
+var __privateGet = (obj, member, getter) => (__accessCheck(obj, member, "read from private field"), getter ? getter.call(obj) : member.get(obj));
+var __privateAdd = (obj, member, value) => member.has(obj) ? __typeError("Cannot add the same private member more than once") : member instanceof WeakSet ? member.add(obj) : member.set(obj, value);
+var __privateSet = (obj, member, value, setter) => (__accessCheck(obj, member, "write to private field"), setter ? setter.call(obj, value) : member.set(obj, value), value);
+var __privateMethod = (obj, member, method) => (__accessCheck(obj, member, "access private method"), method);
+var __privateWrapper = (obj, member, setter, getter) => ({
+  set _(value) {
+    __privateSet(obj, member, value, setter);
+  },
+  get _() {
+    return __privateGet(obj, member, getter);
+  }
+});
 
 // dist/libadlmidi.dosbox.browser.js
 async function createADLMIDI(moduleArg = {}) {
@@ -2755,6 +2771,7 @@ var SIZEOF_ADL_INSTRUMENT = 40;
 var SIZEOF_ADL_BANK = 12;
 var SIZEOF_ADL_BANK_ID = 4;
 var OPERATOR_OFFSET = 14;
+var SIZEOF_ADLMIDI_AUDIO_FORMAT = 12;
 function decodeOperator(bytes) {
   const avekf = bytes[0];
   const ksl_l = bytes[1];
@@ -2875,11 +2892,793 @@ function encodeInstrument(inst) {
   view.setUint16(36, inst.delayOffMs || 0, true);
   return bytes;
 }
+function defaultInstrument() {
+  return {
+    version: 0,
+    noteOffset1: 0,
+    noteOffset2: 0,
+    velocityOffset: 0,
+    secondVoiceDetune: 0,
+    percussionKey: 0,
+    is4op: false,
+    isPseudo4op: false,
+    isBlank: true,
+    rhythmMode: 0,
+    feedback1: 0,
+    connection1: 0,
+    feedback2: 0,
+    connection2: 0,
+    operators: [defaultOperator(), defaultOperator(), defaultOperator(), defaultOperator()],
+    delayOnMs: 0,
+    delayOffMs: 0
+  };
+}
+function encodeAudioFormat(type, containerSize, sampleOffset) {
+  const bytes = new Uint8Array(SIZEOF_ADLMIDI_AUDIO_FORMAT);
+  const view = new DataView(bytes.buffer);
+  view.setInt32(0, type, true);
+  view.setUint32(4, containerSize, true);
+  view.setUint32(8, sampleOffset, true);
+  return bytes;
+}
+
+// src/utils/constants.js
+var Emulator = Object.freeze({
+  /** Nuked OPL3 v1.8 - Most accurate, higher CPU usage */
+  NUKED: 0,
+  /** Optimized Nuked 1.8 fork by tgies with identical output */
+  NUKED_FAST: 1,
+  /** @deprecated Use NUKED_FAST */
+  NUKED_174: 1,
+  /** DosBox OPL3 - Good accuracy, lower CPU usage */
+  DOSBOX: 2,
+  /** Opal - Reality Adlib Tracker emulator */
+  OPAL: 3,
+  /** Java OPL3 - Port of emu8950 */
+  JAVA: 4,
+  /** ESFMu - ESFM chip emulator */
+  ESFMu: 5,
+  /** MAME OPL2 */
+  MAME_OPL2: 6,
+  /** YMFM OPL2 */
+  YMFM_OPL2: 7,
+  /** YMFM OPL3 */
+  YMFM_OPL3: 8,
+  /** Nuked OPL2 LLE - Transistor-level emulation */
+  NUKED_OPL2_LLE: 9,
+  /** Nuked OPL3 LLE - Transistor-level emulation */
+  NUKED_OPL3_LLE: 10,
+  /** Nuked OPL2 Lite - Lightweight OPL2 emulation for AdLib-era music */
+  NUKED_OPL2_LITE: 11
+});
+var TrackOption = Object.freeze({
+  /** Enable the track (default state) */
+  ON: 1,
+  /** Mute/disable the track */
+  OFF: 2,
+  /** Solo the track (mute all others) */
+  SOLO: 3
+});
+var SampleFormat = Object.freeze({
+  /** 16-bit integer output, clipped to full scale (libADLMIDI default) */
+  S16: 0,
+  /** 32-bit float output straight from the mixer; keeps headroom above full scale */
+  F32: 2
+});
+var ChannelState = Object.freeze({
+  /** Not playing ('-') */
+  OFF: "off",
+  /** Playing a 2-op voice ('+') */
+  TWO_OP: "2op",
+  /** Playing half of a 4-op voice ('#') */
+  FOUR_OP: "4op",
+  /** Playing a rhythm-mode percussion voice ('r') */
+  RHYTHM: "rhythm",
+  /** Shared by several notes through auto-arpeggio ('@') */
+  ARPEGGIO: "arpeggio",
+  /** Playing, in a way this version doesn't recognise */
+  ON: "on"
+});
+
+// src/utils/wopl.js
+var WOPL_MAGIC = "WOPL3-BANK\0";
+var WOPL_LATEST_VERSION = 3;
+var HEADER_SIZE = 19;
+var BANK_META_SIZE = 34;
+var NAME_SIZE = 32;
+var INSTRUMENT_SIZE_V2 = 62;
+var INSTRUMENT_SIZE_V3 = 66;
+var PROGRAMS = 128;
+var FLAG_DEEP_TREMOLO = 1;
+var FLAG_DEEP_VIBRATO = 2;
+function parseWOPL(data) {
+  const bytes = data instanceof ArrayBuffer ? new Uint8Array(data) : data;
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  if (bytes.length < HEADER_SIZE || String.fromCharCode(...bytes.subarray(0, WOPL_MAGIC.length)) !== WOPL_MAGIC) {
+    throw new Error("Not a WOPL bank");
+  }
+  const version = view.getUint16(11, true);
+  if (version < 1 || version > WOPL_LATEST_VERSION) {
+    throw new Error(`Unsupported WOPL version: ${version}`);
+  }
+  const melodicCount = view.getUint16(13);
+  const percussionCount = view.getUint16(15);
+  const flags = bytes[17];
+  const volumeModel = bytes[18];
+  const instrumentSize = woplInstrumentSize(version);
+  const metaSize = version >= 2 ? (melodicCount + percussionCount) * BANK_META_SIZE : 0;
+  const expected = HEADER_SIZE + metaSize + (melodicCount + percussionCount) * PROGRAMS * instrumentSize;
+  if (bytes.length < expected) {
+    throw new Error("WOPL bank is truncated");
+  }
+  let pos = HEADER_SIZE;
+  const readMeta = (count) => {
+    const sets = [];
+    for (let i = 0; i < count; i++) {
+      if (version >= 2) {
+        sets.push({
+          name: readName(bytes, pos),
+          lsb: bytes[pos + NAME_SIZE],
+          msb: bytes[pos + NAME_SIZE + 1],
+          instruments: []
+        });
+        pos += BANK_META_SIZE;
+      } else {
+        sets.push({ name: "", lsb: i & 255, msb: i >> 8 & 255, instruments: [] });
+      }
+    }
+    return sets;
+  };
+  const melodic = readMeta(melodicCount);
+  const percussion = readMeta(percussionCount);
+  for (const set of [...melodic, ...percussion]) {
+    for (let program = 0; program < PROGRAMS; program++) {
+      set.instruments.push(readWoplInstrument(bytes, pos, version));
+      pos += instrumentSize;
+    }
+  }
+  return {
+    version,
+    deepTremolo: !!(flags & FLAG_DEEP_TREMOLO),
+    deepVibrato: !!(flags & FLAG_DEEP_VIBRATO),
+    volumeModel,
+    melodic,
+    percussion
+  };
+}
+function encodeWOPL(bank, options = {}) {
+  const { version = WOPL_LATEST_VERSION } = options;
+  if (version < 1 || version > WOPL_LATEST_VERSION) {
+    throw new Error(`Unsupported WOPL version: ${version}`);
+  }
+  const sets = [...bank.melodic, ...bank.percussion];
+  const instrumentSize = woplInstrumentSize(version);
+  const metaSize = version >= 2 ? sets.length * BANK_META_SIZE : 0;
+  const bytes = new Uint8Array(HEADER_SIZE + metaSize + sets.length * PROGRAMS * instrumentSize);
+  const view = new DataView(bytes.buffer);
+  for (let i = 0; i < WOPL_MAGIC.length; i++) {
+    bytes[i] = WOPL_MAGIC.charCodeAt(i);
+  }
+  view.setUint16(11, version, true);
+  view.setUint16(13, bank.melodic.length);
+  view.setUint16(15, bank.percussion.length);
+  bytes[17] = (bank.deepTremolo ? FLAG_DEEP_TREMOLO : 0) | (bank.deepVibrato ? FLAG_DEEP_VIBRATO : 0);
+  bytes[18] = bank.volumeModel & 255;
+  let pos = HEADER_SIZE;
+  if (version >= 2) {
+    for (const set of sets) {
+      writeName(bytes, pos, set.name);
+      bytes[pos + NAME_SIZE] = set.lsb & 255;
+      bytes[pos + NAME_SIZE + 1] = set.msb & 255;
+      pos += BANK_META_SIZE;
+    }
+  }
+  for (const set of sets) {
+    for (let program = 0; program < PROGRAMS; program++) {
+      const instrument = set.instruments[program] ?? { ...defaultInstrument(), name: "" };
+      writeWoplInstrument(bytes, pos, instrument, version);
+      pos += instrumentSize;
+    }
+  }
+  return bytes;
+}
+function createWoplBankSet(name = "", msb = 0, lsb = 0) {
+  return {
+    name,
+    msb,
+    lsb,
+    instruments: Array.from({ length: PROGRAMS }, () => ({ ...defaultInstrument(), name: "" }))
+  };
+}
+var _banks, _InstrumentNameTable_instances, getOrCreateBank_fn, setBank_fn;
+var InstrumentNameTable = class {
+  constructor() {
+    __privateAdd(this, _InstrumentNameTable_instances);
+    /** @type {Map<string, {name: string, instruments: string[], detunes: (number|null)[]}>} */
+    __privateAdd(this, _banks, /* @__PURE__ */ new Map());
+  }
+  /**
+   * Forget all names, as when a different bank is selected
+   */
+  clear() {
+    __privateGet(this, _banks).clear();
+  }
+  /**
+   * Replace all names with those of a parsed WOPL bank
+   * @param {WoplBank} bank
+   */
+  loadBank(bank) {
+    this.clear();
+    bank.melodic.forEach((set) => __privateMethod(this, _InstrumentNameTable_instances, setBank_fn).call(this, { percussive: 0, msb: set.msb, lsb: set.lsb }, set));
+    bank.percussion.forEach((set) => __privateMethod(this, _InstrumentNameTable_instances, setBank_fn).call(this, { percussive: 1, msb: set.msb, lsb: set.lsb }, set));
+  }
+  /**
+   * Forget the names of one bank
+   * @param {{percussive: boolean|number, msb: number, lsb: number}} bankId
+   */
+  removeBank(bankId) {
+    __privateGet(this, _banks).delete(bankKey(bankId));
+  }
+  /**
+   * @param {{percussive: boolean|number, msb: number, lsb: number}} bankId
+   * @returns {string} Bank name, or '' if unknown
+   */
+  getBankName(bankId) {
+    return __privateGet(this, _banks).get(bankKey(bankId))?.name ?? "";
+  }
+  /**
+   * @param {{percussive: boolean|number, msb: number, lsb: number}} bankId
+   * @param {number} program - Program number (0-127)
+   * @returns {string} Instrument name, or '' if unknown
+   */
+  get(bankId, program) {
+    return __privateGet(this, _banks).get(bankKey(bankId))?.instruments[program] ?? "";
+  }
+  /**
+   * @param {{percussive: boolean|number, msb: number, lsb: number}} bankId
+   * @returns {string[]} 128 instrument names by program ('' where unknown)
+   */
+  getAll(bankId) {
+    return __privateGet(this, _banks).get(bankKey(bankId))?.instruments.slice() ?? new Array(PROGRAMS).fill("");
+  }
+  /**
+   * @param {{percussive: boolean|number, msb: number, lsb: number}} bankId
+   * @param {number} program - Program number (0-127)
+   * @param {string} name - Instrument name
+   */
+  set(bankId, program, name) {
+    __privateMethod(this, _InstrumentNameTable_instances, getOrCreateBank_fn).call(this, bankId).instruments[program] = name;
+  }
+  /**
+   * Remember the detune an instrument was given
+   * @param {{percussive: boolean|number, msb: number, lsb: number}} bankId
+   * @param {number} program - Program number (0-127)
+   * @param {number} detune - Second voice detune as set
+   */
+  setDetune(bankId, program, detune) {
+    __privateMethod(this, _InstrumentNameTable_instances, getOrCreateBank_fn).call(this, bankId).detunes[program] = detune;
+  }
+  /**
+   * Undo libADLMIDI's rounding of a detune read back from the synth
+   * @param {{percussive: boolean|number, msb: number, lsb: number}} bankId
+   * @param {number} program - Program number (0-127)
+   * @param {number} detune - Second voice detune from adl_getInstrument()
+   * @returns {number} The detune as set, if it rounds to `detune`, otherwise `detune`
+   */
+  restoreDetune(bankId, program, detune) {
+    const kept = __privateGet(this, _banks).get(bankKey(bankId))?.detunes[program] ?? null;
+    return kept !== null && (kept & ~1) === detune ? kept : detune;
+  }
+  /**
+   * Sort bank IDs into the order their banks were loaded. Banks the table
+   * doesn't know follow, by MSB then LSB.
+   * @template {{percussive: boolean|number, msb: number, lsb: number}} T
+   * @param {T[]} bankIds
+   * @returns {T[]} Sorted copy
+   */
+  sortBankIds(bankIds) {
+    const order = new Map(Array.from(__privateGet(this, _banks).keys(), (key, index) => [key, index]));
+    const rank = (bankId) => order.get(bankKey(bankId)) ?? order.size;
+    return bankIds.slice().sort((a, b) => rank(a) - rank(b) || (a.msb || 0) - (b.msb || 0) || (a.lsb || 0) - (b.lsb || 0));
+  }
+};
+_banks = new WeakMap();
+_InstrumentNameTable_instances = new WeakSet();
+/**
+ * @param {{percussive: boolean|number, msb: number, lsb: number}} bankId
+ */
+getOrCreateBank_fn = function(bankId) {
+  const key = bankKey(bankId);
+  let bank = __privateGet(this, _banks).get(key);
+  if (!bank) {
+    bank = { name: "", instruments: new Array(PROGRAMS).fill(""), detunes: new Array(PROGRAMS).fill(null) };
+    __privateGet(this, _banks).set(key, bank);
+  }
+  return bank;
+};
+/**
+ * @param {{percussive: number, msb: number, lsb: number}} bankId
+ * @param {WoplBankSet} set
+ */
+setBank_fn = function(bankId, set) {
+  __privateGet(this, _banks).set(bankKey(bankId), {
+    name: set.name,
+    instruments: Array.from({ length: PROGRAMS }, (_, program) => set.instruments[program]?.name ?? ""),
+    detunes: Array.from({ length: PROGRAMS }, (_, program) => set.instruments[program]?.secondVoiceDetune ?? null)
+  });
+};
+function bankKey(bankId) {
+  return `${bankId.percussive ? 1 : 0}:${bankId.msb || 0}:${bankId.lsb || 0}`;
+}
+function woplInstrumentSize(version) {
+  return version >= 3 ? INSTRUMENT_SIZE_V3 : INSTRUMENT_SIZE_V2;
+}
+function readWoplInstrument(bytes, pos, version) {
+  const adl = new Uint8Array(SIZEOF_ADL_INSTRUMENT);
+  const adlView = new DataView(adl.buffer);
+  const view = new DataView(bytes.buffer, bytes.byteOffset + pos, INSTRUMENT_SIZE_V2);
+  adlView.setInt16(4, view.getInt16(32), true);
+  adlView.setInt16(6, view.getInt16(34), true);
+  adl.set(bytes.subarray(pos + 36, pos + 42), 8);
+  adl.set(bytes.subarray(pos + 42, pos + 42 + 4 * SIZEOF_ADL_OPERATOR), OPERATOR_OFFSET);
+  if (version >= 3) {
+    const delays = new DataView(bytes.buffer, bytes.byteOffset + pos + 62, 4);
+    adlView.setUint16(34, delays.getUint16(0), true);
+    adlView.setUint16(36, delays.getUint16(2), true);
+  }
+  return { ...decodeInstrument(adl), name: readName(bytes, pos) };
+}
+function writeWoplInstrument(bytes, pos, instrument, version) {
+  const adl = encodeInstrument(instrument);
+  const adlView = new DataView(adl.buffer);
+  const view = new DataView(bytes.buffer, bytes.byteOffset + pos, woplInstrumentSize(version));
+  writeName(bytes, pos, instrument.name ?? "");
+  view.setInt16(32, adlView.getInt16(4, true));
+  view.setInt16(34, adlView.getInt16(6, true));
+  bytes.set(adl.subarray(8, 14), pos + 36);
+  bytes.set(adl.subarray(OPERATOR_OFFSET, OPERATOR_OFFSET + 4 * SIZEOF_ADL_OPERATOR), pos + 42);
+  if (version >= 3) {
+    view.setUint16(62, adlView.getUint16(34, true));
+    view.setUint16(64, adlView.getUint16(36, true));
+  }
+}
+function readName(bytes, offset) {
+  let text = "";
+  for (let i = 0; i < NAME_SIZE && bytes[offset + i]; i++) {
+    text += String.fromCharCode(bytes[offset + i]);
+  }
+  return text;
+}
+function writeName(bytes, offset, name) {
+  for (let i = 0; i < NAME_SIZE && i < name.length; i++) {
+    bytes[offset + i] = name.charCodeAt(i) & 255;
+  }
+}
+
+// src/formats/smf.js
+var IMPORT_BANK_ID = Object.freeze({ percussive: false, msb: 112, lsb: 0 });
+function readSmfEvents(data) {
+  let bytes = data instanceof ArrayBuffer ? new Uint8Array(data) : data;
+  if (tagAt(bytes, 0) === "RIFF" && tagAt(bytes, 8) === "RMID" && tagAt(bytes, 12) === "data") {
+    bytes = bytes.subarray(20);
+  }
+  if (bytes.length < 14 || tagAt(bytes, 0) !== "MThd") {
+    return null;
+  }
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const headerLength = view.getUint32(4);
+  const numTracks = view.getUint16(10);
+  const division = view.getInt16(12);
+  const events = [];
+  let pos = 8 + headerLength;
+  for (let track = 0; track < numTracks && pos + 8 <= bytes.length; track++) {
+    const length = view.getUint32(pos + 4);
+    const start = pos + 8;
+    const end = Math.min(bytes.length, start + length);
+    pos = start + length;
+    if (tagAt(bytes, start - 8) !== "MTrk") continue;
+    let p = start;
+    let tick = 0;
+    let runningStatus = 0;
+    const readVarLen = () => {
+      let value = 0;
+      for (let i = 0; i < 4 && p < end; i++) {
+        const byte = bytes[p++];
+        value = value << 7 | byte & 127;
+        if (!(byte & 128)) break;
+      }
+      return value;
+    };
+    while (p < end) {
+      tick += readVarLen();
+      if (p >= end) break;
+      let status = bytes[p];
+      if (status >= 128) {
+        p++;
+      } else {
+        status = runningStatus;
+      }
+      if (status === 255) {
+        const type = bytes[p++];
+        const size = readVarLen();
+        events.push({ tick, track, status, type, data: bytes.slice(p, Math.min(end, p + size)) });
+        if (type === 47) break;
+        p += size;
+      } else if (status === 240 || status === 247) {
+        const size = readVarLen();
+        events.push({ tick, track, status, type: 0, data: bytes.slice(p, Math.min(end, p + size)) });
+        p += size;
+      } else if (status >= 128) {
+        runningStatus = status;
+        const size = status >> 4 === 12 || status >> 4 === 13 ? 1 : 2;
+        events.push({ tick, track, status, type: 0, data: bytes.slice(p, Math.min(end, p + size)) });
+        p += size;
+      } else {
+        break;
+      }
+    }
+  }
+  events.sort((a, b) => a.tick - b.tick || a.track - b.track);
+  return { division, events };
+}
+function readSmfMetaEvents(data) {
+  const smf = readSmfEvents(data);
+  if (!smf) {
+    return null;
+  }
+  const events = smf.events.filter((event) => event.status === 255).map(({ tick, track, type, data: data2 }) => ({ tick, track, type, data: data2 }));
+  return { division: smf.division, events };
+}
+function createTempoMap(division, events) {
+  if (division < 0) {
+    const ticksPerSecond = -(division >> 8) * (division & 255);
+    return (tick) => tick / ticksPerSecond;
+  }
+  const segments = [{ tick: 0, seconds: 0, secondsPerTick: 0.5 / division }];
+  for (const event of events) {
+    if (event.type !== 81 || event.data.length < 3) continue;
+    const last = segments[segments.length - 1];
+    const micros = event.data[0] << 16 | event.data[1] << 8 | event.data[2];
+    const seconds = last.seconds + (event.tick - last.tick) * last.secondsPerTick;
+    segments.push({ tick: event.tick, seconds, secondsPerTick: micros / 1e6 / division });
+  }
+  return (tick) => {
+    let i = segments.length - 1;
+    while (i > 0 && segments[i].tick > tick) i--;
+    const segment = segments[i];
+    return segment.seconds + (tick - segment.tick) * segment.secondsPerTick;
+  };
+}
+function readSmfMarkers(data) {
+  const smf = readSmfMetaEvents(data);
+  if (!smf) {
+    return [];
+  }
+  const tickToSeconds = createTempoMap(smf.division, smf.events);
+  return smf.events.filter((event) => event.type === 6).map((event) => ({ label: decodeMetaText(event.data), tick: event.tick })).filter(({ label }) => !/^loop(start|end)$/i.test(label)).map(({ label, tick }) => ({ label, positionSeconds: tickToSeconds(tick), tick }));
+}
+function decodeMetaText(bytes) {
+  try {
+    return new TextDecoder("utf-8", { fatal: true }).decode(bytes);
+  } catch {
+    return String.fromCharCode(...bytes);
+  }
+}
+function tagAt(bytes, offset) {
+  return String.fromCharCode(...bytes.subarray(offset, offset + 4));
+}
+
+// src/formats/events.js
+var POSITION_EPSILON = 1e-6;
+var _events, _cursor, _position, _loopStart, _loopEnd, _PlaybackEventFeed_instances, collect_fn;
+var _PlaybackEventFeed = class _PlaybackEventFeed {
+  /**
+   * @param {TimedEvent[]} events - Events in song order
+   */
+  constructor(events) {
+    __privateAdd(this, _PlaybackEventFeed_instances);
+    /** @type {TimedEvent[]} */
+    __privateAdd(this, _events);
+    /** @type {number} */
+    __privateAdd(this, _cursor, 0);
+    /** @type {number} */
+    __privateAdd(this, _position, 0);
+    /** @type {number} */
+    __privateAdd(this, _loopStart, -1);
+    /** @type {number} */
+    __privateAdd(this, _loopEnd, -1);
+    __privateSet(this, _events, events);
+  }
+  /**
+   * Read the events of a MIDI file.
+   *
+   * @param {ArrayBuffer|Uint8Array} data - MIDI file data
+   * @returns {PlaybackEventFeed}
+   */
+  static fromMidi(data) {
+    const smf = readSmfEvents(data);
+    if (!smf) {
+      return new _PlaybackEventFeed([]);
+    }
+    const tickToSeconds = createTempoMap(smf.division, smf.events);
+    const events = [];
+    for (const event of smf.events) {
+      const timed = decodeEvent(event);
+      if (timed) {
+        events.push({ position: tickToSeconds(event.tick), ...timed });
+      }
+    }
+    return new _PlaybackEventFeed(events);
+  }
+  /**
+   * Set the loop range playback wraps around, as reported by
+   * adl_loopStartTime() and adl_loopEndTime()
+   * @param {number} start - Loop start in seconds, or -1 to loop from the beginning
+   * @param {number} end - Loop end in seconds, or -1 to loop at the end
+   */
+  setLoop(start, end) {
+    __privateSet(this, _loopStart, start);
+    __privateSet(this, _loopEnd, end);
+  }
+  /**
+   * Move the feed to a song position, after a seek or rewind. Events at
+   * the position itself are reported by the next {@link advance}.
+   * @param {number} position - Song position in seconds
+   */
+  seek(position) {
+    const index = __privateGet(this, _events).findIndex((event) => event.position >= position - POSITION_EPSILON);
+    __privateSet(this, _cursor, index < 0 ? __privateGet(this, _events).length : index);
+    __privateSet(this, _position, position);
+  }
+  /**
+   * Append the events playback passed on its way to a song position.
+   *
+   * @param {number} position - Song position in seconds after the render
+   * @param {import('../utils/midi.js').PlaybackEvents} batch - Batch to append to
+   * @param {number} [time] - Timestamp to attach to the events
+   */
+  advance(position, batch, time) {
+    if (position < __privateGet(this, _position) - POSITION_EPSILON) {
+      __privateMethod(this, _PlaybackEventFeed_instances, collect_fn).call(this, __privateGet(this, _loopEnd) >= 0 ? __privateGet(this, _loopEnd) : Infinity, batch, time);
+      this.seek(Math.max(0, __privateGet(this, _loopStart)));
+    }
+    __privateMethod(this, _PlaybackEventFeed_instances, collect_fn).call(this, position, batch, time);
+    __privateSet(this, _position, position);
+  }
+};
+_events = new WeakMap();
+_cursor = new WeakMap();
+_position = new WeakMap();
+_loopStart = new WeakMap();
+_loopEnd = new WeakMap();
+_PlaybackEventFeed_instances = new WeakSet();
+/**
+ * Append events up to and including a song position
+ * @param {number} position
+ * @param {import('../utils/midi.js').PlaybackEvents} batch
+ * @param {number|undefined} time
+ */
+collect_fn = function(position, batch, time) {
+  const stamp = (event) => time === void 0 ? { ...event } : { ...event, time };
+  while (__privateGet(this, _cursor) < __privateGet(this, _events).length && __privateGet(this, _events)[__privateGet(this, _cursor)].position <= position + POSITION_EPSILON) {
+    const { note, midi, meta } = __privateGet(this, _events)[__privateWrapper(this, _cursor)._++];
+    if (note) batch.notes.push(stamp(note));
+    if (midi) batch.midiEvents.push(stamp(midi));
+    if (meta) batch.metaEvents.push(stamp(meta));
+  }
+};
+var PlaybackEventFeed = _PlaybackEventFeed;
+function decodeEvent(event) {
+  const { status, type, data } = event;
+  if (status === 255) {
+    if (type === 47) return null;
+    return { note: null, midi: null, meta: { type, data: Array.from(data) } };
+  }
+  if (status === 240 || status === 247) {
+    const message = Array.from(data);
+    if (status === 240) {
+      message.unshift(240);
+      if (message[message.length - 1] !== 247) message.push(247);
+    }
+    if (message.length === 0) return null;
+    return { note: null, midi: { data: message }, meta: null };
+  }
+  const midi = { data: [status, ...data] };
+  const kind = status >> 4;
+  if (kind !== 8 && kind !== 9) {
+    return { note: null, midi, meta: null };
+  }
+  const velocity = kind === 9 ? data[1] ?? 0 : 0;
+  return {
+    note: { channel: status & 15, note: data[0] ?? 0, velocity, on: velocity > 0 },
+    midi,
+    meta: null
+  };
+}
+
+// src/formats/lyrics.js
+var META_TEXT = 1;
+var META_LYRIC = 5;
+var POSITION_EPSILON2 = 1e-6;
+var _lyrics, _cursor2, _position2, _loopStart2, _loopEnd2, _LyricFeed_instances, collect_fn2;
+var _LyricFeed = class _LyricFeed {
+  /**
+   * @param {Lyric[]} lyrics - Lyrics in song order
+   */
+  constructor(lyrics) {
+    __privateAdd(this, _LyricFeed_instances);
+    /** @type {Lyric[]} */
+    __privateAdd(this, _lyrics);
+    /** @type {number} */
+    __privateAdd(this, _cursor2, 0);
+    /** @type {number} */
+    __privateAdd(this, _position2, 0);
+    /** @type {number} */
+    __privateAdd(this, _loopStart2, -1);
+    /** @type {number} */
+    __privateAdd(this, _loopEnd2, -1);
+    __privateSet(this, _lyrics, lyrics);
+  }
+  /**
+   * Extract the lyrics of a MIDI file.
+   *
+   * Lyric events are used when the file has any. Otherwise, for .kar
+   * files (recognised by their `@` header text events), the text events of
+   * the track holding the words are used, without the headers. Other
+   * formats libADLMIDI plays (XMI, MUS, ...) have no lyrics.
+   *
+   * @param {ArrayBuffer|Uint8Array} data - MIDI file data
+   * @returns {LyricFeed}
+   */
+  static fromMidi(data) {
+    const smf = readSmfMetaEvents(data);
+    if (!smf) {
+      return new _LyricFeed([]);
+    }
+    let events = smf.events.filter((event) => event.type === META_LYRIC);
+    const karaoke = events.length === 0;
+    if (karaoke) {
+      const texts = smf.events.filter((event) => event.type === META_TEXT);
+      if (!texts.some((event) => decodeMetaText(event.data).startsWith("@"))) {
+        return new _LyricFeed([]);
+      }
+      const counts = /* @__PURE__ */ new Map();
+      for (const event of texts) {
+        if (!decodeMetaText(event.data).startsWith("@")) {
+          counts.set(event.track, (counts.get(event.track) ?? 0) + 1);
+        }
+      }
+      const wordsTrack = [...counts].sort((a, b) => b[1] - a[1])[0]?.[0];
+      events = texts.filter((event) => event.track === wordsTrack);
+    }
+    const tickToSeconds = createTempoMap(smf.division, smf.events);
+    const lyrics = [];
+    let pendingLine = false;
+    let pendingParagraph = false;
+    for (const event of events) {
+      const raw = decodeMetaText(event.data);
+      const position = tickToSeconds(event.tick);
+      if (karaoke && raw.startsWith("@")) {
+        continue;
+      }
+      let text = raw;
+      const lead = text[0];
+      if (lead === "\\" || lead === "\n") {
+        pendingParagraph = true;
+        text = text.slice(1);
+      } else if (lead === "/" || lead === "\r") {
+        pendingLine = true;
+        text = text.slice(1);
+      }
+      let breakAfter = "";
+      const trail = text[text.length - 1];
+      if (trail === "\r" || trail === "\n") {
+        breakAfter = trail;
+        text = text.replace(/[\r\n]+$/, "");
+      }
+      if (text.length > 0) {
+        lyrics.push({
+          text,
+          position,
+          tick: event.tick,
+          newLine: lyrics.length > 0 && (pendingLine || pendingParagraph),
+          newParagraph: lyrics.length > 0 && pendingParagraph
+        });
+        pendingLine = false;
+        pendingParagraph = false;
+      }
+      if (breakAfter === "\r") pendingLine = true;
+      if (breakAfter === "\n") pendingParagraph = true;
+    }
+    return new _LyricFeed(lyrics);
+  }
+  /**
+   * All lyrics in song order
+   * @returns {Lyric[]}
+   */
+  get lyrics() {
+    return __privateGet(this, _lyrics).map((lyric) => ({ ...lyric }));
+  }
+  /**
+   * Set the loop range playback wraps around, as reported by
+   * adl_loopStartTime() and adl_loopEndTime()
+   * @param {number} start - Loop start in seconds, or -1 to loop from the beginning
+   * @param {number} end - Loop end in seconds, or -1 to loop at the end
+   */
+  setLoop(start, end) {
+    __privateSet(this, _loopStart2, start);
+    __privateSet(this, _loopEnd2, end);
+  }
+  /**
+   * Move the feed to a song position, after a seek or rewind. A lyric at
+   * the position itself is reported by the next {@link advance}.
+   * @param {number} position - Song position in seconds
+   */
+  seek(position) {
+    const index = __privateGet(this, _lyrics).findIndex((lyric) => lyric.position >= position - POSITION_EPSILON2);
+    __privateSet(this, _cursor2, index < 0 ? __privateGet(this, _lyrics).length : index);
+    __privateSet(this, _position2, position);
+  }
+  /**
+   * Get the lyrics playback passed on its way to a song position.
+   *
+   * @param {number} position - Song position in seconds after the render
+   * @param {number} [time] - AudioContext time to attach to the lyrics
+   * @returns {LyricEvent[]} Lyrics reached, in song order
+   */
+  advance(position, time) {
+    const reached = [];
+    if (position < __privateGet(this, _position2) - POSITION_EPSILON2) {
+      __privateMethod(this, _LyricFeed_instances, collect_fn2).call(this, __privateGet(this, _loopEnd2) >= 0 ? __privateGet(this, _loopEnd2) : Infinity, reached, time);
+      this.seek(Math.max(0, __privateGet(this, _loopStart2)));
+    }
+    __privateMethod(this, _LyricFeed_instances, collect_fn2).call(this, position, reached, time);
+    __privateSet(this, _position2, position);
+    return reached;
+  }
+};
+_lyrics = new WeakMap();
+_cursor2 = new WeakMap();
+_position2 = new WeakMap();
+_loopStart2 = new WeakMap();
+_loopEnd2 = new WeakMap();
+_LyricFeed_instances = new WeakSet();
+/**
+ * Append lyrics up to and including a song position
+ * @param {number} position
+ * @param {LyricEvent[]} reached
+ * @param {number|undefined} time
+ */
+collect_fn2 = function(position, reached, time) {
+  while (__privateGet(this, _cursor2) < __privateGet(this, _lyrics).length && __privateGet(this, _lyrics)[__privateGet(this, _cursor2)].position <= position + POSITION_EPSILON2) {
+    const index = __privateWrapper(this, _cursor2)._++;
+    const lyric = __privateGet(this, _lyrics)[index];
+    reached.push({ index, ...lyric, ...time === void 0 ? {} : { time } });
+  }
+};
+var LyricFeed = _LyricFeed;
 
 // src/processor.js
 var SAMPLE_RATE = 44100;
 var CHANNELS = 2;
-var BYTES_PER_SAMPLE = 2;
+var BYTES_PER_SAMPLE = 4;
+var EVENT_FLUSH_FRAMES = 1024;
+var SCHEDULABLE_MESSAGES = /* @__PURE__ */ new Set([
+  "noteOn",
+  "noteOff",
+  "pitchBend",
+  "controlChange",
+  "programChange",
+  "noteAfterTouch",
+  "channelAfterTouch",
+  "bankChange",
+  "bankChangeMSB",
+  "bankChangeLSB",
+  "resetState",
+  "panic",
+  "systemExclusive",
+  "rawOPL3"
+]);
 var _AdlMidiProcessor = class _AdlMidiProcessor extends AudioWorkletProcessor {
   constructor(options) {
     super();
@@ -2890,6 +3689,23 @@ var _AdlMidiProcessor = class _AdlMidiProcessor extends AudioWorkletProcessor {
     this.playMode = "realtime";
     this.sampleRate = options.processorOptions?.sampleRate || SAMPLE_RATE;
     this.cachedHeapBuffer = null;
+    this.formatPtr = null;
+    this.instrumentNames = new InstrumentNameTable();
+    this.scheduled = [];
+    this.eventFeed = PlaybackEventFeed.fromMidi(new Uint8Array(0));
+    this.lyricFeed = LyricFeed.fromMidi(new Uint8Array(0));
+    this.eventBatch = null;
+    this.eventTime = null;
+    this.eventFlushFrame = 0;
+    this.stateIntervalFrames = 0;
+    this.nextStateFrame = 0;
+    this.statePending = false;
+    this.tempo = 1;
+    this.loopEnabled = false;
+    this.markers = [];
+    this.levelsIntervalFrames = 0;
+    this.nextLevelsFrame = 0;
+    this.levels = null;
     this.settings = {
       numChips: 4,
       // Number of emulated OPL3 chips
@@ -2905,6 +3721,8 @@ var _AdlMidiProcessor = class _AdlMidiProcessor extends AudioWorkletProcessor {
       // Deep tremolo
       emulator: void 0,
       // Emulator core (undefined = libADLMIDI default)
+      sampleFormat: SampleFormat.S16,
+      // Output path (S16 clips, F32 keeps headroom)
       ...options.processorOptions?.settings
     };
     this.initWasm(options.processorOptions);
@@ -2931,11 +3749,13 @@ var _AdlMidiProcessor = class _AdlMidiProcessor extends AudioWorkletProcessor {
       const FRAMES = 128;
       this.bufferSize = FRAMES * CHANNELS * BYTES_PER_SAMPLE;
       this.bufferPtr = this.adl._malloc(this.bufferSize);
+      this.formatPtr = this.adl._malloc(SIZEOF_ADLMIDI_AUDIO_FORMAT);
+      this.adl.HEAPU8.set(encodeAudioFormat(SampleFormat.F32, 4, 4), this.formatPtr);
       if (!this.adl.HEAP16) {
         throw new Error("HEAP16 is not available after initialization");
       }
       this.ready = true;
-      this.port.postMessage({ type: "ready" });
+      this.port.postMessage({ type: "ready", scheduling: true });
     } catch (error) {
       console.error("Failed to initialize WASM:", error);
       this.port.postMessage({ type: "error", message: error.message });
@@ -2957,6 +3777,7 @@ var _AdlMidiProcessor = class _AdlMidiProcessor extends AudioWorkletProcessor {
     }
     if (settings.bank !== void 0) {
       this.adl._adl_setBank(this.midi, settings.bank);
+      this.instrumentNames.clear();
     }
     if (settings.softPan !== void 0) {
       this.adl._adl_setSoftPanEnabled(this.midi, settings.softPan ? 1 : 0);
@@ -2967,6 +3788,9 @@ var _AdlMidiProcessor = class _AdlMidiProcessor extends AudioWorkletProcessor {
     if (settings.deepTremolo !== void 0) {
       this.adl._adl_setHTremolo(this.midi, settings.deepTremolo ? 1 : 0);
     }
+    if (settings.sampleFormat !== void 0) {
+      this.settings.sampleFormat = settings.sampleFormat === SampleFormat.F32 ? SampleFormat.F32 : SampleFormat.S16;
+    }
   }
   /**
    * Decode an OPL3 operator from raw register bytes to named properties
@@ -3022,7 +3846,9 @@ var _AdlMidiProcessor = class _AdlMidiProcessor extends AudioWorkletProcessor {
       const instResult = this.adl._adl_getInstrument(this.midi, bankPtr, programNumber, instPtr);
       let instrument = null;
       if (instResult === 0) {
-        instrument = this.readInstrumentFromMemory(instPtr);
+        const decoded = this.readInstrumentFromMemory(instPtr);
+        decoded.secondVoiceDetune = this.instrumentNames.restoreDetune(bankId, programNumber, decoded.secondVoiceDetune ?? 0);
+        instrument = { ...decoded, name: this.instrumentNames.get(bankId, programNumber) };
       }
       this.adl._free(bankIdPtr);
       this.adl._free(bankPtr);
@@ -3057,6 +3883,10 @@ var _AdlMidiProcessor = class _AdlMidiProcessor extends AudioWorkletProcessor {
       const setResult = this.adl._adl_setInstrument(this.midi, bankPtr, programNumber, instPtr);
       if (setResult === 0) {
         this.adl._adl_reset(this.midi);
+        this.instrumentNames.setDetune(bankId, programNumber, instrument.secondVoiceDetune || 0);
+        if (typeof instrument.name === "string") {
+          this.instrumentNames.set(bankId, programNumber, instrument.name);
+        }
       }
       this.adl._free(bankIdPtr);
       this.adl._free(bankPtr);
@@ -3070,8 +3900,56 @@ var _AdlMidiProcessor = class _AdlMidiProcessor extends AudioWorkletProcessor {
       return { success: false, error: error.message };
     }
   }
+  /**
+   * Export all banks libADLMIDI holds as a WOPL file
+   */
+  exportBank() {
+    try {
+      const bank = {
+        version: WOPL_LATEST_VERSION,
+        deepTremolo: this.adl._adl_getHTremolo(this.midi) !== 0,
+        deepVibrato: this.adl._adl_getHVibrato(this.midi) !== 0,
+        volumeModel: this.adl._adl_getVolumeRangeModel(this.midi),
+        melodic: [],
+        percussion: []
+      };
+      const bankPtr = this.adl._malloc(_AdlMidiProcessor.SIZEOF_ADL_BANK);
+      const idPtr = this.adl._malloc(_AdlMidiProcessor.SIZEOF_ADL_BANK_ID);
+      const bankIds = [];
+      let result = this.adl._adl_getFirstBank(this.midi, bankPtr);
+      while (result === 0) {
+        if (this.adl._adl_getBankId(this.midi, bankPtr, idPtr) === 0) {
+          bankIds.push({
+            percussive: this.adl.HEAPU8[idPtr],
+            msb: this.adl.HEAPU8[idPtr + 1],
+            lsb: this.adl.HEAPU8[idPtr + 2]
+          });
+        }
+        result = this.adl._adl_getNextBank(this.midi, bankPtr);
+      }
+      this.adl._free(bankPtr);
+      this.adl._free(idPtr);
+      for (const bankId of this.instrumentNames.sortBankIds(bankIds)) {
+        const set = createWoplBankSet(this.instrumentNames.getBankName(bankId), bankId.msb, bankId.lsb);
+        for (let program = 0; program < 128; program++) {
+          const { instrument } = this.getInstrument(bankId, program);
+          if (instrument) {
+            set.instruments[program] = instrument;
+          }
+        }
+        (bankId.percussive ? bank.percussion : bank.melodic).push(set);
+      }
+      return { success: true, data: encodeWOPL(bank) };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
   handleMessage(msg) {
     if (!this.ready && msg.type !== "ping") return;
+    if (msg.when !== void 0 && SCHEDULABLE_MESSAGES.has(msg.type)) {
+      this.scheduleMessage(msg);
+      return;
+    }
     switch (msg.type) {
       case "ping":
         this.port.postMessage({ type: "pong", ready: this.ready });
@@ -3122,6 +4000,9 @@ var _AdlMidiProcessor = class _AdlMidiProcessor extends AudioWorkletProcessor {
         break;
       case "setBank": {
         const result = this.adl._adl_setBank(this.midi, msg.bank);
+        if (result === 0) {
+          this.instrumentNames.clear();
+        }
         this.port.postMessage({ type: "bankSet", success: result === 0, bank: msg.bank });
         break;
       }
@@ -3264,19 +4145,28 @@ var _AdlMidiProcessor = class _AdlMidiProcessor extends AudioWorkletProcessor {
       case "play":
         if (this.adl._adl_atEnd(this.midi) !== 0) {
           this.adl._adl_positionRewind(this.midi);
+          this.seekFeeds(0);
         }
         this.playMode = "file";
+        this.statePending = true;
         break;
       case "stop":
+        this.flushPlaybackEvents();
         this.playMode = "realtime";
         this.adl._adl_positionRewind(this.midi);
+        this.seekFeeds(0);
         this.adl._adl_panic(this.midi);
+        this.statePending = true;
         break;
       case "seek":
         this.adl._adl_positionSeek(this.midi, msg.position);
+        this.seekFeeds(msg.position);
+        this.statePending = true;
         break;
       case "setLoopEnabled":
         this.adl._adl_setLoopEnabled(this.midi, msg.enabled ? 1 : 0);
+        this.loopEnabled = Boolean(msg.enabled);
+        this.statePending = true;
         break;
       case "setLoopCount":
         this.adl._adl_setLoopCount(this.midi, msg.count);
@@ -3311,15 +4201,18 @@ var _AdlMidiProcessor = class _AdlMidiProcessor extends AudioWorkletProcessor {
       }
       case "setTempo":
         this.adl._adl_setTempo(this.midi, msg.tempo);
+        this.tempo = msg.tempo;
+        this.statePending = true;
         break;
       case "getState":
-        this.port.postMessage({
-          type: "state",
-          position: this.adl._adl_positionTell(this.midi),
-          duration: this.adl._adl_totalTimeLength(this.midi),
-          atEnd: this.adl._adl_atEnd(this.midi) !== 0,
-          playMode: this.playMode
-        });
+        this.postState(currentFrame);
+        break;
+      case "setLevelsInterval":
+        this.setLevelsInterval(msg.interval);
+        break;
+      case "setStateInterval":
+        this.stateIntervalFrames = Math.max(0, Math.round(msg.interval * this.sampleRate));
+        this.nextStateFrame = 0;
         break;
       case "reset":
         this.adl._adl_reset(this.midi);
@@ -3367,6 +4260,9 @@ var _AdlMidiProcessor = class _AdlMidiProcessor extends AudioWorkletProcessor {
         if (bankResult === 0) {
           success = this.adl._adl_removeBank(this.midi, bankPtr) === 0;
         }
+        if (success) {
+          this.instrumentNames.removeBank(msg.bankId);
+        }
         this.adl._free(bankIdPtr);
         this.adl._free(bankPtr);
         this.port.postMessage({ type: "bankRemoved", success, bankId: msg.bankId, reqId: msg.reqId });
@@ -3387,11 +4283,22 @@ var _AdlMidiProcessor = class _AdlMidiProcessor extends AudioWorkletProcessor {
             this.adl._adl_removeBank(this.midi, bankPtr);
           }
         }
+        if (success) {
+          this.instrumentNames.removeBank(msg.bankId);
+        }
         this.adl._free(bankIdPtr);
         this.adl._free(bankPtr);
         this.port.postMessage({ type: "embeddedBankLoaded", success, bankId: msg.bankId, reqId: msg.reqId });
         break;
       }
+      case "getInstrumentNames":
+        this.port.postMessage({ type: "instrumentNames", names: this.instrumentNames.getAll(msg.bankId), reqId: msg.reqId });
+        break;
+      case "exportBank": {
+        const result = this.exportBank();
+        this.port.postMessage({ type: "bankExported", ...result, reqId: msg.reqId }, result.data ? [result.data.buffer] : []);
+        break;
+      }
       // ================== SysEx ==================
       case "systemExclusive": {
         const bytes = new Uint8Array(msg.data);
@@ -3406,6 +4313,9 @@ var _AdlMidiProcessor = class _AdlMidiProcessor extends AudioWorkletProcessor {
       case "rawOPL3":
         this.adl._adl_rt_rawOPL3(this.midi, msg.chipId, msg.reg, msg.value);
         break;
+      case "cancelScheduled":
+        this.scheduled = [];
+        break;
       case "reserveChipChannels": {
         const result = this.adl._adl_reserveChipChannels(this.midi, msg.chipId, msg.channelMask);
         this.port.postMessage({ type: "chipChannelsReserved", success: result === 0, chipId: msg.chipId, reqId: msg.reqId });
@@ -3416,6 +4326,10 @@ var _AdlMidiProcessor = class _AdlMidiProcessor extends AudioWorkletProcessor {
         this.port.postMessage({ type: "reservedChipChannels", mask, chipId: msg.chipId, reqId: msg.reqId });
         break;
       }
+      // ================== Playback Events ==================
+      case "setPlaybackEvents":
+        this.setPlaybackEvents(msg.enabled);
+        break;
       // ================== Debug / Diagnostics ==================
       case "describeChannels": {
         const numChips = this.adl._adl_getNumChipsObtained(this.midi);
@@ -3432,6 +4346,76 @@ var _AdlMidiProcessor = class _AdlMidiProcessor extends AudioWorkletProcessor {
       }
     }
   }
+  /**
+   * Queue a message for the sample its `when` timestamp falls on.
+   * Messages for the same frame keep their arrival order; timestamps in
+   * the past are applied at the start of the next block.
+   */
+  scheduleMessage(msg) {
+    const { when, ...rest } = msg;
+    const frame = Math.round(when * this.sampleRate);
+    let i = this.scheduled.length;
+    while (i > 0 && this.scheduled[i - 1].frame > frame) {
+      i--;
+    }
+    this.scheduled.splice(i, 0, { frame, msg: rest });
+  }
+  /**
+   * Start or stop batching file playback events. While enabled, the events
+   * and lyrics the song position passes are posted as playbackEvents.
+   */
+  setPlaybackEvents(enabled) {
+    if (enabled && !this.eventBatch) {
+      this.seekFeeds(this.adl._adl_positionTell(this.midi));
+      this.eventBatch = { notes: [], midiEvents: [], metaEvents: [], lyrics: [] };
+    } else if (!enabled) {
+      this.eventBatch = null;
+    }
+  }
+  /**
+   * Post pending playback events to the main thread
+   */
+  flushPlaybackEvents() {
+    const batch = this.eventBatch;
+    if (!batch || batch.notes.length === 0 && batch.midiEvents.length === 0 && batch.metaEvents.length === 0 && batch.lyrics.length === 0) {
+      return;
+    }
+    this.port.postMessage({ type: "playbackEvents", ...batch });
+    this.eventBatch = { notes: [], midiEvents: [], metaEvents: [], lyrics: [] };
+  }
+  /**
+   * Move the event and lyric feeds to a song position after a seek or rewind
+   */
+  seekFeeds(position) {
+    this.eventFeed.seek(position);
+    this.lyricFeed.seek(position);
+  }
+  /**
+   * Post the playback state. `frame` is the output frame the position
+   * belongs to, so the main thread can interpolate from it.
+   */
+  postState(frame) {
+    const position = this.adl._adl_positionTell(this.midi);
+    let marker = null;
+    for (const entry of this.markers) {
+      if (entry.positionSeconds > position) break;
+      marker = entry.label;
+    }
+    this.port.postMessage({
+      type: "state",
+      position,
+      duration: this.adl._adl_totalTimeLength(this.midi),
+      atEnd: this.adl._adl_atEnd(this.midi) !== 0,
+      playMode: this.playMode,
+      tempo: this.tempo,
+      loopEnabled: this.loopEnabled,
+      loopStart: this.adl._adl_loopStartTime(this.midi),
+      loopEnd: this.adl._adl_loopEndTime(this.midi),
+      marker,
+      time: frame / this.sampleRate
+    });
+    this.statePending = false;
+  }
   loadMidiData(arrayBuffer) {
     try {
       const data = new Uint8Array(arrayBuffer);
@@ -3440,6 +4424,13 @@ var _AdlMidiProcessor = class _AdlMidiProcessor extends AudioWorkletProcessor {
       const result = this.adl._adl_openData(this.midi, dataPtr, data.length);
       this.adl._free(dataPtr);
       if (result === 0) {
+        this.markers = readSmfMarkers(data);
+        const loopStart = this.adl._adl_loopStartTime(this.midi);
+        const loopEnd = this.adl._adl_loopEndTime(this.midi);
+        this.eventFeed = PlaybackEventFeed.fromMidi(data);
+        this.eventFeed.setLoop(loopStart, loopEnd);
+        this.lyricFeed = LyricFeed.fromMidi(data);
+        this.lyricFeed.setLoop(loopStart, loopEnd);
         const duration = this.adl._adl_totalTimeLength(this.midi);
         this.port.postMessage({
           type: "midiLoaded",
@@ -3484,6 +4475,11 @@ var _AdlMidiProcessor = class _AdlMidiProcessor extends AudioWorkletProcessor {
       const result = this.adl._adl_openBankData(this.midi, dataPtr, data.length);
       this.adl._free(dataPtr);
       if (result === 0) {
+        try {
+          this.instrumentNames.loadBank(parseWOPL(data));
+        } catch {
+          this.instrumentNames.clear();
+        }
         this.port.postMessage({ type: "bankLoaded", success: true });
       } else {
         this.port.postMessage({
@@ -3508,31 +4504,150 @@ var _AdlMidiProcessor = class _AdlMidiProcessor extends AudioWorkletProcessor {
     const right = output[1] || output[0];
     const frames = left.length;
     try {
-      const sampleCount = frames * 2;
-      if (this.playMode === "file") {
-        this.adl._adl_play(this.midi, sampleCount, this.bufferPtr);
-        if (this.adl._adl_atEnd(this.midi) !== 0) {
-          this.adl._adl_panic(this.midi);
-          this.playMode = "realtime";
-          this.port.postMessage({ type: "playbackEnded" });
+      const blockStart = currentFrame;
+      let offset = 0;
+      while (offset < frames) {
+        while (this.scheduled.length > 0 && this.scheduled[0].frame <= blockStart + offset) {
+          this.handleMessage(this.scheduled.shift().msg);
         }
-      } else {
-        this.adl._adl_generate(this.midi, sampleCount, this.bufferPtr);
+        let end = frames;
+        if (this.scheduled.length > 0) {
+          end = Math.min(frames, this.scheduled[0].frame - blockStart);
+        }
+        this.eventTime = (blockStart + offset) / this.sampleRate;
+        this.renderSegment(left, right, offset, end - offset);
+        offset = end;
       }
-      const currentBuffer = this.adl.HEAP16.buffer;
-      if (this.cachedHeapBuffer !== currentBuffer) {
-        this.cachedHeapBuffer = currentBuffer;
+      this.eventTime = null;
+      if (this.eventBatch && blockStart + frames >= this.eventFlushFrame) {
+        this.flushPlaybackEvents();
+        this.eventFlushFrame = blockStart + frames + EVENT_FLUSH_FRAMES;
       }
-      const heap16 = new Int16Array(currentBuffer, this.bufferPtr, sampleCount);
-      for (let i = 0; i < frames; i++) {
-        left[i] = heap16[i * 2] / 32768;
-        right[i] = heap16[i * 2 + 1] / 32768;
+      if (this.levels && blockStart + frames >= this.nextLevelsFrame) {
+        this.postLevels(blockStart + frames);
+        this.nextLevelsFrame = blockStart + frames + this.levelsIntervalFrames;
+      }
+      if (this.stateIntervalFrames > 0 && (this.statePending || this.playMode === "file" && blockStart + frames >= this.nextStateFrame)) {
+        this.postState(blockStart + frames);
+        this.nextStateFrame = blockStart + frames + this.stateIntervalFrames;
       }
     } catch (e) {
       this.port.postMessage({ type: "processingError", error: e.message || String(e) });
     }
     return true;
   }
+  /**
+   * Generate a run of frames into the output channels
+   * @param {Float32Array} left
+   * @param {Float32Array} right
+   * @param {number} offset - First output frame to write
+   * @param {number} frames - Number of frames to generate
+   */
+  renderSegment(left, right, offset, frames) {
+    const sampleCount = frames * 2;
+    const float = this.settings.sampleFormat === SampleFormat.F32;
+    const rightPtr = this.bufferPtr + frames * 4;
+    if (this.playMode === "file") {
+      if (float) {
+        this.adl._adl_playFormat(this.midi, sampleCount, this.bufferPtr, rightPtr, this.formatPtr);
+      } else {
+        this.adl._adl_play(this.midi, sampleCount, this.bufferPtr);
+      }
+      if (this.eventBatch) {
+        const position = this.adl._adl_positionTell(this.midi);
+        this.eventFeed.advance(position, this.eventBatch, this.eventTime);
+        this.eventBatch.lyrics.push(...this.lyricFeed.advance(position, this.eventTime));
+      }
+      if (this.adl._adl_atEnd(this.midi) !== 0) {
+        this.adl._adl_panic(this.midi);
+        this.playMode = "realtime";
+        this.flushPlaybackEvents();
+        this.statePending = true;
+        this.port.postMessage({ type: "playbackEnded" });
+      }
+    } else if (float) {
+      this.adl._adl_generateFormat(this.midi, sampleCount, this.bufferPtr, rightPtr, this.formatPtr);
+    } else {
+      this.adl._adl_generate(this.midi, sampleCount, this.bufferPtr);
+    }
+    const currentBuffer = this.adl.HEAP16.buffer;
+    if (this.cachedHeapBuffer !== currentBuffer) {
+      this.cachedHeapBuffer = currentBuffer;
+    }
+    if (float) {
+      left.set(new Float32Array(currentBuffer, this.bufferPtr, frames), offset);
+      right.set(new Float32Array(currentBuffer, rightPtr, frames), offset);
+    } else {
+      const heap16 = new Int16Array(currentBuffer, this.bufferPtr, sampleCount);
+      for (let i = 0; i < frames; i++) {
+        left[offset + i] = heap16[i * 2] / 32768;
+        right[offset + i] = heap16[i * 2 + 1] / 32768;
+      }
+    }
+    if (this.levels) {
+      this.measureOutputLevel(0, left, offset, frames);
+      this.measureOutputLevel(1, right, offset, frames);
+      this.levels.frames += frames;
+    }
+  }
+  /**
+   * Start or stop level metering
+   * @param {number} interval - Seconds between levels posts; 0 stops metering
+   */
+  setLevelsInterval(interval) {
+    this.levelsIntervalFrames = Math.max(0, Math.round(interval * this.sampleRate));
+    if (this.levelsIntervalFrames === 0) {
+      this.levels = null;
+      return;
+    }
+    if (!this.levels) {
+      this.levels = { frames: 0, peak: [0, 0], sumSquares: [0, 0] };
+    }
+    this.resetLevels();
+    this.nextLevelsFrame = currentFrame + this.levelsIntervalFrames;
+  }
+  /**
+   * Start a new metering window, reusing the accumulator
+   */
+  resetLevels() {
+    const levels = this.levels;
+    levels.frames = 0;
+    levels.peak.fill(0);
+    levels.sumSquares.fill(0);
+  }
+  /**
+   * Accumulate peak and energy of one rendered output channel
+   * @param {number} ch - Output channel index
+   * @param {Float32Array} samples
+   * @param {number} offset
+   * @param {number} frames
+   */
+  measureOutputLevel(ch, samples, offset, frames) {
+    const levels = this.levels;
+    let peak = levels.peak[ch];
+    let sumSquares = 0;
+    for (let i = offset; i < offset + frames; i++) {
+      const sample = samples[i];
+      sumSquares += sample * sample;
+      const magnitude = Math.abs(sample);
+      if (magnitude > peak) peak = magnitude;
+    }
+    levels.peak[ch] = peak;
+    levels.sumSquares[ch] += sumSquares;
+  }
+  /**
+   * Post the levels measured since the last post and start a new window
+   */
+  postLevels(frame) {
+    const { frames, peak, sumSquares } = this.levels;
+    const level = (value, energy) => ({ peak: value, rms: frames > 0 ? Math.sqrt(energy / frames) : 0 });
+    this.port.postMessage({
+      type: "levels",
+      time: frame / this.sampleRate,
+      channels: peak.map((value, ch) => level(value, sumSquares[ch]))
+    });
+    this.resetLevels();
+  }
 };
 // ================== Instrument Editing API ==================
 // Structure sizes (imported from shared utils)
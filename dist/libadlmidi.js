@@ -52,9 +52,1195 @@ var TrackOption = Object.freeze({
   /** Solo the track (mute all others) */
   SOLO: 3
 });
+var SampleFormat = Object.freeze({
+  /** 16-bit integer output, clipped to full scale (libADLMIDI default) */
+  S16: 0,
+  /** 32-bit float output straight from the mixer; keeps headroom above full scale */
+  F32: 2
+});
+var ChannelState = Object.freeze({
+  /** Not playing ('-') */
+  OFF: "off",
+  /** Playing a 2-op voice ('+') */
+  TWO_OP: "2op",
+  /** Playing half of a 4-op voice ('#') */
+  FOUR_OP: "4op",
+  /** Playing a rhythm-mode percussion voice ('r') */
+  RHYTHM: "rhythm",
+  /** Shared by several notes through auto-arpeggio ('@') */
+  ARPEGGIO: "arpeggio",
+  /** Playing, in a way this version doesn't recognise */
+  ON: "on"
+});
+
+// src/utils/midi.js
+var CHANNEL_DATA_LENGTH = Object.freeze({
+  8: 2,
+  9: 2,
+  10: 2,
+  11: 2,
+  12: 1,
+  13: 1,
+  14: 2
+});
+var SYSTEM_DATA_LENGTH = Object.freeze({
+  241: 1,
+  242: 2,
+  243: 1,
+  244: 0,
+  245: 0,
+  246: 0
+});
+var _runningStatus, _message, _expected, _sysex;
+var MidiStreamParser = class {
+  constructor() {
+    /** @type {number} */
+    __privateAdd(this, _runningStatus, 0);
+    /** @type {number[]} */
+    __privateAdd(this, _message, []);
+    /** @type {number} */
+    __privateAdd(this, _expected, 0);
+    /** @type {number[]|null} */
+    __privateAdd(this, _sysex, null);
+  }
+  /**
+   * Feed bytes to the parser.
+   *
+   * @param {Uint8Array|ArrayLike<number>} bytes - Raw MIDI bytes
+   * @returns {number[][]} Complete messages, status byte first. SysEx
+   *   messages include the F0 and F7 bytes.
+   */
+  push(bytes) {
+    const messages = [];
+    for (let i = 0; i < bytes.length; i++) {
+      const byte = bytes[i] & 255;
+      if (byte >= 248) {
+        messages.push([byte]);
+        continue;
+      }
+      if (byte === 240) {
+        __privateSet(this, _sysex, [byte]);
+        __privateSet(this, _runningStatus, 0);
+        __privateSet(this, _expected, 0);
+        continue;
+      }
+      if (__privateGet(this, _sysex)) {
+        if (byte < 128) {
+          __privateGet(this, _sysex).push(byte);
+          continue;
+        }
+        __privateGet(this, _sysex).push(247);
+        messages.push(__privateGet(this, _sysex));
+        __privateSet(this, _sysex, null);
+        if (byte === 247) continue;
+      }
+      if (byte >= 128) {
+        if (byte >= 240) {
+          __privateSet(this, _runningStatus, 0);
+          __privateSet(this, _message, [byte]);
+          __privateSet(this, _expected, SYSTEM_DATA_LENGTH[
+            /** @type {keyof typeof SYSTEM_DATA_LENGTH} */
+            byte
+          ] ?? 0);
+        } else {
+          __privateSet(this, _runningStatus, byte);
+          __privateSet(this, _message, [byte]);
+          __privateSet(this, _expected, CHANNEL_DATA_LENGTH[
+            /** @type {keyof typeof CHANNEL_DATA_LENGTH} */
+            byte >> 4
+          ]);
+        }
+        continue;
+      }
+      if (__privateGet(this, _expected) === 0) {
+        if (!__privateGet(this, _runningStatus)) continue;
+        __privateSet(this, _message, [__privateGet(this, _runningStatus)]);
+        __privateSet(this, _expected, CHANNEL_DATA_LENGTH[
+          /** @type {keyof typeof CHANNEL_DATA_LENGTH} */
+          __privateGet(this, _runningStatus) >> 4
+        ]);
+      }
+      __privateGet(this, _message).push(byte);
+      __privateWrapper(this, _expected)._--;
+      if (__privateGet(this, _expected) === 0 && __privateGet(this, _message)[0] < 240) {
+        messages.push(__privateGet(this, _message));
+        __privateSet(this, _message, []);
+      }
+    }
+    return messages;
+  }
+  /**
+   * Drop any partial message and the running status
+   */
+  reset() {
+    __privateSet(this, _runningStatus, 0);
+    __privateSet(this, _message, []);
+    __privateSet(this, _expected, 0);
+    __privateSet(this, _sysex, null);
+  }
+};
+_runningStatus = new WeakMap();
+_message = new WeakMap();
+_expected = new WeakMap();
+_sysex = new WeakMap();
+function dispatchMidiMessage(message, handlers) {
+  const [status, data1, data2] = message;
+  const channel = status & 15;
+  switch (status & 240) {
+    case 128:
+      handlers.noteOff(channel, data1);
+      break;
+    case 144:
+      if (data2 > 0) {
+        handlers.noteOn(channel, data1, data2);
+      } else {
+        handlers.noteOff(channel, data1);
+      }
+      break;
+    case 160:
+      handlers.noteAfterTouch(channel, data1, data2);
+      break;
+    case 176:
+      handlers.controlChange(channel, data1, data2);
+      break;
+    case 192:
+      handlers.programChange(channel, data1);
+      break;
+    case 208:
+      handlers.channelAfterTouch(channel, data1);
+      break;
+    case 224:
+      handlers.pitchBend(channel, data2 << 7 | data1);
+      break;
+    default:
+      if (status === 240) {
+        handlers.systemExclusive(new Uint8Array(message));
+      } else if (status === 255) {
+        handlers.reset();
+      }
+  }
+}
+
+// src/utils/opl3.js
+var CHANNELS_PER_CHIP = 23;
+var CHANNEL_OPERATORS = (
+  /** @type {ReadonlyArray<readonly [number, number]>} */
+  Object.freeze([
+    Object.freeze(
+      /** @type {const} */
+      [0, 3]
+    ),
+    Object.freeze(
+      /** @type {const} */
+      [1, 4]
+    ),
+    Object.freeze(
+      /** @type {const} */
+      [2, 5]
+    ),
+    Object.freeze(
+      /** @type {const} */
+      [8, 11]
+    ),
+    Object.freeze(
+      /** @type {const} */
+      [9, 12]
+    ),
+    Object.freeze(
+      /** @type {const} */
+      [10, 13]
+    ),
+    Object.freeze(
+      /** @type {const} */
+      [16, 19]
+    ),
+    Object.freeze(
+      /** @type {const} */
+      [17, 20]
+    ),
+    Object.freeze(
+      /** @type {const} */
+      [18, 21]
+    ),
+    Object.freeze(
+      /** @type {const} */
+      [0, 3]
+    ),
+    Object.freeze(
+      /** @type {const} */
+      [1, 4]
+    ),
+    Object.freeze(
+      /** @type {const} */
+      [2, 5]
+    ),
+    Object.freeze(
+      /** @type {const} */
+      [8, 11]
+    ),
+    Object.freeze(
+      /** @type {const} */
+      [9, 12]
+    ),
+    Object.freeze(
+      /** @type {const} */
+      [10, 13]
+    ),
+    Object.freeze(
+      /** @type {const} */
+      [16, 19]
+    ),
+    Object.freeze(
+      /** @type {const} */
+      [17, 20]
+    ),
+    Object.freeze(
+      /** @type {const} */
+      [18, 21]
+    )
+  ])
+);
+var DESCRIBE_STATES = Object.freeze({
+  "-": ChannelState.OFF,
+  "+": ChannelState.TWO_OP,
+  "#": ChannelState.FOUR_OP,
+  "r": ChannelState.RHYTHM,
+  "@": ChannelState.ARPEGGIO
+});
+function decodeChannelStates(text, attr) {
+  const states = [];
+  for (let i = 0; i < text.length; i++) {
+    const state = DESCRIBE_STATES[
+      /** @type {keyof typeof DESCRIBE_STATES} */
+      text[i]
+    ] ?? ChannelState.ON;
+    states.push({
+      chip: Math.floor(i / CHANNELS_PER_CHIP),
+      channel: i % CHANNELS_PER_CHIP,
+      state,
+      midiChannel: state === ChannelState.OFF ? null : (attr[i] ?? 0) & 15
+    });
+  }
+  return states;
+}
+
+// src/utils/webmidi.js
+var CC_SUSTAIN = 64;
+var CC_ALL_NOTES_OFF = 123;
+var _synth, _access, _options, _bound, _onStateChange, _closed, _MidiInputBinding_instances, routeFor_fn, forward_fn;
+var MidiInputBinding = class {
+  /**
+   * @param {MidiInputTarget} synth - Synth to drive
+   * @param {MIDIAccess} access - Web MIDI access object
+   * @param {MidiInputBindingOptions} [options]
+   */
+  constructor(synth, access, options = {}) {
+    __privateAdd(this, _MidiInputBinding_instances);
+    /** @type {MidiInputTarget} */
+    __privateAdd(this, _synth);
+    /** @type {MIDIAccess} */
+    __privateAdd(this, _access);
+    /** @type {MidiInputBindingOptions} */
+    __privateAdd(this, _options);
+    /** @type {Map<string, {input: MIDIInput, listener: (event: Event) => void}>} */
+    __privateAdd(this, _bound, /* @__PURE__ */ new Map());
+    /** @type {(event: Event) => void} */
+    __privateAdd(this, _onStateChange);
+    /** @type {boolean} */
+    __privateAdd(this, _closed, false);
+    __privateSet(this, _synth, synth);
+    __privateSet(this, _access, access);
+    __privateSet(this, _options, options);
+    __privateSet(this, _onStateChange, (event) => {
+      const port = (
+        /** @type {MIDIConnectionEvent} */
+        event.port
+      );
+      if (!port || port.type !== "input") return;
+      const input = (
+        /** @type {MIDIInput} */
+        port
+      );
+      if (input.state === "connected") {
+        this.bind(input);
+      } else {
+        this.unbind(input);
+      }
+    });
+    access.addEventListener("statechange", __privateGet(this, _onStateChange));
+    access.inputs.forEach((input) => {
+      if (input.state === "connected") {
+        this.bind(input);
+      }
+    });
+  }
+  /**
+   * Currently bound inputs
+   * @returns {MIDIInput[]}
+   */
+  get inputs() {
+    return Array.from(__privateGet(this, _bound).values(), (entry) => entry.input);
+  }
+  /**
+   * Bind an input, if the filter accepts it and it is not bound yet
+   * @param {MIDIInput} input
+   * @returns {boolean} True if the input is bound after the call
+   */
+  bind(input) {
+    if (__privateGet(this, _closed)) return false;
+    if (__privateGet(this, _bound).has(input.id)) return true;
+    if (__privateGet(this, _options).filter && !__privateGet(this, _options).filter(input)) return false;
+    const parser = new MidiStreamParser();
+    const listener = (event) => {
+      const data = (
+        /** @type {MIDIMessageEvent} */
+        event.data
+      );
+      if (!data) return;
+      for (const message of parser.push(data)) {
+        __privateMethod(this, _MidiInputBinding_instances, forward_fn).call(this, message, input);
+      }
+      __privateGet(this, _options).onMessage?.(data, input);
+    };
+    input.addEventListener("midimessage", listener);
+    input.open?.().catch(() => {
+    });
+    __privateGet(this, _bound).set(input.id, { input, listener });
+    __privateGet(this, _options).onChange?.(input, true);
+    return true;
+  }
+  /**
+   * Unbind an input and release any notes it left playing
+   * @param {MIDIInput} input
+   */
+  unbind(input) {
+    const entry = __privateGet(this, _bound).get(input.id);
+    if (!entry) return;
+    entry.input.removeEventListener("midimessage", entry.listener);
+    __privateGet(this, _bound).delete(input.id);
+    const route = __privateMethod(this, _MidiInputBinding_instances, routeFor_fn).call(this, input);
+    const channels = /* @__PURE__ */ new Set();
+    for (let ch = 0; ch < 16; ch++) {
+      if (!route.channels || route.channels.includes(ch)) {
+        channels.add(route.channelMap?.[ch] ?? ch);
+      }
+    }
+    for (const ch of channels) {
+      __privateGet(this, _synth).controlChange(ch, CC_SUSTAIN, 0);
+      __privateGet(this, _synth).controlChange(ch, CC_ALL_NOTES_OFF, 0);
+    }
+    __privateGet(this, _options).onChange?.(input, false);
+  }
+  /**
+   * Replace the routing for one input
+   * @param {string} key - Input id or name
+   * @param {MidiInputRoute|undefined} route - New routing, or undefined to
+   *   fall back to the default route
+   */
+  setRoute(key, route) {
+    const routes = { ...__privateGet(this, _options).routes };
+    if (route) {
+      routes[key] = route;
+    } else {
+      delete routes[key];
+    }
+    __privateSet(this, _options, { ...__privateGet(this, _options), routes });
+  }
+  /**
+   * Unbind every input and stop following hot-plug events
+   */
+  close() {
+    if (__privateGet(this, _closed)) return;
+    for (const { input } of [...__privateGet(this, _bound).values()]) {
+      this.unbind(input);
+    }
+    __privateGet(this, _access).removeEventListener("statechange", __privateGet(this, _onStateChange));
+    __privateSet(this, _closed, true);
+  }
+};
+_synth = new WeakMap();
+_access = new WeakMap();
+_options = new WeakMap();
+_bound = new WeakMap();
+_onStateChange = new WeakMap();
+_closed = new WeakMap();
+_MidiInputBinding_instances = new WeakSet();
+/**
+ * @param {MIDIInput} input
+ * @returns {MidiInputRoute}
+ */
+routeFor_fn = function(input) {
+  const { routes = {}, route = {} } = __privateGet(this, _options);
+  return routes[input.id] ?? (input.name ? routes[input.name] : void 0) ?? route;
+};
+/**
+ * Filter, remap and send one complete message
+ * @param {number[]} message
+ * @param {MIDIInput} input
+ */
+forward_fn = function(message, input) {
+  const route = __privateMethod(this, _MidiInputBinding_instances, routeFor_fn).call(this, input);
+  const status = message[0];
+  if (status < 240) {
+    const channel = status & 15;
+    if (route.channels && !route.channels.includes(channel)) return;
+    const target = route.channelMap?.[channel] ?? channel;
+    message[0] = status & 240 | target & 15;
+  } else if (route.channels) {
+    return;
+  }
+  __privateGet(this, _synth).sendMidi(message);
+};
+
+// src/utils/struct.js
+function decodeOperator(bytes) {
+  const avekf = bytes[0];
+  const ksl_l = bytes[1];
+  const atdec = bytes[2];
+  const susrel = bytes[3];
+  const waveform = bytes[4];
+  return {
+    // Register 0x20: AM/Vib/EG-type/KSR/Mult
+    am: !!(avekf & 128),
+    vibrato: !!(avekf & 64),
+    sustaining: !!(avekf & 32),
+    ksr: !!(avekf & 16),
+    freqMult: avekf & 15,
+    // Register 0x40: KSL/TL
+    keyScaleLevel: ksl_l >> 6 & 3,
+    totalLevel: ksl_l & 63,
+    // Register 0x60: AR/DR
+    attack: atdec >> 4 & 15,
+    decay: atdec & 15,
+    // Register 0x80: SL/RR
+    sustain: susrel >> 4 & 15,
+    release: susrel & 15,
+    // Register 0xE0: Waveform
+    waveform: waveform & 7
+  };
+}
+function defaultOperator() {
+  return {
+    am: false,
+    vibrato: false,
+    sustaining: true,
+    ksr: false,
+    freqMult: 1,
+    keyScaleLevel: 0,
+    totalLevel: 63,
+    // Max attenuation (silent)
+    attack: 15,
+    decay: 0,
+    sustain: 0,
+    release: 15,
+    waveform: 0
+  };
+}
+function defaultInstrument() {
+  return {
+    version: 0,
+    noteOffset1: 0,
+    noteOffset2: 0,
+    velocityOffset: 0,
+    secondVoiceDetune: 0,
+    percussionKey: 0,
+    is4op: false,
+    isPseudo4op: false,
+    isBlank: true,
+    rhythmMode: 0,
+    feedback1: 0,
+    connection1: 0,
+    feedback2: 0,
+    connection2: 0,
+    operators: [defaultOperator(), defaultOperator(), defaultOperator(), defaultOperator()],
+    delayOnMs: 0,
+    delayOffMs: 0
+  };
+}
+
+// src/utils/instruments.js
+var BNK_RECORD_SIZE = 30;
+var BNK_NAME_SIZE = 12;
+var SBI_RECORD_SIZE = 16;
+var SBI_NAME_SIZE = 32;
+var SBI_MIN_SIZE = 4 + SBI_NAME_SIZE + 11;
+var SBI_SIZE = 4 + SBI_NAME_SIZE + SBI_RECORD_SIZE;
+var IBK_NAME_SIZE = 9;
+var IBK_SIZE = 4 + 128 * SBI_RECORD_SIZE + 128 * IBK_NAME_SIZE;
+var OP2_MAGIC = "#OPL_II#";
+var OP2_INSTRUMENTS = 175;
+var OP2_RECORD_SIZE = 36;
+var OP2_NAME_SIZE = 32;
+var OP2_SIZE = OP2_MAGIC.length + OP2_INSTRUMENTS * (OP2_RECORD_SIZE + OP2_NAME_SIZE);
+var TMB_RECORD_SIZE = 13;
+var TMB_SIZE = 256 * TMB_RECORD_SIZE;
+var A2I_STORED_VERSIONS = Object.freeze({ 4: 1, 8: 2 });
+function instrumentFromSbiRegisters(regs) {
+  const inst = defaultInstrument();
+  inst.isBlank = false;
+  inst.operators[0] = decodeOperator([regs[1], regs[3], regs[5], regs[7], regs[9]]);
+  inst.operators[1] = decodeOperator([regs[0], regs[2], regs[4], regs[6], regs[8]]);
+  inst.feedback1 = regs[10] >> 1 & 7;
+  inst.connection1 = regs[10] & 1;
+  return inst;
+}
+function parseBNK(data) {
+  const bytes = data instanceof ArrayBuffer ? new Uint8Array(data) : data;
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  if (bytes.length < 28 || String.fromCharCode(...bytes.slice(2, 8)) !== "ADLIB-") {
+    throw new Error("Not an AdLib BNK file");
+  }
+  const numEntries = view.getUint16(10, true);
+  const namesOffset = view.getUint32(12, true);
+  const dataOffset = view.getUint32(16, true);
+  const instruments = [];
+  for (let i = 0; i < numEntries; i++) {
+    const entry = namesOffset + i * BNK_NAME_SIZE;
+    if (entry + BNK_NAME_SIZE > bytes.length) break;
+    const index = view.getUint16(entry, true);
+    const record = dataOffset + index * BNK_RECORD_SIZE;
+    if (record + BNK_RECORD_SIZE > bytes.length) continue;
+    instruments.push({
+      name: readFixedString(bytes, entry + 3, 9),
+      percussive: bytes[record] !== 0,
+      voiceNumber: bytes[record + 1],
+      instrument: instrumentFromAdlibRecord(bytes.subarray(record + 2, record + BNK_RECORD_SIZE))
+    });
+  }
+  return instruments;
+}
+function instrumentFromAdlibRecord(rec) {
+  const operator = (o, wave) => ({
+    am: !!rec[o + 9],
+    vibrato: !!rec[o + 10],
+    sustaining: !!rec[o + 5],
+    ksr: !!rec[o + 11],
+    freqMult: rec[o + 1] & 15,
+    keyScaleLevel: rec[o] & 3,
+    totalLevel: rec[o + 8] & 63,
+    attack: rec[o + 3] & 15,
+    decay: rec[o + 6] & 15,
+    sustain: rec[o + 4] & 15,
+    release: rec[o + 7] & 15,
+    waveform: wave & 7
+  });
+  const inst = defaultInstrument();
+  inst.isBlank = false;
+  inst.operators[0] = operator(13, rec[27]);
+  inst.operators[1] = operator(0, rec[26]);
+  inst.feedback1 = rec[2] & 7;
+  inst.connection1 = rec[12] ? 0 : 1;
+  return inst;
+}
+function readFixedString(bytes, offset, length) {
+  let text = "";
+  for (let i = 0; i < length && bytes[offset + i]; i++) {
+    text += String.fromCharCode(bytes[offset + i]);
+  }
+  return text;
+}
+
+// src/formats/smf.js
+var IMPORT_BANK_ID = Object.freeze({ percussive: false, msb: 112, lsb: 0 });
+function encodeSMF(division, events) {
+  const sorted = events.map((event, index) => ({ event, index })).sort((a, b) => a.event.tick - b.event.tick || a.index - b.index).map(({ event }) => event);
+  const track = [];
+  let lastTick = 0;
+  for (const event of sorted) {
+    writeVarLen(track, Math.max(0, event.tick - lastTick));
+    track.push(...event.data);
+    lastTick = Math.max(lastTick, event.tick);
+  }
+  track.push(0, 255, 47, 0);
+  const bytes = new Uint8Array(14 + 8 + track.length);
+  const view = new DataView(bytes.buffer);
+  bytes.set([77, 84, 104, 100], 0);
+  view.setUint32(4, 6);
+  view.setUint16(8, 0);
+  view.setUint16(10, 1);
+  view.setUint16(12, division);
+  bytes.set([77, 84, 114, 107], 14);
+  view.setUint32(18, track.length);
+  bytes.set(track, 22);
+  return bytes;
+}
+function metaEvent(type, payload) {
+  const data = [255, type];
+  writeVarLen(data, payload.length);
+  data.push(...payload);
+  return data;
+}
+function textEvent(type, text) {
+  return metaEvent(type, Array.from(text, (c) => c.charCodeAt(0) & 255));
+}
+function tempoEvent(microsPerQuarter) {
+  const tempo = Math.max(1, Math.min(16777215, Math.round(microsPerQuarter)));
+  return metaEvent(81, [tempo >> 16, tempo >> 8 & 255, tempo & 255]);
+}
+function writeVarLen(out, value) {
+  const groups = [value & 127];
+  while ((value >>>= 7) > 0) {
+    groups.unshift(value & 127 | 128);
+  }
+  out.push(...groups);
+}
+function readSmfEvents(data) {
+  let bytes = data instanceof ArrayBuffer ? new Uint8Array(data) : data;
+  if (tagAt(bytes, 0) === "RIFF" && tagAt(bytes, 8) === "RMID" && tagAt(bytes, 12) === "data") {
+    bytes = bytes.subarray(20);
+  }
+  if (bytes.length < 14 || tagAt(bytes, 0) !== "MThd") {
+    return null;
+  }
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const headerLength = view.getUint32(4);
+  const numTracks = view.getUint16(10);
+  const division = view.getInt16(12);
+  const events = [];
+  let pos = 8 + headerLength;
+  for (let track = 0; track < numTracks && pos + 8 <= bytes.length; track++) {
+    const length = view.getUint32(pos + 4);
+    const start = pos + 8;
+    const end = Math.min(bytes.length, start + length);
+    pos = start + length;
+    if (tagAt(bytes, start - 8) !== "MTrk") continue;
+    let p = start;
+    let tick = 0;
+    let runningStatus = 0;
+    const readVarLen = () => {
+      let value = 0;
+      for (let i = 0; i < 4 && p < end; i++) {
+        const byte = bytes[p++];
+        value = value << 7 | byte & 127;
+        if (!(byte & 128)) break;
+      }
+      return value;
+    };
+    while (p < end) {
+      tick += readVarLen();
+      if (p >= end) break;
+      let status = bytes[p];
+      if (status >= 128) {
+        p++;
+      } else {
+        status = runningStatus;
+      }
+      if (status === 255) {
+        const type = bytes[p++];
+        const size = readVarLen();
+        events.push({ tick, track, status, type, data: bytes.slice(p, Math.min(end, p + size)) });
+        if (type === 47) break;
+        p += size;
+      } else if (status === 240 || status === 247) {
+        const size = readVarLen();
+        events.push({ tick, track, status, type: 0, data: bytes.slice(p, Math.min(end, p + size)) });
+        p += size;
+      } else if (status >= 128) {
+        runningStatus = status;
+        const size = status >> 4 === 12 || status >> 4 === 13 ? 1 : 2;
+        events.push({ tick, track, status, type: 0, data: bytes.slice(p, Math.min(end, p + size)) });
+        p += size;
+      } else {
+        break;
+      }
+    }
+  }
+  events.sort((a, b) => a.tick - b.tick || a.track - b.track);
+  return { division, events };
+}
+function readSmfMetaEvents(data) {
+  const smf = readSmfEvents(data);
+  if (!smf) {
+    return null;
+  }
+  const events = smf.events.filter((event) => event.status === 255).map(({ tick, track, type, data: data2 }) => ({ tick, track, type, data: data2 }));
+  return { division: smf.division, events };
+}
+function createTempoMap(division, events) {
+  if (division < 0) {
+    const ticksPerSecond = -(division >> 8) * (division & 255);
+    return (tick) => tick / ticksPerSecond;
+  }
+  const segments = [{ tick: 0, seconds: 0, secondsPerTick: 0.5 / division }];
+  for (const event of events) {
+    if (event.type !== 81 || event.data.length < 3) continue;
+    const last = segments[segments.length - 1];
+    const micros = event.data[0] << 16 | event.data[1] << 8 | event.data[2];
+    const seconds = last.seconds + (event.tick - last.tick) * last.secondsPerTick;
+    segments.push({ tick: event.tick, seconds, secondsPerTick: micros / 1e6 / division });
+  }
+  return (tick) => {
+    let i = segments.length - 1;
+    while (i > 0 && segments[i].tick > tick) i--;
+    const segment = segments[i];
+    return segment.seconds + (tick - segment.tick) * segment.secondsPerTick;
+  };
+}
+function readSmfMarkers(data) {
+  const smf = readSmfMetaEvents(data);
+  if (!smf) {
+    return [];
+  }
+  const tickToSeconds = createTempoMap(smf.division, smf.events);
+  return smf.events.filter((event) => event.type === 6).map((event) => ({ label: decodeMetaText(event.data), tick: event.tick })).filter(({ label }) => !/^loop(start|end)$/i.test(label)).map(({ label, tick }) => ({ label, positionSeconds: tickToSeconds(tick), tick }));
+}
+function decodeMetaText(bytes) {
+  try {
+    return new TextDecoder("utf-8", { fatal: true }).decode(bytes);
+  } catch {
+    return String.fromCharCode(...bytes);
+  }
+}
+function tagAt(bytes, offset) {
+  return String.fromCharCode(...bytes.subarray(offset, offset + 4));
+}
+
+// src/formats/cmf.js
+var INSTRUMENT_SIZE = 16;
+var PERCUSSION_CHANNEL = 9;
+var CMF_CONTROLLERS = /* @__PURE__ */ new Set([102, 103, 104, 105]);
+function parseCMF(data) {
+  const bytes = data instanceof ArrayBuffer ? new Uint8Array(data) : data;
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  if (bytes.length < 40 || String.fromCharCode(...bytes.slice(0, 4)) !== "CTMF") {
+    throw new Error("Not a CMF file");
+  }
+  const version = view.getUint16(4, true);
+  const instrumentOffset = view.getUint16(6, true);
+  const musicOffset = view.getUint16(8, true);
+  const numInstruments = version < 257 ? bytes[36] : view.getUint16(36, true);
+  if (musicOffset >= bytes.length) {
+    throw new Error("CMF music data offset is out of range");
+  }
+  const instruments = [];
+  for (let i = 0; i < numInstruments; i++) {
+    const offset = instrumentOffset + i * INSTRUMENT_SIZE;
+    if (offset + INSTRUMENT_SIZE > bytes.length) break;
+    instruments.push(instrumentFromSbiRegisters(bytes.subarray(offset, offset + INSTRUMENT_SIZE)));
+  }
+  return {
+    version: `${version >> 8}.${version & 255}`,
+    ticksPerQuarter: view.getUint16(10, true) || 120,
+    ticksPerSecond: view.getUint16(12, true) || 120,
+    title: readString(bytes, view.getUint16(14, true)),
+    composer: readString(bytes, view.getUint16(16, true)),
+    remarks: readString(bytes, view.getUint16(18, true)),
+    channelsInUse: Array.from(bytes.subarray(20, 36), (used) => used !== 0),
+    instruments,
+    music: bytes.subarray(musicOffset)
+  };
+}
+function cmfToMidi(cmf, options = {}) {
+  const { bankId = IMPORT_BANK_ID } = options;
+  const channelMap = Array.from({ length: 16 }, (_, ch) => ch);
+  if (cmf.channelsInUse[PERCUSSION_CHANNEL]) {
+    const free = [15, 14, 13, 12, 11, 10, 8, 7, 6, 5, 4, 3, 2, 1, 0].find((ch) => !cmf.channelsInUse[ch]);
+    if (free !== void 0) {
+      channelMap[PERCUSSION_CHANNEL] = free;
+    }
+  }
+  const events = [
+    { tick: 0, data: tempoEvent(1e6 * cmf.ticksPerQuarter / cmf.ticksPerSecond) }
+  ];
+  if (cmf.title) events.push({ tick: 0, data: textEvent(3, cmf.title) });
+  if (cmf.composer) events.push({ tick: 0, data: textEvent(1, cmf.composer) });
+  if (cmf.remarks) events.push({ tick: 0, data: textEvent(1, cmf.remarks) });
+  for (let ch = 0; ch < 16; ch++) {
+    if (!cmf.channelsInUse[ch]) continue;
+    const out = channelMap[ch];
+    events.push({ tick: 0, data: [176 | out, 0, bankId.msb] });
+    events.push({ tick: 0, data: [176 | out, 32, bankId.lsb] });
+  }
+  for (const event of readEvents(cmf.music)) {
+    const status = event.data[0];
+    if (status < 240) {
+      if ((status & 240) === 176 && CMF_CONTROLLERS.has(event.data[1])) continue;
+      event.data[0] = status & 240 | channelMap[status & 15];
+    }
+    events.push(event);
+  }
+  return {
+    midi: encodeSMF(cmf.ticksPerQuarter, events),
+    bankId,
+    instruments: cmf.instruments.slice(0, 128).map((instrument, program) => ({ program, instrument })),
+    missingInstruments: []
+  };
+}
+function readEvents(data) {
+  const events = [];
+  let pos = 0;
+  let tick = 0;
+  let runningStatus = 0;
+  const readVarLen = () => {
+    let value = 0;
+    for (let i = 0; i < 4 && pos < data.length; i++) {
+      const b = data[pos++];
+      value = value << 7 | b & 127;
+      if (!(b & 128)) break;
+    }
+    return value;
+  };
+  while (pos < data.length) {
+    tick += readVarLen();
+    if (pos >= data.length) break;
+    let status = data[pos];
+    if (status & 128) {
+      pos++;
+    } else {
+      status = runningStatus;
+    }
+    if (!(status & 128)) break;
+    if (status === 255) {
+      const type = data[pos++];
+      const length = readVarLen();
+      if (type === 47) break;
+      if (type !== 81) {
+        const event = [255, type];
+        writeVarLen(event, length);
+        events.push({ tick, data: [...event, ...data.subarray(pos, pos + length)] });
+      }
+      pos += length;
+    } else if (status === 240 || status === 247) {
+      const length = readVarLen();
+      const event = [status];
+      writeVarLen(event, length);
+      events.push({ tick, data: [...event, ...data.subarray(pos, pos + length)] });
+      pos += length;
+    } else {
+      runningStatus = status;
+      const size = (status & 224) === 192 ? 1 : 2;
+      events.push({ tick, data: [status, ...data.subarray(pos, pos + size)] });
+      pos += size;
+    }
+  }
+  return events;
+}
+function readString(bytes, offset) {
+  let text = "";
+  if (offset === 0) return text;
+  for (let pos = offset; pos < bytes.length && bytes[pos] !== 0; pos++) {
+    text += String.fromCharCode(bytes[pos]);
+  }
+  return text;
+}
+
+// src/formats/rol.js
+var BASIC_TEMPO_OFFSET = 197;
+var TRACK_NAME_SIZE = 15;
+var VOICE_CHANNELS = [0, 1, 2, 3, 4, 5, 6, 7, 8, 10, 11];
+var PITCH_BEND_RANGE = 1;
+function parseROL(data) {
+  const bytes = data instanceof ArrayBuffer ? new Uint8Array(data) : data;
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  if (bytes.length < BASIC_TEMPO_OFFSET + 6) {
+    throw new Error("Not a ROL file");
+  }
+  const major = view.getUint16(0, true);
+  const minor = view.getUint16(2, true);
+  if (major !== 0 || minor !== 4) {
+    throw new Error(`Unsupported ROL version ${major}.${minor}`);
+  }
+  let pos = BASIC_TEMPO_OFFSET;
+  const has = (size) => pos + size <= bytes.length;
+  const u16 = () => {
+    const v = view.getUint16(pos, true);
+    pos += 2;
+    return v;
+  };
+  const f32 = () => {
+    const v = view.getFloat32(pos, true);
+    pos += 4;
+    return v;
+  };
+  const basicTempo = f32() || 120;
+  const tempoEvents = [];
+  for (let i = u16(); i > 0 && has(6); i--) {
+    tempoEvents.push({ tick: u16(), multiplier: f32() });
+  }
+  const percussive = bytes[53] === 0;
+  const voices = [];
+  for (let v = 0; v < (percussive ? 11 : 9) && has(TRACK_NAME_SIZE + 2); v++) {
+    const voice = { notes: [], timbres: [], volumes: [], pitches: [] };
+    pos += TRACK_NAME_SIZE;
+    const lastTick = u16();
+    for (let tick = 0; tick < lastTick && has(4); ) {
+      const note = u16();
+      const duration = u16();
+      if (note !== 0) voice.notes.push({ tick, note, duration });
+      tick += duration || lastTick;
+    }
+    pos += TRACK_NAME_SIZE;
+    for (let i = has(2) ? u16() : 0; i > 0 && has(14); i--) {
+      const tick = u16();
+      voice.timbres.push({ tick, name: readFixedString2(bytes, pos, 9) });
+      pos += 12;
+    }
+    pos += TRACK_NAME_SIZE;
+    for (let i = has(2) ? u16() : 0; i > 0 && has(6); i--) {
+      voice.volumes.push({ tick: u16(), volume: f32() });
+    }
+    pos += TRACK_NAME_SIZE;
+    for (let i = has(2) ? u16() : 0; i > 0 && has(6); i--) {
+      voice.pitches.push({ tick: u16(), pitch: f32() });
+    }
+    voices.push(voice);
+  }
+  return {
+    version: `${major}.${minor}`,
+    ticksPerBeat: view.getUint16(44, true) || 4,
+    beatsPerMeasure: view.getUint16(46, true),
+    percussive,
+    basicTempo,
+    tempoEvents,
+    voices
+  };
+}
+function rolToMidi(rol, bank, options = {}) {
+  const { bankId = IMPORT_BANK_ID } = options;
+  const bnk = Array.isArray(bank) ? bank : parseBNK(bank);
+  const byName = /* @__PURE__ */ new Map();
+  for (const entry of bnk) {
+    const key = entry.name.toLowerCase();
+    if (!byName.has(key)) byName.set(key, entry.instrument);
+  }
+  const programs = /* @__PURE__ */ new Map();
+  const instruments = [];
+  const missing = /* @__PURE__ */ new Set();
+  const events = [{ tick: 0, data: tempoEvent(6e7 / rol.basicTempo) }];
+  for (const { tick, multiplier } of rol.tempoEvents) {
+    events.push({ tick, data: tempoEvent(6e7 / (rol.basicTempo * (multiplier || 1))) });
+  }
+  rol.voices.forEach((voice, index) => {
+    const ch = VOICE_CHANNELS[index];
+    events.push(
+      { tick: 0, data: [176 | ch, 0, bankId.msb] },
+      { tick: 0, data: [176 | ch, 32, bankId.lsb] },
+      { tick: 0, data: [176 | ch, 101, 0] },
+      { tick: 0, data: [176 | ch, 100, 0] },
+      { tick: 0, data: [176 | ch, 6, PITCH_BEND_RANGE] },
+      { tick: 0, data: [176 | ch, 38, 0] }
+    );
+    for (const { tick, name } of voice.timbres) {
+      const key = name.toLowerCase();
+      let program = programs.get(key);
+      if (program === void 0) {
+        const instrument = byName.get(key);
+        if (!instrument) {
+          missing.add(name);
+          continue;
+        }
+        if (instruments.length >= 128) continue;
+        program = instruments.length;
+        programs.set(key, program);
+        instruments.push({ program, instrument });
+      }
+      events.push({ tick, data: [192 | ch, program] });
+    }
+    for (const { tick, volume } of voice.volumes) {
+      events.push({ tick, data: [176 | ch, 7, clamp(Math.round(volume * 127), 0, 127)] });
+    }
+    for (const { tick, pitch } of voice.pitches) {
+      const bend = clamp(Math.round(pitch * 8192), 0, 16383);
+      events.push({ tick, data: [224 | ch, bend & 127, bend >> 7] });
+    }
+    for (const { tick, note, duration } of voice.notes) {
+      const key = clamp(note, 0, 127);
+      events.push({ tick: tick + duration, data: [128 | ch, key, 0] });
+      events.push({ tick, data: [144 | ch, key, 127] });
+    }
+  });
+  events.sort((a, b) => a.tick - b.tick || Number(isNoteOn(a)) - Number(isNoteOn(b)));
+  return {
+    midi: encodeSMF(rol.ticksPerBeat, events),
+    bankId,
+    instruments,
+    missingInstruments: [...missing]
+  };
+}
+function isNoteOn(event) {
+  return (event.data[0] & 240) === 144;
+}
+function clamp(value, min, max) {
+  return Math.max(min, Math.min(max, value));
+}
+function readFixedString2(bytes, offset, length) {
+  let text = "";
+  for (let i = 0; i < length && bytes[offset + i]; i++) {
+    text += String.fromCharCode(bytes[offset + i]);
+  }
+  return text;
+}
+
+// src/formats/lyrics.js
+var META_TEXT = 1;
+var META_LYRIC = 5;
+var POSITION_EPSILON = 1e-6;
+var _lyrics, _cursor, _position, _loopStart, _loopEnd, _LyricFeed_instances, collect_fn;
+var _LyricFeed = class _LyricFeed {
+  /**
+   * @param {Lyric[]} lyrics - Lyrics in song order
+   */
+  constructor(lyrics) {
+    __privateAdd(this, _LyricFeed_instances);
+    /** @type {Lyric[]} */
+    __privateAdd(this, _lyrics);
+    /** @type {number} */
+    __privateAdd(this, _cursor, 0);
+    /** @type {number} */
+    __privateAdd(this, _position, 0);
+    /** @type {number} */
+    __privateAdd(this, _loopStart, -1);
+    /** @type {number} */
+    __privateAdd(this, _loopEnd, -1);
+    __privateSet(this, _lyrics, lyrics);
+  }
+  /**
+   * Extract the lyrics of a MIDI file.
+   *
+   * Lyric events are used when the file has any. Otherwise, for .kar
+   * files (recognised by their `@` header text events), the text events of
+   * the track holding the words are used, without the headers. Other
+   * formats libADLMIDI plays (XMI, MUS, ...) have no lyrics.
+   *
+   * @param {ArrayBuffer|Uint8Array} data - MIDI file data
+   * @returns {LyricFeed}
+   */
+  static fromMidi(data) {
+    const smf = readSmfMetaEvents(data);
+    if (!smf) {
+      return new _LyricFeed([]);
+    }
+    let events = smf.events.filter((event) => event.type === META_LYRIC);
+    const karaoke = events.length === 0;
+    if (karaoke) {
+      const texts = smf.events.filter((event) => event.type === META_TEXT);
+      if (!texts.some((event) => decodeMetaText(event.data).startsWith("@"))) {
+        return new _LyricFeed([]);
+      }
+      const counts = /* @__PURE__ */ new Map();
+      for (const event of texts) {
+        if (!decodeMetaText(event.data).startsWith("@")) {
+          counts.set(event.track, (counts.get(event.track) ?? 0) + 1);
+        }
+      }
+      const wordsTrack = [...counts].sort((a, b) => b[1] - a[1])[0]?.[0];
+      events = texts.filter((event) => event.track === wordsTrack);
+    }
+    const tickToSeconds = createTempoMap(smf.division, smf.events);
+    const lyrics = [];
+    let pendingLine = false;
+    let pendingParagraph = false;
+    for (const event of events) {
+      const raw = decodeMetaText(event.data);
+      const position = tickToSeconds(event.tick);
+      if (karaoke && raw.startsWith("@")) {
+        continue;
+      }
+      let text = raw;
+      const lead = text[0];
+      if (lead === "\\" || lead === "\n") {
+        pendingParagraph = true;
+        text = text.slice(1);
+      } else if (lead === "/" || lead === "\r") {
+        pendingLine = true;
+        text = text.slice(1);
+      }
+      let breakAfter = "";
+      const trail = text[text.length - 1];
+      if (trail === "\r" || trail === "\n") {
+        breakAfter = trail;
+        text = text.replace(/[\r\n]+$/, "");
+      }
+      if (text.length > 0) {
+        lyrics.push({
+          text,
+          position,
+          tick: event.tick,
+          newLine: lyrics.length > 0 && (pendingLine || pendingParagraph),
+          newParagraph: lyrics.length > 0 && pendingParagraph
+        });
+        pendingLine = false;
+        pendingParagraph = false;
+      }
+      if (breakAfter === "\r") pendingLine = true;
+      if (breakAfter === "\n") pendingParagraph = true;
+    }
+    return new _LyricFeed(lyrics);
+  }
+  /**
+   * All lyrics in song order
+   * @returns {Lyric[]}
+   */
+  get lyrics() {
+    return __privateGet(this, _lyrics).map((lyric) => ({ ...lyric }));
+  }
+  /**
+   * Set the loop range playback wraps around, as reported by
+   * adl_loopStartTime() and adl_loopEndTime()
+   * @param {number} start - Loop start in seconds, or -1 to loop from the beginning
+   * @param {number} end - Loop end in seconds, or -1 to loop at the end
+   */
+  setLoop(start, end) {
+    __privateSet(this, _loopStart, start);
+    __privateSet(this, _loopEnd, end);
+  }
+  /**
+   * Move the feed to a song position, after a seek or rewind. A lyric at
+   * the position itself is reported by the next {@link advance}.
+   * @param {number} position - Song position in seconds
+   */
+  seek(position) {
+    const index = __privateGet(this, _lyrics).findIndex((lyric) => lyric.position >= position - POSITION_EPSILON);
+    __privateSet(this, _cursor, index < 0 ? __privateGet(this, _lyrics).length : index);
+    __privateSet(this, _position, position);
+  }
+  /**
+   * Get the lyrics playback passed on its way to a song position.
+   *
+   * @param {number} position - Song position in seconds after the render
+   * @param {number} [time] - AudioContext time to attach to the lyrics
+   * @returns {LyricEvent[]} Lyrics reached, in song order
+   */
+  advance(position, time) {
+    const reached = [];
+    if (position < __privateGet(this, _position) - POSITION_EPSILON) {
+      __privateMethod(this, _LyricFeed_instances, collect_fn).call(this, __privateGet(this, _loopEnd) >= 0 ? __privateGet(this, _loopEnd) : Infinity, reached, time);
+      this.seek(Math.max(0, __privateGet(this, _loopStart)));
+    }
+    __privateMethod(this, _LyricFeed_instances, collect_fn).call(this, position, reached, time);
+    __privateSet(this, _position, position);
+    return reached;
+  }
+};
+_lyrics = new WeakMap();
+_cursor = new WeakMap();
+_position = new WeakMap();
+_loopStart = new WeakMap();
+_loopEnd = new WeakMap();
+_LyricFeed_instances = new WeakSet();
+/**
+ * Append lyrics up to and including a song position
+ * @param {number} position
+ * @param {LyricEvent[]} reached
+ * @param {number|undefined} time
+ */
+collect_fn = function(position, reached, time) {
+  while (__privateGet(this, _cursor) < __privateGet(this, _lyrics).length && __privateGet(this, _lyrics)[__privateGet(this, _cursor)].position <= position + POSITION_EPSILON) {
+    const index = __privateWrapper(this, _cursor)._++;
+    const lyric = __privateGet(this, _lyrics)[index];
+    reached.push({ index, ...lyric, ...time === void 0 ? {} : { time } });
+  }
+};
+var LyricFeed = _LyricFeed;
 
 // src/libadlmidi.js
-var _ready, _messageHandlers, _nextRequestId, _AdlMidi_instances, handleMessage_fn, onceMessage_fn, onceCorrelatedMessage_fn, send_fn;
+var PLAYBACK_EVENT_LISTS = Object.freeze({
+  notes: "playbackNote",
+  midiEvents: "playbackMidiEvent",
+  metaEvents: "playbackMetaEvent",
+  lyrics: "playbackLyric"
+});
+var _ready, _scheduling, _warnedScheduling, _messageHandlers, _midiParser, _midiBindings, _nextRequestId, _lastState, _levelsInterval, _lyricFeed, _markers, _AdlMidi_instances, handleMessage_fn, dispatchPlaybackEvents_fn, subscribePlaybackEvent_fn, updatePlaybackEvents_fn, onceMessage_fn, onceCorrelatedMessage_fn, send_fn, loadConvertedSong_fn;
 var AdlMidi = class {
   /**
    * Create a new AdlMidi instance
@@ -64,10 +1250,26 @@ var AdlMidi = class {
     __privateAdd(this, _AdlMidi_instances);
     /** @type {boolean} */
     __privateAdd(this, _ready, false);
+    /** @type {boolean} */
+    __privateAdd(this, _scheduling, false);
+    /** @type {boolean} */
+    __privateAdd(this, _warnedScheduling, false);
     /** @type {Map<string, Set<Function>>} */
     __privateAdd(this, _messageHandlers, /* @__PURE__ */ new Map());
+    /** @type {MidiStreamParser} */
+    __privateAdd(this, _midiParser, new MidiStreamParser());
+    /** @type {Set<MidiInputBinding>} */
+    __privateAdd(this, _midiBindings, /* @__PURE__ */ new Set());
     /** @type {number} */
     __privateAdd(this, _nextRequestId, 0);
+    /** @type {PlaybackState|null} */
+    __privateAdd(this, _lastState, null);
+    /** @type {number} */
+    __privateAdd(this, _levelsInterval, 0);
+    /** @type {LyricFeed} */
+    __privateAdd(this, _lyricFeed, LyricFeed.fromMidi(new Uint8Array(0)));
+    /** @type {Marker[]} */
+    __privateAdd(this, _markers, []);
     this.ctx = context || null;
     this.node = null;
   }
@@ -85,6 +1287,18 @@ var AdlMidi = class {
   get ready() {
     return __privateGet(this, _ready);
   }
+  /**
+   * Check if the worklet applies `when` timestamps on their exact sample.
+   *
+   * Processor bundles built before scheduling support ignore `when` and
+   * apply every call at the next render quantum; callers that schedule
+   * ahead should fall back to timing calls themselves when this is false.
+   * Only meaningful once {@link ready} is true.
+   * @returns {boolean}
+   */
+  get supportsScheduling() {
+    return __privateGet(this, _scheduling);
+  }
   /**
    * Initialize the synthesizer
    * @param {string} processorUrl - URL to the bundled processor JavaScript file
@@ -122,11 +1336,21 @@ var AdlMidi = class {
       const timeout = setTimeout(() => {
         reject(new Error("Timeout waiting for WASM initialization"));
       }, 1e4);
-      __privateMethod(this, _AdlMidi_instances, onceMessage_fn).call(this, "ready", () => {
-        clearTimeout(timeout);
-        __privateSet(this, _ready, true);
-        resolve();
-      });
+      __privateMethod(this, _AdlMidi_instances, onceMessage_fn).call(
+        this,
+        "ready",
+        /** @param {{scheduling?: boolean}} msg */
+        (msg) => {
+          clearTimeout(timeout);
+          __privateSet(this, _ready, true);
+          __privateSet(this, _scheduling, msg.scheduling === true);
+          __privateMethod(this, _AdlMidi_instances, updatePlaybackEvents_fn).call(this);
+          if (__privateGet(this, _levelsInterval) > 0) {
+            __privateMethod(this, _AdlMidi_instances, send_fn).call(this, { type: "setLevelsInterval", interval: __privateGet(this, _levelsInterval) });
+          }
+          resolve();
+        }
+      );
       __privateMethod(this, _AdlMidi_instances, onceMessage_fn).call(
         this,
         "error",
@@ -143,99 +1367,175 @@ var AdlMidi = class {
    * @param {number} channel - MIDI channel (0-15)
    * @param {number} note - MIDI note number (0-127)
    * @param {number} velocity - Note velocity (0-127)
+   * @param {number} [when] - AudioContext time (seconds) to apply the event at;
+   *   omit to apply it at the next render quantum
    */
-  noteOn(channel, note, velocity) {
-    __privateMethod(this, _AdlMidi_instances, send_fn).call(this, { type: "noteOn", channel, note, velocity });
+  noteOn(channel, note, velocity, when) {
+    __privateMethod(this, _AdlMidi_instances, send_fn).call(this, { type: "noteOn", channel, note, velocity, when });
   }
   /**
    * Stop a note
    * @param {number} channel - MIDI channel (0-15)
    * @param {number} note - MIDI note number (0-127)
+   * @param {number} [when] - AudioContext time (seconds) to apply the event at;
+   *   omit to apply it at the next render quantum
    */
-  noteOff(channel, note) {
-    __privateMethod(this, _AdlMidi_instances, send_fn).call(this, { type: "noteOff", channel, note });
+  noteOff(channel, note, when) {
+    __privateMethod(this, _AdlMidi_instances, send_fn).call(this, { type: "noteOff", channel, note, when });
   }
   /**
    * Set pitch bend
    * @param {number} channel - MIDI channel (0-15)
    * @param {number} value - Pitch bend value (0-16383, 8192 = center)
+   * @param {number} [when] - AudioContext time (seconds) to apply the event at;
+   *   omit to apply it at the next render quantum
    */
-  pitchBend(channel, value) {
+  pitchBend(channel, value, when) {
     const lsb = value & 127;
     const msb = value >> 7 & 127;
-    __privateMethod(this, _AdlMidi_instances, send_fn).call(this, { type: "pitchBend", channel, lsb, msb });
+    __privateMethod(this, _AdlMidi_instances, send_fn).call(this, { type: "pitchBend", channel, lsb, msb, when });
   }
   /**
    * Send a control change
    * @param {number} channel - MIDI channel (0-15)
    * @param {number} controller - Controller number (0-127)
    * @param {number} value - Controller value (0-127)
+   * @param {number} [when] - AudioContext time (seconds) to apply the event at;
+   *   omit to apply it at the next render quantum
    */
-  controlChange(channel, controller, value) {
-    __privateMethod(this, _AdlMidi_instances, send_fn).call(this, { type: "controlChange", channel, controller, value });
+  controlChange(channel, controller, value, when) {
+    __privateMethod(this, _AdlMidi_instances, send_fn).call(this, { type: "controlChange", channel, controller, value, when });
   }
   /**
    * Change program (instrument)
    * @param {number} channel - MIDI channel (0-15)
    * @param {number} program - Program number (0-127)
+   * @param {number} [when] - AudioContext time (seconds) to apply the event at;
+   *   omit to apply it at the next render quantum
    */
-  programChange(channel, program) {
-    __privateMethod(this, _AdlMidi_instances, send_fn).call(this, { type: "programChange", channel, program });
+  programChange(channel, program, when) {
+    __privateMethod(this, _AdlMidi_instances, send_fn).call(this, { type: "programChange", channel, program, when });
   }
   /**
    * Send note aftertouch
    * @param {number} channel - MIDI channel (0-15)
    * @param {number} note - Note number (0-127)
    * @param {number} pressure - Pressure (0-127)
+   * @param {number} [when] - AudioContext time (seconds) to apply the event at;
+   *   omit to apply it at the next render quantum
    */
-  noteAfterTouch(channel, note, pressure) {
-    __privateMethod(this, _AdlMidi_instances, send_fn).call(this, { type: "noteAfterTouch", channel, note, pressure });
+  noteAfterTouch(channel, note, pressure, when) {
+    __privateMethod(this, _AdlMidi_instances, send_fn).call(this, { type: "noteAfterTouch", channel, note, pressure, when });
   }
   /**
    * Send channel aftertouch
    * @param {number} channel - MIDI channel (0-15)
    * @param {number} pressure - Pressure (0-127)
+   * @param {number} [when] - AudioContext time (seconds) to apply the event at;
+   *   omit to apply it at the next render quantum
    */
-  channelAfterTouch(channel, pressure) {
-    __privateMethod(this, _AdlMidi_instances, send_fn).call(this, { type: "channelAfterTouch", channel, pressure });
+  channelAfterTouch(channel, pressure, when) {
+    __privateMethod(this, _AdlMidi_instances, send_fn).call(this, { type: "channelAfterTouch", channel, pressure, when });
   }
   /**
    * Change bank (16-bit)
    * @param {number} channel - MIDI channel (0-15)
    * @param {number} bank - Bank number
+   * @param {number} [when] - AudioContext time (seconds) to apply the event at;
+   *   omit to apply it at the next render quantum
    */
-  bankChange(channel, bank) {
-    __privateMethod(this, _AdlMidi_instances, send_fn).call(this, { type: "bankChange", channel, bank });
+  bankChange(channel, bank, when) {
+    __privateMethod(this, _AdlMidi_instances, send_fn).call(this, { type: "bankChange", channel, bank, when });
   }
   /**
    * Change bank MSB
    * @param {number} channel - MIDI channel (0-15)
    * @param {number} msb - Bank MSB (0-127)
+   * @param {number} [when] - AudioContext time (seconds) to apply the event at;
+   *   omit to apply it at the next render quantum
    */
-  bankChangeMSB(channel, msb) {
-    __privateMethod(this, _AdlMidi_instances, send_fn).call(this, { type: "bankChangeMSB", channel, msb });
+  bankChangeMSB(channel, msb, when) {
+    __privateMethod(this, _AdlMidi_instances, send_fn).call(this, { type: "bankChangeMSB", channel, msb, when });
   }
   /**
    * Change bank LSB
    * @param {number} channel - MIDI channel (0-15)
    * @param {number} lsb - Bank LSB (0-127)
+   * @param {number} [when] - AudioContext time (seconds) to apply the event at;
+   *   omit to apply it at the next render quantum
    */
-  bankChangeLSB(channel, lsb) {
-    __privateMethod(this, _AdlMidi_instances, send_fn).call(this, { type: "bankChangeLSB", channel, lsb });
+  bankChangeLSB(channel, lsb, when) {
+    __privateMethod(this, _AdlMidi_instances, send_fn).call(this, { type: "bankChangeLSB", channel, lsb, when });
   }
   /**
    * Reset the real-time state (stops all notes, resets controllers)
+   * @param {number} [when] - AudioContext time (seconds) to apply the event at;
+   *   omit to apply it at the next render quantum
    * @returns {void}
    */
-  resetState() {
-    __privateMethod(this, _AdlMidi_instances, send_fn).call(this, { type: "resetState" });
+  resetState(when) {
+    __privateMethod(this, _AdlMidi_instances, send_fn).call(this, { type: "resetState", when });
   }
   /**
    * Panic - stop all sounds immediately
+   * @param {number} [when] - AudioContext time (seconds) to apply the event at;
+   *   omit to apply it at the next render quantum
    * @returns {void}
    */
-  panic() {
-    __privateMethod(this, _AdlMidi_instances, send_fn).call(this, { type: "panic" });
+  panic(when) {
+    __privateMethod(this, _AdlMidi_instances, send_fn).call(this, { type: "panic", when });
+  }
+  /**
+   * Send raw MIDI bytes, e.g. straight from a Web MIDI input.
+   *
+   * Accepts any number of messages per call, with running status, SysEx
+   * dumps split across calls and interleaved real-time bytes. Each complete
+   * message goes to the matching method (noteOn, controlChange,
+   * systemExclusive...). System Reset (FFh) calls resetState(); other
+   * real-time and system common messages are ignored.
+   * @param {Uint8Array|ArrayLike<number>} bytes - Raw MIDI bytes
+   * @param {number} [when] - AudioContext time (seconds) to apply the messages at;
+   *   omit to apply them at the next render quantum
+   */
+  sendMidi(bytes, when) {
+    const handlers = {
+      noteOn: (channel, note, velocity) => this.noteOn(channel, note, velocity, when),
+      noteOff: (channel, note) => this.noteOff(channel, note, when),
+      noteAfterTouch: (channel, note, pressure) => this.noteAfterTouch(channel, note, pressure, when),
+      controlChange: (channel, controller, value) => this.controlChange(channel, controller, value, when),
+      programChange: (channel, program) => this.programChange(channel, program, when),
+      channelAfterTouch: (channel, pressure) => this.channelAfterTouch(channel, pressure, when),
+      pitchBend: (channel, value) => this.pitchBend(channel, value, when),
+      // Fire-and-forget like the other messages; a rejected SysEx
+      // (unsupported ID) is not an error in a stream
+      systemExclusive: (data) => {
+        this.systemExclusive(data, when).catch(() => {
+        });
+      },
+      reset: () => this.resetState(when)
+    };
+    for (const message of __privateGet(this, _midiParser).push(bytes)) {
+      dispatchMidiMessage(message, handlers);
+    }
+  }
+  /**
+   * Play this synth from Web MIDI inputs.
+   *
+   * Binds every connected input (or those accepted by `options.filter`)
+   * and keeps following devices as they are plugged in and out. Routing
+   * can filter and remap channels per input. The binding is closed
+   * automatically by {@link close}.
+   * @param {import('./utils/webmidi.js').MidiInputBindingOptions & {access?: MIDIAccess, sysex?: boolean}} [options] -
+   *   Binding options; `access` defaults to a new navigator.requestMIDIAccess()
+   *   call, made with `sysex` permission if requested
+   * @returns {Promise<MidiInputBinding>} The live binding; call close() on it to unbind
+   */
+  async bindMidiInputs(options = {}) {
+    const { access, sysex = false, ...bindingOptions } = options;
+    const midiAccess = access ?? await navigator.requestMIDIAccess({ sysex });
+    const binding = new MidiInputBinding(this, midiAccess, bindingOptions);
+    __privateGet(this, _midiBindings).add(binding);
+    return binding;
   }
   // ================== Raw OPL3 API ==================
   /**
@@ -245,12 +1545,24 @@ var AdlMidi = class {
    * {@link reserveChipChannels} to prevent the MIDI driver from
    * overwriting your register state.
    *
+   * Pass `when` to apply the write on an exact sample instead of at the
+   * next render quantum, e.g. for register-log playback.
+   *
    * @param {number} chipId - Zero-based chip index (0 to getNumChipsObtained()-1)
    * @param {number} reg - OPL3 register address (0x000-0x1FF, bit 8 selects bank)
    * @param {number} value - Register value (0-255)
+   * @param {number} [when] - AudioContext time (seconds) to apply the write at
    */
-  rawOPL3(chipId, reg, value) {
-    __privateMethod(this, _AdlMidi_instances, send_fn).call(this, { type: "rawOPL3", chipId, reg, value });
+  rawOPL3(chipId, reg, value, when) {
+    __privateMethod(this, _AdlMidi_instances, send_fn).call(this, { type: "rawOPL3", chipId, reg, value, when });
+  }
+  /**
+   * Drop all timed messages (any call made with a `when` time) that have
+   * not been applied yet
+   * @returns {void}
+   */
+  cancelScheduledEvents() {
+    __privateMethod(this, _AdlMidi_instances, send_fn).call(this, { type: "cancelScheduled" });
   }
   /**
    * Reserve chip channels so the MIDI voice allocator will not use them.
@@ -316,6 +1628,9 @@ var AdlMidi = class {
   }
   /**
    * Load a custom bank file (WOPL format)
+   *
+   * The bank's instrument names are kept for getInstrument() and
+   * getInstrumentNames().
    * @param {ArrayBuffer} arrayBuffer - Bank file data
    * @returns {Promise<void>}
    */
@@ -362,7 +1677,8 @@ var AdlMidi = class {
    * Get an instrument from a bank for editing
    * @param {BankId} [bankId] - Bank identifier
    * @param {number} [programNumber] - Program/instrument number (0-127)
-   * @returns {Promise<Instrument>} Instrument object with named properties
+   * @returns {Promise<Instrument>} Instrument object with named properties,
+   *   including its name ('' if unknown)
    */
   async getInstrument(bankId = { percussive: false, msb: 0, lsb: 0 }, programNumber = 0) {
     return new Promise((resolve, reject) => {
@@ -385,7 +1701,8 @@ var AdlMidi = class {
    * Set an instrument in a bank
    * @param {BankId} bankId - Bank identifier
    * @param {number} programNumber - Program/instrument number (0-127)
-   * @param {Instrument} instrument - Instrument object with operator parameters
+   * @param {Instrument} instrument - Instrument object with operator
+   *   parameters. Its name, if given, replaces the one kept for the program.
    * @returns {Promise<void>}
    */
   async setInstrument(bankId = { percussive: false, msb: 0, lsb: 0 }, programNumber, instrument) {
@@ -405,6 +1722,29 @@ var AdlMidi = class {
       __privateMethod(this, _AdlMidi_instances, send_fn).call(this, { type: "setInstrument", bankId, programNumber, instrument });
     });
   }
+  /**
+   * Get the names of all instruments in a bank
+   *
+   * Names come from the loaded WOPL bank and from setInstrument(); the
+   * embedded banks have none.
+   * @param {BankId} [bankId] - Bank identifier
+   * @returns {Promise<string[]>} 128 names by program ('' where unknown)
+   */
+  async getInstrumentNames(bankId = { percussive: false, msb: 0, lsb: 0 }) {
+    const reqId = __privateWrapper(this, _nextRequestId)._++;
+    return new Promise((resolve) => {
+      __privateMethod(this, _AdlMidi_instances, onceCorrelatedMessage_fn).call(
+        this,
+        "instrumentNames",
+        reqId,
+        /** @param {{names: string[]}} msg */
+        (msg) => {
+          resolve(msg.names);
+        }
+      );
+      __privateMethod(this, _AdlMidi_instances, send_fn).call(this, { type: "getInstrumentNames", bankId, reqId });
+    });
+  }
   /**
    * Set the number of emulated OPL3 chips
    * @param {number} chips - Number of chips (1-100)
@@ -804,6 +2144,33 @@ var AdlMidi = class {
       __privateMethod(this, _AdlMidi_instances, send_fn).call(this, { type: "getBankId", bankId, reqId });
     });
   }
+  /**
+   * Export the loaded banks as a WOPL file
+   *
+   * Includes every melodic and percussion bank the synth holds, with any
+   * changes made by setInstrument(). The result can be saved as a .wopl
+   * file or loaded back with loadBankData().
+   * @returns {Promise<Uint8Array>} Complete WOPL file
+   */
+  async exportBank() {
+    const reqId = __privateWrapper(this, _nextRequestId)._++;
+    return new Promise((resolve, reject) => {
+      __privateMethod(this, _AdlMidi_instances, onceCorrelatedMessage_fn).call(
+        this,
+        "bankExported",
+        reqId,
+        /** @param {{success: boolean, data?: Uint8Array, error?: string}} msg */
+        (msg) => {
+          if (msg.success && msg.data) {
+            resolve(msg.data);
+          } else {
+            reject(new Error(msg.error || "Failed to export bank"));
+          }
+        }
+      );
+      __privateMethod(this, _AdlMidi_instances, send_fn).call(this, { type: "exportBank", reqId });
+    });
+  }
   /**
    * Remove a bank by its identifier
    * @param {BankId} bankId - Bank identifier
@@ -857,9 +2224,11 @@ var AdlMidi = class {
   /**
    * Send a System Exclusive (SysEx) message
    * @param {Uint8Array|ArrayBuffer} data - SysEx message data
-   * @returns {Promise<void>} Resolves on success, rejects on failure
+   * @param {number} [when] - AudioContext time (seconds) to apply the message at;
+   *   omit to apply it at the next render quantum
+   * @returns {Promise<void>} Resolves once applied, rejects on failure
    */
-  async systemExclusive(data) {
+  async systemExclusive(data, when) {
     const bytes = data instanceof ArrayBuffer ? new Uint8Array(data) : data;
     const reqId = __privateWrapper(this, _nextRequestId)._++;
     return new Promise((resolve, reject) => {
@@ -876,7 +2245,7 @@ var AdlMidi = class {
           }
         }
       );
-      __privateMethod(this, _AdlMidi_instances, send_fn).call(this, { type: "systemExclusive", data: Array.from(bytes), reqId });
+      __privateMethod(this, _AdlMidi_instances, send_fn).call(this, { type: "systemExclusive", data: Array.from(bytes), reqId, when });
     });
   }
   // ================== Debug / Diagnostics API ==================
@@ -899,6 +2268,17 @@ var AdlMidi = class {
       __privateMethod(this, _AdlMidi_instances, send_fn).call(this, { type: "describeChannels", reqId });
     });
   }
+  /**
+   * Get the state of every chip channel, decoded from
+   * {@link describeChannels}, for voice-usage displays and allocation
+   * debugging
+   * @returns {Promise<import('./utils/opl3.js').ChipChannelState[]>} One
+   *   entry per chip channel, chip by chip
+   */
+  async getChannelStates() {
+    const { text, attr } = await this.describeChannels();
+    return decodeChannelStates(text, attr);
+  }
   /**
    * Reset the synthesizer
    * @returns {void}
@@ -913,6 +2293,8 @@ var AdlMidi = class {
    * @returns {Promise<{duration: number}>} Resolves with file info when loaded
    */
   async loadMidi(arrayBuffer) {
+    const lyricFeed = LyricFeed.fromMidi(arrayBuffer);
+    const markers = readSmfMarkers(arrayBuffer);
     return new Promise((resolve, reject) => {
       __privateMethod(this, _AdlMidi_instances, onceMessage_fn).call(
         this,
@@ -920,6 +2302,8 @@ var AdlMidi = class {
         /** @param {{success: boolean, duration: number, error?: string}} msg */
         (msg) => {
           if (msg.success) {
+            __privateSet(this, _lyricFeed, lyricFeed);
+            __privateSet(this, _markers, markers);
             resolve({ duration: msg.duration });
           } else {
             reject(new Error(msg.error || "Failed to parse MIDI data"));
@@ -929,6 +2313,37 @@ var AdlMidi = class {
       __privateMethod(this, _AdlMidi_instances, send_fn).call(this, { type: "loadMidi", data: arrayBuffer });
     });
   }
+  /**
+   * Load a Creative Music File (CMF) for playback.
+   *
+   * The file's embedded instruments are written into a custom bank and the
+   * song is loaded as MIDI data that selects it. Loading an embedded bank
+   * with setBank() afterwards discards those instruments.
+   * @param {ArrayBuffer|Uint8Array} data - CMF file data
+   * @param {{bankId?: BankId}} [options] - Bank to hold the instruments
+   *   (default IMPORT_BANK_ID from formats/smf.js)
+   * @returns {Promise<{duration: number}>} Resolves with file info when loaded
+   */
+  async loadCMF(data, options = {}) {
+    return __privateMethod(this, _AdlMidi_instances, loadConvertedSong_fn).call(this, cmfToMidi(parseCMF(data), options));
+  }
+  /**
+   * Load an AdLib Visual Composer song (ROL) with its instrument bank (BNK).
+   *
+   * The timbres the song uses are written into a custom bank and the song
+   * is loaded as MIDI data that selects it. Timbres missing from the bank
+   * are reported in `missingInstruments` and those changes are skipped.
+   * @param {ArrayBuffer|Uint8Array} rolData - ROL file data
+   * @param {ArrayBuffer|Uint8Array} bnkData - BNK file data
+   * @param {{bankId?: BankId}} [options] - Bank to hold the instruments
+   *   (default IMPORT_BANK_ID from formats/smf.js)
+   * @returns {Promise<{duration: number, missingInstruments: string[]}>} Resolves with file info when loaded
+   */
+  async loadROL(rolData, bnkData, options = {}) {
+    const song = rolToMidi(parseROL(rolData), bnkData, options);
+    const info = await __privateMethod(this, _AdlMidi_instances, loadConvertedSong_fn).call(this, song);
+    return { ...info, missingInstruments: song.missingInstruments };
+  }
   /**
    * Get the music title of the loaded MIDI file
    * @returns {Promise<string>}
@@ -1017,6 +2432,29 @@ var AdlMidi = class {
       __privateMethod(this, _AdlMidi_instances, send_fn).call(this, { type: "getMarkerCount" });
     });
   }
+  /**
+   * Get the markers in the loaded file. Markers are read from the file
+   * when it is loaded; only Standard MIDI Files (and RMID) have them.
+   * @returns {Promise<Marker[]>} Markers sorted by position
+   */
+  async getMarkers() {
+    return __privateGet(this, _markers).map((marker) => ({ ...marker }));
+  }
+  /**
+   * Seek to a marker
+   * @param {string|number} marker - Marker label (first match), or index
+   *   into {@link getMarkers}
+   * @returns {Promise<Marker>} The marker sought to
+   */
+  async seekToMarker(marker) {
+    const markers = await this.getMarkers();
+    const found = typeof marker === "number" ? markers[marker] : markers.find((entry) => entry.label === marker);
+    if (!found) {
+      throw new Error(`Marker not found: ${marker}`);
+    }
+    this.seek(found.positionSeconds);
+    return found;
+  }
   /**
    * Start or resume MIDI file playback
    * @returns {void}
@@ -1198,30 +2636,73 @@ var AdlMidi = class {
   }
   /**
    * Get the current playback state
-   * @returns {Promise<{position: number, duration: number, atEnd: boolean, playMode: string}>}
+   * @returns {Promise<PlaybackState>}
    */
   async getPlaybackState() {
     return new Promise((resolve) => {
       __privateMethod(this, _AdlMidi_instances, onceMessage_fn).call(
         this,
         "state",
-        /** @param {{position: number, duration: number, atEnd: boolean, playMode: string}} msg */
+        /** @param {PlaybackState & {type: string}} msg */
         (msg) => {
-          resolve({
-            position: msg.position,
-            duration: msg.duration,
-            atEnd: msg.atEnd,
-            playMode: msg.playMode
-          });
+          const { type: _type, ...state } = msg;
+          resolve(state);
         }
       );
       __privateMethod(this, _AdlMidi_instances, send_fn).call(this, { type: "getState" });
     });
   }
+  /**
+   * Have the worklet push playback state at a fixed rate while a file
+   * plays, plus once after play, stop, seek, tempo and loop changes and
+   * when the song ends. Updates go to {@link onPlaybackState} handlers.
+   * @param {number} interval - Seconds between updates; 0 stops pushing
+   * @returns {void}
+   */
+  setPlaybackStateInterval(interval) {
+    __privateMethod(this, _AdlMidi_instances, send_fn).call(this, { type: "setStateInterval", interval });
+  }
+  /**
+   * Song position at an AudioContext time, interpolated from the latest
+   * playback state. Accurate to the sample between pushed updates, so a
+   * requestAnimationFrame loop can draw a smooth cursor without polling.
+   *
+   * Pass `audioContext.getOutputTimestamp().contextTime` instead of the
+   * default to account for output latency.
+   *
+   * @example
+   * ```javascript
+   * synth.setPlaybackStateInterval(0.25);
+   * const draw = () => {
+   *   cursor.style.left = `${synth.positionAtTime() / duration * 100}%`;
+   *   requestAnimationFrame(draw);
+   * };
+   * draw();
+   * ```
+   *
+   * @param {number} [time] - AudioContext time; defaults to `currentTime`
+   * @returns {number} Position in seconds (0 if no state has been received)
+   */
+  positionAtTime(time = this.ctx?.currentTime ?? 0) {
+    const state = __privateGet(this, _lastState);
+    if (!state) return 0;
+    if (state.playMode !== "file" || state.atEnd) return state.position;
+    if (state.time === void 0) return state.position;
+    const position = state.position + Math.max(0, time - state.time) * state.tempo;
+    if (!state.loopEnabled) {
+      return Math.min(position, state.duration);
+    }
+    const loopStart = state.loopStart >= 0 ? state.loopStart : 0;
+    const loopEnd = state.loopEnd >= 0 ? state.loopEnd : state.duration;
+    if (position < loopEnd || loopEnd <= loopStart) {
+      return Math.min(position, state.duration);
+    }
+    return loopStart + (position - loopStart) % (loopEnd - loopStart);
+  }
   /**
    * Register a handler for playback state updates
-   * Useful for progress tracking during playback
-   * @param {function({position: number, duration: number, atEnd: boolean, playMode: string}): void} handler
+   * Useful for progress tracking during playback; see {@link setPlaybackStateInterval}
+   * @param {function(PlaybackState): void} handler
    * @returns {function(): void} Unsubscribe function
    */
   onPlaybackState(handler) {
@@ -1247,11 +2728,121 @@ var AdlMidi = class {
       __privateGet(this, _messageHandlers).get("playbackEnded")?.delete(handler);
     };
   }
+  /**
+   * Register a handler for notes reached during file playback.
+   *
+   * The worklet batches events and posts them about every 23ms, so they
+   * arrive shortly after being rendered. Each carries the AudioContext
+   * `time` of the block it was rendered in; compare it with
+   * `audioContext.currentTime` to line visuals up with what is heard.
+   * Note-ons with velocity 0 are reported as note-offs. Events are read
+   * from the file, so only Standard MIDI Files (and RMID) report them.
+   *
+   * @example
+   * ```javascript
+   * synth.onNote(({ channel, note, on, time }) => {
+   *   const delay = Math.max(0, time - synth.audioContext.currentTime) * 1000;
+   *   setTimeout(() => pianoRoll.setKey(channel, note, on), delay);
+   * });
+   * ```
+   *
+   * @param {function(NoteEvent): void} handler
+   * @returns {function(): void} Unsubscribe function
+   */
+  onNote(handler) {
+    return __privateMethod(this, _AdlMidi_instances, subscribePlaybackEvent_fn).call(this, PLAYBACK_EVENT_LISTS.notes, handler);
+  }
+  /**
+   * Register a handler for channel and SysEx messages reached during file
+   * playback, notes included. Delivered like {@link onNote}.
+   * @param {function(MidiEvent): void} handler
+   * @returns {function(): void} Unsubscribe function
+   */
+  onMidiEvent(handler) {
+    return __privateMethod(this, _AdlMidi_instances, subscribePlaybackEvent_fn).call(this, PLAYBACK_EVENT_LISTS.midiEvents, handler);
+  }
+  /**
+   * Register a handler for meta events (tempo, lyrics, markers, text)
+   * reached during file playback. Delivered like {@link onNote}.
+   * @param {function(MetaEvent): void} handler
+   * @returns {function(): void} Unsubscribe function
+   */
+  onMetaEvent(handler) {
+    return __privateMethod(this, _AdlMidi_instances, subscribePlaybackEvent_fn).call(this, PLAYBACK_EVENT_LISTS.metaEvents, handler);
+  }
+  /**
+   * Get the lyrics of the loaded MIDI file, for prerendering a karaoke
+   * display. Syllables come from lyric events, or from the text events of
+   * .kar files, with line and paragraph breaks decoded.
+   * @returns {Lyric[]} Lyrics in song order; empty if the file has none
+   */
+  getLyrics() {
+    return __privateGet(this, _lyricFeed).lyrics;
+  }
+  /**
+   * Register a handler for lyrics reached during file playback. Each
+   * event carries its index in {@link getLyrics} so a prerendered display
+   * can highlight it. Delivered like {@link onNote}.
+   *
+   * @example
+   * ```javascript
+   * const spans = synth.getLyrics().map(renderSyllable);
+   * synth.onLyric(({ index, time }) => {
+   *   const delay = Math.max(0, time - synth.audioContext.currentTime) * 1000;
+   *   setTimeout(() => spans[index].classList.add('sung'), delay);
+   * });
+   * ```
+   *
+   * @param {function(LyricEvent): void} handler
+   * @returns {function(): void} Unsubscribe function
+   */
+  onLyric(handler) {
+    return __privateMethod(this, _AdlMidi_instances, subscribePlaybackEvent_fn).call(this, PLAYBACK_EVENT_LISTS.lyrics, handler);
+  }
+  /**
+   * Register a handler for output levels.
+   *
+   * The worklet meters while anything is subscribed and posts peak and RMS
+   * levels per output channel once per interval. Levels are taken before
+   * the node's output, so gain applied downstream is not included.
+   *
+   * @example
+   * ```javascript
+   * synth.onLevels(({ channels }) => {
+   *   const db = 20 * Math.log10(Math.max(channels[0].rms, channels[1].rms));
+   *   meter.value = Math.max(-48, db);
+   * });
+   * ```
+   *
+   * @param {function(Levels): void} handler
+   * @param {{interval?: number}} [options] - Seconds between updates
+   *   (default 0.05); the latest subscription's interval applies
+   * @returns {function(): void} Unsubscribe function
+   */
+  onLevels(handler, options = {}) {
+    const { interval = 0.05 } = options;
+    if (!__privateGet(this, _messageHandlers).has("levels")) {
+      __privateGet(this, _messageHandlers).set("levels", /* @__PURE__ */ new Set());
+    }
+    __privateGet(this, _messageHandlers).get("levels")?.add(handler);
+    __privateSet(this, _levelsInterval, interval);
+    __privateMethod(this, _AdlMidi_instances, send_fn).call(this, { type: "setLevelsInterval", interval });
+    return () => {
+      const handlers = __privateGet(this, _messageHandlers).get("levels");
+      handlers?.delete(handler);
+      if (!handlers || handlers.size === 0) {
+        __privateSet(this, _levelsInterval, 0);
+        __privateMethod(this, _AdlMidi_instances, send_fn).call(this, { type: "setLevelsInterval", interval: 0 });
+      }
+    };
+  }
   /**
    * Close the synthesizer and release resources
    * @returns {void}
    */
   close() {
+    __privateGet(this, _midiBindings).forEach((binding) => binding.close());
+    __privateGet(this, _midiBindings).clear();
     if (this.node) {
       this.node.disconnect();
       this.node = null;
@@ -1278,14 +2869,37 @@ var AdlMidi = class {
   }
 };
 _ready = new WeakMap();
+_scheduling = new WeakMap();
+_warnedScheduling = new WeakMap();
 _messageHandlers = new WeakMap();
+_midiParser = new WeakMap();
+_midiBindings = new WeakMap();
 _nextRequestId = new WeakMap();
+_lastState = new WeakMap();
+_levelsInterval = new WeakMap();
+_lyricFeed = new WeakMap();
+_markers = new WeakMap();
 _AdlMidi_instances = new WeakSet();
 /**
  * Internal message handler
  * @param {{type: string}} msg - Message from processor
  */
 handleMessage_fn = function(msg) {
+  if (msg.type === "playbackEvents") {
+    __privateMethod(this, _AdlMidi_instances, dispatchPlaybackEvents_fn).call(
+      this,
+      /** @type {any} */
+      msg
+    );
+    return;
+  }
+  if (msg.type === "state") {
+    const { type: _type, ...state } = (
+      /** @type {PlaybackState & {type: string}} */
+      msg
+    );
+    __privateSet(this, _lastState, state);
+  }
   const handlers = __privateGet(this, _messageHandlers).get(msg.type);
   if (handlers) {
     handlers.forEach(
@@ -1294,6 +2908,47 @@ handleMessage_fn = function(msg) {
     );
   }
 };
+/**
+ * Hand each event of a playbackEvents batch to its subscribers
+ * @param {{notes: NoteEvent[], midiEvents: MidiEvent[], metaEvents: MetaEvent[], lyrics: LyricEvent[]}} batch
+ */
+dispatchPlaybackEvents_fn = function(batch) {
+  for (const [list, key] of Object.entries(PLAYBACK_EVENT_LISTS)) {
+    const handlers = __privateGet(this, _messageHandlers).get(key);
+    if (!handlers || handlers.size === 0) continue;
+    for (const event of batch[
+      /** @type {keyof typeof PLAYBACK_EVENT_LISTS} */
+      list
+    ]) {
+      handlers.forEach((handler) => handler(event));
+    }
+  }
+};
+/**
+ * Subscribe to one kind of playback event, having the worklet report
+ * events while anything is subscribed
+ * @param {string} key - Handler set in PLAYBACK_EVENT_LISTS
+ * @param {Function} handler
+ * @returns {function(): void} Unsubscribe function
+ */
+subscribePlaybackEvent_fn = function(key, handler) {
+  if (!__privateGet(this, _messageHandlers).has(key)) {
+    __privateGet(this, _messageHandlers).set(key, /* @__PURE__ */ new Set());
+  }
+  __privateGet(this, _messageHandlers).get(key)?.add(handler);
+  __privateMethod(this, _AdlMidi_instances, updatePlaybackEvents_fn).call(this);
+  return () => {
+    __privateGet(this, _messageHandlers).get(key)?.delete(handler);
+    __privateMethod(this, _AdlMidi_instances, updatePlaybackEvents_fn).call(this);
+  };
+};
+/**
+ * Tell the worklet whether any playback event handlers are subscribed
+ */
+updatePlaybackEvents_fn = function() {
+  const enabled = Object.values(PLAYBACK_EVENT_LISTS).some((key) => (__privateGet(this, _messageHandlers).get(key)?.size ?? 0) > 0);
+  __privateMethod(this, _AdlMidi_instances, send_fn).call(this, { type: "setPlaybackEvents", enabled });
+};
 /**
  * Register a one-time message handler
  * @param {string} type - Message type
@@ -1330,17 +2985,37 @@ onceCorrelatedMessage_fn = function(type, reqId, handler) {
 };
 /**
  * Send a message to the processor
- * @param {Object} msg - Message to send
+ * @param {Record<string, any>} msg - Message to send
  */
 send_fn = function(msg) {
+  if (msg.when !== void 0 && __privateGet(this, _ready) && !__privateGet(this, _scheduling) && !__privateGet(this, _warnedScheduling)) {
+    __privateSet(this, _warnedScheduling, true);
+    console.warn("libadlmidi: this worklet does not support scheduling; `when` is ignored and events apply immediately");
+  }
   if (this.node) {
     this.node.port.postMessage(msg);
   }
 };
+loadConvertedSong_fn = async function(song) {
+  for (const { program, instrument } of song.instruments) {
+    await this.setInstrument(
+      song.bankId,
+      program,
+      /** @type {any} */
+      instrument
+    );
+  }
+  return this.loadMidi(
+    /** @type {ArrayBuffer} */
+    song.midi.buffer
+  );
+};
 var libadlmidi_default = AdlMidi;
 export {
   AdlMidi,
+  ChannelState,
   Emulator,
+  SampleFormat,
   TrackOption,
   libadlmidi_default as default
 };
@@ -12,12 +12,87 @@ import {
     SIZEOF_ADL_INSTRUMENT,
     SIZEOF_ADL_BANK_ID,
     SIZEOF_ADL_BANK,
+    SIZEOF_ADLMIDI_AUDIO_FORMAT,
     decodeInstrument,
     encodeInstrument,
+    encodeAudioFormat,
 } from './utils/struct.js';
 
-import { Emulator, TrackOption } from './utils/constants.js';
-export { Emulator, TrackOption };
+import { Emulator, TrackOption, SampleFormat, ChannelState } from './utils/constants.js';
+import { encodeWav } from './utils/wav.js';
+import { MidiStreamParser, dispatchMidiMessage } from './utils/midi.js';
+import { decodeChannelStates } from './utils/opl3.js';
+import { parseWOPL, encodeWOPL, createWoplBankSet, InstrumentNameTable, WOPL_LATEST_VERSION } from './utils/wopl.js';
+import { parseCMF, cmfToMidi } from './formats/cmf.js';
+import { parseROL, rolToMidi } from './formats/rol.js';
+import { readSmfMarkers } from './formats/smf.js';
+import { LyricFeed } from './formats/lyrics.js';
+import { PlaybackEventFeed } from './formats/events.js';
+export { Emulator, TrackOption, SampleFormat, ChannelState };
+
+/** Render block size in frames for renderToBuffer() */
+const RENDER_CHUNK_FRAMES = 4096;
+
+/** How long renderToBuffer() may run before yielding to the event loop (ms) */
+const RENDER_YIELD_MS = 16;
+
+/**
+ * Progress report from {@link AdlMidiCore#renderToBuffer}
+ * @typedef {Object} RenderProgress
+ * @property {number} renderedSeconds - Audio rendered so far, in seconds
+ * @property {number} totalSeconds - Expected length of the render, in seconds
+ * @property {number} fraction - Completion from 0 to 1
+ */
+
+/**
+ * Options for {@link AdlMidiCore#renderToBuffer}
+ * @typedef {Object} RenderOptions
+ * @property {number|ArrayBuffer|Uint8Array} [bank] - Embedded bank number or
+ *   WOPL bank data to use; the current bank is kept if omitted
+ * @property {number} [emulator] - Emulator to switch to (see {@link Emulator})
+ * @property {number} [loops=0] - How many times to repeat the song's loop
+ *   section (the whole song if it has no loop points); 0 plays it once
+ * @property {number} [tailSeconds=2] - Release time rendered after the song ends
+ * @property {number} [maxSeconds=3600] - Safety limit on render length
+ * @property {(progress: RenderProgress) => void} [onProgress] - Called as
+ *   rendering advances
+ * @property {AbortSignal} [signal] - Aborts the render; the promise rejects
+ *   with the signal's reason
+ */
+
+/**
+ * Rendered audio from {@link AdlMidiCore#renderToBuffer}
+ * @typedef {Object} RenderedAudio
+ * @property {number} sampleRate - Sample rate in Hz
+ * @property {number} length - Length in frames
+ * @property {number} duration - Length in seconds
+ * @property {[Float32Array, Float32Array]} channelData - Left and right channels (-1 to +1)
+ */
+
+/**
+ * Stem options for {@link AdlMidiCore#renderStems}, on top of {@link RenderOptions}
+ * @typedef {Object} StemOptions
+ * @property {'channel'|'track'} [by='channel'] - Split by MIDI channel (16 stems)
+ *   or by file track
+ * @property {number[]} [include] - Only render stems for these channel or track indices
+ */
+
+/**
+ * Stems from {@link AdlMidiCore#renderStems}
+ * @typedef {Object} RenderedStems
+ * @property {'channel'|'track'} by - What the stems are split by
+ * @property {RenderedAudio} mix - Full mix
+ * @property {{index: number, audio: RenderedAudio}[]} stems - One stem per
+ *   channel or track index, each the same length as the mix
+ */
+
+/**
+ * Marker meta event in the loaded file
+ * @typedef {Object} Marker
+ * @property {string} label - Marker text
+ * @property {number} positionSeconds - Position in seconds
+ * @property {number} tick - Position in MIDI ticks
+ */
 
 /**
  * Low-level OPL3 synthesis interface.
@@ -76,6 +151,17 @@ export class AdlMidiCore {
         core._audioBuffer = null;
         core._audioBufferPtr = null;
         core._defaultEmulator = options.defaultEmulator;
+        core._sampleFormat = SampleFormat.S16;
+        core._formatPtr = null;
+        core._midiParser = new MidiStreamParser();
+        core._noteHandler = null;
+        core._midiEventHandler = null;
+        core._metaEventHandler = null;
+        core._eventFeed = PlaybackEventFeed.fromMidi(new Uint8Array(0));
+        core._markers = [];
+        core._lyricHandler = null;
+        core._lyricFeed = LyricFeed.fromMidi(new Uint8Array(0));
+        core._instrumentNames = new InstrumentNameTable();
 
         return core;
     }
@@ -93,6 +179,28 @@ export class AdlMidiCore {
         this._audioBufferPtr = null;
         /** @private @type {number|undefined} */
         this._defaultEmulator = undefined;
+        /** @private @type {number} */
+        this._sampleFormat = SampleFormat.S16;
+        /** @private @type {number|null} */
+        this._formatPtr = null;
+        /** @private @type {MidiStreamParser} */
+        this._midiParser = new MidiStreamParser();
+        /** @private @type {((event: import('./utils/midi.js').NoteEvent) => void)|null} */
+        this._noteHandler = null;
+        /** @private @type {((event: import('./utils/midi.js').MidiEvent) => void)|null} */
+        this._midiEventHandler = null;
+        /** @private @type {((event: import('./utils/midi.js').MetaEvent) => void)|null} */
+        this._metaEventHandler = null;
+        /** @private @type {PlaybackEventFeed} */
+        this._eventFeed = PlaybackEventFeed.fromMidi(new Uint8Array(0));
+        /** @private @type {Marker[]} */
+        this._markers = [];
+        /** @private @type {((event: import('./formats/lyrics.js').LyricEvent) => void)|null} */
+        this._lyricHandler = null;
+        /** @private @type {LyricFeed} */
+        this._lyricFeed = LyricFeed.fromMidi(new Uint8Array(0));
+        /** @private @type {InstrumentNameTable} */
+        this._instrumentNames = new InstrumentNameTable();
     }
 
     /**
@@ -108,6 +216,7 @@ export class AdlMidiCore {
 
         this._sampleRate = sampleRate;
         this._player = this._module._adl_init(sampleRate);
+        this._instrumentNames.clear();
 
         if (!this._player) {
             throw new Error('Failed to initialize ADL MIDI player');
@@ -130,7 +239,16 @@ export class AdlMidiCore {
             this._audioBuffer = null;
         }
 
+        if (this._formatPtr) {
+            this._module._free(this._formatPtr);
+            this._formatPtr = null;
+        }
+
         if (this._player) {
+            this._noteHandler = null;
+            this._midiEventHandler = null;
+            this._metaEventHandler = null;
+            this._lyricHandler = null;
             this._module._adl_close(this._player);
             this._player = null;
         }
@@ -172,12 +290,19 @@ export class AdlMidiCore {
      */
     setBank(bank) {
         this._ensurePlayer();
-        return this._module._adl_setBank(this._player, bank) === 0;
+        const success = this._module._adl_setBank(this._player, bank) === 0;
+        if (success) {
+            this._instrumentNames.clear();
+        }
+        return success;
     }
 
     /**
      * Load a custom WOPL bank from data.
      *
+     * The bank's instrument names are kept for getInstrument() and
+     * getInstrumentNames().
+     *
      * @param {ArrayBuffer|Uint8Array} data - WOPL bank data
      * @returns {boolean} True if successful
      */
@@ -191,7 +316,16 @@ export class AdlMidiCore {
         const result = this._module._adl_openBankData(this._player, ptr, bytes.length);
 
         this._module._free(ptr);
-        return result === 0;
+        if (result !== 0) {
+            return false;
+        }
+
+        try {
+            this._instrumentNames.loadBank(parseWOPL(bytes));
+        } catch {
+            this._instrumentNames.clear();
+        }
+        return true;
     }
 
     /**
@@ -492,6 +626,34 @@ export class AdlMidiCore {
         return this._module._adl_setRunAtPcmRate(this._player, enabled ? 1 : 0) === 0;
     }
 
+    /**
+     * Select the output sample format used by generate() and play().
+     *
+     * SampleFormat.S16 (the default) renders through libADLMIDI's 16-bit
+     * output, which hard-clips at full scale. SampleFormat.F32 takes the mix
+     * as floats, so loud multi-chip output can exceed -1..+1 instead of
+     * clipping; scale or limit it before playback.
+     *
+     * @param {number} format - Sample format from the SampleFormat enum
+     * @returns {boolean} True if the format is supported
+     */
+    setSampleFormat(format) {
+        if (format !== SampleFormat.S16 && format !== SampleFormat.F32) {
+            return false;
+        }
+        this._sampleFormat = format;
+        return true;
+    }
+
+    /**
+     * Get the output sample format.
+     *
+     * @returns {number} Sample format from the SampleFormat enum
+     */
+    getSampleFormat() {
+        return this._sampleFormat;
+    }
+
     // =========================================================================
     // Real-time Synthesis
     // =========================================================================
@@ -609,6 +771,41 @@ export class AdlMidiCore {
         this._module._adl_rt_bankChangeLSB(this._player, channel, lsb);
     }
 
+    /**
+     * Send raw MIDI bytes.
+     *
+     * Accepts any number of messages per call, with running status, SysEx
+     * dumps split across calls and interleaved real-time bytes. Each complete
+     * message goes to the matching method (noteOn, controllerChange,
+     * systemExclusive...). System Reset (FFh) resets the real-time state;
+     * other real-time and system common messages are ignored.
+     *
+     * Messages take effect immediately, i.e. at the start of the next
+     * generate() or play() call. Unlike AdlMidi.sendMidi() there is no
+     * `when` timestamp; to place a message inside a render, split the
+     * generate() calls at that frame.
+     *
+     * @param {Uint8Array|ArrayLike<number>} bytes - Raw MIDI bytes
+     */
+    sendMidi(bytes) {
+        this._ensurePlayer();
+        /** @type {import('./utils/midi.js').MidiMessageHandlers} */
+        const handlers = {
+            noteOn: (channel, note, velocity) => this.noteOn(channel, note, velocity),
+            noteOff: (channel, note) => this.noteOff(channel, note),
+            noteAfterTouch: (channel, note, pressure) => this.noteAfterTouch(channel, note, pressure),
+            controlChange: (channel, controller, value) => this.controllerChange(channel, controller, value),
+            programChange: (channel, program) => this.programChange(channel, program),
+            channelAfterTouch: (channel, pressure) => this.channelAfterTouch(channel, pressure),
+            pitchBend: (channel, value) => this.pitchBend(channel, value),
+            systemExclusive: (data) => { this.systemExclusive(data); },
+            reset: () => this.reset(),
+        };
+        for (const message of this._midiParser.push(bytes)) {
+            dispatchMidiMessage(message, handlers);
+        }
+    }
+
     // =========================================================================
     // Raw OPL3 Access
     // =========================================================================
@@ -667,34 +864,12 @@ export class AdlMidiCore {
      * Generate audio samples (real-time synthesis).
      *
      * @param {number} frames - Number of stereo frames to generate
-     * @returns {Float32Array} Stereo interleaved audio samples (-1 to +1)
+     * @returns {Float32Array} Stereo interleaved audio samples (-1 to +1; may
+     *   exceed that range with SampleFormat.F32)
      */
     generate(frames) {
         this._ensurePlayer();
-
-        const samples = frames * 2; // Stereo
-        const bytes = samples * 2;  // Int16
-
-        // Allocate/reuse buffer
-        if (!this._audioBufferPtr || !this._audioBuffer || this._audioBuffer.length < samples) {
-            if (this._audioBufferPtr) {
-                this._module._free(this._audioBufferPtr);
-            }
-            this._audioBufferPtr = this._module._malloc(bytes);
-            this._audioBuffer = new Float32Array(samples);
-        }
-
-        // Generate audio (Int16 output)
-        this._module._adl_generate(this._player, samples, this._audioBufferPtr);
-
-        // Convert Int16 to Float32
-        const heap16 = this._module.HEAP16;
-        const offset = /** @type {number} */ (this._audioBufferPtr) >> 1; // Byte offset to Int16 offset
-        for (let i = 0; i < samples; i++) {
-            /** @type {Float32Array} */ (this._audioBuffer)[i] = heap16[offset + i] / 32768;
-        }
-
-        return /** @type {Float32Array} */ (this._audioBuffer).slice(0, samples);
+        return this._renderAudio(frames, false);
     }
 
     // =========================================================================
@@ -717,9 +892,54 @@ export class AdlMidiCore {
         const result = this._module._adl_openData(this._player, ptr, bytes.length);
 
         this._module._free(ptr);
+        if (result === 0) {
+            this._lyricFeed = LyricFeed.fromMidi(bytes);
+            this._lyricFeed.setLoop(this.getLoopStartTime(), this.getLoopEndTime());
+            this._eventFeed = PlaybackEventFeed.fromMidi(bytes);
+            this._eventFeed.setLoop(this.getLoopStartTime(), this.getLoopEndTime());
+            this._markers = readSmfMarkers(bytes);
+        }
         return result === 0;
     }
 
+    /**
+     * Load a Creative Music File (CMF).
+     *
+     * The file's embedded instruments are written into a custom bank with
+     * setInstrument() and the song is loaded as MIDI data that selects it.
+     * Loading an embedded bank with setBank() afterwards discards them.
+     *
+     * @param {ArrayBuffer|Uint8Array} data - CMF file data
+     * @param {Object} [options]
+     * @param {import('./formats/smf.js').BankId} [options.bankId] - Bank to hold
+     *   the instruments (default IMPORT_BANK_ID from formats/smf.js)
+     * @returns {boolean} True if successful
+     * @throws {Error} If the data is not a CMF file
+     */
+    loadCMF(data, options = {}) {
+        return this._loadConvertedSong(cmfToMidi(parseCMF(data), options));
+    }
+
+    /**
+     * Load an AdLib Visual Composer song (ROL) with its instrument bank (BNK).
+     *
+     * The timbres the song uses are written into a custom bank with
+     * setInstrument() and the song is loaded as MIDI data that selects it.
+     * Timbres missing from the bank are skipped; use rolToMidi() from
+     * formats/rol.js directly to find out which.
+     *
+     * @param {ArrayBuffer|Uint8Array} rolData - ROL file data
+     * @param {ArrayBuffer|Uint8Array} bnkData - BNK file data
+     * @param {Object} [options]
+     * @param {import('./formats/smf.js').BankId} [options.bankId] - Bank to hold
+     *   the instruments (default IMPORT_BANK_ID from formats/smf.js)
+     * @returns {boolean} True if successful
+     * @throws {Error} If the data is not a ROL or BNK file
+     */
+    loadROL(rolData, bnkData, options = {}) {
+        return this._loadConvertedSong(rolToMidi(parseROL(rolData), bnkData, options));
+    }
+
     /**
      * Get the music title of the loaded MIDI file.
      *
@@ -775,34 +995,58 @@ export class AdlMidiCore {
     }
 
     /**
-     * Play MIDI file and generate audio.
+     * Get the markers in the loaded file. Markers are read from the file
+     * when it is loaded; only Standard MIDI Files (and RMID) have them.
      *
-     * @param {number} frames - Number of stereo frames to generate
-     * @returns {Float32Array} Stereo interleaved audio samples (-1 to +1)
+     * @returns {Marker[]} Markers sorted by position
      */
-    play(frames) {
+    getMarkers() {
         this._ensurePlayer();
+        return this._markers.map(marker => ({ ...marker }));
+    }
 
-        const samples = frames * 2;
-        const bytes = samples * 2;
-
-        if (!this._audioBufferPtr || !this._audioBuffer || this._audioBuffer.length < samples) {
-            if (this._audioBufferPtr) {
-                this._module._free(this._audioBufferPtr);
-            }
-            this._audioBufferPtr = this._module._malloc(bytes);
-            this._audioBuffer = new Float32Array(samples);
+    /**
+     * Seek to a marker.
+     *
+     * @param {string|number} marker - Marker label (first match), or index
+     *   into {@link getMarkers}
+     * @returns {Marker} The marker sought to
+     * @throws {Error} If there is no such marker
+     */
+    seekToMarker(marker) {
+        const markers = this.getMarkers();
+        const found = typeof marker === 'number'
+            ? markers[marker]
+            : markers.find(entry => entry.label === marker);
+        if (!found) {
+            throw new Error(`Marker not found: ${marker}`);
         }
+        this.seek(found.positionSeconds);
+        return found;
+    }
 
-        this._module._adl_play(this._player, samples, this._audioBufferPtr);
-
-        const heap16 = this._module.HEAP16;
-        const offset = /** @type {number} */ (this._audioBufferPtr) >> 1;
-        for (let i = 0; i < samples; i++) {
-            /** @type {Float32Array} */ (this._audioBuffer)[i] = heap16[offset + i] / 32768;
-        }
+    /**
+     * Play MIDI file and generate audio.
+     *
+     * @param {number} frames - Number of stereo frames to generate
+     * @returns {Float32Array} Stereo interleaved audio samples (-1 to +1; may
+     *   exceed that range with SampleFormat.F32)
+     */
+    play(frames) {
+        this._ensurePlayer();
+        const samples = this._renderAudio(frames, true);
 
-        return /** @type {Float32Array} */ (this._audioBuffer).slice(0, samples);
+        // Dispatch after the render, so handlers may call back into the synth.
+        // The feeds follow the position even without handlers, so one set
+        // mid-song starts where the song is.
+        const position = this._module._adl_positionTell(this._player);
+        /** @type {import('./utils/midi.js').PlaybackEvents} */
+        const batch = { notes: [], midiEvents: [], metaEvents: [] };
+        this._eventFeed.advance(position, batch);
+        const lyrics = this._lyricFeed.advance(position);
+        this._dispatchPlaybackEvents(batch);
+        if (this._lyricHandler) lyrics.forEach(this._lyricHandler);
+        return samples;
     }
 
     /**
@@ -833,6 +1077,8 @@ export class AdlMidiCore {
     seek(seconds) {
         this._ensurePlayer();
         this._module._adl_positionSeek(this._player, seconds);
+        this._lyricFeed.seek(seconds);
+        this._eventFeed.seek(seconds);
     }
 
     /**
@@ -841,6 +1087,8 @@ export class AdlMidiCore {
     rewind() {
         this._ensurePlayer();
         this._module._adl_positionRewind(this._player);
+        this._lyricFeed.seek(0);
+        this._eventFeed.seek(0);
     }
 
     /**
@@ -969,6 +1217,213 @@ export class AdlMidiCore {
         this._module._adl_setTempo(this._player, tempo);
     }
 
+    // =========================================================================
+    // Playback Events
+    // =========================================================================
+
+    /**
+     * Set the callback for notes reached during file playback.
+     *
+     * Events are read from the file when it is loaded and reported as
+     * {@link play} passes them: the callback runs once per event after that
+     * call returns, in file order. Note-ons with velocity 0 are reported as
+     * note-offs. Only Standard MIDI Files (and RMID) report events.
+     *
+     * @param {((event: import('./utils/midi.js').NoteEvent) => void)|null} handler - Callback, or null to remove it
+     */
+    onNote(handler) {
+        this._ensurePlayer();
+        this._noteHandler = handler;
+    }
+
+    /**
+     * Set the callback for channel and SysEx messages reached during file
+     * playback (notes included). Delivered like {@link onNote}.
+     *
+     * @param {((event: import('./utils/midi.js').MidiEvent) => void)|null} handler - Callback, or null to remove it
+     */
+    onMidiEvent(handler) {
+        this._ensurePlayer();
+        this._midiEventHandler = handler;
+    }
+
+    /**
+     * Set the callback for meta events (tempo, lyrics, markers, text)
+     * reached during file playback. Delivered like {@link onNote}.
+     *
+     * @param {((event: import('./utils/midi.js').MetaEvent) => void)|null} handler - Callback, or null to remove it
+     */
+    onMetaEvent(handler) {
+        this._ensurePlayer();
+        this._metaEventHandler = handler;
+    }
+
+    /**
+     * Get the lyrics of the loaded MIDI file, for prerendering a karaoke
+     * display. Syllables come from lyric events, or from the text events of
+     * .kar files, with line and paragraph breaks decoded.
+     *
+     * @returns {import('./formats/lyrics.js').Lyric[]} Lyrics in song order;
+     *   empty if the file has none
+     */
+    getLyrics() {
+        return this._lyricFeed.lyrics;
+    }
+
+    /**
+     * Set the callback for lyrics reached during file playback. Each event
+     * carries its index in {@link getLyrics} so a prerendered display can
+     * highlight it. Delivered like {@link onNote}.
+     *
+     * @param {((event: import('./formats/lyrics.js').LyricEvent) => void)|null} handler - Callback, or null to remove it
+     */
+    onLyric(handler) {
+        this._ensurePlayer();
+        this._lyricHandler = handler;
+    }
+
+    // =========================================================================
+    // Offline Rendering
+    // =========================================================================
+
+    /**
+     * Render a MIDI file to audio.
+     *
+     * The song is rendered from the beginning, repeated `loops` times and
+     * followed by a release tail. Rendering runs in blocks and yields to the
+     * event loop between them, so progress callbacks can update a UI and an
+     * AbortSignal can stop it. Leaves looping disabled and the song at its end.
+     *
+     * @param {ArrayBuffer|Uint8Array|null} midiData - MIDI file to load, or null
+     *   to render the file already loaded
+     * @param {RenderOptions} [options]
+     * @returns {Promise<RenderedAudio>}
+     * @throws {Error} If the bank, emulator or MIDI data cannot be loaded
+     *
+     * @example
+     * ```javascript
+     * const audio = await synth.renderToBuffer(midiBytes, {
+     *   bank: 72,
+     *   loops: 1,
+     *   onProgress: ({ fraction }) => console.log(`${Math.round(fraction * 100)}%`),
+     * });
+     * ```
+     */
+    async renderToBuffer(midiData, options = {}) {
+        const { onProgress } = options;
+        const totalSeconds = this._prepareRender(midiData, options);
+
+        const audio = await this._renderPass(options, undefined, (renderedSeconds) => {
+            onProgress?.({
+                renderedSeconds,
+                totalSeconds,
+                fraction: Math.min(1, renderedSeconds / totalSeconds),
+            });
+        });
+
+        onProgress?.({ renderedSeconds: audio.duration, totalSeconds: audio.duration, fraction: 1 });
+        return audio;
+    }
+
+    /**
+     * Render a MIDI file as one stem per MIDI channel or per track, plus the
+     * full mix.
+     *
+     * The mix is rendered first; each stem is then a separate pass with every
+     * other channel disabled through setChannelEnabled() (or every other track
+     * switched off through setTrackOptions()). All stems have exactly the
+     * mix's length, so they line up sample for sample. Progress covers all
+     * passes. Channels and tracks are all re-enabled afterwards.
+     *
+     * @param {ArrayBuffer|Uint8Array|null} midiData - MIDI file to load, or null
+     *   to render the file already loaded
+     * @param {RenderOptions & StemOptions} [options]
+     * @returns {Promise<RenderedStems>}
+     * @throws {Error} If the bank, emulator or MIDI data cannot be loaded
+     *
+     * @example
+     * ```javascript
+     * import { encodeWav } from 'libadlmidi-js/utils/wav';
+     *
+     * const { mix, stems } = await synth.renderStems(midiBytes, { bank: 72 });
+     * for (const { index, audio } of stems) {
+     *   save(`channel-${index + 1}.wav`, encodeWav(audio.channelData, audio.sampleRate));
+     * }
+     * ```
+     */
+    async renderStems(midiData, options = {}) {
+        const { by = 'channel', onProgress } = options;
+        if (by !== 'channel' && by !== 'track') {
+            throw new Error(`Invalid stem mode: ${by}`);
+        }
+
+        let totalSeconds = this._prepareRender(midiData, options);
+        const count = by === 'channel' ? 16 : this.getTrackCount();
+        const indices = options.include ?? Array.from({ length: count }, (_, i) => i);
+        const passes = indices.length + 1;
+
+        /** @param {number} pass */
+        const progress = (pass) => (/** @type {number} */ renderedSeconds) => {
+            const done = pass * totalSeconds + renderedSeconds;
+            onProgress?.({
+                renderedSeconds: done,
+                totalSeconds: totalSeconds * passes,
+                fraction: Math.min(1, done / (totalSeconds * passes)),
+            });
+        };
+
+        const mix = await this._renderPass(options, undefined, progress(0));
+        totalSeconds = mix.duration;
+
+        /** @type {{index: number, audio: RenderedAudio}[]} */
+        const stems = [];
+        try {
+            for (const [n, index] of indices.entries()) {
+                for (let i = 0; i < count; i++) {
+                    if (by === 'channel') {
+                        this.setChannelEnabled(i, i === index);
+                    } else {
+                        this.setTrackOptions(i, i === index ? TrackOption.ON : TrackOption.OFF);
+                    }
+                }
+                const audio = await this._renderPass(options, mix.length, progress(n + 1));
+                stems.push({ index, audio });
+            }
+        } finally {
+            // Plain on/off rather than SOLO, which has no way to be cleared
+            for (let i = 0; i < count; i++) {
+                if (by === 'channel') {
+                    this.setChannelEnabled(i, true);
+                } else {
+                    this.setTrackOptions(i, TrackOption.ON);
+                }
+            }
+        }
+
+        const renderedSeconds = mix.duration * passes;
+        onProgress?.({ renderedSeconds, totalSeconds: renderedSeconds, fraction: 1 });
+
+        return { by, mix, stems };
+    }
+
+    /**
+     * Render a MIDI file to a RIFF WAV file.
+     *
+     * Takes the same options as {@link AdlMidiCore#renderToBuffer}, plus the
+     * sample format.
+     *
+     * @param {ArrayBuffer|Uint8Array|null} midiData - MIDI file to load, or null
+     *   to render the file already loaded
+     * @param {RenderOptions & import('./utils/wav.js').WavOptions} [options]
+     * @returns {Promise<Uint8Array>} Complete WAV file (stereo, 16-bit PCM by default)
+     * @throws {Error} If the bank, emulator or MIDI data cannot be loaded
+     */
+    async renderToWav(midiData, options = {}) {
+        const { bitDepth, ...renderOptions } = options;
+        const audio = await this.renderToBuffer(midiData, renderOptions);
+        return encodeWav(audio.channelData, audio.sampleRate, { bitDepth });
+    }
+
     // =========================================================================
     // Bank Management
     // =========================================================================
@@ -1045,6 +1500,9 @@ export class AdlMidiCore {
         if (bankResult === 0) {
             success = this._module._adl_removeBank(this._player, bankPtr) === 0;
         }
+        if (success) {
+            this._instrumentNames.removeBank(bankId);
+        }
 
         this._module._free(bankIdPtr);
         this._module._free(bankPtr);
@@ -1083,6 +1541,9 @@ export class AdlMidiCore {
                 this._module._adl_removeBank(this._player, bankPtr);
             }
         }
+        if (success) {
+            this._instrumentNames.removeBank(bankId);
+        }
 
         this._module._free(bankIdPtr);
         this._module._free(bankPtr);
@@ -1101,7 +1562,8 @@ export class AdlMidiCore {
      * @param {number} bankId.msb - Bank MSB
      * @param {number} bankId.lsb - Bank LSB
      * @param {number} program - Program number (0-127)
-     * @returns {import('./utils/struct.js').Instrument|null} Instrument or null if not found
+     * @returns {import('./utils/struct.js').Instrument|null} Instrument, with its
+     *   name ('' if unknown), or null if not found
      */
     getInstrument(bankId, program) {
         this._ensurePlayer();
@@ -1132,7 +1594,9 @@ export class AdlMidiCore {
 
             if (result === 0) {
                 const bytes = this._module.HEAPU8.slice(instPtr, instPtr + SIZEOF_ADL_INSTRUMENT);
-                instrument = decodeInstrument(bytes);
+                const decoded = decodeInstrument(bytes);
+                decoded.secondVoiceDetune = this._instrumentNames.restoreDetune(bankId, program, decoded.secondVoiceDetune ?? 0);
+                instrument = { ...decoded, name: this._instrumentNames.get(bankId, program) };
             }
 
             this._module._free(instPtr);
@@ -1152,7 +1616,8 @@ export class AdlMidiCore {
      * @param {number} bankId.msb - Bank MSB
      * @param {number} bankId.lsb - Bank LSB
      * @param {number} program - Program number (0-127)
-     * @param {import('./utils/struct.js').Instrument} instrument - Instrument to set
+     * @param {import('./utils/struct.js').Instrument} instrument - Instrument to
+     *   set. Its name, if given, replaces the one kept for the program.
      * @returns {boolean} True if successful
      */
     setInstrument(bankId, program, instrument) {
@@ -1187,6 +1652,12 @@ export class AdlMidiCore {
             success = result === 0;
             this._module._free(instPtr);
         }
+        if (success) {
+            this._instrumentNames.setDetune(bankId, program, instrument.secondVoiceDetune || 0);
+            if (typeof instrument.name === 'string') {
+                this._instrumentNames.set(bankId, program, instrument.name);
+            }
+        }
 
         this._module._free(bankIdPtr);
         this._module._free(bankPtr);
@@ -1194,6 +1665,58 @@ export class AdlMidiCore {
         return success;
     }
 
+    /**
+     * Export the loaded banks as a WOPL file.
+     *
+     * Includes every melodic and percussion bank libADLMIDI holds, with any
+     * changes made by setInstrument(). The result can be saved as a .wopl
+     * file or loaded back with loadBankData().
+     *
+     * @returns {Uint8Array} Complete WOPL file
+     */
+    exportBank() {
+        this._ensurePlayer();
+
+        /** @type {import('./utils/wopl.js').WoplBank} */
+        const bank = {
+            version: WOPL_LATEST_VERSION,
+            deepTremolo: this.getDeepTremolo(),
+            deepVibrato: this.getDeepVibrato(),
+            volumeModel: this.getVolumeRangeModel(),
+            melodic: [],
+            percussion: [],
+        };
+
+        for (const bankId of this._instrumentNames.sortBankIds(this._listBankIds())) {
+            const set = createWoplBankSet(this._instrumentNames.getBankName(bankId), bankId.msb, bankId.lsb);
+            for (let program = 0; program < 128; program++) {
+                const instrument = this.getInstrument(bankId, program);
+                if (instrument) {
+                    set.instruments[program] = { ...instrument, name: instrument.name ?? '' };
+                }
+            }
+            (bankId.percussive ? bank.percussion : bank.melodic).push(set);
+        }
+
+        return encodeWOPL(bank);
+    }
+
+    /**
+     * Get the names of all instruments in a bank.
+     *
+     * Names come from the loaded WOPL bank and from setInstrument(); the
+     * embedded banks have none.
+     *
+     * @param {Object} bankId - Bank identifier
+     * @param {boolean|number} bankId.percussive - True/1 for percussion, false/0 for melodic
+     * @param {number} bankId.msb - Bank MSB
+     * @param {number} bankId.lsb - Bank LSB
+     * @returns {string[]} 128 names by program ('' where unknown)
+     */
+    getInstrumentNames(bankId) {
+        return this._instrumentNames.getAll(bankId);
+    }
+
     // =========================================================================
     // Real-time SysEx
     // =========================================================================
@@ -1240,6 +1763,19 @@ export class AdlMidiCore {
         return { text, attr };
     }
 
+    /**
+     * Get the state of every chip channel, decoded from
+     * {@link describeChannels}, for voice-usage displays and allocation
+     * debugging.
+     *
+     * @returns {import('./utils/opl3.js').ChipChannelState[]} One entry per
+     *   chip channel, chip by chip
+     */
+    getChannelStates() {
+        const { text, attr } = this.describeChannels();
+        return decodeChannelStates(text, attr);
+    }
+
     // =========================================================================
     // Direct Module Access
     // =========================================================================
@@ -1281,6 +1817,222 @@ export class AdlMidiCore {
             throw new Error('Synthesizer not initialized - call init() first');
         }
     }
+
+    /**
+     * Run the synthesizer for a block and convert its output to Float32
+     * @private
+     * @param {number} frames - Number of stereo frames
+     * @param {boolean} playing - True to advance the loaded MIDI file (adl_play*)
+     * @returns {Float32Array} Stereo interleaved samples
+     */
+    _renderAudio(frames, playing) {
+        const samples = frames * 2;        // Stereo
+        const bytes = samples * 4;         // Room for Float32 as well as Int16
+
+        // Allocate/reuse buffer
+        if (!this._audioBufferPtr || !this._audioBuffer || this._audioBuffer.length < samples) {
+            if (this._audioBufferPtr) {
+                this._module._free(this._audioBufferPtr);
+            }
+            this._audioBufferPtr = this._module._malloc(bytes);
+            this._audioBuffer = new Float32Array(samples);
+        }
+        const ptr = /** @type {number} */ (this._audioBufferPtr);
+        const out = /** @type {Float32Array} */ (this._audioBuffer);
+
+        if (this._sampleFormat === SampleFormat.F32) {
+            if (!this._formatPtr) {
+                // Interleaved: left at +0, right at +4, 8 bytes per frame
+                this._formatPtr = this._module._malloc(SIZEOF_ADLMIDI_AUDIO_FORMAT);
+                this._module.HEAPU8.set(encodeAudioFormat(SampleFormat.F32, 4, 8), this._formatPtr);
+            }
+            const render = playing ? this._module._adl_playFormat : this._module._adl_generateFormat;
+            render(this._player, samples, ptr, ptr + 4, this._formatPtr);
+        } else if (playing) {
+            this._module._adl_play(this._player, samples, ptr);
+        } else {
+            this._module._adl_generate(this._player, samples, ptr);
+        }
+
+        if (this._sampleFormat === SampleFormat.F32) {
+            // HEAPF32 isn't exported by every build; view the heap directly
+            out.set(new Float32Array(this._module.HEAPU8.buffer, ptr, samples));
+        } else {
+            // Convert Int16 to Float32
+            const heap16 = this._module.HEAP16;
+            const offset = ptr >> 1; // Byte offset to Int16 offset
+            for (let i = 0; i < samples; i++) {
+                out[i] = heap16[offset + i] / 32768;
+            }
+        }
+
+        return out.slice(0, samples);
+    }
+
+    /**
+     * Hand a batch of playback events to the callbacks
+     * @private
+     * @param {import('./utils/midi.js').PlaybackEvents} batch
+     */
+    _dispatchPlaybackEvents(batch) {
+        if (this._noteHandler) batch.notes.forEach(this._noteHandler);
+        if (this._midiEventHandler) batch.midiEvents.forEach(this._midiEventHandler);
+        if (this._metaEventHandler) batch.metaEvents.forEach(this._metaEventHandler);
+    }
+
+    /**
+     * Apply a render's bank, emulator and MIDI data
+     * @private
+     * @param {ArrayBuffer|Uint8Array|null} midiData
+     * @param {RenderOptions} options
+     * @returns {number} Expected render length in seconds
+     */
+    _prepareRender(midiData, options) {
+        const { bank, emulator, loops = 0, tailSeconds = 2, maxSeconds = 3600, signal } = options;
+
+        this._ensurePlayer();
+        signal?.throwIfAborted();
+
+        if (!Number.isInteger(loops) || loops < 0) {
+            throw new Error(`Invalid loop count: ${loops}`);
+        }
+        if (emulator !== undefined && !this.switchEmulator(emulator)) {
+            throw new Error(`Failed to switch emulator: ${this.getErrorInfo() || 'unknown error'}`);
+        }
+        if (typeof bank === 'number' ? !this.setBank(bank) : bank && !this.loadBankData(bank)) {
+            throw new Error(`Failed to load bank: ${this.getErrorInfo() || 'unknown error'}`);
+        }
+        if (midiData && !this.loadMidi(midiData)) {
+            throw new Error(`Failed to load MIDI data: ${this.getErrorInfo() || 'unknown error'}`);
+        }
+
+        const duration = this.duration;
+        const loopStart = Math.max(0, this.getLoopStartTime());
+        const loopEnd = this.getLoopEndTime() > loopStart ? this.getLoopEndTime() : duration;
+        return Math.min(duration + loops * (loopEnd - loopStart), maxSeconds) + tailSeconds;
+    }
+
+    /**
+     * Render the loaded song once from the beginning, then the release tail.
+     * Yields to the event loop every few milliseconds.
+     * @private
+     * @param {RenderOptions} options
+     * @param {number|undefined} length - Exact length in frames; the tail is
+     *   cut or extended to fit. Defaults to song plus `tailSeconds`.
+     * @param {(renderedSeconds: number) => void} onProgress
+     * @returns {Promise<RenderedAudio>}
+     */
+    async _renderPass(options, length, onProgress) {
+        const { loops = 0, tailSeconds = 2, maxSeconds = 3600, signal } = options;
+        const sampleRate = this._sampleRate;
+        const maxFrames = length ?? Math.ceil(maxSeconds * sampleRate);
+
+        this.setLoopEnabled(loops > 0);
+        if (loops > 0) {
+            // libADLMIDI counts passes through the loop section, not repeats
+            this.setLoopCount(loops + 1);
+        }
+        this.rewind();
+
+        const capacity = length ?? Math.ceil((this.duration + tailSeconds) * sampleRate);
+        let left = new Float32Array(capacity + RENDER_CHUNK_FRAMES);
+        let right = new Float32Array(left.length);
+        let frames = 0;
+        let lastYield = Date.now();
+
+        /** @param {Float32Array} samples - Interleaved stereo block */
+        const append = (samples) => {
+            const count = samples.length >> 1;
+            if (frames + count > left.length) {
+                const grown = Math.max(left.length * 2, frames + count);
+                const newLeft = new Float32Array(grown);
+                const newRight = new Float32Array(grown);
+                newLeft.set(left.subarray(0, frames));
+                newRight.set(right.subarray(0, frames));
+                left = newLeft;
+                right = newRight;
+            }
+            for (let i = 0; i < count; i++) {
+                left[frames + i] = samples[i * 2];
+                right[frames + i] = samples[i * 2 + 1];
+            }
+            frames += count;
+        };
+
+        const pause = async () => {
+            if (Date.now() - lastYield < RENDER_YIELD_MS) return;
+            onProgress(frames / sampleRate);
+            await new Promise(resolve => setTimeout(resolve, 0));
+            lastYield = Date.now();
+            signal?.throwIfAborted();
+        };
+
+        try {
+            while (!this.atEnd && frames < maxFrames) {
+                append(this.play(Math.min(RENDER_CHUNK_FRAMES, maxFrames - frames)));
+                await pause();
+            }
+        } finally {
+            this.setLoopEnabled(false);
+        }
+
+        const end = length ?? frames + Math.round(tailSeconds * sampleRate);
+        while (frames < end) {
+            append(this.generate(Math.min(RENDER_CHUNK_FRAMES, end - frames)));
+            await pause();
+        }
+
+        const total = length ?? frames;
+        return {
+            sampleRate,
+            length: total,
+            duration: total / sampleRate,
+            channelData: [left.slice(0, total), right.slice(0, total)],
+        };
+    }
+
+    /**
+     * Fill a converted song's bank, then load its MIDI data
+     * @private
+     * @param {import('./formats/smf.js').ConvertedSong} song
+     * @returns {boolean} True if successful
+     */
+    _loadConvertedSong(song) {
+        const bankId = { ...song.bankId, percussive: song.bankId.percussive ? 1 : 0 };
+        for (const { program, instrument } of song.instruments) {
+            if (!this.setInstrument(bankId, program, instrument)) {
+                return false;
+            }
+        }
+        return this.loadMidi(song.midi);
+    }
+
+    /**
+     * List the IDs of all banks libADLMIDI holds
+     * @private
+     * @returns {{percussive: number, msb: number, lsb: number}[]}
+     */
+    _listBankIds() {
+        const bankPtr = this._module._malloc(SIZEOF_ADL_BANK);
+        const idPtr = this._module._malloc(SIZEOF_ADL_BANK_ID);
+        const ids = [];
+
+        let result = this._module._adl_getFirstBank(this._player, bankPtr);
+        while (result === 0) {
+            if (this._module._adl_getBankId(this._player, bankPtr, idPtr) === 0) {
+                ids.push({
+                    percussive: this._module.HEAPU8[idPtr],
+                    msb: this._module.HEAPU8[idPtr + 1],
+                    lsb: this._module.HEAPU8[idPtr + 2],
+                });
+            }
+            result = this._module._adl_getNextBank(this._player, bankPtr);
+        }
+
+        this._module._free(bankPtr);
+        this._module._free(idPtr);
+        return ids;
+    }
 }
 
 export default AdlMidiCore;
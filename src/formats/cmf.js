@@ -0,0 +1,220 @@
+/**
+ * Creative Music File (CMF) support.
+ *
+ * CMF songs are MIDI event streams with their own OPL instruments
+ * embedded. {@link cmfToMidi} turns a parsed file into a Standard MIDI File
+ * that selects a custom bank, plus the instruments to write into that bank
+ * with setInstrument(). AdlMidi.loadCMF() and AdlMidiCore.loadCMF() do both
+ * steps.
+ *
+ * @module formats/cmf
+ */
+
+import { instrumentFromSbiRegisters } from '../utils/instruments.js';
+import { IMPORT_BANK_ID, encodeSMF, tempoEvent, textEvent, writeVarLen } from './smf.js';
+
+/** Size of an embedded CMF instrument record */
+const INSTRUMENT_SIZE = 16;
+
+/** MIDI channel libADLMIDI always treats as percussion */
+const PERCUSSION_CHANNEL = 9;
+
+/** CMF-specific controllers (marker, rhythm mode, transpose up/down) */
+const CMF_CONTROLLERS = new Set([0x66, 0x67, 0x68, 0x69]);
+
+/**
+ * Parsed CMF file
+ * @typedef {Object} CmfFile
+ * @property {string} version - Format version ('1.0' or '1.1')
+ * @property {number} ticksPerQuarter - Ticks per quarter note
+ * @property {number} ticksPerSecond - Ticks per second
+ * @property {string} title - Song title
+ * @property {string} composer - Composer
+ * @property {string} remarks - Remarks
+ * @property {boolean[]} channelsInUse - Which of the 16 channels the song uses
+ * @property {import('../utils/struct.js').Instrument[]} instruments - Embedded instruments by program number
+ * @property {Uint8Array} music - MIDI event stream (an MTrk body without header)
+ */
+
+/**
+ * Parse a CMF file.
+ *
+ * @param {ArrayBuffer|Uint8Array} data - CMF file data
+ * @returns {CmfFile}
+ * @throws {Error} If the data is not a CMF file
+ */
+export function parseCMF(data) {
+    const bytes = data instanceof ArrayBuffer ? new Uint8Array(data) : data;
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+    if (bytes.length < 0x28 || String.fromCharCode(...bytes.slice(0, 4)) !== 'CTMF') {
+        throw new Error('Not a CMF file');
+    }
+
+    const version = view.getUint16(0x04, true);
+    const instrumentOffset = view.getUint16(0x06, true);
+    const musicOffset = view.getUint16(0x08, true);
+    // Version 1.0 has an 8-bit instrument count
+    const numInstruments = version < 0x101 ? bytes[0x24] : view.getUint16(0x24, true);
+
+    if (musicOffset >= bytes.length) {
+        throw new Error('CMF music data offset is out of range');
+    }
+
+    const instruments = [];
+    for (let i = 0; i < numInstruments; i++) {
+        const offset = instrumentOffset + i * INSTRUMENT_SIZE;
+        if (offset + INSTRUMENT_SIZE > bytes.length) break;
+        instruments.push(instrumentFromSbiRegisters(bytes.subarray(offset, offset + INSTRUMENT_SIZE)));
+    }
+
+    return {
+        version: `${version >> 8}.${version & 0xFF}`,
+        ticksPerQuarter: view.getUint16(0x0A, true) || 120,
+        ticksPerSecond: view.getUint16(0x0C, true) || 120,
+        title: readString(bytes, view.getUint16(0x0E, true)),
+        composer: readString(bytes, view.getUint16(0x10, true)),
+        remarks: readString(bytes, view.getUint16(0x12, true)),
+        channelsInUse: Array.from(bytes.subarray(0x14, 0x24), used => used !== 0),
+        instruments,
+        music: bytes.subarray(musicOffset),
+    };
+}
+
+/**
+ * Convert a parsed CMF file into MIDI data plus a custom bank.
+ *
+ * Every channel is pointed at `bankId` with bank select messages, and
+ * embedded instrument N becomes program N of that bank. Channel 10 is
+ * moved to a free channel because libADLMIDI reserves it for percussion.
+ * CMF rhythm-mode channels are played as melodic voices and the
+ * CMF-specific controllers 66h-69h are dropped.
+ *
+ * @param {CmfFile} cmf - Parsed CMF file
+ * @param {{bankId?: import('./smf.js').BankId}} [options] - Bank to place
+ *   the instruments in (default {@link IMPORT_BANK_ID})
+ * @returns {import('./smf.js').ConvertedSong}
+ */
+export function cmfToMidi(cmf, options = {}) {
+    const { bankId = IMPORT_BANK_ID } = options;
+
+    // Move channel 10 out of libADLMIDI's percussion slot if a channel is free
+    const channelMap = Array.from({ length: 16 }, (_, ch) => ch);
+    if (cmf.channelsInUse[PERCUSSION_CHANNEL]) {
+        const free = [15, 14, 13, 12, 11, 10, 8, 7, 6, 5, 4, 3, 2, 1, 0]
+            .find(ch => !cmf.channelsInUse[ch]);
+        if (free !== undefined) {
+            channelMap[PERCUSSION_CHANNEL] = free;
+        }
+    }
+
+    /** @type {import('./smf.js').SmfEvent[]} */
+    const events = [
+        { tick: 0, data: tempoEvent(1e6 * cmf.ticksPerQuarter / cmf.ticksPerSecond) },
+    ];
+    if (cmf.title) events.push({ tick: 0, data: textEvent(0x03, cmf.title) });
+    if (cmf.composer) events.push({ tick: 0, data: textEvent(0x01, cmf.composer) });
+    if (cmf.remarks) events.push({ tick: 0, data: textEvent(0x01, cmf.remarks) });
+
+    for (let ch = 0; ch < 16; ch++) {
+        if (!cmf.channelsInUse[ch]) continue;
+        const out = channelMap[ch];
+        events.push({ tick: 0, data: [0xB0 | out, 0x00, bankId.msb] });
+        events.push({ tick: 0, data: [0xB0 | out, 0x20, bankId.lsb] });
+    }
+
+    for (const event of readEvents(cmf.music)) {
+        const status = event.data[0];
+        if (status < 0xF0) {
+            if ((status & 0xF0) === 0xB0 && CMF_CONTROLLERS.has(event.data[1])) continue;
+            event.data[0] = (status & 0xF0) | channelMap[status & 0x0F];
+        }
+        events.push(event);
+    }
+
+    return {
+        midi: encodeSMF(cmf.ticksPerQuarter, events),
+        bankId,
+        instruments: cmf.instruments.slice(0, 128).map((instrument, program) => ({ program, instrument })),
+        missingInstruments: [],
+    };
+}
+
+/**
+ * Decode a raw MIDI event stream into absolute-time events. Running status
+ * is expanded; the stream ends at End of Track or at the end of the data.
+ *
+ * @param {Uint8Array} data
+ * @returns {import('./smf.js').SmfEvent[]}
+ */
+function readEvents(data) {
+    /** @type {import('./smf.js').SmfEvent[]} */
+    const events = [];
+    let pos = 0;
+    let tick = 0;
+    let runningStatus = 0;
+
+    const readVarLen = () => {
+        let value = 0;
+        for (let i = 0; i < 4 && pos < data.length; i++) {
+            const b = data[pos++];
+            value = (value << 7) | (b & 0x7F);
+            if (!(b & 0x80)) break;
+        }
+        return value;
+    };
+
+    while (pos < data.length) {
+        tick += readVarLen();
+        if (pos >= data.length) break;
+
+        let status = data[pos];
+        if (status & 0x80) {
+            pos++;
+        } else {
+            status = runningStatus;
+        }
+        if (!(status & 0x80)) break;
+
+        if (status === 0xFF) {
+            const type = data[pos++];
+            const length = readVarLen();
+            if (type === 0x2F) break;
+            // Tempo comes from the CMF header; keep other meta events
+            if (type !== 0x51) {
+                const event = [0xFF, type];
+                writeVarLen(event, length);
+                events.push({ tick, data: [...event, ...data.subarray(pos, pos + length)] });
+            }
+            pos += length;
+        } else if (status === 0xF0 || status === 0xF7) {
+            const length = readVarLen();
+            const event = [status];
+            writeVarLen(event, length);
+            events.push({ tick, data: [...event, ...data.subarray(pos, pos + length)] });
+            pos += length;
+        } else {
+            runningStatus = status;
+            const size = (status & 0xE0) === 0xC0 ? 1 : 2;
+            events.push({ tick, data: [status, ...data.subarray(pos, pos + size)] });
+            pos += size;
+        }
+    }
+
+    return events;
+}
+
+/**
+ * Read a null-terminated string; offset 0 means no string
+ * @param {Uint8Array} bytes
+ * @param {number} offset
+ * @returns {string}
+ */
+function readString(bytes, offset) {
+    let text = '';
+    if (offset === 0) return text;
+    for (let pos = offset; pos < bytes.length && bytes[pos] !== 0; pos++) {
+        text += String.fromCharCode(bytes[pos]);
+    }
+    return text;
+}
@@ -0,0 +1,244 @@
+/**
+ * DOSBox Raw OPL (DRO) capture format support.
+ *
+ * Parses DRO v0.1 and v2.0 captures, plays them through the raw OPL3 API
+ * with {@link DroPlayer}.
+ *
+ * @module formats/dro
+ */
+
+import { RegisterStreamPlayer } from './player.js';
+
+/** File signature shared by all DRO versions */
+export const DRO_SIGNATURE = 'DBRAWOPL';
+
+/** Hardware names by type byte; v0.1 and v2.0 number them differently */
+const HW_NAMES_V1 = { 0: 'OPL2', 1: 'OPL3', 2: 'Dual OPL2' };
+const HW_NAMES_V2 = { 0: 'OPL2', 1: 'Dual OPL2', 2: 'OPL3' };
+
+/** Size of the fixed v2 header before the codemap */
+const V2_HEADER_SIZE = 26;
+
+/**
+ * A DRO command: a register write or a delay
+ * @typedef {{type: 'write', reg: number, value: number} | {type: 'delay', ms: number}} DroCommand
+ */
+
+/**
+ * Parsed DRO file
+ * @typedef {Object} DroFile
+ * @property {string} version - Format version ('0.1' or '2.0')
+ * @property {string} hardware - Hardware name
+ * @property {number} hardwareType - Raw hardware type byte (numbering depends on version)
+ * @property {boolean} isDualOrOpl3 - True if the capture uses the second register set
+ * @property {number} lengthMs - Length in milliseconds from the header
+ * @property {DroCommand[]} commands - Commands in file order. Writes to the
+ *   second chip of a dual OPL2 capture are mapped to the OPL3 high bank.
+ */
+
+/**
+ * Parse a DRO v0.1 or v2.0 file.
+ *
+ * @param {ArrayBuffer|Uint8Array} data - DRO file data
+ * @returns {DroFile}
+ * @throws {Error} If the data is not a DRO file or uses an unsupported version
+ */
+export function parseDRO(data) {
+    const bytes = data instanceof ArrayBuffer ? new Uint8Array(data) : data;
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+    const sig = String.fromCharCode(...bytes.slice(0, 8));
+    if (sig !== DRO_SIGNATURE) {
+        throw new Error('Not a DRO file');
+    }
+
+    const vMajor = view.getUint16(8, true);
+    const vMinor = view.getUint16(10, true);
+
+    if (vMajor === 0 && vMinor === 1) {
+        return parseDROv1(view, bytes);
+    } else if (vMajor === 2 && vMinor === 0) {
+        return parseDROv2(view, bytes);
+    } else {
+        throw new Error(`Unsupported DRO version ${vMajor}.${vMinor}`);
+    }
+}
+
+/**
+ * Convert a parsed DRO file into a playable register stream.
+ *
+ * @param {DroFile} dro - Parsed DRO file
+ * @returns {import('./player.js').RegisterStream}
+ */
+export function droToStream(dro) {
+    /** @type {import('./player.js').RegisterEvent[]} */
+    const events = [];
+    let ms = 0;
+
+    for (const cmd of dro.commands) {
+        if (cmd.type === 'delay') {
+            ms += cmd.ms;
+        } else {
+            events.push({ time: ms / 1000, chip: 0, reg: cmd.reg, value: cmd.value });
+        }
+    }
+
+    return {
+        events,
+        duration: Math.max(ms, dro.lengthMs) / 1000,
+        loopStart: 0,
+        numChips: 1,
+    };
+}
+
+/**
+ * Plays DRO captures through the raw OPL3 API.
+ *
+ * Works with AdlMidi for real-time playback and with AdlMidiCore for
+ * offline rendering; see {@link RegisterStreamPlayer} for the transport.
+ * Chip channels are reserved automatically. OPL2 captures are made audible
+ * in libADLMIDI's OPL3 mode by patching the C0h stereo output bits.
+ *
+ * @example
+ * ```javascript
+ * import { AdlMidi } from 'libadlmidi-js/full';
+ * import { DroPlayer } from 'libadlmidi-js/formats/dro';
+ *
+ * const synth = new AdlMidi();
+ * await synth.init();
+ * const player = new DroPlayer(synth, droBytes, { loop: true });
+ * player.onPosition((seconds) => updateProgress(seconds / player.duration));
+ * await player.play();
+ * ```
+ */
+export class DroPlayer extends RegisterStreamPlayer {
+    /**
+     * Create a DRO player
+     * @param {import('./player.js').RawOplTarget} synth - AdlMidi or AdlMidiCore instance
+     * @param {ArrayBuffer|Uint8Array|DroFile} data - DRO file data, or an already parsed file
+     * @param {import('./player.js').RegisterStreamPlayerOptions} [options]
+     */
+    constructor(synth, data, options = {}) {
+        const dro = data instanceof ArrayBuffer || ArrayBuffer.isView(data)
+            ? parseDRO(/** @type {ArrayBuffer|Uint8Array} */ (data))
+            : /** @type {DroFile} */ (data);
+        super(synth, droToStream(dro), { forceStereo: true, ...options });
+
+        /** Parsed DRO file being played */
+        this.dro = dro;
+    }
+}
+
+/**
+ * Parse a DRO v0.1 body. Early v0.1 files have a 1-byte hardware field,
+ * later ones pad it to 4 bytes.
+ *
+ * @param {DataView} view
+ * @param {Uint8Array} bytes
+ * @returns {DroFile}
+ */
+function parseDROv1(view, bytes) {
+    const lengthMs = view.getUint32(12, true);
+    const lengthBytes = view.getUint32(16, true);
+    const hwType = bytes[20];
+    const hwExtra = [bytes[21], bytes[22], bytes[23]];
+    const hwName = HW_NAMES_V1[/** @type {0|1|2} */ (hwType)] || `Unknown (${hwType})`;
+    const isDualOrOpl3 = hwType === 1 || hwType === 2;
+
+    const earlyFormat = hwExtra.some(b => b !== 0);
+    const dataOffset = earlyFormat ? 21 : 24;
+
+    /** @type {DroCommand[]} */
+    const commands = [];
+    let pos = dataOffset;
+    const end = dataOffset + lengthBytes;
+    let currentChip = 0;
+
+    while (pos < end && pos < bytes.length) {
+        const code = bytes[pos++];
+
+        if (code === 0x00) {
+            // Short delay: 1 byte, (value + 1) ms
+            const delay = bytes[pos++] + 1;
+            commands.push({ type: 'delay', ms: delay });
+        } else if (code === 0x01) {
+            // Long delay: 2 bytes, (value + 1) ms
+            const delay = view.getUint16(pos, true) + 1;
+            pos += 2;
+            commands.push({ type: 'delay', ms: delay });
+        } else if (code === 0x02) {
+            currentChip = 0;
+        } else if (code === 0x03) {
+            currentChip = 1;
+        } else if (code === 0x04) {
+            // Escape: next byte is a register that collides with a command code
+            const reg = bytes[pos++];
+            const val = bytes[pos++];
+            commands.push({ type: 'write', reg: reg + (currentChip ? 0x100 : 0), value: val });
+        } else {
+            const val = bytes[pos++];
+            commands.push({ type: 'write', reg: code + (currentChip ? 0x100 : 0), value: val });
+        }
+    }
+
+    return {
+        version: '0.1',
+        hardware: hwName,
+        hardwareType: hwType,
+        isDualOrOpl3,
+        lengthMs,
+        commands,
+    };
+}
+
+/**
+ * Parse a DRO v2.0 body.
+ *
+ * @param {DataView} view
+ * @param {Uint8Array} bytes
+ * @returns {DroFile}
+ */
+function parseDROv2(view, bytes) {
+    const lengthPairs = view.getUint32(12, true);
+    const lengthMs = view.getUint32(16, true);
+    const hwType = bytes[20];
+    const shortDelayCode = bytes[23];
+    const longDelayCode = bytes[24];
+    const codemapLength = bytes[25];
+    const hwName = HW_NAMES_V2[/** @type {0|1|2} */ (hwType)] || `Unknown (${hwType})`;
+    const isDualOrOpl3 = hwType === 1 || hwType === 2;
+
+    const codemap = Array.from(bytes.slice(V2_HEADER_SIZE, V2_HEADER_SIZE + codemapLength));
+    const dataOffset = V2_HEADER_SIZE + codemapLength;
+
+    /** @type {DroCommand[]} */
+    const commands = [];
+    let pos = dataOffset;
+
+    for (let i = 0; i < lengthPairs && pos + 1 < bytes.length; i++) {
+        const regIndex = bytes[pos++];
+        const val = bytes[pos++];
+
+        if (regIndex === shortDelayCode) {
+            commands.push({ type: 'delay', ms: val + 1 });
+        } else if (regIndex === longDelayCode) {
+            commands.push({ type: 'delay', ms: (val + 1) << 8 });
+        } else {
+            // Bit 7 selects the high bank (OPL3) or the second chip (dual OPL2)
+            const highChip = (regIndex & 0x80) ? 0x100 : 0;
+            const mapIdx = regIndex & 0x7F;
+            if (mapIdx < codemap.length) {
+                commands.push({ type: 'write', reg: codemap[mapIdx] + highChip, value: val });
+            }
+        }
+    }
+
+    return {
+        version: '2.0',
+        hardware: hwName,
+        hardwareType: hwType,
+        isDualOrOpl3,
+        lengthMs,
+        commands,
+    };
+}
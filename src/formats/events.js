@@ -0,0 +1,188 @@
+/**
+ * File playback events.
+ *
+ * Reads every event of a MIDI file up front and reports the ones playback
+ * passes, following the song position libADLMIDI reports after each
+ * render. AdlMidi and AdlMidiCore use this for onNote(), onMidiEvent() and
+ * onMetaEvent().
+ *
+ * @module formats/events
+ */
+
+import { readSmfEvents, createTempoMap } from './smf.js';
+
+/** Slack when comparing positions; libADLMIDI's clock drifts in the last bits */
+const POSITION_EPSILON = 1e-6;
+
+/**
+ * An event of the file at its song position, decoded ahead of playback
+ * @typedef {Object} TimedEvent
+ * @property {number} position - Song position in seconds
+ * @property {import('../utils/midi.js').NoteEvent|null} note - Decoded note, for note-ons and note-offs
+ * @property {import('../utils/midi.js').MidiEvent|null} midi - Decoded channel or SysEx message
+ * @property {import('../utils/midi.js').MetaEvent|null} meta - Decoded meta event
+ */
+
+/**
+ * A song's events plus the state needed to follow them during playback.
+ *
+ * Call {@link advance} with the song position after each render; events
+ * between the previous and the new position are appended to a batch. A
+ * position behind the previous one is taken as a loop, so call
+ * {@link seek} after seeking or rewinding the song.
+ *
+ * Only Standard MIDI Files (and RMID) are read; other formats libADLMIDI
+ * plays (XMI, MUS, ...) report no events.
+ *
+ * @example
+ * ```javascript
+ * const feed = PlaybackEventFeed.fromMidi(midiData);
+ * feed.setLoop(core.getLoopStartTime(), core.getLoopEndTime());
+ * const batch = { notes: [], midiEvents: [], metaEvents: [] };
+ * core.play(512);
+ * feed.advance(core.position, batch);
+ * ```
+ */
+export class PlaybackEventFeed {
+    /** @type {TimedEvent[]} */
+    #events;
+    /** @type {number} */
+    #cursor = 0;
+    /** @type {number} */
+    #position = 0;
+    /** @type {number} */
+    #loopStart = -1;
+    /** @type {number} */
+    #loopEnd = -1;
+
+    /**
+     * @param {TimedEvent[]} events - Events in song order
+     */
+    constructor(events) {
+        this.#events = events;
+    }
+
+    /**
+     * Read the events of a MIDI file.
+     *
+     * @param {ArrayBuffer|Uint8Array} data - MIDI file data
+     * @returns {PlaybackEventFeed}
+     */
+    static fromMidi(data) {
+        const smf = readSmfEvents(data);
+        if (!smf) {
+            return new PlaybackEventFeed([]);
+        }
+
+        const tickToSeconds = createTempoMap(smf.division, smf.events);
+        /** @type {TimedEvent[]} */
+        const events = [];
+
+        for (const event of smf.events) {
+            const timed = decodeEvent(event);
+            if (timed) {
+                events.push({ position: tickToSeconds(event.tick), ...timed });
+            }
+        }
+
+        return new PlaybackEventFeed(events);
+    }
+
+    /**
+     * Set the loop range playback wraps around, as reported by
+     * adl_loopStartTime() and adl_loopEndTime()
+     * @param {number} start - Loop start in seconds, or -1 to loop from the beginning
+     * @param {number} end - Loop end in seconds, or -1 to loop at the end
+     */
+    setLoop(start, end) {
+        this.#loopStart = start;
+        this.#loopEnd = end;
+    }
+
+    /**
+     * Move the feed to a song position, after a seek or rewind. Events at
+     * the position itself are reported by the next {@link advance}.
+     * @param {number} position - Song position in seconds
+     */
+    seek(position) {
+        const index = this.#events.findIndex(event => event.position >= position - POSITION_EPSILON);
+        this.#cursor = index < 0 ? this.#events.length : index;
+        this.#position = position;
+    }
+
+    /**
+     * Append the events playback passed on its way to a song position.
+     *
+     * @param {number} position - Song position in seconds after the render
+     * @param {import('../utils/midi.js').PlaybackEvents} batch - Batch to append to
+     * @param {number} [time] - Timestamp to attach to the events
+     */
+    advance(position, batch, time) {
+        if (position < this.#position - POSITION_EPSILON) {
+            // Wrapped around a loop: finish the pass, then restart at the loop start
+            this.#collect(this.#loopEnd >= 0 ? this.#loopEnd : Infinity, batch, time);
+            this.seek(Math.max(0, this.#loopStart));
+        }
+        this.#collect(position, batch, time);
+        this.#position = position;
+    }
+
+    /**
+     * Append events up to and including a song position
+     * @param {number} position
+     * @param {import('../utils/midi.js').PlaybackEvents} batch
+     * @param {number|undefined} time
+     */
+    #collect(position, batch, time) {
+        /** @type {<T extends object>(event: T) => T} */
+        const stamp = (event) => (time === undefined ? { ...event } : { ...event, time });
+
+        while (this.#cursor < this.#events.length && this.#events[this.#cursor].position <= position + POSITION_EPSILON) {
+            const { note, midi, meta } = this.#events[this.#cursor++];
+            if (note) batch.notes.push(stamp(note));
+            if (midi) batch.midiEvents.push(stamp(midi));
+            if (meta) batch.metaEvents.push(stamp(meta));
+        }
+    }
+}
+
+/**
+ * Decode a file event into the shapes the playback callbacks receive.
+ *
+ * Note-ons with velocity 0 become note-offs. SysEx messages are completed
+ * with their F0 and F7 bytes; F7 escapes pass their bytes through as-is.
+ *
+ * @param {import('./smf.js').SmfTrackEvent} event
+ * @returns {Omit<TimedEvent, 'position'>|null} Null for End of Track and empty escapes
+ */
+function decodeEvent(event) {
+    const { status, type, data } = event;
+
+    if (status === 0xFF) {
+        if (type === 0x2F) return null;
+        return { note: null, midi: null, meta: { type, data: Array.from(data) } };
+    }
+
+    if (status === 0xF0 || status === 0xF7) {
+        const message = Array.from(data);
+        if (status === 0xF0) {
+            message.unshift(0xF0);
+            if (message[message.length - 1] !== 0xF7) message.push(0xF7);
+        }
+        if (message.length === 0) return null;
+        return { note: null, midi: { data: message }, meta: null };
+    }
+
+    const midi = { data: [status, ...data] };
+    const kind = status >> 4;
+    if (kind !== 0x8 && kind !== 0x9) {
+        return { note: null, midi, meta: null };
+    }
+
+    const velocity = kind === 0x9 ? data[1] ?? 0 : 0;
+    return {
+        note: { channel: status & 0x0F, note: data[0] ?? 0, velocity, on: velocity > 0 },
+        midi,
+        meta: null,
+    };
+}
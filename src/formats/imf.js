@@ -0,0 +1,203 @@
+/**
+ * id Software Music Format (IMF) support.
+ *
+ * Parses type 0 and type 1 IMF files, plays them through the raw OPL3 API
+ * with {@link ImfPlayer}.
+ *
+ * IMF files do not record their tick rate; it depends on the game that
+ * plays them (see {@link ImfRate}).
+ *
+ * @module formats/imf
+ */
+
+import { RegisterStreamPlayer } from './player.js';
+
+/**
+ * Common IMF tick rates in Hz.
+ * @readonly
+ * @enum {number}
+ */
+export const ImfRate = Object.freeze({
+    /** Commander Keen 4-6 */
+    KEEN: 280,
+    /** Wolfenstein 3-D, Spear of Destiny */
+    WOLF3D: 560,
+    /** Duke Nukem II, Bio Menace, Cosmo's Cosmic Adventure */
+    DUKE2: 700,
+});
+
+/** Marker byte that starts the optional tag trailer after the song data */
+const TAG_MARKER = 0x1A;
+
+/** Size of one IMF command: register, value, 16-bit delay */
+const COMMAND_SIZE = 4;
+
+/**
+ * An IMF command: a register write followed by a delay in ticks
+ * @typedef {Object} ImfCommand
+ * @property {number} reg - OPL2 register
+ * @property {number} value - Register value
+ * @property {number} delay - Ticks to wait after the write
+ */
+
+/**
+ * Tag trailer found after the song data of some IMF files
+ * @typedef {Object} ImfTags
+ * @property {string} [title] - Song title
+ * @property {string} [composer] - Composer
+ * @property {string} [remarks] - Free-form remarks
+ * @property {string} [program] - Name of the program that wrote the file
+ */
+
+/**
+ * Parsed IMF file
+ * @typedef {Object} ImfFile
+ * @property {0|1} type - 0 for headerless files, 1 for files with a length header
+ * @property {ImfCommand[]} commands - Commands in file order
+ * @property {number} totalTicks - Sum of all delays
+ * @property {ImfTags|null} tags - Tag trailer, or null if the file has none
+ */
+
+/**
+ * Options for {@link ImfPlayer}
+ * @typedef {import('./player.js').RegisterStreamPlayerOptions & {rate?: number}} ImfPlayerOptions
+ */
+
+/**
+ * Parse a type 0 or type 1 IMF file.
+ *
+ * The type is detected from the first word: type 1 files start with the
+ * song data length, type 0 files start directly with a command (whose
+ * first register is conventionally 0).
+ *
+ * @param {ArrayBuffer|Uint8Array} data - IMF file data
+ * @returns {ImfFile}
+ * @throws {Error} If the data is too short to be an IMF file
+ */
+export function parseIMF(data) {
+    const bytes = data instanceof ArrayBuffer ? new Uint8Array(data) : data;
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+    if (bytes.length < COMMAND_SIZE) {
+        throw new Error('Not an IMF file');
+    }
+
+    const lengthWord = view.getUint16(0, true);
+    const isType1 = lengthWord !== 0 &&
+        lengthWord % COMMAND_SIZE === 0 &&
+        lengthWord + 2 <= bytes.length;
+
+    const start = isType1 ? 2 : 0;
+    const end = isType1 ? start + lengthWord : bytes.length - (bytes.length % COMMAND_SIZE);
+
+    /** @type {ImfCommand[]} */
+    const commands = [];
+    let totalTicks = 0;
+    for (let pos = start; pos + COMMAND_SIZE <= end; pos += COMMAND_SIZE) {
+        const delay = view.getUint16(pos + 2, true);
+        commands.push({ reg: bytes[pos], value: bytes[pos + 1], delay });
+        totalTicks += delay;
+    }
+
+    return {
+        type: isType1 ? 1 : 0,
+        commands,
+        totalTicks,
+        tags: isType1 ? parseTags(bytes, end) : null,
+    };
+}
+
+/**
+ * Convert a parsed IMF file into a playable register stream.
+ *
+ * @param {ImfFile} imf - Parsed IMF file
+ * @param {number} [rate=560] - Tick rate in Hz; see {@link ImfRate}
+ * @returns {import('./player.js').RegisterStream}
+ */
+export function imfToStream(imf, rate = ImfRate.WOLF3D) {
+    /** @type {import('./player.js').RegisterEvent[]} */
+    const events = [];
+    let ticks = 0;
+
+    for (const cmd of imf.commands) {
+        events.push({ time: ticks / rate, chip: 0, reg: cmd.reg, value: cmd.value });
+        ticks += cmd.delay;
+    }
+
+    return {
+        events,
+        duration: ticks / rate,
+        loopStart: 0,
+        numChips: 1,
+    };
+}
+
+/**
+ * Plays IMF files through the raw OPL3 API.
+ *
+ * Works with AdlMidi for real-time playback and with AdlMidiCore for
+ * offline rendering; see {@link RegisterStreamPlayer} for the transport.
+ * Chip channels are reserved automatically and the C0h stereo output bits
+ * are patched so the OPL2 music is audible in libADLMIDI's OPL3 mode.
+ *
+ * @example
+ * ```javascript
+ * import { AdlMidi } from 'libadlmidi-js/full';
+ * import { ImfPlayer, ImfRate } from 'libadlmidi-js/formats/imf';
+ *
+ * const synth = new AdlMidi();
+ * await synth.init();
+ * const player = new ImfPlayer(synth, imfBytes, { rate: ImfRate.KEEN, loop: true });
+ * await player.play();
+ * ```
+ */
+export class ImfPlayer extends RegisterStreamPlayer {
+    /**
+     * Create an IMF player
+     * @param {import('./player.js').RawOplTarget} synth - AdlMidi or AdlMidiCore instance
+     * @param {ArrayBuffer|Uint8Array|ImfFile} data - IMF file data, or an already parsed file
+     * @param {ImfPlayerOptions} [options] - Player options plus the tick rate (default 560 Hz)
+     */
+    constructor(synth, data, options = {}) {
+        const { rate = ImfRate.WOLF3D, ...playerOptions } = options;
+        const imf = data instanceof ArrayBuffer || ArrayBuffer.isView(data)
+            ? parseIMF(/** @type {ArrayBuffer|Uint8Array} */ (data))
+            : /** @type {ImfFile} */ (data);
+        super(synth, imfToStream(imf, rate), { forceStereo: true, ...playerOptions });
+
+        /** Parsed IMF file being played */
+        this.imf = imf;
+        /** Tick rate in Hz */
+        this.rate = rate;
+    }
+}
+
+/**
+ * Parse the tag trailer that may follow type 1 song data: a 1Ah marker,
+ * then null-terminated title, composer and remarks, then the name of the
+ * program that wrote the file.
+ *
+ * @param {Uint8Array} bytes
+ * @param {number} offset - Offset just past the song data
+ * @returns {ImfTags|null}
+ */
+function parseTags(bytes, offset) {
+    if (bytes[offset] !== TAG_MARKER) {
+        return null;
+    }
+
+    /** @type {ImfTags} */
+    const tags = {};
+    let pos = offset + 1;
+    for (const field of /** @type {const} */ (['title', 'composer', 'remarks', 'program'])) {
+        if (pos >= bytes.length) break;
+        let text = '';
+        while (pos < bytes.length && bytes[pos] !== 0) {
+            text += String.fromCharCode(bytes[pos++]);
+        }
+        pos++;
+        tags[field] = text;
+    }
+
+    return tags;
+}
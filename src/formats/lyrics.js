@@ -0,0 +1,232 @@
+/**
+ * Lyrics for karaoke display.
+ *
+ * Reads a MIDI file's lyric (FF05) events, or for .kar files the text
+ * (FF01) events that carry the words, applies the usual line and paragraph
+ * markers, and follows playback through the song position libADLMIDI
+ * reports. AdlMidi and AdlMidiCore use this for getLyrics() and onLyric().
+ *
+ * @module formats/lyrics
+ */
+
+import { readSmfMetaEvents, createTempoMap, decodeMetaText } from './smf.js';
+
+/** Meta event types lyrics are read from */
+const META_TEXT = 0x01;
+const META_LYRIC = 0x05;
+
+/** Slack when comparing positions; libADLMIDI's clock drifts in the last bits */
+const POSITION_EPSILON = 1e-6;
+
+/**
+ * One syllable (or word) of a song's lyrics
+ * @typedef {Object} Lyric
+ * @property {string} text - Text to display, without line break markers
+ * @property {number} position - Song position in seconds
+ * @property {number} tick - Song position in MIDI ticks
+ * @property {boolean} newLine - Starts a new line
+ * @property {boolean} newParagraph - Starts a new paragraph (a new karaoke
+ *   page); implies newLine
+ */
+
+/**
+ * Lyric reached during playback
+ * @typedef {Object} LyricEvent
+ * @property {number} index - Index of the lyric in getLyrics()
+ * @property {string} text - As for {@link Lyric}
+ * @property {number} position - As for {@link Lyric}
+ * @property {number} tick - As for {@link Lyric}
+ * @property {boolean} newLine - As for {@link Lyric}
+ * @property {boolean} newParagraph - As for {@link Lyric}
+ * @property {number} [time] - AudioContext time of the block the lyric was
+ *   rendered in (AdlMidi only)
+ */
+
+/**
+ * A song's lyrics plus the state needed to follow them during playback.
+ *
+ * Call {@link advance} with the song position after each render to get
+ * the lyrics playback passed. A position behind the previous one is taken
+ * as a loop, so call {@link seek} after seeking or rewinding the song.
+ *
+ * @example
+ * ```javascript
+ * const feed = LyricFeed.fromMidi(midiData);
+ * feed.setLoop(core.getLoopStartTime(), core.getLoopEndTime());
+ * renderPage(feed.lyrics);
+ * core.play(512);
+ * for (const lyric of feed.advance(core.position)) highlight(lyric.index);
+ * ```
+ */
+export class LyricFeed {
+    /** @type {Lyric[]} */
+    #lyrics;
+    /** @type {number} */
+    #cursor = 0;
+    /** @type {number} */
+    #position = 0;
+    /** @type {number} */
+    #loopStart = -1;
+    /** @type {number} */
+    #loopEnd = -1;
+
+    /**
+     * @param {Lyric[]} lyrics - Lyrics in song order
+     */
+    constructor(lyrics) {
+        this.#lyrics = lyrics;
+    }
+
+    /**
+     * Extract the lyrics of a MIDI file.
+     *
+     * Lyric events are used when the file has any. Otherwise, for .kar
+     * files (recognised by their `@` header text events), the text events of
+     * the track holding the words are used, without the headers. Other
+     * formats libADLMIDI plays (XMI, MUS, ...) have no lyrics.
+     *
+     * @param {ArrayBuffer|Uint8Array} data - MIDI file data
+     * @returns {LyricFeed}
+     */
+    static fromMidi(data) {
+        const smf = readSmfMetaEvents(data);
+        if (!smf) {
+            return new LyricFeed([]);
+        }
+
+        let events = smf.events.filter(event => event.type === META_LYRIC);
+        const karaoke = events.length === 0;
+
+        if (karaoke) {
+            const texts = smf.events.filter(event => event.type === META_TEXT);
+            if (!texts.some(event => decodeMetaText(event.data).startsWith('@'))) {
+                return new LyricFeed([]);
+            }
+
+            // The words track is the one with the most non-header text
+            /** @type {Map<number, number>} */
+            const counts = new Map();
+            for (const event of texts) {
+                if (!decodeMetaText(event.data).startsWith('@')) {
+                    counts.set(event.track, (counts.get(event.track) ?? 0) + 1);
+                }
+            }
+            const wordsTrack = [...counts].sort((a, b) => b[1] - a[1])[0]?.[0];
+            events = texts.filter(event => event.track === wordsTrack);
+        }
+
+        const tickToSeconds = createTempoMap(smf.division, smf.events);
+        /** @type {Lyric[]} */
+        const lyrics = [];
+        let pendingLine = false;
+        let pendingParagraph = false;
+
+        for (const event of events) {
+            const raw = decodeMetaText(event.data);
+            const position = tickToSeconds(event.tick);
+
+            if (karaoke && raw.startsWith('@')) {
+                continue;
+            }
+
+            // Leading / or \ (and CR/LF) break before, trailing CR/LF after
+            let text = raw;
+            const lead = text[0];
+            if (lead === '\\' || lead === '\n') {
+                pendingParagraph = true;
+                text = text.slice(1);
+            } else if (lead === '/' || lead === '\r') {
+                pendingLine = true;
+                text = text.slice(1);
+            }
+
+            let breakAfter = '';
+            const trail = text[text.length - 1];
+            if (trail === '\r' || trail === '\n') {
+                breakAfter = trail;
+                text = text.replace(/[\r\n]+$/, '');
+            }
+
+            if (text.length > 0) {
+                lyrics.push({
+                    text,
+                    position,
+                    tick: event.tick,
+                    newLine: lyrics.length > 0 && (pendingLine || pendingParagraph),
+                    newParagraph: lyrics.length > 0 && pendingParagraph,
+                });
+                pendingLine = false;
+                pendingParagraph = false;
+            }
+
+            if (breakAfter === '\r') pendingLine = true;
+            if (breakAfter === '\n') pendingParagraph = true;
+        }
+
+        return new LyricFeed(lyrics);
+    }
+
+    /**
+     * All lyrics in song order
+     * @returns {Lyric[]}
+     */
+    get lyrics() {
+        return this.#lyrics.map(lyric => ({ ...lyric }));
+    }
+
+    /**
+     * Set the loop range playback wraps around, as reported by
+     * adl_loopStartTime() and adl_loopEndTime()
+     * @param {number} start - Loop start in seconds, or -1 to loop from the beginning
+     * @param {number} end - Loop end in seconds, or -1 to loop at the end
+     */
+    setLoop(start, end) {
+        this.#loopStart = start;
+        this.#loopEnd = end;
+    }
+
+    /**
+     * Move the feed to a song position, after a seek or rewind. A lyric at
+     * the position itself is reported by the next {@link advance}.
+     * @param {number} position - Song position in seconds
+     */
+    seek(position) {
+        const index = this.#lyrics.findIndex(lyric => lyric.position >= position - POSITION_EPSILON);
+        this.#cursor = index < 0 ? this.#lyrics.length : index;
+        this.#position = position;
+    }
+
+    /**
+     * Get the lyrics playback passed on its way to a song position.
+     *
+     * @param {number} position - Song position in seconds after the render
+     * @param {number} [time] - AudioContext time to attach to the lyrics
+     * @returns {LyricEvent[]} Lyrics reached, in song order
+     */
+    advance(position, time) {
+        /** @type {LyricEvent[]} */
+        const reached = [];
+        if (position < this.#position - POSITION_EPSILON) {
+            // Wrapped around a loop: finish the pass, then restart at the loop start
+            this.#collect(this.#loopEnd >= 0 ? this.#loopEnd : Infinity, reached, time);
+            this.seek(Math.max(0, this.#loopStart));
+        }
+        this.#collect(position, reached, time);
+        this.#position = position;
+        return reached;
+    }
+
+    /**
+     * Append lyrics up to and including a song position
+     * @param {number} position
+     * @param {LyricEvent[]} reached
+     * @param {number|undefined} time
+     */
+    #collect(position, reached, time) {
+        while (this.#cursor < this.#lyrics.length && this.#lyrics[this.#cursor].position <= position + POSITION_EPSILON) {
+            const index = this.#cursor++;
+            const lyric = this.#lyrics[index];
+            reached.push({ index, ...lyric, ...(time === undefined ? {} : { time }) });
+        }
+    }
+}
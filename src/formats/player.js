@@ -0,0 +1,606 @@
+/**
+ * Timed OPL register stream playback.
+ *
+ * Shared transport for chip-log formats (DRO and friends): plays a list of
+ * timestamped register writes through the raw OPL3 API of either an AdlMidi
+ * (real-time, AudioWorklet) or an AdlMidiCore (offline rendering). Format
+ * modules convert their files to a {@link RegisterStream} and subclass
+ * {@link RegisterStreamPlayer}.
+ *
+ * @module formats/player
+ */
+
+import { CHANNEL_OPERATORS, CHANNELS_PER_CHIP, channelMask } from '../utils/opl3.js';
+
+/** Every per-chip channel, including the rhythm-mode percussion channels */
+const ALL_CHANNELS = channelMask(...Array.from({ length: CHANNELS_PER_CHIP }, (_, i) => i));
+
+/** How far ahead of the audio clock real-time playback schedules writes (seconds);
+ * only used when the worklet applies writes on their timestamp */
+const LOOKAHEAD_SECONDS = 0.1;
+
+/** Interval of the real-time scheduling loop (ms) */
+const SCHEDULE_INTERVAL_MS = 25;
+
+/** Minimum interval between position events during real-time playback (ms) */
+const POSITION_INTERVAL_MS = 50;
+
+/**
+ * A register write at a point in time
+ * @typedef {Object} RegisterEvent
+ * @property {number} time - Time in seconds from the start of the stream
+ * @property {number} chip - Zero-based chip index
+ * @property {number} reg - OPL3 register address (0x000-0x1FF, bit 8 selects bank)
+ * @property {number} value - Register value (0-255)
+ */
+
+/**
+ * A playable register stream
+ * @typedef {Object} RegisterStream
+ * @property {RegisterEvent[]} events - Register writes sorted by time
+ * @property {number} duration - Total length in seconds
+ * @property {number} [loopStart=0] - Time playback jumps back to when looping
+ * @property {number} [numChips=1] - Number of chips the stream addresses
+ */
+
+/**
+ * Options for {@link RegisterStreamPlayer}
+ * @typedef {Object} RegisterStreamPlayerOptions
+ * @property {boolean} [loop=false] - Loop back to the stream's loop start at the end
+ * @property {boolean|number[]} [forceStereo=false] - Set both OPL3 output bits
+ *   on C0h writes that have neither set, on every chip (true) or only on the
+ *   listed chip indices. OPL2 streams never set them, and libADLMIDI runs the
+ *   chip in OPL3 mode where they gate audio output.
+ */
+
+/**
+ * Minimal synth surface the player needs. Both AdlMidi and AdlMidiCore
+ * satisfy it: AdlMidi provides the AudioContext clock and timed writes for
+ * real-time playback, AdlMidiCore provides generate() for offline use.
+ * @typedef {Object} RawOplTarget
+ * @property {function(number, number, number, number=): any} rawOPL3
+ * @property {function(number, number): any} reserveChipChannels
+ * @property {function(): void} [cancelScheduledEvents]
+ * @property {boolean} [supportsScheduling] - True if rawOPL3() honours its `when` argument
+ * @property {BaseAudioContext|null} [audioContext]
+ * @property {function(number): Float32Array} [generate]
+ * @property {number} [sampleRate]
+ */
+
+/**
+ * Plays a {@link RegisterStream} through the raw OPL3 API.
+ *
+ * With an AdlMidi target, {@link play} schedules the writes slightly ahead
+ * of the AudioContext clock and the worklet applies each on its exact
+ * sample. If the worklet does not support scheduling, each write is sent
+ * when it falls due instead, on a timer that follows the AudioContext
+ * clock. With an AdlMidiCore target, call {@link render} to pull audio
+ * offline; writes are likewise applied on exact sample boundaries.
+ *
+ * The player reserves every channel on the chips it uses so the MIDI
+ * voice allocator stays out of the way; call {@link release} to hand them
+ * back.
+ */
+export class RegisterStreamPlayer {
+    /** @type {RawOplTarget} */
+    #synth;
+    /** @type {RegisterStream} */
+    #stream;
+    /** @type {Set<number>} Chips whose C0h writes get both output bits */
+    #forceStereo;
+    /** @type {boolean} */
+    #loop;
+    /** @type {boolean} */
+    #prepared = false;
+    /** @type {boolean} */
+    #playing = false;
+    /** @type {boolean} Whether real-time writes are handed over ahead with a `when` time */
+    #scheduled = false;
+    /** @type {number} Index of the next event to write */
+    #index = 0;
+    /** @type {number} Current stream time in seconds */
+    #time = 0;
+    /** @type {number} Rendered frames since #time was last set (offline only) */
+    #frame = 0;
+    /** @type {number} Stream time of the current timeline anchor */
+    #startTime = 0;
+    /** @type {number} AudioContext time at which #startTime plays (real-time only) */
+    #startCtx = 0;
+    /** @type {boolean} True if the anchor was moved to the next loop pass ahead of the clock */
+    #wrapped = false;
+    /** @type {number} */
+    #lastPositionEvent = 0;
+    /** @type {boolean} Whether 'ended' fired since the last seek (offline only) */
+    #endedNotified = false;
+    /** @type {ReturnType<typeof setTimeout>|null} */
+    #timer = null;
+    /** @type {Map<string, Set<Function>>} */
+    #handlers = new Map([['position', new Set()], ['ended', new Set()]]);
+
+    /**
+     * Create a player
+     * @param {RawOplTarget} synth - AdlMidi or AdlMidiCore instance
+     * @param {RegisterStream} stream - Register stream to play
+     * @param {RegisterStreamPlayerOptions} [options]
+     */
+    constructor(synth, stream, options = {}) {
+        this.#synth = synth;
+        this.#stream = stream;
+        const forceStereo = options.forceStereo ?? false;
+        this.#forceStereo = new Set(forceStereo === true
+            ? Array.from({ length: this.#numChips }, (_, chip) => chip)
+            : forceStereo || []);
+        this.#loop = options.loop ?? false;
+    }
+
+    /**
+     * Total stream length in seconds
+     * @returns {number}
+     */
+    get duration() {
+        return this.#stream.duration;
+    }
+
+    /**
+     * Current playback position in seconds
+     * @returns {number}
+     */
+    get position() {
+        if (this.#playing && !this.#isOffline) {
+            return this.#elapsed();
+        }
+        return this.#time;
+    }
+
+    /**
+     * Whether real-time playback is running
+     * @returns {boolean}
+     */
+    get playing() {
+        return this.#playing;
+    }
+
+    /**
+     * Whether playback loops at the end of the stream
+     * @returns {boolean}
+     */
+    get loop() {
+        return this.#loop;
+    }
+
+    /**
+     * @param {boolean} enabled
+     */
+    set loop(enabled) {
+        this.#loop = enabled;
+    }
+
+    /**
+     * Reserve the stream's chip channels and reset their registers.
+     * Called automatically by {@link play} and {@link render}.
+     * @returns {Promise<void>}
+     */
+    async prepare() {
+        if (this.#prepared) return;
+        for (let chip = 0; chip < this.#numChips; chip++) {
+            await this.#synth.reserveChipChannels(chip, ALL_CHANNELS);
+        }
+        this.#prepared = true;
+        this.#resetChips();
+    }
+
+    /**
+     * Start or resume real-time playback (AdlMidi targets)
+     * @returns {Promise<void>}
+     */
+    async play() {
+        if (this.#isOffline) {
+            throw new Error('Offline targets are driven with render(), not play()');
+        }
+        if (this.#playing) return;
+
+        await this.prepare();
+        if (this.#index >= this.#stream.events.length) {
+            this.#seekTo(0);
+        } else {
+            this.#seekTo(this.#time);
+        }
+
+        this.#playing = true;
+        this.#scheduled = this.#synth.supportsScheduling === true;
+        this.#startTime = this.#time;
+        this.#startCtx = this.#now() + this.#lead;
+        this.#wrapped = false;
+        this.#tick();
+    }
+
+    /**
+     * Pause real-time playback, silencing the chips. {@link play} resumes
+     * from the same position.
+     */
+    pause() {
+        if (!this.#playing) return;
+        this.#time = this.#elapsed();
+        this.#halt();
+    }
+
+    /**
+     * Stop playback, silence the chips and rewind to the beginning
+     */
+    stop() {
+        this.#halt();
+        this.#index = 0;
+        this.#time = 0;
+        this.#startTime = 0;
+        this.#frame = 0;
+        this.#endedNotified = false;
+    }
+
+    /**
+     * Jump to a position. The register state at that point is rebuilt, so
+     * notes already sounding there keep sounding.
+     * @param {number} seconds - Position in seconds
+     */
+    seek(seconds) {
+        const target = Math.min(Math.max(0, seconds), this.#stream.duration);
+        if (!this.#prepared) {
+            // Applied when playback or rendering prepares the chips
+            this.#time = target;
+            this.#index = this.#indexAt(target);
+            return;
+        }
+
+        if (this.#playing) {
+            this.#clearTimer();
+            this.#synth.cancelScheduledEvents?.();
+            this.#seekTo(target);
+            this.#startCtx = this.#now() + this.#lead;
+            this.#wrapped = false;
+            this.#tick();
+        } else {
+            this.#seekTo(target);
+        }
+    }
+
+    /**
+     * Render audio offline (AdlMidiCore targets). Register writes land on
+     * exact sample positions. After the end of a non-looping stream the
+     * chips keep generating (release tails, then silence).
+     * @param {number} frames - Number of stereo frames to render
+     * @returns {Promise<Float32Array>} Stereo interleaved audio samples (-1 to +1)
+     */
+    async render(frames) {
+        const synth = this.#synth;
+        if (!synth.generate) {
+            throw new Error('render() requires an AdlMidiCore target');
+        }
+        if (!this.#prepared) {
+            const resumeAt = this.#time;
+            await this.prepare();
+            this.#seekTo(resumeAt);
+        }
+
+        const sampleRate = synth.sampleRate || 44100;
+        const events = this.#stream.events;
+        const output = new Float32Array(frames * 2);
+        let done = 0;
+
+        while (done < frames) {
+            // Events are due once their rounded frame has been reached
+            const baseFrame = Math.round(this.#startTime * sampleRate);
+            const ended = this.#advance((baseFrame + this.#frame + 0.5) / sampleRate);
+            if (ended && this.#canLoop) {
+                this.#jumpToLoop();
+                continue;
+            }
+            if (ended && !this.#endedNotified) {
+                this.#endedNotified = true;
+                this.#emit('ended');
+            }
+
+            // Render up to the next event, the end of the stream, or free-run past it
+            let count = frames - done;
+            if (!ended) {
+                const nextTime = this.#index < events.length ? events[this.#index].time : this.#stream.duration;
+                const nextFrame = Math.round(nextTime * sampleRate) - baseFrame;
+                count = Math.max(1, Math.min(count, nextFrame - this.#frame));
+            }
+
+            output.set(synth.generate(count), done * 2);
+            done += count;
+            this.#frame += count;
+            this.#time = Math.min(this.#startTime + this.#frame / sampleRate, this.#stream.duration);
+        }
+
+        this.#emit('position', this.#time);
+        return output;
+    }
+
+    /**
+     * Release the reserved chip channels and silence the chips
+     * @returns {Promise<void>}
+     */
+    async release() {
+        this.#halt();
+        if (!this.#prepared) return;
+        for (let chip = 0; chip < this.#numChips; chip++) {
+            await this.#synth.reserveChipChannels(chip, 0);
+        }
+        this.#prepared = false;
+    }
+
+    /**
+     * Register a handler for position updates (seconds)
+     * @param {function(number): void} handler
+     * @returns {function(): void} Unsubscribe function
+     */
+    onPosition(handler) {
+        return this.#subscribe('position', handler);
+    }
+
+    /**
+     * Register a handler for when a non-looping stream reaches its end
+     * @param {function(): void} handler
+     * @returns {function(): void} Unsubscribe function
+     */
+    onEnded(handler) {
+        return this.#subscribe('ended', handler);
+    }
+
+    // ================== Private ==================
+
+    /** @returns {boolean} */
+    get #isOffline() {
+        return typeof this.#synth.generate === 'function';
+    }
+
+    /** @returns {boolean} Whether the stream has a non-empty loop range */
+    get #canLoop() {
+        return this.#loop && this.#stream.duration > (this.#stream.loopStart ?? 0);
+    }
+
+    /** @returns {number} */
+    get #numChips() {
+        return this.#stream.numChips || 1;
+    }
+
+    /** @returns {number} Delay between handing a write over and hearing it (seconds) */
+    get #lead() {
+        return this.#scheduled ? LOOKAHEAD_SECONDS : 0;
+    }
+
+    /** @returns {number} Current AudioContext time */
+    #now() {
+        return this.#synth.audioContext?.currentTime ?? performance.now() / 1000;
+    }
+
+    /** @returns {number} Stream position currently audible in real time */
+    #elapsed() {
+        const offset = this.#now() - this.#startCtx;
+        if (offset < 0) {
+            // Still hearing the end of the previous loop pass, or the start lead-in
+            return this.#wrapped
+                ? Math.max(this.#startTime, this.#stream.duration + offset)
+                : this.#startTime;
+        }
+        return Math.min(this.#startTime + offset, this.#stream.duration);
+    }
+
+    /**
+     * Write every event due at or before a time.
+     * @param {number} time - Stream time in seconds
+     * @returns {boolean} True if the stream is exhausted and its duration reached
+     */
+    #advance(time) {
+        const events = this.#stream.events;
+        while (this.#index < events.length && events[this.#index].time <= time) {
+            this.#write(events[this.#index]);
+            this.#index++;
+        }
+        return this.#index >= events.length && time >= this.#stream.duration;
+    }
+
+    /**
+     * Real-time scheduling loop: hand the worklet every write due within the
+     * lookahead, or every write already due if it cannot schedule them
+     */
+    #tick() {
+        this.#timer = null;
+        if (!this.#playing) return;
+
+        const events = this.#stream.events;
+        const horizon = this.#now() + this.#lead;
+
+        for (;;) {
+            while (this.#index < events.length) {
+                const event = events[this.#index];
+                const when = this.#startCtx + (event.time - this.#startTime);
+                if (when > horizon) break;
+                this.#write(event, this.#scheduled ? when : undefined);
+                this.#index++;
+            }
+
+            const endCtx = this.#startCtx + (this.#stream.duration - this.#startTime);
+            if (this.#index < events.length || endCtx > horizon || !this.#canLoop) break;
+
+            // Continue seamlessly from the loop start where this pass ends
+            this.#jumpToLoop();
+            this.#startCtx = endCtx;
+            this.#wrapped = true;
+        }
+
+        const position = this.#elapsed();
+        const wall = performance.now();
+        if (wall - this.#lastPositionEvent >= POSITION_INTERVAL_MS) {
+            this.#lastPositionEvent = wall;
+            this.#emit('position', position);
+        }
+
+        if (this.#index >= events.length && !this.#canLoop && position >= this.#stream.duration) {
+            this.#time = this.#stream.duration;
+            this.#halt();
+            this.#emit('position', this.#time);
+            this.#emit('ended');
+            return;
+        }
+
+        this.#timer = setTimeout(() => this.#tick(), this.#scheduled ? SCHEDULE_INTERVAL_MS : this.#nextDueDelay());
+    }
+
+    /**
+     * Time until the next unscheduled write falls due. Measured against the
+     * timeline anchor rather than the last tick, so timer jitter does not
+     * accumulate.
+     * @returns {number} Delay in ms, capped to keep position events flowing
+     */
+    #nextDueDelay() {
+        const events = this.#stream.events;
+        const next = this.#index < events.length ? events[this.#index].time : this.#stream.duration;
+        const due = this.#startCtx + (next - this.#startTime);
+        return Math.min(Math.max(0, (due - this.#now()) * 1000), POSITION_INTERVAL_MS);
+    }
+
+    /** Continue from the loop start without resetting the chips */
+    #jumpToLoop() {
+        const loopStart = this.#stream.loopStart ?? 0;
+        this.#index = this.#indexAt(loopStart);
+        this.#time = loopStart;
+        this.#startTime = loopStart;
+        this.#frame = 0;
+    }
+
+    /**
+     * Rebuild the chip state at a time: reset, then write the last value
+     * of every register touched before that time, in the order of their
+     * last writes.
+     * @param {number} time
+     */
+    #seekTo(time) {
+        this.#resetChips();
+
+        const events = this.#stream.events;
+        const end = this.#indexAt(time);
+        /** @type {Map<number, RegisterEvent>} */
+        const latest = new Map();
+        for (let i = 0; i < end; i++) {
+            const event = events[i];
+            const key = (event.chip << 9) | event.reg;
+            latest.delete(key);
+            latest.set(key, event);
+        }
+        for (const event of latest.values()) {
+            this.#write(event);
+        }
+
+        this.#index = end;
+        this.#time = time;
+        this.#startTime = time;
+        this.#frame = 0;
+        this.#endedNotified = false;
+    }
+
+    /**
+     * Index of the first event after a time
+     * @param {number} time
+     * @returns {number}
+     */
+    #indexAt(time) {
+        const events = this.#stream.events;
+        let lo = 0;
+        let hi = events.length;
+        while (lo < hi) {
+            const mid = (lo + hi) >> 1;
+            if (events[mid].time < time) {
+                lo = mid + 1;
+            } else {
+                hi = mid;
+            }
+        }
+        return lo;
+    }
+
+    /**
+     * @param {RegisterEvent} event
+     * @param {number} [when] - AudioContext time to apply the write at (real-time only)
+     */
+    #write(event, when) {
+        let value = event.value;
+        const low = event.reg & 0xFF;
+        if (this.#forceStereo.has(event.chip) && low >= 0xC0 && low <= 0xC8 && (value & 0x30) === 0) {
+            value |= 0x30;
+        }
+        if (when === undefined) {
+            this.#synth.rawOPL3(event.chip, event.reg, value);
+        } else {
+            this.#synth.rawOPL3(event.chip, event.reg, value, when);
+        }
+    }
+
+    /** Stop the scheduler, drop writes already handed to the worklet and silence the chips */
+    #halt() {
+        const wasPlaying = this.#playing;
+        this.#playing = false;
+        this.#clearTimer();
+        if (wasPlaying) {
+            this.#synth.cancelScheduledEvents?.();
+        }
+        if (this.#prepared) {
+            this.#resetChips();
+        }
+    }
+
+    #clearTimer() {
+        if (this.#timer !== null) {
+            clearTimeout(this.#timer);
+            this.#timer = null;
+        }
+    }
+
+    /** Return the stream's chips to power-on register defaults */
+    #resetChips() {
+        const synth = this.#synth;
+        for (let chip = 0; chip < this.#numChips; chip++) {
+            // Disable 4-op mode (libADLMIDI enables this during init)
+            synth.rawOPL3(chip, 0x104, 0x00);
+            for (let bank = 0; bank <= 0x100; bank += 0x100) {
+                for (let ch = 0; ch < 9; ch++) {
+                    // Key off + clear frequency and feedback/connection
+                    synth.rawOPL3(chip, 0xB0 + ch + bank, 0x00);
+                    synth.rawOPL3(chip, 0xA0 + ch + bank, 0x00);
+                    synth.rawOPL3(chip, 0xC0 + ch + bank, 0x00);
+                }
+                for (const [mod, car] of CHANNEL_OPERATORS.slice(bank ? 9 : 0, bank ? 18 : 9)) {
+                    for (const op of [mod, car]) {
+                        synth.rawOPL3(chip, 0x20 + op + bank, 0x00);
+                        synth.rawOPL3(chip, 0x40 + op + bank, 0x3F);
+                        synth.rawOPL3(chip, 0x60 + op + bank, 0x00);
+                        synth.rawOPL3(chip, 0x80 + op + bank, 0x00);
+                        synth.rawOPL3(chip, 0xE0 + op + bank, 0x00);
+                    }
+                }
+            }
+            // Rhythm mode off
+            synth.rawOPL3(chip, 0xBD, 0x00);
+        }
+    }
+
+    /**
+     * @param {string} type
+     * @param {Function} handler
+     * @returns {function(): void}
+     */
+    #subscribe(type, handler) {
+        this.#handlers.get(type)?.add(handler);
+        return () => {
+            this.#handlers.get(type)?.delete(handler);
+        };
+    }
+
+    /**
+     * @param {string} type
+     * @param {...any} args
+     */
+    #emit(type, ...args) {
+        this.#handlers.get(type)?.forEach(handler => handler(...args));
+    }
+}
@@ -0,0 +1,1275 @@
+/**
+ * Reality Adlib Tracker (RAD) module support.
+ *
+ * Parses RAD v1.1 (file version 1.0) and RAD v2.1 modules and plays them
+ * through the raw OPL3 API with {@link RadPlayer}. The module is run through
+ * a replayer modelled on Reality's reference player (patterns, order list
+ * with jump markers, effects, 2-op and 4-op instruments, channel and
+ * instrument riffs) and compiled into a timed register stream, so the usual
+ * transport controls and offline rendering apply.
+ *
+ * RAD v2 tunes were composed against the Opal emulator; select
+ * `Emulator.OPAL` on the synth for the sound the composer heard.
+ *
+ * @module formats/rad
+ */
+
+import { RegisterStreamPlayer } from './player.js';
+
+/** File signature shared by all RAD versions */
+export const RAD_SIGNATURE = 'RAD by REALiTY!!';
+
+/** Channels in a RAD tune */
+const CHANNELS = 9;
+
+/** Lines per pattern (and per riff) */
+const TRACK_LINES = 64;
+
+/** Replay rate when the tune sets neither the slow timer nor a BPM */
+const DEFAULT_HZ = 50;
+
+/** Replay rate of the slow-timer flag (the PC timer's default rate) */
+const SLOW_TIMER_HZ = 18.2;
+
+/** Limit on riffs starting instruments that start riffs of their own */
+const MAX_RIFF_DEPTH = 8;
+
+/** F-numbers for notes 1-12 (C# to C) */
+const NOTE_FREQS = [0, 0x16B, 0x181, 0x198, 0x1B0, 0x1CA, 0x1E5, 0x202, 0x220, 0x241, 0x263, 0x287, 0x2AE];
+
+/** F-number range a portamento stays within before changing octave */
+const FREQ_LOW = 0x156;
+const FREQ_HIGH = 0x2AE;
+
+/** Note value for key-off */
+const KEY_OFF_NOTE = 15;
+
+/** RAD effects; letters are base-36 digits */
+const Effect = Object.freeze({
+    PORTAMENTO_UP: 0x1,
+    PORTAMENTO_DOWN: 0x2,
+    TONE_SLIDE: 0x3,
+    TONE_VOL_SLIDE: 0x5,
+    VOL_SLIDE: 0xA,
+    SET_VOL: 0xC,
+    JUMP_TO_LINE: 0xD,
+    SET_SPEED: 0xF,
+    IGNORE: 18,       // I: play riff note untransposed
+    MULTIPLIER: 22,   // M: operator multiplier (instrument riffs)
+    RIFF: 27,         // R: start channel riff
+    TRANSPOSE: 29,    // T: start channel riff transposed to the note
+    FEEDBACK: 30,     // U: feedback (instrument riffs)
+    VOLUME: 31,       // V: operator volume (instrument riffs)
+});
+
+/** Where a note comes from; effects are kept separately for each */
+const SOURCE_TRACK = 0;
+const SOURCE_RIFF = 1;
+const SOURCE_INSTRUMENT_RIFF = 2;
+
+/** Channel key state flags */
+const KEY_ON = 1;
+const KEY_OFF = 2;
+const KEYED_ON = 4;
+
+/** OPL3 layout: first register pair of each RAD channel (4-op capable for 0-5) */
+const CHAN_OFFSETS_3 = [0x000, 0x001, 0x002, 0x100, 0x101, 0x102, 0x006, 0x007, 0x008];
+
+/** OPL3 layout: second register pair of each RAD channel */
+const CHAN2_OFFSETS_3 = [0x003, 0x004, 0x005, 0x103, 0x104, 0x105, 0x106, 0x107, 0x108];
+
+/** OPL3 layout: operator offsets per channel, carrier of the second pair first */
+const OP_OFFSETS_3 = [
+    [0x00B, 0x008, 0x003, 0x000],
+    [0x00C, 0x009, 0x004, 0x001],
+    [0x00D, 0x00A, 0x005, 0x002],
+    [0x10B, 0x108, 0x103, 0x100],
+    [0x10C, 0x109, 0x104, 0x101],
+    [0x10D, 0x10A, 0x105, 0x102],
+    [0x113, 0x110, 0x013, 0x010],
+    [0x114, 0x111, 0x014, 0x011],
+    [0x115, 0x112, 0x015, 0x012],
+];
+
+/** OPL2 layout (v1 tunes): operator offsets per channel, carrier first */
+const OP_OFFSETS_2 = [
+    [0x03, 0x00], [0x04, 0x01], [0x05, 0x02],
+    [0x0B, 0x08], [0x0C, 0x09], [0x0D, 0x0A],
+    [0x13, 0x10], [0x14, 0x11], [0x15, 0x12],
+];
+
+/** Which of the four operators are carriers, per algorithm */
+const ALG_CARRIERS = [
+    [true, false, false, false],   // 0: 2-op FM
+    [true, true, false, false],    // 1: 2-op additive
+    [true, false, false, false],   // 2: 4-op, all in series
+    [true, false, false, true],    // 3: 4-op, three in series plus one
+    [true, false, true, false],    // 4: two 2-op FM pairs
+    [true, false, true, true],     // 5: 2-op FM pair plus two
+    [true, true, true, true],      // 6: all additive
+];
+
+/** Operator data loaded for unused operators of 2-op instruments */
+const BLANK_OPERATOR = [0x00, 0x3F, 0x00, 0xF0, 0x00];
+
+/**
+ * A RAD instrument. Operators are listed carrier-first, each as the five
+ * register bytes 20h, 40h, 60h, 80h and E0h.
+ * @typedef {Object} RadInstrument
+ * @property {string} name - Instrument name (empty for v1 tunes)
+ * @property {number} algorithm - 0-6, or 7 for a MIDI instrument (not played)
+ * @property {number[]} panning - Panning for the two operator pairs (0 = both, 1 = left, 2 = right)
+ * @property {number[]} feedback - Feedback for the two operator pairs
+ * @property {number} detune - Detune between the two operator pairs
+ * @property {number} riffSpeed - Speed of the instrument riff
+ * @property {number} volume - Instrument volume (0-64)
+ * @property {number[][]} operators - Four operators of five register bytes
+ * @property {Uint8Array|null} riff - Instrument riff data, if any
+ */
+
+/**
+ * Parsed RAD module
+ * @typedef {Object} RadModule
+ * @property {1|2} version - Format generation: 1 for RAD 1.x, 2 for RAD 2.x
+ * @property {string} description - Tune description, with line breaks as '\n'
+ * @property {number} speed - Initial speed in ticks per line
+ * @property {number} hz - Replay rate in ticks per second
+ * @property {(RadInstrument|null)[]} instruments - Instruments by number - 1
+ * @property {number[]} orderList - Pattern numbers, with bit 7 marking a jump to another order
+ * @property {(Uint8Array|null)[]} patterns - Packed pattern data by pattern number
+ * @property {(Uint8Array|null)[][]} riffs - Packed riff data by riff number and channel - 1
+ */
+
+/**
+ * Parse a RAD v1.1 or v2.1 module.
+ *
+ * @param {ArrayBuffer|Uint8Array} data - RAD file data
+ * @returns {RadModule}
+ * @throws {Error} If the data is not a RAD module, uses an unsupported version or is truncated
+ */
+export function parseRAD(data) {
+    const bytes = data instanceof ArrayBuffer ? new Uint8Array(data) : data;
+
+    if (bytes.length < 18 || String.fromCharCode(...bytes.slice(0, 16)) !== RAD_SIGNATURE) {
+        throw new Error('Not a RAD file');
+    }
+
+    const version = bytes[16];
+    if (version === 0x10) {
+        return parseRADv1(bytes);
+    } else if (version === 0x21) {
+        return parseRADv2(bytes);
+    } else {
+        throw new Error(`Unsupported RAD version ${version >> 4}.${version & 0x0F}`);
+    }
+}
+
+/**
+ * Run a RAD module through the replayer and compile it into a register
+ * stream. RAD tunes always repeat; the stream ends where the order list
+ * comes back to an already played position, which becomes the loop start.
+ *
+ * @param {RadModule} rad - Parsed RAD module
+ * @param {{maxSeconds?: number}} [options] - Safety limit on stream length (default 3600)
+ * @returns {import('./player.js').RegisterStream}
+ */
+export function radToStream(rad, options = {}) {
+    const { maxSeconds = 3600 } = options;
+
+    const replayer = new RadReplayer(rad);
+    const maxTicks = Math.ceil(maxSeconds * rad.hz);
+    /** @type {Map<number, number>} Tick each (order, line) entry point was first played at */
+    const entries = new Map();
+    let loopTick = 0;
+
+    while (replayer.tick < maxTicks) {
+        // An order is "entered" on the tick its first line plays
+        if (replayer.enteredOrder && replayer.speedCnt <= 1) {
+            replayer.enteredOrder = false;
+            const key = replayer.order * TRACK_LINES + replayer.line;
+            const firstTick = entries.get(key);
+            if (firstTick !== undefined) {
+                loopTick = firstTick;
+                break;
+            }
+            entries.set(key, replayer.tick);
+        }
+        replayer.update();
+    }
+
+    return {
+        events: replayer.events,
+        duration: replayer.tick / rad.hz,
+        loopStart: loopTick / rad.hz,
+        numChips: 1,
+    };
+}
+
+/**
+ * Plays Reality Adlib Tracker modules through the raw OPL3 API.
+ *
+ * Works with AdlMidi for real-time playback and with AdlMidiCore for
+ * offline rendering; see {@link RegisterStreamPlayer} for the transport.
+ * The whole chip is reserved while the player is prepared. With `loop`
+ * enabled, playback wraps to the tune's repeat point like the tracker does.
+ *
+ * @example
+ * ```javascript
+ * import { AdlMidi } from 'libadlmidi-js/full';
+ * import { Emulator } from 'libadlmidi-js/constants';
+ * import { RadPlayer } from 'libadlmidi-js/formats/rad';
+ *
+ * const synth = new AdlMidi();
+ * await synth.init();
+ * await synth.switchEmulator(Emulator.OPAL);
+ * const player = new RadPlayer(synth, radBytes, { loop: true });
+ * console.log(player.rad.description);
+ * await player.play();
+ * ```
+ */
+export class RadPlayer extends RegisterStreamPlayer {
+    /**
+     * Create a RAD player
+     * @param {import('./player.js').RawOplTarget} synth - AdlMidi or AdlMidiCore instance
+     * @param {ArrayBuffer|Uint8Array|RadModule} data - RAD file data, or an already parsed module
+     * @param {import('./player.js').RegisterStreamPlayerOptions} [options]
+     */
+    constructor(synth, data, options = {}) {
+        const rad = data instanceof ArrayBuffer || ArrayBuffer.isView(data)
+            ? parseRAD(/** @type {ArrayBuffer|Uint8Array} */ (data))
+            : /** @type {RadModule} */ (data);
+        super(synth, radToStream(rad), options);
+
+        /** Parsed RAD module being played */
+        this.rad = rad;
+    }
+}
+
+/**
+ * @typedef {Object} RadEffects
+ * @property {number} portSlide
+ * @property {number} volSlide
+ * @property {number} toneSlideDir
+ * @property {number} toneSlideSpeed
+ * @property {number} toneSlideFreq
+ * @property {number} toneSlideOct
+ */
+
+/**
+ * @typedef {Object} RadRiff
+ * @property {RadEffects} fx
+ * @property {Uint8Array|null} data - Riff data
+ * @property {number} pos - Offset of the next line, or -1 past the last line
+ * @property {number} line
+ * @property {number} speed
+ * @property {number} speedCnt - 0 when the riff is not running
+ * @property {number} transposeNote
+ * @property {number} transposeOctave
+ * @property {number} lastInstrument
+ */
+
+/**
+ * @typedef {Object} RadChannel
+ * @property {number} lastInstrument
+ * @property {RadInstrument|null} instrument
+ * @property {number} volume
+ * @property {number} detuneA
+ * @property {number} detuneB
+ * @property {number} keyFlags
+ * @property {number} currFreq
+ * @property {number} currOctave
+ * @property {RadEffects} fx
+ * @property {RadRiff} riff - Channel riff started with R/T
+ * @property {RadRiff} iriff - Riff of the current instrument
+ */
+
+/**
+ * @typedef {Object} RadNote
+ * @property {number} next - Offset after the entry
+ * @property {number} channel - Channel (or operator column in instrument riffs)
+ * @property {boolean} last - True for the last entry of the line
+ * @property {number} note - 1-12, 15 for key-off, 0 for none
+ * @property {number} octave
+ * @property {number} instrument - Instrument number, 0 for none
+ * @property {number} effect
+ * @property {number} param
+ */
+
+/**
+ * Tick-based RAD replayer that records its register writes.
+ */
+class RadReplayer {
+    /** @param {RadModule} rad */
+    constructor(rad) {
+        this.rad = rad;
+        /** v1 tunes use the plain OPL2 channel layout */
+        this.opl3 = rad.version >= 2;
+        this.regs = new Uint8Array(0x200);
+        /** @type {import('./player.js').RegisterEvent[]} */
+        this.events = [];
+        this.tick = 0;
+        this.riffDepth = 0;
+
+        /** @type {RadChannel[]} */
+        this.channels = Array.from({ length: CHANNELS }, () => ({
+            lastInstrument: 0,
+            instrument: null,
+            volume: 0,
+            detuneA: 0,
+            detuneB: 0,
+            keyFlags: 0,
+            currFreq: 0,
+            currOctave: 0,
+            fx: newEffects(),
+            riff: newRiff(),
+            iriff: newRiff(),
+        }));
+
+        this.speed = rad.speed;
+        this.speedCnt = 1;
+        this.order = 0;
+        this.line = 0;
+        this.lineJump = -1;
+        /** @type {Uint8Array|null} */
+        this.track = null;
+        this.trackPos = -1;
+        this.enteredOrder = false;
+
+        this.initChip();
+        this.enterOrder();
+    }
+
+    /** Clear the chip and put it in the state the tracker expects */
+    initChip() {
+        for (let reg = 0x20; reg < 0xF6; reg++) {
+            // Let envelopes decay all the way
+            const value = reg >= 0x60 && reg < 0xA0 ? 0xFF : 0;
+            this.setReg(reg, value);
+            this.setReg(reg + 0x100, value);
+        }
+        this.setReg(0x01, 0x20);    // Allow waveforms
+        this.setReg(0x08, 0x00);    // No split point
+        this.setReg(0xBD, 0x00);    // No rhythm mode
+        this.setReg(0x104, 0x00);   // Everything 2-op until an instrument says otherwise
+        this.setReg(0x105, 0x01);   // OPL3 mode
+    }
+
+    /**
+     * @param {number} reg
+     * @param {number} value
+     */
+    setReg(reg, value) {
+        this.regs[reg] = value;
+        this.events.push({ time: this.tick / this.rad.hz, chip: 0, reg, value });
+    }
+
+    /** Advance one replay tick */
+    update() {
+        this.channels.forEach((chan, i) => {
+            this.tickRiff(i, chan.iriff, false);
+            this.tickRiff(i, chan.riff, true);
+        });
+
+        this.playLine();
+
+        this.channels.forEach((chan, i) => {
+            this.continueFX(i, chan.iriff.fx);
+            this.continueFX(i, chan.riff.fx);
+            this.continueFX(i, chan.fx);
+        });
+
+        this.tick++;
+    }
+
+    /** Play the current pattern line once the speed counter runs out */
+    playLine() {
+        if (--this.speedCnt > 0) return;
+        this.speedCnt = this.speed;
+
+        for (const chan of this.channels) {
+            resetEffects(chan.fx);
+        }
+        this.lineJump = -1;
+
+        const track = this.track;
+        if (track && this.trackPos >= 0 && (track[this.trackPos] & 0x7F) <= this.line) {
+            const lineId = track[this.trackPos];
+            let pos = this.trackPos + 1;
+            let entry;
+            do {
+                const channel = this.channels[track[pos] & 0x0F];
+                entry = this.unpackNote(track, pos, channel ?? { lastInstrument: 0 });
+                pos = entry.next;
+                if (channel) {
+                    this.playNote(entry.channel, entry.note, entry.octave, entry.instrument,
+                        entry.effect, entry.param);
+                }
+            } while (!entry.last && pos < track.length);
+
+            this.trackPos = lineId & 0x80 ? -1 : pos;
+        }
+
+        this.line++;
+        if (this.line >= TRACK_LINES || this.lineJump >= 0) {
+            this.line = this.lineJump >= 0 ? this.lineJump : 0;
+            this.order++;
+            this.enterOrder();
+        }
+    }
+
+    /** Select the pattern for the current order, following a jump marker */
+    enterOrder() {
+        const orders = this.rad.orderList;
+        if (this.order >= orders.length) {
+            this.order = 0;
+        }
+
+        let pattern = orders[this.order];
+        if (pattern & 0x80) {
+            // Only one jump is followed, so a marker pointing at a marker can't hang
+            this.order = (pattern & 0x7F) < orders.length ? pattern & 0x7F : 0;
+            pattern = orders[this.order] & 0x7F;
+        }
+
+        this.track = this.rad.patterns[pattern] ?? null;
+        this.trackPos = this.track ? this.skipToLine(this.track, this.line, false) : -1;
+        this.enteredOrder = true;
+    }
+
+    /**
+     * Advance a riff by one tick
+     * @param {number} channum
+     * @param {RadRiff} riff
+     * @param {boolean} channelRiff - True for channel riffs, false for instrument riffs
+     */
+    tickRiff(channum, riff, channelRiff) {
+        if (riff.speedCnt === 0) {
+            resetEffects(riff.fx);
+            return;
+        }
+
+        if (--riff.speedCnt > 0) return;
+        riff.speedCnt = riff.speed;
+
+        const line = riff.line++;
+        if (riff.line >= TRACK_LINES) {
+            riff.speedCnt = 0;
+        }
+
+        resetEffects(riff.fx);
+
+        const data = riff.data;
+        if (!data) return;
+
+        let pos = riff.pos;
+        if (pos >= 0 && pos < data.length && (data[pos] & 0x7F) === line) {
+            const lineId = data[pos++];
+
+            if (channelRiff) {
+                // Channel riffs hold one note per line
+                const entry = this.unpackNote(data, pos, riff);
+                pos = entry.next;
+                this.transpose(entry, riff);
+                this.playNote(channum, entry.note, entry.octave, entry.instrument,
+                    entry.effect, entry.param, SOURCE_RIFF);
+            } else {
+                // Instrument riffs: each column is an extra effect lane on the
+                // same channel, addressing operator (column - 1)
+                let entry;
+                do {
+                    entry = this.unpackNote(data, pos, riff);
+                    pos = entry.next;
+                    if (entry.effect !== Effect.IGNORE) {
+                        this.transpose(entry, riff);
+                    }
+                    const op = entry.channel > 0 ? (entry.channel - 1) & 3 : 0;
+                    this.playNote(channum, entry.note, entry.octave, entry.instrument,
+                        entry.effect, entry.param, SOURCE_INSTRUMENT_RIFF, op);
+                } while (!entry.last && pos < data.length);
+            }
+
+            if (lineId & 0x80) {
+                pos = -1;
+            }
+            riff.pos = pos;
+        }
+
+        // A jump on the next line takes effect right away
+        if (pos < 0 || pos >= data.length || (data[pos] & 0x7F) !== riff.line) return;
+        const next = this.unpackNote(data, pos + 1, { lastInstrument: 0 });
+        if (next.effect === Effect.JUMP_TO_LINE && next.param < TRACK_LINES) {
+            riff.line = next.param;
+            riff.pos = this.skipToLine(data, next.param, true);
+        }
+    }
+
+    /**
+     * Transpose a riff note by the note the riff was started with (C-3 is neutral)
+     * @param {RadNote} entry
+     * @param {RadRiff} riff
+     */
+    transpose(entry, riff) {
+        if (entry.note < 1 || entry.note > 12) return;
+
+        entry.octave = Math.min(7, Math.max(0, entry.octave + riff.transposeOctave - 3));
+        entry.note += riff.transposeNote - 12;
+        if (entry.note < 1) {
+            entry.note += 12;
+            if (entry.octave > 0) {
+                entry.octave--;
+            } else {
+                entry.note = 1;
+            }
+        }
+    }
+
+    /**
+     * Play a note and/or effect on a channel
+     * @param {number} channum
+     * @param {number} note - 1-12, 15 for key-off, 0 for none
+     * @param {number} octave
+     * @param {number} instnum - Instrument number, 0 for none
+     * @param {number} effect
+     * @param {number} param
+     * @param {number} [source=SOURCE_TRACK]
+     * @param {number} [op=0] - Operator addressed by instrument riff effects
+     */
+    playNote(channum, note, octave, instnum, effect, param, source = SOURCE_TRACK, op = 0) {
+        const chan = this.channels[channum];
+        const fx = source === SOURCE_RIFF ? chan.riff.fx
+            : source === SOURCE_INSTRUMENT_RIFF ? chan.iriff.fx
+            : chan.fx;
+
+        // For tone slides the note is the target, not something to play
+        if (effect === Effect.TONE_SLIDE) {
+            if (note >= 1 && note <= 12) {
+                fx.toneSlideOct = octave;
+                fx.toneSlideFreq = NOTE_FREQS[note];
+            }
+            this.startToneSlide(channum, fx, param);
+            return;
+        }
+
+        let transposing = false;
+
+        const inst = instnum > 0 ? this.rad.instruments[instnum - 1] : null;
+        if (inst) {
+            const oldInst = chan.instrument;
+            chan.instrument = inst;
+
+            // MIDI instruments have no OPL sound
+            if (inst.algorithm === 7) return;
+
+            this.loadInstrument(channum);
+            chan.keyFlags |= KEY_OFF | KEY_ON;
+            resetEffects(chan.iriff.fx);
+
+            if (source !== SOURCE_INSTRUMENT_RIFF || inst !== oldInst) {
+                if (inst.riff && inst.riffSpeed > 0 && this.riffDepth < MAX_RIFF_DEPTH) {
+                    // A note given with the instrument transposes its riff
+                    transposing = startRiff(chan.iriff, inst.riff, inst.riffSpeed, note, octave);
+                    this.riffDepth++;
+                    this.tickRiff(channum, chan.iriff, false);
+                    this.riffDepth--;
+                } else {
+                    chan.iriff.speedCnt = 0;
+                }
+            }
+        }
+
+        if (effect === Effect.RIFF || effect === Effect.TRANSPOSE) {
+            resetEffects(chan.riff.fx);
+
+            const riffNum = Math.floor(param / 10);
+            const riffChannel = param % 10;
+            const data = riffChannel > 0 ? this.rad.riffs[riffNum]?.[riffChannel - 1] : null;
+            if (data && this.riffDepth < MAX_RIFF_DEPTH) {
+                transposing = startRiff(chan.riff, data, this.speed,
+                    effect === Effect.TRANSPOSE ? note : 0, octave) || transposing;
+                this.riffDepth++;
+                this.tickRiff(channum, chan.riff, true);
+                this.riffDepth--;
+            } else {
+                chan.riff.speedCnt = 0;
+            }
+        }
+
+        if (!transposing && note > 0) {
+            if (note === KEY_OFF_NOTE) {
+                chan.keyFlags |= KEY_OFF;
+            }
+            if (!chan.instrument || chan.instrument.algorithm < 7) {
+                this.playNoteOPL(channum, octave, note);
+            }
+        }
+
+        switch (effect) {
+            case Effect.SET_VOL:
+                this.setVolume(channum, param);
+                break;
+
+            case Effect.SET_SPEED:
+                if (source === SOURCE_TRACK) {
+                    this.speed = param;
+                    this.speedCnt = param;
+                } else {
+                    const riff = source === SOURCE_RIFF ? chan.riff : chan.iriff;
+                    riff.speed = param;
+                    riff.speedCnt = param;
+                }
+                break;
+
+            case Effect.PORTAMENTO_UP:
+                fx.portSlide = param;
+                break;
+
+            case Effect.PORTAMENTO_DOWN:
+                fx.portSlide = -param;
+                break;
+
+            case Effect.VOL_SLIDE:
+            case Effect.TONE_VOL_SLIDE:
+                // 1-49 slides down, 50-99 slides up
+                fx.volSlide = param >= 50 ? -(param - 50) : param;
+                if (effect === Effect.TONE_VOL_SLIDE) {
+                    this.startToneSlide(channum, fx, 0);
+                }
+                break;
+
+            case Effect.JUMP_TO_LINE:
+                // Jumps inside riffs are handled by tickRiff()
+                if (param < TRACK_LINES && source === SOURCE_TRACK) {
+                    this.lineJump = param;
+                }
+                break;
+
+            case Effect.MULTIPLIER:
+                if (source === SOURCE_INSTRUMENT_RIFF) {
+                    const reg = 0x20 + this.opOffset(channum, op);
+                    this.setReg(reg, (this.regs[reg] & 0xF0) | (param & 0x0F));
+                }
+                break;
+
+            case Effect.VOLUME:
+                if (source === SOURCE_INSTRUMENT_RIFF) {
+                    const reg = 0x40 + this.opOffset(channum, op);
+                    this.setReg(reg, (this.regs[reg] & 0xC0) | ((param & 0x3F) ^ 0x3F));
+                }
+                break;
+
+            case Effect.FEEDBACK:
+                if (source === SOURCE_INSTRUMENT_RIFF) {
+                    const which = Math.floor(param / 10);
+                    const reg = 0xC0 + (which === 0 ? this.chan2Offset(channum) : this.chanOffset(channum));
+                    this.setReg(reg, (this.regs[reg] & 0x31) | ((param % 10 & 7) << 1));
+                }
+                break;
+        }
+    }
+
+    /**
+     * Set the tone slide speed (0 keeps the previous speed) and direction
+     * @param {number} channum
+     * @param {RadEffects} fx
+     * @param {number} speed
+     */
+    startToneSlide(channum, fx, speed) {
+        if (speed) {
+            fx.toneSlideSpeed = speed;
+        }
+
+        const chan = this.channels[channum];
+        let dir = fx.toneSlideSpeed;
+        if (dir > 0) {
+            if (chan.currOctave > fx.toneSlideOct) {
+                dir = -dir;
+            } else if (chan.currOctave === fx.toneSlideOct) {
+                if (chan.currFreq > fx.toneSlideFreq) {
+                    dir = -dir;
+                } else if (chan.currFreq === fx.toneSlideFreq) {
+                    dir = 0;
+                }
+            }
+        }
+        fx.toneSlideDir = dir;
+    }
+
+    /**
+     * Run per-tick effects
+     * @param {number} channum
+     * @param {RadEffects} fx
+     */
+    continueFX(channum, fx) {
+        if (fx.portSlide) {
+            this.portamento(channum, fx, fx.portSlide, false);
+        }
+        if (fx.volSlide) {
+            this.setVolume(channum, Math.max(0, this.channels[channum].volume - fx.volSlide));
+        }
+        if (fx.toneSlideDir) {
+            this.portamento(channum, fx, fx.toneSlideDir, true);
+        }
+    }
+
+    /**
+     * Slide the channel frequency, carrying into the next or previous octave
+     * @param {number} channum
+     * @param {RadEffects} fx
+     * @param {number} amount - F-number change
+     * @param {boolean} toneSlide - Stop at the tone slide target
+     */
+    portamento(channum, fx, amount, toneSlide) {
+        const chan = this.channels[channum];
+        let freq = chan.currFreq + amount;
+        let oct = chan.currOctave;
+
+        if (freq < FREQ_LOW) {
+            if (oct > 0) {
+                oct--;
+                freq += FREQ_HIGH - FREQ_LOW;
+            } else {
+                freq = FREQ_LOW;
+            }
+        } else if (freq > FREQ_HIGH) {
+            if (oct < 7) {
+                oct++;
+                freq -= FREQ_HIGH - FREQ_LOW;
+            } else {
+                freq = FREQ_HIGH;
+            }
+        }
+
+        if (toneSlide) {
+            const reached = amount >= 0
+                ? oct > fx.toneSlideOct || (oct === fx.toneSlideOct && freq >= fx.toneSlideFreq)
+                : oct < fx.toneSlideOct || (oct === fx.toneSlideOct && freq <= fx.toneSlideFreq);
+            if (reached) {
+                freq = fx.toneSlideFreq;
+                oct = fx.toneSlideOct;
+            }
+        }
+
+        chan.currFreq = freq;
+        chan.currOctave = oct;
+
+        // The pairs are detuned in opposite directions so the note stays in tune
+        const freq1 = freq + chan.detuneA;
+        const freq2 = freq - chan.detuneB;
+
+        let offset = this.chan2Offset(channum);
+        this.setReg(0xA0 + offset, freq1 & 0xFF);
+        this.setReg(0xB0 + offset, ((freq1 >> 8) & 3) | (oct << 2) | (this.regs[0xB0 + offset] & 0xE0));
+
+        if (this.opl3) {
+            offset = this.chanOffset(channum);
+            this.setReg(0xA0 + offset, freq2 & 0xFF);
+            this.setReg(0xB0 + offset, ((freq2 >> 8) & 3) | (oct << 2) | (this.regs[0xB0 + offset] & 0xE0));
+        }
+    }
+
+    /**
+     * Set the channel volume, scaling the carriers of the current instrument
+     * @param {number} channum
+     * @param {number} volume - 0-64
+     */
+    setVolume(channum, volume) {
+        const chan = this.channels[channum];
+        chan.volume = Math.min(64, volume);
+
+        const inst = chan.instrument;
+        if (!inst || inst.algorithm > 6) return;
+
+        for (let i = 0; i < this.numOperators; i++) {
+            if (!ALG_CARRIERS[inst.algorithm][i]) continue;
+            const opVolume = Math.floor(((inst.operators[i][1] & 0x3F) ^ 0x3F) * chan.volume / 64);
+            const reg = 0x40 + this.opOffset(channum, i);
+            this.setReg(reg, (this.regs[reg] & 0xC0) | (opVolume ^ 0x3F));
+        }
+    }
+
+    /**
+     * Write the channel's instrument to the chip
+     * @param {number} channum
+     */
+    loadInstrument(channum) {
+        const chan = this.channels[channum];
+        const inst = chan.instrument;
+        if (!inst) return;
+
+        const alg = inst.algorithm;
+        chan.volume = inst.volume;
+        chan.detuneA = (inst.detune + 1) >> 1;
+        chan.detuneB = inst.detune >> 1;
+
+        if (this.opl3) {
+            // Real 4-op mode for algorithms 2 and 3; 4-6 run as two 2-op pairs
+            if (channum < 6) {
+                const mask = 1 << channum;
+                this.setReg(0x104, (this.regs[0x104] & ~mask) | (alg === 2 || alg === 3 ? mask : 0));
+            }
+            this.setReg(0xC0 + this.chanOffset(channum),
+                ((inst.panning[1] ^ 3) << 4) | (inst.feedback[1] << 1) | (alg === 3 || alg === 5 || alg === 6 ? 1 : 0));
+            this.setReg(0xC0 + this.chan2Offset(channum),
+                ((inst.panning[0] ^ 3) << 4) | (inst.feedback[0] << 1) | (alg === 1 || alg === 6 ? 1 : 0));
+        } else {
+            this.setReg(0xC0 + channum,
+                ((inst.panning[0] ^ 3) << 4) | (inst.feedback[0] << 1) | (alg === 1 ? 1 : 0));
+        }
+
+        for (let i = 0; i < this.numOperators; i++) {
+            const op = alg < 2 && i >= 2 ? BLANK_OPERATOR : inst.operators[i];
+            const offset = this.opOffset(channum, i);
+
+            let volume = ~op[1] & 0x3F;
+            if (ALG_CARRIERS[alg][i]) {
+                volume = Math.floor(volume * inst.volume / 64);
+            }
+
+            this.setReg(0x20 + offset, op[0]);
+            this.setReg(0x40 + offset, (op[1] & 0xC0) | ((volume ^ 0x3F) & 0x3F));
+            this.setReg(0x60 + offset, op[2]);
+            this.setReg(0x80 + offset, op[3]);
+            this.setReg(0xE0 + offset, op[4]);
+        }
+    }
+
+    /**
+     * Key off and/or key on a note on the chip
+     * @param {number} channum
+     * @param {number} octave
+     * @param {number} note - 1-12, or 15 for key-off only
+     */
+    playNoteOPL(channum, octave, note) {
+        const chan = this.channels[channum];
+        const o1 = this.chanOffset(channum);
+        const o2 = this.chan2Offset(channum);
+
+        if (chan.keyFlags & KEY_OFF) {
+            chan.keyFlags &= ~(KEY_OFF | KEYED_ON);
+            if (this.opl3) {
+                this.setReg(0xB0 + o1, this.regs[0xB0 + o1] & ~0x20);
+            }
+            this.setReg(0xB0 + o2, this.regs[0xB0 + o2] & ~0x20);
+        }
+
+        if (note === KEY_OFF_NOTE) return;
+
+        const bothPairs = this.opl3 && chan.instrument !== null && chan.instrument.algorithm >= 2;
+
+        chan.currFreq = NOTE_FREQS[note];
+        chan.currOctave = octave;
+        const freq1 = chan.currFreq + chan.detuneA;
+        const freq2 = chan.currFreq - chan.detuneB;
+
+        if (chan.keyFlags & KEY_ON) {
+            chan.keyFlags = (chan.keyFlags & ~KEY_ON) | KEYED_ON;
+        }
+        const keyBit = chan.keyFlags & KEYED_ON ? 0x20 : 0;
+
+        if (bothPairs) {
+            this.setReg(0xA0 + o1, freq2 & 0xFF);
+        }
+        this.setReg(0xA0 + o2, freq1 & 0xFF);
+
+        if (bothPairs) {
+            this.setReg(0xB0 + o1, (freq2 >> 8) | (octave << 2) | keyBit);
+        } else if (this.opl3) {
+            this.setReg(0xB0 + o1, 0);
+        }
+        this.setReg(0xB0 + o2, (freq1 >> 8) | (octave << 2) | keyBit);
+    }
+
+    /** @returns {number} Operators per channel in the current layout */
+    get numOperators() {
+        return this.opl3 ? 4 : 2;
+    }
+
+    /** @param {number} channum @returns {number} Register offset of the first pair */
+    chanOffset(channum) {
+        return this.opl3 ? CHAN_OFFSETS_3[channum] : channum;
+    }
+
+    /** @param {number} channum @returns {number} Register offset of the pair 2-op instruments use */
+    chan2Offset(channum) {
+        return this.opl3 ? CHAN2_OFFSETS_3[channum] : channum;
+    }
+
+    /** @param {number} channum @param {number} op @returns {number} Operator register offset */
+    opOffset(channum, op) {
+        return this.opl3 ? OP_OFFSETS_3[channum][op] : OP_OFFSETS_2[channum][op & 1];
+    }
+
+    /**
+     * Decode one note entry
+     * @param {Uint8Array} data
+     * @param {number} pos - Offset of the entry's channel byte
+     * @param {{lastInstrument: number}} owner - Channel or riff tracking the last instrument
+     * @returns {RadNote}
+     */
+    unpackNote(data, pos, owner) {
+        // Entries cut off by the end of the data read as zeros
+        const read = () => (pos < data.length ? data[pos++] : (pos++, 0));
+
+        const chanId = read();
+        let note = 0;
+        let instrument = 0;
+        let effect = 0;
+        let param = 0;
+
+        if (this.rad.version >= 2) {
+            if (chanId & 0x40) {
+                const n = read();
+                note = n & 0x7F;
+                // Bit 7 retriggers the last instrument
+                if (n & 0x80) {
+                    instrument = owner.lastInstrument;
+                }
+            }
+            if (chanId & 0x20) {
+                instrument = read();
+                owner.lastInstrument = instrument;
+            }
+            if (chanId & 0x10) {
+                effect = read();
+                param = read();
+            }
+        } else {
+            const n = read();
+            const b = read();
+            note = n & 0x7F;
+            instrument = ((n & 0x80) >> 3) | (b >> 4);
+            if (instrument) {
+                owner.lastInstrument = instrument;
+            } else if ((note & 0x0F) >= 1 && (note & 0x0F) <= 12) {
+                // v1 notes always retrigger the channel's instrument
+                instrument = owner.lastInstrument;
+            }
+            effect = b & 0x0F;
+            if (effect) {
+                param = read();
+            }
+        }
+
+        return {
+            next: pos,
+            channel: chanId & 0x0F,
+            last: (chanId & 0x80) !== 0,
+            note: note & 0x0F,
+            octave: note >> 4,
+            instrument,
+            effect,
+            param,
+        };
+    }
+
+    /**
+     * Find the first line at or after a line number
+     * @param {Uint8Array} data - Pattern or riff data
+     * @param {number} line
+     * @param {boolean} channelRiff - Channel riff lines hold exactly one entry
+     * @returns {number} Offset of the line, or -1 if there is none
+     */
+    skipToLine(data, line, channelRiff) {
+        let pos = 0;
+        const dummy = { lastInstrument: 0 };
+        while (pos < data.length) {
+            const lineId = data[pos];
+            if ((lineId & 0x7F) >= line) return pos;
+            if (lineId & 0x80) break;
+            pos++;
+
+            let entry;
+            do {
+                entry = this.unpackNote(data, pos, dummy);
+                pos = entry.next;
+            } while (!entry.last && !channelRiff && pos < data.length);
+        }
+        return -1;
+    }
+}
+
+/** @returns {RadEffects} */
+function newEffects() {
+    return { portSlide: 0, volSlide: 0, toneSlideDir: 0, toneSlideSpeed: 0, toneSlideFreq: 0, toneSlideOct: 0 };
+}
+
+/** @returns {RadRiff} */
+function newRiff() {
+    return {
+        fx: newEffects(),
+        data: null,
+        pos: -1,
+        line: 0,
+        speed: 0,
+        speedCnt: 0,
+        transposeNote: 12,
+        transposeOctave: 3,
+        lastInstrument: 0,
+    };
+}
+
+/** @param {RadEffects} fx */
+function resetEffects(fx) {
+    fx.portSlide = 0;
+    fx.volSlide = 0;
+    fx.toneSlideDir = 0;
+}
+
+/**
+ * Point a riff at new data, ready to play its first line on the next tick
+ * @param {RadRiff} riff
+ * @param {Uint8Array} data
+ * @param {number} speed
+ * @param {number} note - Note to transpose the riff to, or 0 to play it as written
+ * @param {number} octave
+ * @returns {boolean} True if the riff is transposed (the note itself is not played)
+ */
+function startRiff(riff, data, speed, note, octave) {
+    const transposing = note >= 1 && note <= 12;
+    riff.data = data;
+    riff.pos = 0;
+    riff.line = 0;
+    riff.speed = speed;
+    riff.speedCnt = 1;
+    riff.lastInstrument = 0;
+    riff.transposeNote = transposing ? note : 12;
+    riff.transposeOctave = transposing ? octave : 3;
+    return transposing;
+}
+
+/**
+ * Decode a RAD description: 01h is a line break, 02h-1Fh that many spaces.
+ * @param {Uint8Array} bytes
+ * @param {number} pos
+ * @returns {{text: string, next: number}}
+ */
+function readDescription(bytes, pos) {
+    let text = '';
+    while (pos < bytes.length && bytes[pos] !== 0) {
+        const c = bytes[pos++];
+        if (c === 0x01) {
+            text += '\n';
+        } else if (c < 0x20) {
+            text += ' '.repeat(c);
+        } else {
+            text += String.fromCharCode(c);
+        }
+    }
+    return { text, next: pos + 1 };
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @param {number} end - Offset that must be within the file
+ */
+function ensureAvailable(bytes, end) {
+    if (end > bytes.length) {
+        throw new Error('Truncated RAD file');
+    }
+}
+
+/**
+ * Parse a RAD 1.x module (file version 1.0)
+ * @param {Uint8Array} bytes
+ * @returns {RadModule}
+ */
+function parseRADv1(bytes) {
+    const flags = bytes[17];
+    let pos = 18;
+
+    let description = '';
+    if (flags & 0x80) {
+        ({ text: description, next: pos } = readDescription(bytes, pos));
+    }
+
+    /** @type {(RadInstrument|null)[]} */
+    const instruments = new Array(31).fill(null);
+    for (;;) {
+        ensureAvailable(bytes, pos + 1);
+        const num = bytes[pos++];
+        if (num === 0) break;
+        ensureAvailable(bytes, pos + 11);
+        const s = bytes.subarray(pos, pos + 11);
+        pos += 11;
+
+        // Carrier and modulator bytes alternate, then feedback/connection and waveforms
+        instruments[num - 1] = {
+            name: '',
+            algorithm: s[8] & 1,
+            panning: [0, 0],
+            feedback: [(s[8] >> 1) & 7, 0],
+            detune: 0,
+            riffSpeed: 0,
+            volume: 64,
+            operators: [
+                [s[0], s[2], s[4], s[6], s[9]],
+                [s[1], s[3], s[5], s[7], s[10]],
+                [...BLANK_OPERATOR],
+                [...BLANK_OPERATOR],
+            ],
+            riff: null,
+        };
+    }
+
+    ensureAvailable(bytes, pos + 1);
+    const orderLength = bytes[pos++];
+    ensureAvailable(bytes, pos + orderLength + 64);
+    const orderList = Array.from(bytes.subarray(pos, pos + orderLength));
+    pos += orderLength;
+    if (orderList.length === 0) {
+        throw new Error('RAD file has an empty order list');
+    }
+
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    /** @type {(Uint8Array|null)[]} */
+    const patterns = [];
+    for (let i = 0; i < 32; i++) {
+        const offset = view.getUint16(pos + i * 2, true);
+        patterns.push(offset && offset < bytes.length ? bytes.subarray(offset) : null);
+    }
+
+    return {
+        version: 1,
+        description,
+        speed: flags & 0x1F,
+        hz: flags & 0x40 ? SLOW_TIMER_HZ : DEFAULT_HZ,
+        instruments,
+        orderList,
+        patterns,
+        riffs: Array.from({ length: 10 }, () => new Array(CHANNELS).fill(null)),
+    };
+}
+
+/**
+ * Parse a RAD 2.x module (file version 2.1)
+ * @param {Uint8Array} bytes
+ * @returns {RadModule}
+ */
+function parseRADv2(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const flags = bytes[17];
+    let pos = 18;
+
+    let hz = flags & 0x40 ? SLOW_TIMER_HZ : DEFAULT_HZ;
+    if (flags & 0x20) {
+        ensureAvailable(bytes, pos + 2);
+        const bpm = view.getUint16(pos, true);
+        pos += 2;
+        if (bpm > 0) {
+            hz = bpm * 2 / 5;
+        }
+    }
+
+    const { text: description, next } = readDescription(bytes, pos);
+    pos = next;
+
+    /** @type {(RadInstrument|null)[]} */
+    const instruments = new Array(127).fill(null);
+    for (;;) {
+        ensureAvailable(bytes, pos + 1);
+        const num = bytes[pos++];
+        if (num === 0) break;
+
+        ensureAvailable(bytes, pos + 1);
+        const nameLength = bytes[pos++];
+        ensureAvailable(bytes, pos + nameLength + 1);
+        const name = String.fromCharCode(...bytes.subarray(pos, pos + nameLength));
+        pos += nameLength;
+
+        const alg = bytes[pos++];
+        /** @type {RadInstrument} */
+        const inst = {
+            name,
+            algorithm: alg & 7,
+            panning: [(alg >> 3) & 3, (alg >> 5) & 3],
+            feedback: [0, 0],
+            detune: 0,
+            riffSpeed: 0,
+            volume: 64,
+            operators: [],
+            riff: null,
+        };
+
+        if (inst.algorithm < 7) {
+            ensureAvailable(bytes, pos + 23);
+            inst.feedback = [bytes[pos] & 0x0F, bytes[pos] >> 4];
+            inst.detune = bytes[pos + 1] >> 4;
+            inst.riffSpeed = bytes[pos + 1] & 0x0F;
+            inst.volume = bytes[pos + 2];
+            pos += 3;
+            for (let i = 0; i < 4; i++) {
+                inst.operators.push(Array.from(bytes.subarray(pos, pos + 5)));
+                pos += 5;
+            }
+        } else {
+            // MIDI instrument settings are not used
+            pos += 6;
+            inst.operators = Array.from({ length: 4 }, () => [...BLANK_OPERATOR]);
+        }
+
+        if (alg & 0x80) {
+            ensureAvailable(bytes, pos + 2);
+            const size = view.getUint16(pos, true);
+            pos += 2;
+            ensureAvailable(bytes, pos + size);
+            inst.riff = bytes.subarray(pos, pos + size);
+            pos += size;
+        }
+
+        if (num <= instruments.length) {
+            instruments[num - 1] = inst;
+        }
+    }
+
+    ensureAvailable(bytes, pos + 1);
+    const orderLength = bytes[pos++];
+    ensureAvailable(bytes, pos + orderLength);
+    const orderList = Array.from(bytes.subarray(pos, pos + orderLength));
+    pos += orderLength;
+    if (orderList.length === 0) {
+        throw new Error('RAD file has an empty order list');
+    }
+
+    /** @type {(Uint8Array|null)[]} */
+    const patterns = new Array(100).fill(null);
+    for (;;) {
+        ensureAvailable(bytes, pos + 1);
+        const num = bytes[pos++];
+        if (num >= patterns.length) break;
+        ensureAvailable(bytes, pos + 2);
+        const size = view.getUint16(pos, true);
+        pos += 2;
+        ensureAvailable(bytes, pos + size);
+        patterns[num] = bytes.subarray(pos, pos + size);
+        pos += size;
+    }
+
+    /** @type {(Uint8Array|null)[][]} */
+    const riffs = Array.from({ length: 10 }, () => new Array(CHANNELS).fill(null));
+    while (pos < bytes.length) {
+        const id = bytes[pos++];
+        if (id === 0xFF) break;
+        const riffNum = id >> 4;
+        const channel = id & 0x0F;
+        if (riffNum > 9 || channel === 0 || channel > CHANNELS) {
+            throw new Error(`Invalid RAD riff id 0x${id.toString(16)}`);
+        }
+        ensureAvailable(bytes, pos + 2);
+        const size = view.getUint16(pos, true);
+        pos += 2;
+        ensureAvailable(bytes, pos + size);
+        riffs[riffNum][channel - 1] = bytes.subarray(pos, pos + size);
+        pos += size;
+    }
+
+    return {
+        version: 2,
+        description,
+        speed: flags & 0x1F,
+        hz,
+        instruments,
+        orderList,
+        patterns,
+        riffs,
+    };
+}
@@ -0,0 +1,258 @@
+/**
+ * AdLib Visual Composer (ROL) support.
+ *
+ * ROL songs keep their instruments in a separate BNK bank and refer to them
+ * by name. {@link rolToMidi} converts a song plus its bank into a Standard
+ * MIDI File that selects a custom bank, and the instruments to write into
+ * that bank with setInstrument(). AdlMidi.loadROL() and
+ * AdlMidiCore.loadROL() do both steps.
+ *
+ * @module formats/rol
+ */
+
+import { parseBNK } from '../utils/instruments.js';
+import { IMPORT_BANK_ID, encodeSMF, tempoEvent } from './smf.js';
+
+/** Offset of the basic tempo; everything before it is header and padding */
+const BASIC_TEMPO_OFFSET = 197;
+
+/** Size of the unused track name before each event list */
+const TRACK_NAME_SIZE = 15;
+
+/** MIDI channels for ROL voices 0-10, skipping libADLMIDI's percussion channel */
+const VOICE_CHANNELS = [0, 1, 2, 3, 4, 5, 6, 7, 8, 10, 11];
+
+/** Pitch bend range in semitones used by the AdLib driver */
+const PITCH_BEND_RANGE = 1;
+
+/**
+ * A ROL voice track
+ * @typedef {Object} RolVoice
+ * @property {{tick: number, note: number, duration: number}[]} notes - Notes
+ *   (rests are left out); note numbers match MIDI
+ * @property {{tick: number, name: string}[]} timbres - Instrument changes by BNK name
+ * @property {{tick: number, volume: number}[]} volumes - Volume changes (0-1)
+ * @property {{tick: number, pitch: number}[]} pitches - Pitch changes (0-2, 1 is centre)
+ */
+
+/**
+ * Parsed ROL file
+ * @typedef {Object} RolFile
+ * @property {string} version - Format version
+ * @property {number} ticksPerBeat - Ticks per beat
+ * @property {number} beatsPerMeasure - Beats per measure
+ * @property {boolean} percussive - True for the 11-voice rhythm mode, false
+ *   for 9 melodic voices
+ * @property {number} basicTempo - Tempo in beats per minute
+ * @property {{tick: number, multiplier: number}[]} tempoEvents - Tempo changes
+ *   as multipliers of the basic tempo
+ * @property {RolVoice[]} voices - Voice tracks
+ */
+
+/**
+ * Parse a ROL file.
+ *
+ * @param {ArrayBuffer|Uint8Array} data - ROL file data
+ * @returns {RolFile}
+ * @throws {Error} If the data is not a ROL file
+ */
+export function parseROL(data) {
+    const bytes = data instanceof ArrayBuffer ? new Uint8Array(data) : data;
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+    if (bytes.length < BASIC_TEMPO_OFFSET + 6) {
+        throw new Error('Not a ROL file');
+    }
+    const major = view.getUint16(0, true);
+    const minor = view.getUint16(2, true);
+    if (major !== 0 || minor !== 4) {
+        throw new Error(`Unsupported ROL version ${major}.${minor}`);
+    }
+
+    let pos = BASIC_TEMPO_OFFSET;
+    const has = (/** @type {number} */ size) => pos + size <= bytes.length;
+    const u16 = () => { const v = view.getUint16(pos, true); pos += 2; return v; };
+    const f32 = () => { const v = view.getFloat32(pos, true); pos += 4; return v; };
+
+    const basicTempo = f32() || 120;
+    const tempoEvents = [];
+    for (let i = u16(); i > 0 && has(6); i--) {
+        tempoEvents.push({ tick: u16(), multiplier: f32() });
+    }
+
+    const percussive = bytes[53] === 0;
+    /** @type {RolVoice[]} */
+    const voices = [];
+    for (let v = 0; v < (percussive ? 11 : 9) && has(TRACK_NAME_SIZE + 2); v++) {
+        /** @type {RolVoice} */
+        const voice = { notes: [], timbres: [], volumes: [], pitches: [] };
+
+        pos += TRACK_NAME_SIZE;
+        const lastTick = u16();
+        for (let tick = 0; tick < lastTick && has(4);) {
+            const note = u16();
+            const duration = u16();
+            if (note !== 0) voice.notes.push({ tick, note, duration });
+            tick += duration || lastTick;
+        }
+
+        pos += TRACK_NAME_SIZE;
+        for (let i = has(2) ? u16() : 0; i > 0 && has(14); i--) {
+            const tick = u16();
+            voice.timbres.push({ tick, name: readFixedString(bytes, pos, 9) });
+            pos += 12;
+        }
+
+        pos += TRACK_NAME_SIZE;
+        for (let i = has(2) ? u16() : 0; i > 0 && has(6); i--) {
+            voice.volumes.push({ tick: u16(), volume: f32() });
+        }
+
+        pos += TRACK_NAME_SIZE;
+        for (let i = has(2) ? u16() : 0; i > 0 && has(6); i--) {
+            voice.pitches.push({ tick: u16(), pitch: f32() });
+        }
+
+        voices.push(voice);
+    }
+
+    return {
+        version: `${major}.${minor}`,
+        ticksPerBeat: view.getUint16(44, true) || 4,
+        beatsPerMeasure: view.getUint16(46, true),
+        percussive,
+        basicTempo,
+        tempoEvents,
+        voices,
+    };
+}
+
+/**
+ * Convert a parsed ROL song and its BNK bank into MIDI data plus a custom
+ * bank.
+ *
+ * Each timbre the song uses becomes one program of `bankId`, in order of
+ * first use; names are matched case-insensitively. Voices map to MIDI
+ * channels 1-9, 11 and 12. Volume events become CC7 and pitch events become
+ * pitch bends over a 1 semitone range. In rhythm mode the percussion voices
+ * play their instruments as melodic voices.
+ *
+ * @param {RolFile} rol - Parsed ROL file
+ * @param {ArrayBuffer|Uint8Array|import('../utils/instruments.js').BnkInstrument[]} bank -
+ *   BNK file data or its parsed instruments
+ * @param {{bankId?: import('./smf.js').BankId}} [options] - Bank to place
+ *   the instruments in (default {@link IMPORT_BANK_ID})
+ * @returns {import('./smf.js').ConvertedSong}
+ */
+export function rolToMidi(rol, bank, options = {}) {
+    const { bankId = IMPORT_BANK_ID } = options;
+    const bnk = Array.isArray(bank) ? bank : parseBNK(bank);
+
+    /** @type {Map<string, import('../utils/struct.js').Instrument>} */
+    const byName = new Map();
+    for (const entry of bnk) {
+        const key = entry.name.toLowerCase();
+        if (!byName.has(key)) byName.set(key, entry.instrument);
+    }
+
+    /** @type {Map<string, number>} */
+    const programs = new Map();
+    /** @type {import('./smf.js').ConvertedSong['instruments']} */
+    const instruments = [];
+    /** @type {Set<string>} */
+    const missing = new Set();
+
+    /** @type {import('./smf.js').SmfEvent[]} */
+    const events = [{ tick: 0, data: tempoEvent(60e6 / rol.basicTempo) }];
+    for (const { tick, multiplier } of rol.tempoEvents) {
+        events.push({ tick, data: tempoEvent(60e6 / (rol.basicTempo * (multiplier || 1))) });
+    }
+
+    rol.voices.forEach((voice, index) => {
+        const ch = VOICE_CHANNELS[index];
+        events.push(
+            { tick: 0, data: [0xB0 | ch, 0x00, bankId.msb] },
+            { tick: 0, data: [0xB0 | ch, 0x20, bankId.lsb] },
+            { tick: 0, data: [0xB0 | ch, 0x65, 0x00] },
+            { tick: 0, data: [0xB0 | ch, 0x64, 0x00] },
+            { tick: 0, data: [0xB0 | ch, 0x06, PITCH_BEND_RANGE] },
+            { tick: 0, data: [0xB0 | ch, 0x26, 0x00] },
+        );
+
+        for (const { tick, name } of voice.timbres) {
+            const key = name.toLowerCase();
+            let program = programs.get(key);
+            if (program === undefined) {
+                const instrument = byName.get(key);
+                if (!instrument) {
+                    missing.add(name);
+                    continue;
+                }
+                if (instruments.length >= 128) continue;
+                program = instruments.length;
+                programs.set(key, program);
+                instruments.push({ program, instrument });
+            }
+            events.push({ tick, data: [0xC0 | ch, program] });
+        }
+
+        for (const { tick, volume } of voice.volumes) {
+            events.push({ tick, data: [0xB0 | ch, 0x07, clamp(Math.round(volume * 127), 0, 127)] });
+        }
+
+        for (const { tick, pitch } of voice.pitches) {
+            const bend = clamp(Math.round(pitch * 8192), 0, 16383);
+            events.push({ tick, data: [0xE0 | ch, bend & 0x7F, bend >> 7] });
+        }
+
+        for (const { tick, note, duration } of voice.notes) {
+            const key = clamp(note, 0, 127);
+            events.push({ tick: tick + duration, data: [0x80 | ch, key, 0] });
+            events.push({ tick, data: [0x90 | ch, key, 127] });
+        }
+    });
+
+    // Note ons go last on each tick so back-to-back notes on a voice retrigger
+    // and start with the voice's new program, volume and pitch
+    events.sort((a, b) => a.tick - b.tick || Number(isNoteOn(a)) - Number(isNoteOn(b)));
+
+    return {
+        midi: encodeSMF(rol.ticksPerBeat, events),
+        bankId,
+        instruments,
+        missingInstruments: [...missing],
+    };
+}
+
+/**
+ * @param {import('./smf.js').SmfEvent} event
+ * @returns {boolean}
+ */
+function isNoteOn(event) {
+    return (event.data[0] & 0xF0) === 0x90;
+}
+
+/**
+ * @param {number} value
+ * @param {number} min
+ * @param {number} max
+ * @returns {number}
+ */
+function clamp(value, min, max) {
+    return Math.max(min, Math.min(max, value));
+}
+
+/**
+ * Read a null-padded single-byte string
+ * @param {Uint8Array} bytes
+ * @param {number} offset
+ * @param {number} length - Maximum length
+ * @returns {string}
+ */
+function readFixedString(bytes, offset, length) {
+    let text = '';
+    for (let i = 0; i < length && bytes[offset + i]; i++) {
+        text += String.fromCharCode(bytes[offset + i]);
+    }
+    return text;
+}
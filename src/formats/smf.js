@@ -0,0 +1,357 @@
+/**
+ * Standard MIDI File reader and writer.
+ *
+ * Minimal SMF encoder used by the converters that turn other song formats
+ * (CMF, ROL) into MIDI data libADLMIDI can load, and an event reader for
+ * what libADLMIDI doesn't expose (lyrics, markers, playback events).
+ *
+ * @module formats/smf
+ */
+
+/**
+ * Bank identifier, as accepted by setInstrument()
+ * @typedef {Object} BankId
+ * @property {boolean} percussive - True for a percussion bank
+ * @property {number} msb - Bank MSB (0-127)
+ * @property {number} lsb - Bank LSB (0-127)
+ */
+
+/**
+ * A song converted to MIDI plus the instruments it expects in a custom bank
+ * @typedef {Object} ConvertedSong
+ * @property {Uint8Array} midi - Standard MIDI File data
+ * @property {BankId} bankId - Bank the MIDI data selects on every channel
+ * @property {{program: number, instrument: import('../utils/struct.js').Instrument}[]} instruments -
+ *   Instruments to write into that bank with setInstrument()
+ * @property {string[]} missingInstruments - Instrument names the song uses
+ *   that could not be found (ROL timbres missing from the BNK bank)
+ */
+
+/**
+ * Default bank for converted songs' instruments. An unusual melodic bank
+ * number keeps them clear of the banks in typical WOPL files.
+ * @type {Readonly<BankId>}
+ */
+export const IMPORT_BANK_ID = Object.freeze({ percussive: false, msb: 0x70, lsb: 0 });
+
+/**
+ * A MIDI event at an absolute tick
+ * @typedef {Object} SmfEvent
+ * @property {number} tick - Absolute time in ticks
+ * @property {number[]} data - Complete event bytes (status included; meta
+ *   events as FF type length data, SysEx as F0 length data)
+ */
+
+/**
+ * Encode a format 0 Standard MIDI File.
+ *
+ * Events are written in tick order; events on the same tick keep their
+ * order. An End of Track meta event is appended.
+ *
+ * @param {number} division - Ticks per quarter note
+ * @param {SmfEvent[]} events - Events to write
+ * @returns {Uint8Array} Complete MIDI file
+ */
+export function encodeSMF(division, events) {
+    const sorted = events
+        .map((event, index) => ({ event, index }))
+        .sort((a, b) => a.event.tick - b.event.tick || a.index - b.index)
+        .map(({ event }) => event);
+
+    /** @type {number[]} */
+    const track = [];
+    let lastTick = 0;
+    for (const event of sorted) {
+        writeVarLen(track, Math.max(0, event.tick - lastTick));
+        track.push(...event.data);
+        lastTick = Math.max(lastTick, event.tick);
+    }
+    track.push(0x00, 0xFF, 0x2F, 0x00);
+
+    const bytes = new Uint8Array(14 + 8 + track.length);
+    const view = new DataView(bytes.buffer);    // SMF is big-endian
+    bytes.set([0x4D, 0x54, 0x68, 0x64], 0);     // "MThd"
+    view.setUint32(4, 6);                       // Header length
+    view.setUint16(8, 0);                       // Format 0
+    view.setUint16(10, 1);                      // One track
+    view.setUint16(12, division);
+    bytes.set([0x4D, 0x54, 0x72, 0x6B], 14);    // "MTrk"
+    view.setUint32(18, track.length);
+    bytes.set(track, 22);
+
+    return bytes;
+}
+
+/**
+ * Build a meta event
+ * @param {number} type - Meta event type
+ * @param {number[]} payload - Event data
+ * @returns {number[]}
+ */
+export function metaEvent(type, payload) {
+    /** @type {number[]} */
+    const data = [0xFF, type];
+    writeVarLen(data, payload.length);
+    data.push(...payload);
+    return data;
+}
+
+/**
+ * Build a text meta event (title, copyright, lyric...) from a string
+ * @param {number} type - Meta event type (0x01-0x0F)
+ * @param {string} text
+ * @returns {number[]}
+ */
+export function textEvent(type, text) {
+    return metaEvent(type, Array.from(text, c => c.charCodeAt(0) & 0xFF));
+}
+
+/**
+ * Build a Set Tempo meta event
+ * @param {number} microsPerQuarter - Microseconds per quarter note
+ * @returns {number[]}
+ */
+export function tempoEvent(microsPerQuarter) {
+    const tempo = Math.max(1, Math.min(0xFFFFFF, Math.round(microsPerQuarter)));
+    return metaEvent(0x51, [tempo >> 16, (tempo >> 8) & 0xFF, tempo & 0xFF]);
+}
+
+/**
+ * Append a variable-length quantity
+ * @param {number[]} out
+ * @param {number} value
+ */
+export function writeVarLen(out, value) {
+    const groups = [value & 0x7F];
+    while ((value >>>= 7) > 0) {
+        groups.unshift((value & 0x7F) | 0x80);
+    }
+    out.push(...groups);
+}
+
+/**
+ * An event read from a Standard MIDI File
+ * @typedef {Object} SmfTrackEvent
+ * @property {number} tick - Absolute time in ticks
+ * @property {number} track - Track index
+ * @property {number} status - Status byte: a channel message status, F0 or
+ *   F7 for SysEx, FF for meta events
+ * @property {number} type - Meta event type (meta events only, otherwise 0)
+ * @property {Uint8Array} data - Data bytes after the status; the payload
+ *   without its length for SysEx and meta events
+ */
+
+/**
+ * Events of a Standard MIDI File
+ * @typedef {Object} SmfEvents
+ * @property {number} division - Ticks per quarter note, or negative SMPTE
+ *   frames per second in the high byte with ticks per frame in the low byte
+ * @property {SmfTrackEvent[]} events - Events from all tracks in playback
+ *   order (by tick, then track)
+ */
+
+/**
+ * A meta event read from a Standard MIDI File
+ * @typedef {Object} SmfMetaEvent
+ * @property {number} tick - Absolute time in ticks
+ * @property {number} track - Track index
+ * @property {number} type - Meta event type
+ * @property {Uint8Array} data - Event payload
+ */
+
+/**
+ * Meta events of a Standard MIDI File
+ * @typedef {Object} SmfMetaEvents
+ * @property {number} division - As for {@link SmfEvents}
+ * @property {SmfMetaEvent[]} events - Meta events from all tracks in
+ *   playback order (by tick, then track)
+ */
+
+/**
+ * Read the events of a Standard MIDI File, or of the SMF inside a RIFF
+ * RMID file.
+ *
+ * Truncated tracks are read up to where they end.
+ *
+ * @param {ArrayBuffer|Uint8Array} data - MIDI file data
+ * @returns {SmfEvents|null} Null if the data is not SMF
+ */
+export function readSmfEvents(data) {
+    let bytes = data instanceof ArrayBuffer ? new Uint8Array(data) : data;
+
+    // RIFF RMID: "RIFF" size "RMID" "data" size SMF
+    if (tagAt(bytes, 0) === 'RIFF' && tagAt(bytes, 8) === 'RMID' && tagAt(bytes, 12) === 'data') {
+        bytes = bytes.subarray(20);
+    }
+    if (bytes.length < 14 || tagAt(bytes, 0) !== 'MThd') {
+        return null;
+    }
+
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const headerLength = view.getUint32(4);
+    const numTracks = view.getUint16(10);
+    const division = view.getInt16(12);
+
+    /** @type {SmfTrackEvent[]} */
+    const events = [];
+    let pos = 8 + headerLength;
+
+    for (let track = 0; track < numTracks && pos + 8 <= bytes.length; track++) {
+        const length = view.getUint32(pos + 4);
+        const start = pos + 8;
+        const end = Math.min(bytes.length, start + length);
+        pos = start + length;
+        if (tagAt(bytes, start - 8) !== 'MTrk') continue;
+
+        let p = start;
+        let tick = 0;
+        let runningStatus = 0;
+        const readVarLen = () => {
+            let value = 0;
+            for (let i = 0; i < 4 && p < end; i++) {
+                const byte = bytes[p++];
+                value = (value << 7) | (byte & 0x7F);
+                if (!(byte & 0x80)) break;
+            }
+            return value;
+        };
+
+        while (p < end) {
+            tick += readVarLen();
+            if (p >= end) break;
+
+            let status = bytes[p];
+            if (status >= 0x80) {
+                p++;
+            } else {
+                status = runningStatus;
+            }
+
+            if (status === 0xFF) {
+                const type = bytes[p++];
+                const size = readVarLen();
+                events.push({ tick, track, status, type, data: bytes.slice(p, Math.min(end, p + size)) });
+                if (type === 0x2F) break;
+                p += size;
+            } else if (status === 0xF0 || status === 0xF7) {
+                const size = readVarLen();
+                events.push({ tick, track, status, type: 0, data: bytes.slice(p, Math.min(end, p + size)) });
+                p += size;
+            } else if (status >= 0x80) {
+                runningStatus = status;
+                const size = (status >> 4) === 0xC || (status >> 4) === 0xD ? 1 : 2;
+                events.push({ tick, track, status, type: 0, data: bytes.slice(p, Math.min(end, p + size)) });
+                p += size;
+            } else {
+                break;  // Data byte without running status
+            }
+        }
+    }
+
+    events.sort((a, b) => a.tick - b.tick || a.track - b.track);
+    return { division, events };
+}
+
+/**
+ * Read the meta events of a Standard MIDI File, or of the SMF inside a
+ * RIFF RMID file. Channel and SysEx events are skipped.
+ *
+ * @param {ArrayBuffer|Uint8Array} data - MIDI file data
+ * @returns {SmfMetaEvents|null} Null if the data is not SMF
+ */
+export function readSmfMetaEvents(data) {
+    const smf = readSmfEvents(data);
+    if (!smf) {
+        return null;
+    }
+
+    const events = smf.events
+        .filter(event => event.status === 0xFF)
+        .map(({ tick, track, type, data }) => ({ tick, track, type, data }));
+    return { division: smf.division, events };
+}
+
+/**
+ * Build a tick-to-seconds conversion from a file's Set Tempo events
+ * @param {number} division - SMF division (see {@link SmfEvents})
+ * @param {(SmfMetaEvent|SmfTrackEvent)[]} events - Events in tick order;
+ *   only Set Tempo meta events are used
+ * @returns {(tick: number) => number} Seconds at a tick
+ */
+export function createTempoMap(division, events) {
+    if (division < 0) {
+        // SMPTE: fixed ticks per second, tempo events don't apply
+        const ticksPerSecond = -(division >> 8) * (division & 0xFF);
+        return (tick) => tick / ticksPerSecond;
+    }
+
+    // Each segment: tempo in effect from `tick`, starting at `seconds`
+    const segments = [{ tick: 0, seconds: 0, secondsPerTick: 0.5 / division }];
+    for (const event of events) {
+        if (event.type !== 0x51 || event.data.length < 3) continue;
+        const last = segments[segments.length - 1];
+        const micros = (event.data[0] << 16) | (event.data[1] << 8) | event.data[2];
+        const seconds = last.seconds + (event.tick - last.tick) * last.secondsPerTick;
+        segments.push({ tick: event.tick, seconds, secondsPerTick: micros / 1e6 / division });
+    }
+
+    return (tick) => {
+        let i = segments.length - 1;
+        while (i > 0 && segments[i].tick > tick) i--;
+        const segment = segments[i];
+        return segment.seconds + (tick - segment.tick) * segment.secondsPerTick;
+    };
+}
+
+/**
+ * Marker meta event of a Standard MIDI File
+ * @typedef {Object} SmfMarker
+ * @property {string} label - Marker text
+ * @property {number} positionSeconds - Position in seconds
+ * @property {number} tick - Position in MIDI ticks
+ */
+
+/**
+ * Read the markers (FF06) of a Standard MIDI File, as libADLMIDI lists
+ * them: the `loopStart` and `loopEnd` markers that set the loop points are
+ * left out.
+ *
+ * @param {ArrayBuffer|Uint8Array} data - MIDI file data
+ * @returns {SmfMarker[]} Markers sorted by position; empty if the data is
+ *   not SMF
+ */
+export function readSmfMarkers(data) {
+    const smf = readSmfMetaEvents(data);
+    if (!smf) {
+        return [];
+    }
+
+    const tickToSeconds = createTempoMap(smf.division, smf.events);
+    return smf.events
+        .filter(event => event.type === 0x06)
+        .map(event => ({ label: decodeMetaText(event.data), tick: event.tick }))
+        .filter(({ label }) => !/^loop(start|end)$/i.test(label))
+        .map(({ label, tick }) => ({ label, positionSeconds: tickToSeconds(tick), tick }));
+}
+
+/**
+ * Decode meta event text: UTF-8 when valid, otherwise Latin-1
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+export function decodeMetaText(bytes) {
+    try {
+        return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+    } catch {
+        return String.fromCharCode(...bytes);
+    }
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @param {number} offset
+ * @returns {string} Four-character chunk tag
+ */
+function tagAt(bytes, offset) {
+    return String.fromCharCode(...bytes.subarray(offset, offset + 4));
+}
@@ -0,0 +1,356 @@
+/**
+ * VGM (Video Game Music) chip-log format support.
+ *
+ * Reads VGM and gzip-compressed VGZ logs for the YMF262 (OPL3), YM3812
+ * (OPL2) and YM3526 (OPL) and plays them through the raw OPL3 API with
+ * {@link VgmPlayer}.
+ *
+ * @module formats/vgm
+ */
+
+import { RegisterStreamPlayer } from './player.js';
+
+/** VGM timing base; all waits are counted in 44100 Hz samples */
+export const VGM_SAMPLE_RATE = 44100;
+
+/** Header bit that marks a dual-chip clock field */
+const DUAL_CHIP_FLAG = 0x40000000;
+
+/**
+ * OPL-family chips the reader understands, in the order they are assigned
+ * to synth chips. `clock` is the header field holding the chip clock.
+ */
+const READ_CHIPS = [
+    { type: 'ymf262', clock: 0x5C, commands: [[0x5E, 0x5F], [0xAE, 0xAF]] },
+    { type: 'ym3812', clock: 0x50, commands: [[0x5A], [0xAA]] },
+    { type: 'ym3526', clock: 0x54, commands: [[0x5B], [0xAB]] },
+];
+
+/** Field order of a GD3 tag block */
+const GD3_FIELDS = /** @type {const} */ ([
+    'trackName', 'trackNameJp',
+    'gameName', 'gameNameJp',
+    'systemName', 'systemNameJp',
+    'author', 'authorJp',
+    'releaseDate',
+    'creator',
+    'notes',
+]);
+
+/**
+ * GD3 metadata tags
+ * @typedef {Object} VgmTags
+ * @property {string} [trackName] - Track title
+ * @property {string} [trackNameJp] - Track title (Japanese)
+ * @property {string} [gameName] - Game or album name
+ * @property {string} [gameNameJp] - Game or album name (Japanese)
+ * @property {string} [systemName] - Original system name
+ * @property {string} [systemNameJp] - Original system name (Japanese)
+ * @property {string} [author] - Composer / original author
+ * @property {string} [authorJp] - Composer / original author (Japanese)
+ * @property {string} [releaseDate] - Release date
+ * @property {string} [creator] - Person or tool that created the VGM
+ * @property {string} [notes] - Free-form notes
+ */
+
+/**
+ * A chip declared in a VGM header
+ * @typedef {Object} VgmChip
+ * @property {'ymf262'|'ym3812'|'ym3526'} type - Chip type
+ * @property {number} clock - Master clock in Hz
+ * @property {number} index - 0 for the first chip of its type, 1 for the second
+ */
+
+/**
+ * A register write from a VGM log
+ * @typedef {Object} VgmWrite
+ * @property {number} sample - Time in 44100 Hz samples
+ * @property {number} chip - Index into {@link VgmFile}.chips
+ * @property {number} reg - Register (0x100-0x1FF for the YMF262 high bank)
+ * @property {number} value - Register value
+ */
+
+/**
+ * Parsed VGM file. Only the OPL-family chips are kept; commands for other
+ * chips in the log are skipped.
+ * @typedef {Object} VgmFile
+ * @property {string} version - Format version, e.g. '1.51'
+ * @property {VgmChip[]} chips - OPL chips used by the log, in synth chip order
+ * @property {number} totalSamples - Length in 44100 Hz samples
+ * @property {number} loopSample - Sample where the loop begins, or -1 if the log does not loop
+ * @property {VgmWrite[]} writes - Register writes in log order
+ * @property {VgmTags|null} tags - GD3 tags, or null if the file has none
+ */
+
+/**
+ * Decompress a VGZ (gzip-compressed VGM) file. Data that is not gzip
+ * compressed is returned unchanged.
+ *
+ * @param {ArrayBuffer|Uint8Array} data - VGZ or VGM file data
+ * @returns {Promise<Uint8Array>} Uncompressed VGM data
+ */
+export async function inflateVGZ(data) {
+    const bytes = data instanceof ArrayBuffer ? new Uint8Array(data) : data;
+    if (!isGzip(bytes)) {
+        return bytes;
+    }
+
+    const stream = new Blob([/** @type {BlobPart} */ (bytes)]).stream().pipeThrough(new DecompressionStream('gzip'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Parse an uncompressed VGM file.
+ *
+ * Register writes for the YMF262, YM3812 and YM3526 are kept, including
+ * the second chip of dual-chip logs. Synth chips are assigned in that
+ * order: YMF262 chips first, then YM3812, then YM3526.
+ *
+ * @param {ArrayBuffer|Uint8Array} data - VGM file data
+ * @returns {VgmFile}
+ * @throws {Error} If the data is not a VGM file, is still compressed, or uses no OPL chip
+ */
+export function parseVGM(data) {
+    const bytes = data instanceof ArrayBuffer ? new Uint8Array(data) : data;
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+    if (isGzip(bytes)) {
+        throw new Error('VGZ data must be decompressed first; use inflateVGZ() or VgmPlayer.load()');
+    }
+    if (bytes.length < 0x40 || String.fromCharCode(...bytes.slice(0, 4)) !== 'Vgm ') {
+        throw new Error('Not a VGM file');
+    }
+
+    const version = view.getUint32(0x08, true);
+    const dataOffsetField = version >= 0x150 ? view.getUint32(0x34, true) : 0;
+    const dataOffset = dataOffsetField ? 0x34 + dataOffsetField : 0x40;
+
+    /** @param {number} offset */
+    const headerField = (offset) =>
+        offset + 4 <= dataOffset && offset + 4 <= bytes.length ? view.getUint32(offset, true) : 0;
+
+    // Assign synth chips; map "command byte" -> [chip index, register bank]
+    /** @type {VgmChip[]} */
+    const chips = [];
+    /** @type {Map<number, [number, number]>} */
+    const commandMap = new Map();
+    for (const def of READ_CHIPS) {
+        const field = headerField(def.clock);
+        const clock = field & 0x3FFFFFFF;
+        if (!clock) continue;
+
+        const count = field & DUAL_CHIP_FLAG ? 2 : 1;
+        for (let index = 0; index < count; index++) {
+            def.commands[index].forEach((command, bank) => {
+                commandMap.set(command, [chips.length, bank]);
+            });
+            chips.push({ type: /** @type {VgmChip['type']} */ (def.type), clock, index });
+        }
+    }
+    if (chips.length === 0) {
+        throw new Error('VGM file contains no YMF262, YM3812 or YM3526 stream');
+    }
+
+    const loopOffsetField = headerField(0x1C);
+    const loopOffset = loopOffsetField ? 0x1C + loopOffsetField : -1;
+
+    /** @type {VgmWrite[]} */
+    const writes = [];
+    let sample = 0;
+    let loopSample = -1;
+    let pos = dataOffset;
+
+    while (pos < bytes.length) {
+        if (loopSample < 0 && loopOffset >= 0 && pos >= loopOffset) {
+            loopSample = sample;
+        }
+
+        const cmd = bytes[pos];
+        const target = commandMap.get(cmd);
+        if (target) {
+            if (pos + 2 >= bytes.length) break;
+            const [chip, bank] = target;
+            writes.push({ sample, chip, reg: (bank << 8) | bytes[pos + 1], value: bytes[pos + 2] });
+            pos += 3;
+            continue;
+        }
+
+        if (cmd === 0x66) {
+            break; // End of sound data
+        } else if (cmd === 0x61) {
+            if (pos + 2 >= bytes.length) break;
+            sample += view.getUint16(pos + 1, true);
+            pos += 3;
+        } else if (cmd === 0x62) {
+            sample += 735;
+            pos += 1;
+        } else if (cmd === 0x63) {
+            sample += 882;
+            pos += 1;
+        } else if (cmd >= 0x70 && cmd <= 0x7F) {
+            sample += (cmd & 0x0F) + 1;
+            pos += 1;
+        } else if (cmd >= 0x80 && cmd <= 0x8F) {
+            // YM2612 DAC write from the data bank, then wait n
+            sample += cmd & 0x0F;
+            pos += 1;
+        } else if (cmd === 0x67) {
+            // Data block: 0x67 0x66 tt ss ss ss ss
+            if (pos + 6 >= bytes.length) break;
+            pos += 7 + (view.getUint32(pos + 3, true) & 0x7FFFFFFF);
+        } else {
+            pos += 1 + commandLength(cmd);
+        }
+    }
+
+    const headerSamples = headerField(0x18);
+    const gd3Field = headerField(0x14);
+    const major = version >> 8;
+    const minor = version & 0xFF;
+
+    return {
+        version: `${major.toString(16)}.${minor.toString(16).padStart(2, '0')}`,
+        chips,
+        totalSamples: Math.max(headerSamples, sample),
+        loopSample,
+        writes,
+        tags: gd3Field ? parseGD3(bytes, 0x14 + gd3Field) : null,
+    };
+}
+
+/**
+ * Convert a parsed VGM file into a playable register stream.
+ *
+ * @param {VgmFile} vgm - Parsed VGM file
+ * @returns {import('./player.js').RegisterStream}
+ */
+export function vgmToStream(vgm) {
+    return {
+        events: vgm.writes.map(write => ({
+            time: write.sample / VGM_SAMPLE_RATE,
+            chip: write.chip,
+            reg: write.reg,
+            value: write.value,
+        })),
+        duration: vgm.totalSamples / VGM_SAMPLE_RATE,
+        loopStart: vgm.loopSample >= 0 ? vgm.loopSample / VGM_SAMPLE_RATE : undefined,
+        numChips: vgm.chips.length,
+    };
+}
+
+/**
+ * Plays VGM logs of OPL-family chips through the raw OPL3 API.
+ *
+ * Works with AdlMidi for real-time playback and with AdlMidiCore for
+ * offline rendering; see {@link RegisterStreamPlayer} for the transport.
+ * Each chip in the log drives one synth chip, so set the synth's chip count
+ * to at least `vgm.chips.length` for dual-chip logs. YM3812 and YM3526
+ * chips, including those sharing a log with a YMF262, are made audible in
+ * libADLMIDI's OPL3 mode by patching their C0h stereo output bits. Looping
+ * follows the log's loop offset.
+ *
+ * @example
+ * ```javascript
+ * import { AdlMidi } from 'libadlmidi-js/full';
+ * import { VgmPlayer } from 'libadlmidi-js/formats/vgm';
+ *
+ * const synth = new AdlMidi();
+ * await synth.init();
+ * const player = await VgmPlayer.load(synth, vgzBytes, { loop: true });
+ * console.log(player.vgm.tags?.trackName);
+ * await player.play();
+ * ```
+ */
+export class VgmPlayer extends RegisterStreamPlayer {
+    /**
+     * Create a VGM player. Compressed VGZ data must go through {@link VgmPlayer.load}.
+     * @param {import('./player.js').RawOplTarget} synth - AdlMidi or AdlMidiCore instance
+     * @param {ArrayBuffer|Uint8Array|VgmFile} data - VGM file data, or an already parsed file
+     * @param {import('./player.js').RegisterStreamPlayerOptions} [options]
+     */
+    constructor(synth, data, options = {}) {
+        const vgm = data instanceof ArrayBuffer || ArrayBuffer.isView(data)
+            ? parseVGM(/** @type {ArrayBuffer|Uint8Array} */ (data))
+            : /** @type {VgmFile} */ (data);
+        // Only the OPL2-class chips; a YMF262 in the same log keeps its own panning
+        const forceStereo = vgm.chips.flatMap((chip, index) => chip.type === 'ymf262' ? [] : [index]);
+        super(synth, vgmToStream(vgm), { forceStereo, ...options });
+
+        /** Parsed VGM file being played */
+        this.vgm = vgm;
+    }
+
+    /**
+     * Create a player from VGM or VGZ data, decompressing it if needed
+     * @param {import('./player.js').RawOplTarget} synth - AdlMidi or AdlMidiCore instance
+     * @param {ArrayBuffer|Uint8Array} data - VGM or VGZ file data
+     * @param {import('./player.js').RegisterStreamPlayerOptions} [options]
+     * @returns {Promise<VgmPlayer>}
+     */
+    static async load(synth, data, options = {}) {
+        return new VgmPlayer(synth, await inflateVGZ(data), options);
+    }
+}
+
+/**
+ * Parse a GD3 tag block.
+ *
+ * @param {Uint8Array} bytes - VGM file data
+ * @param {number} offset - Absolute offset of the "Gd3 " signature
+ * @returns {VgmTags|null} Tags, or null if the block is missing or malformed
+ */
+function parseGD3(bytes, offset) {
+    if (offset + 12 > bytes.length ||
+        String.fromCharCode(...bytes.slice(offset, offset + 4)) !== 'Gd3 ') {
+        return null;
+    }
+
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const end = Math.min(bytes.length, offset + 12 + view.getUint32(offset + 8, true));
+
+    /** @type {VgmTags} */
+    const tags = {};
+    let pos = offset + 12;
+    for (const field of GD3_FIELDS) {
+        let text = '';
+        while (pos + 1 < end) {
+            const unit = view.getUint16(pos, true);
+            pos += 2;
+            if (unit === 0) break;
+            text += String.fromCharCode(unit);
+        }
+        tags[field] = text;
+    }
+
+    return tags;
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {boolean} True if the data starts with the gzip magic number
+ */
+function isGzip(bytes) {
+    return bytes.length >= 2 && bytes[0] === 0x1F && bytes[1] === 0x8B;
+}
+
+/**
+ * Operand length of a VGM command the reader skips.
+ *
+ * @param {number} cmd - Command byte
+ * @returns {number} Number of operand bytes following the command
+ */
+function commandLength(cmd) {
+    switch (cmd) {
+        case 0x4F: case 0x50: case 0x94: return 1;
+        case 0x90: case 0x91: case 0x95: return 4;
+        case 0x92: return 5;
+        case 0x93: return 10;
+        case 0x68: return 11;
+    }
+    if (cmd >= 0x30 && cmd <= 0x3F) return 1;
+    if (cmd >= 0x40 && cmd <= 0x5F) return 2;
+    if (cmd >= 0xA0 && cmd <= 0xBF) return 2;
+    if (cmd >= 0xC0 && cmd <= 0xDF) return 3;
+    if (cmd >= 0xE0) return 4;
+    return 0;
+}
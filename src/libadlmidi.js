@@ -15,8 +15,15 @@
  * ```
  */
 
-import { Emulator, TrackOption } from './utils/constants.js';
-export { Emulator, TrackOption };
+import { Emulator, TrackOption, SampleFormat, ChannelState } from './utils/constants.js';
+import { MidiStreamParser, dispatchMidiMessage } from './utils/midi.js';
+import { decodeChannelStates } from './utils/opl3.js';
+import { MidiInputBinding } from './utils/webmidi.js';
+import { parseCMF, cmfToMidi } from './formats/cmf.js';
+import { parseROL, rolToMidi } from './formats/rol.js';
+import { readSmfMarkers } from './formats/smf.js';
+import { LyricFeed } from './formats/lyrics.js';
+export { Emulator, TrackOption, SampleFormat, ChannelState };
 
 /**
  * Bank identifier for instrument access
@@ -65,6 +72,57 @@ export { Emulator, TrackOption };
  * @property {[Operator, Operator, Operator, Operator]} operators - Four operators
  */
 
+/**
+ * Marker meta event in the loaded file
+ * @typedef {Object} Marker
+ * @property {string} label - Marker text
+ * @property {number} positionSeconds - Position in seconds
+ * @property {number} tick - Position in MIDI ticks
+ */
+
+/**
+ * File playback state reported by the worklet
+ * @typedef {Object} PlaybackState
+ * @property {number} position - Song position in seconds
+ * @property {number} duration - Song length in seconds
+ * @property {boolean} atEnd - True once the song has finished
+ * @property {string} playMode - 'file' while a file plays, otherwise 'realtime'
+ * @property {number} tempo - Tempo multiplier (1.0 = normal speed)
+ * @property {boolean} loopEnabled - Whether looping is enabled
+ * @property {number} loopStart - Loop start in seconds, or -1 if the song has no loop points
+ * @property {number} loopEnd - Loop end in seconds, or -1 if the song has no loop points
+ * @property {string|null} marker - Label of the last marker passed, if any
+ * @property {number} time - AudioContext time that `position` belongs to
+ */
+
+/**
+ * Peak and RMS level of one signal, linear (1.0 = full scale)
+ * @typedef {Object} Level
+ * @property {number} peak - Highest absolute sample value
+ * @property {number} rms - Root mean square
+ */
+
+/**
+ * Levels measured by the worklet over one metering interval
+ * @typedef {Object} Levels
+ * @property {number} time - AudioContext time at the end of the interval
+ * @property {Level[]} channels - Per output channel (left, right)
+ */
+
+/** @typedef {import('./utils/midi.js').NoteEvent} NoteEvent */
+/** @typedef {import('./utils/midi.js').MidiEvent} MidiEvent */
+/** @typedef {import('./utils/midi.js').MetaEvent} MetaEvent */
+/** @typedef {import('./formats/lyrics.js').Lyric} Lyric */
+/** @typedef {import('./formats/lyrics.js').LyricEvent} LyricEvent */
+
+/** Handler sets receiving each list of a playbackEvents batch */
+const PLAYBACK_EVENT_LISTS = Object.freeze({
+    notes: 'playbackNote',
+    midiEvents: 'playbackMidiEvent',
+    metaEvents: 'playbackMetaEvent',
+    lyrics: 'playbackLyric',
+});
+
 /**
  * Configuration settings for the synthesizer
  * @typedef {Object} ConfigureSettings
@@ -74,15 +132,33 @@ export { Emulator, TrackOption };
  * @property {boolean} [softPan] - Enable soft stereo panning
  * @property {boolean} [deepVibrato] - Enable deep vibrato
  * @property {boolean} [deepTremolo] - Enable deep tremolo
+ * @property {number} [sampleFormat] - Output path from the SampleFormat enum;
+ *   SampleFormat.F32 avoids the 16-bit path's clipping with many chips
  */
 
 export class AdlMidi {
     /** @type {boolean} */
     #ready = false;
+    /** @type {boolean} */
+    #scheduling = false;
+    /** @type {boolean} */
+    #warnedScheduling = false;
     /** @type {Map<string, Set<Function>>} */
     #messageHandlers = new Map();
+    /** @type {MidiStreamParser} */
+    #midiParser = new MidiStreamParser();
+    /** @type {Set<MidiInputBinding>} */
+    #midiBindings = new Set();
     /** @type {number} */
     #nextRequestId = 0;
+    /** @type {PlaybackState|null} */
+    #lastState = null;
+    /** @type {number} */
+    #levelsInterval = 0;
+    /** @type {LyricFeed} */
+    #lyricFeed = LyricFeed.fromMidi(new Uint8Array(0));
+    /** @type {Marker[]} */
+    #markers = [];
 
     /**
      * Create a new AdlMidi instance
@@ -109,6 +185,19 @@ export class AdlMidi {
         return this.#ready;
     }
 
+    /**
+     * Check if the worklet applies `when` timestamps on their exact sample.
+     *
+     * Processor bundles built before scheduling support ignore `when` and
+     * apply every call at the next render quantum; callers that schedule
+     * ahead should fall back to timing calls themselves when this is false.
+     * Only meaningful once {@link ready} is true.
+     * @returns {boolean}
+     */
+    get supportsScheduling() {
+        return this.#scheduling;
+    }
+
     /**
      * Initialize the synthesizer
      * @param {string} processorUrl - URL to the bundled processor JavaScript file
@@ -162,9 +251,15 @@ export class AdlMidi {
                 reject(new Error('Timeout waiting for WASM initialization'));
             }, 10000);
 
-            this.#onceMessage('ready', () => {
+            this.#onceMessage('ready', /** @param {{scheduling?: boolean}} msg */ (msg) => {
                 clearTimeout(timeout);
                 this.#ready = true;
+                this.#scheduling = msg.scheduling === true;
+                // Handlers may have subscribed before the worklet existed
+                this.#updatePlaybackEvents();
+                if (this.#levelsInterval > 0) {
+                    this.#send({ type: 'setLevelsInterval', interval: this.#levelsInterval });
+                }
                 resolve();
             });
 
@@ -180,12 +275,65 @@ export class AdlMidi {
      * @param {{type: string}} msg - Message from processor
      */
     #handleMessage(msg) {
+        if (msg.type === 'playbackEvents') {
+            this.#dispatchPlaybackEvents(/** @type {any} */ (msg));
+            return;
+        }
+
+        if (msg.type === 'state') {
+            const { type: _type, ...state } = /** @type {PlaybackState & {type: string}} */ (msg);
+            this.#lastState = state;
+        }
+
         const handlers = this.#messageHandlers.get(msg.type);
         if (handlers) {
             handlers.forEach(/** @param {Function} handler */ handler => handler(msg));
         }
     }
 
+    /**
+     * Hand each event of a playbackEvents batch to its subscribers
+     * @param {{notes: NoteEvent[], midiEvents: MidiEvent[], metaEvents: MetaEvent[], lyrics: LyricEvent[]}} batch
+     */
+    #dispatchPlaybackEvents(batch) {
+        for (const [list, key] of Object.entries(PLAYBACK_EVENT_LISTS)) {
+            const handlers = this.#messageHandlers.get(key);
+            if (!handlers || handlers.size === 0) continue;
+            for (const event of batch[/** @type {keyof typeof PLAYBACK_EVENT_LISTS} */ (list)]) {
+                handlers.forEach(handler => handler(event));
+            }
+        }
+    }
+
+    /**
+     * Subscribe to one kind of playback event, having the worklet report
+     * events while anything is subscribed
+     * @param {string} key - Handler set in PLAYBACK_EVENT_LISTS
+     * @param {Function} handler
+     * @returns {function(): void} Unsubscribe function
+     */
+    #subscribePlaybackEvent(key, handler) {
+        if (!this.#messageHandlers.has(key)) {
+            this.#messageHandlers.set(key, new Set());
+        }
+        this.#messageHandlers.get(key)?.add(handler);
+        this.#updatePlaybackEvents();
+
+        return () => {
+            this.#messageHandlers.get(key)?.delete(handler);
+            this.#updatePlaybackEvents();
+        };
+    }
+
+    /**
+     * Tell the worklet whether any playback event handlers are subscribed
+     */
+    #updatePlaybackEvents() {
+        const enabled = Object.values(PLAYBACK_EVENT_LISTS)
+            .some(key => (this.#messageHandlers.get(key)?.size ?? 0) > 0);
+        this.#send({ type: 'setPlaybackEvents', enabled });
+    }
+
     /**
      * Register a one-time message handler
      * @param {string} type - Message type
@@ -230,9 +378,13 @@ export class AdlMidi {
 
     /**
      * Send a message to the processor
-     * @param {Object} msg - Message to send
+     * @param {Record<string, any>} msg - Message to send
      */
     #send(msg) {
+        if (msg.when !== undefined && this.#ready && !this.#scheduling && !this.#warnedScheduling) {
+            this.#warnedScheduling = true;
+            console.warn('libadlmidi: this worklet does not support scheduling; `when` is ignored and events apply immediately');
+        }
         if (this.node) {
             this.node.port.postMessage(msg);
         }
@@ -243,29 +395,35 @@ export class AdlMidi {
      * @param {number} channel - MIDI channel (0-15)
      * @param {number} note - MIDI note number (0-127)
      * @param {number} velocity - Note velocity (0-127)
+     * @param {number} [when] - AudioContext time (seconds) to apply the event at;
+     *   omit to apply it at the next render quantum
      */
-    noteOn(channel, note, velocity) {
-        this.#send({ type: 'noteOn', channel, note, velocity });
+    noteOn(channel, note, velocity, when) {
+        this.#send({ type: 'noteOn', channel, note, velocity, when });
     }
 
     /**
      * Stop a note
      * @param {number} channel - MIDI channel (0-15)
      * @param {number} note - MIDI note number (0-127)
+     * @param {number} [when] - AudioContext time (seconds) to apply the event at;
+     *   omit to apply it at the next render quantum
      */
-    noteOff(channel, note) {
-        this.#send({ type: 'noteOff', channel, note });
+    noteOff(channel, note, when) {
+        this.#send({ type: 'noteOff', channel, note, when });
     }
 
     /**
      * Set pitch bend
      * @param {number} channel - MIDI channel (0-15)
      * @param {number} value - Pitch bend value (0-16383, 8192 = center)
+     * @param {number} [when] - AudioContext time (seconds) to apply the event at;
+     *   omit to apply it at the next render quantum
      */
-    pitchBend(channel, value) {
+    pitchBend(channel, value, when) {
         const lsb = value & 0x7F;
         const msb = (value >> 7) & 0x7F;
-        this.#send({ type: 'pitchBend', channel, lsb, msb });
+        this.#send({ type: 'pitchBend', channel, lsb, msb, when });
     }
 
     /**
@@ -273,18 +431,22 @@ export class AdlMidi {
      * @param {number} channel - MIDI channel (0-15)
      * @param {number} controller - Controller number (0-127)
      * @param {number} value - Controller value (0-127)
+     * @param {number} [when] - AudioContext time (seconds) to apply the event at;
+     *   omit to apply it at the next render quantum
      */
-    controlChange(channel, controller, value) {
-        this.#send({ type: 'controlChange', channel, controller, value });
+    controlChange(channel, controller, value, when) {
+        this.#send({ type: 'controlChange', channel, controller, value, when });
     }
 
     /**
      * Change program (instrument)
      * @param {number} channel - MIDI channel (0-15)
      * @param {number} program - Program number (0-127)
+     * @param {number} [when] - AudioContext time (seconds) to apply the event at;
+     *   omit to apply it at the next render quantum
      */
-    programChange(channel, program) {
-        this.#send({ type: 'programChange', channel, program });
+    programChange(channel, program, when) {
+        this.#send({ type: 'programChange', channel, program, when });
     }
 
     /**
@@ -292,61 +454,128 @@ export class AdlMidi {
      * @param {number} channel - MIDI channel (0-15)
      * @param {number} note - Note number (0-127)
      * @param {number} pressure - Pressure (0-127)
+     * @param {number} [when] - AudioContext time (seconds) to apply the event at;
+     *   omit to apply it at the next render quantum
      */
-    noteAfterTouch(channel, note, pressure) {
-        this.#send({ type: 'noteAfterTouch', channel, note, pressure });
+    noteAfterTouch(channel, note, pressure, when) {
+        this.#send({ type: 'noteAfterTouch', channel, note, pressure, when });
     }
 
     /**
      * Send channel aftertouch
      * @param {number} channel - MIDI channel (0-15)
      * @param {number} pressure - Pressure (0-127)
+     * @param {number} [when] - AudioContext time (seconds) to apply the event at;
+     *   omit to apply it at the next render quantum
      */
-    channelAfterTouch(channel, pressure) {
-        this.#send({ type: 'channelAfterTouch', channel, pressure });
+    channelAfterTouch(channel, pressure, when) {
+        this.#send({ type: 'channelAfterTouch', channel, pressure, when });
     }
 
     /**
      * Change bank (16-bit)
      * @param {number} channel - MIDI channel (0-15)
      * @param {number} bank - Bank number
+     * @param {number} [when] - AudioContext time (seconds) to apply the event at;
+     *   omit to apply it at the next render quantum
      */
-    bankChange(channel, bank) {
-        this.#send({ type: 'bankChange', channel, bank });
+    bankChange(channel, bank, when) {
+        this.#send({ type: 'bankChange', channel, bank, when });
     }
 
     /**
      * Change bank MSB
      * @param {number} channel - MIDI channel (0-15)
      * @param {number} msb - Bank MSB (0-127)
+     * @param {number} [when] - AudioContext time (seconds) to apply the event at;
+     *   omit to apply it at the next render quantum
      */
-    bankChangeMSB(channel, msb) {
-        this.#send({ type: 'bankChangeMSB', channel, msb });
+    bankChangeMSB(channel, msb, when) {
+        this.#send({ type: 'bankChangeMSB', channel, msb, when });
     }
 
     /**
      * Change bank LSB
      * @param {number} channel - MIDI channel (0-15)
      * @param {number} lsb - Bank LSB (0-127)
+     * @param {number} [when] - AudioContext time (seconds) to apply the event at;
+     *   omit to apply it at the next render quantum
      */
-    bankChangeLSB(channel, lsb) {
-        this.#send({ type: 'bankChangeLSB', channel, lsb });
+    bankChangeLSB(channel, lsb, when) {
+        this.#send({ type: 'bankChangeLSB', channel, lsb, when });
     }
 
     /**
      * Reset the real-time state (stops all notes, resets controllers)
+     * @param {number} [when] - AudioContext time (seconds) to apply the event at;
+     *   omit to apply it at the next render quantum
      * @returns {void}
      */
-    resetState() {
-        this.#send({ type: 'resetState' });
+    resetState(when) {
+        this.#send({ type: 'resetState', when });
     }
 
     /**
      * Panic - stop all sounds immediately
+     * @param {number} [when] - AudioContext time (seconds) to apply the event at;
+     *   omit to apply it at the next render quantum
      * @returns {void}
      */
-    panic() {
-        this.#send({ type: 'panic' });
+    panic(when) {
+        this.#send({ type: 'panic', when });
+    }
+
+    /**
+     * Send raw MIDI bytes, e.g. straight from a Web MIDI input.
+     *
+     * Accepts any number of messages per call, with running status, SysEx
+     * dumps split across calls and interleaved real-time bytes. Each complete
+     * message goes to the matching method (noteOn, controlChange,
+     * systemExclusive...). System Reset (FFh) calls resetState(); other
+     * real-time and system common messages are ignored.
+     * @param {Uint8Array|ArrayLike<number>} bytes - Raw MIDI bytes
+     * @param {number} [when] - AudioContext time (seconds) to apply the messages at;
+     *   omit to apply them at the next render quantum
+     */
+    sendMidi(bytes, when) {
+        /** @type {import('./utils/midi.js').MidiMessageHandlers} */
+        const handlers = {
+            noteOn: (channel, note, velocity) => this.noteOn(channel, note, velocity, when),
+            noteOff: (channel, note) => this.noteOff(channel, note, when),
+            noteAfterTouch: (channel, note, pressure) => this.noteAfterTouch(channel, note, pressure, when),
+            controlChange: (channel, controller, value) => this.controlChange(channel, controller, value, when),
+            programChange: (channel, program) => this.programChange(channel, program, when),
+            channelAfterTouch: (channel, pressure) => this.channelAfterTouch(channel, pressure, when),
+            pitchBend: (channel, value) => this.pitchBend(channel, value, when),
+            // Fire-and-forget like the other messages; a rejected SysEx
+            // (unsupported ID) is not an error in a stream
+            systemExclusive: (data) => { this.systemExclusive(data, when).catch(() => {}); },
+            reset: () => this.resetState(when),
+        };
+        for (const message of this.#midiParser.push(bytes)) {
+            dispatchMidiMessage(message, handlers);
+        }
+    }
+
+    /**
+     * Play this synth from Web MIDI inputs.
+     *
+     * Binds every connected input (or those accepted by `options.filter`)
+     * and keeps following devices as they are plugged in and out. Routing
+     * can filter and remap channels per input. The binding is closed
+     * automatically by {@link close}.
+     * @param {import('./utils/webmidi.js').MidiInputBindingOptions & {access?: MIDIAccess, sysex?: boolean}} [options] -
+     *   Binding options; `access` defaults to a new navigator.requestMIDIAccess()
+     *   call, made with `sysex` permission if requested
+     * @returns {Promise<MidiInputBinding>} The live binding; call close() on it to unbind
+     */
+    async bindMidiInputs(options = {}) {
+        const { access, sysex = false, ...bindingOptions } = options;
+        const midiAccess = access ?? await navigator.requestMIDIAccess({ sysex });
+
+        const binding = new MidiInputBinding(this, midiAccess, bindingOptions);
+        this.#midiBindings.add(binding);
+        return binding;
     }
 
     // ================== Raw OPL3 API ==================
@@ -358,12 +587,25 @@ export class AdlMidi {
      * {@link reserveChipChannels} to prevent the MIDI driver from
      * overwriting your register state.
      *
+     * Pass `when` to apply the write on an exact sample instead of at the
+     * next render quantum, e.g. for register-log playback.
+     *
      * @param {number} chipId - Zero-based chip index (0 to getNumChipsObtained()-1)
      * @param {number} reg - OPL3 register address (0x000-0x1FF, bit 8 selects bank)
      * @param {number} value - Register value (0-255)
+     * @param {number} [when] - AudioContext time (seconds) to apply the write at
+     */
+    rawOPL3(chipId, reg, value, when) {
+        this.#send({ type: 'rawOPL3', chipId, reg, value, when });
+    }
+
+    /**
+     * Drop all timed messages (any call made with a `when` time) that have
+     * not been applied yet
+     * @returns {void}
      */
-    rawOPL3(chipId, reg, value) {
-        this.#send({ type: 'rawOPL3', chipId, reg, value });
+    cancelScheduledEvents() {
+        this.#send({ type: 'cancelScheduled' });
     }
 
     /**
@@ -421,6 +663,9 @@ export class AdlMidi {
 
     /**
      * Load a custom bank file (WOPL format)
+     *
+     * The bank's instrument names are kept for getInstrument() and
+     * getInstrumentNames().
      * @param {ArrayBuffer} arrayBuffer - Bank file data
      * @returns {Promise<void>}
      */
@@ -461,7 +706,8 @@ export class AdlMidi {
      * Get an instrument from a bank for editing
      * @param {BankId} [bankId] - Bank identifier
      * @param {number} [programNumber] - Program/instrument number (0-127)
-     * @returns {Promise<Instrument>} Instrument object with named properties
+     * @returns {Promise<Instrument>} Instrument object with named properties,
+     *   including its name ('' if unknown)
      */
     async getInstrument(bankId = { percussive: false, msb: 0, lsb: 0 }, programNumber = 0) {
         return new Promise((resolve, reject) => {
@@ -481,7 +727,8 @@ export class AdlMidi {
      * Set an instrument in a bank
      * @param {BankId} bankId - Bank identifier
      * @param {number} programNumber - Program/instrument number (0-127)
-     * @param {Instrument} instrument - Instrument object with operator parameters
+     * @param {Instrument} instrument - Instrument object with operator
+     *   parameters. Its name, if given, replaces the one kept for the program.
      * @returns {Promise<void>}
      */
     async setInstrument(bankId = { percussive: false, msb: 0, lsb: 0 }, programNumber, instrument) {
@@ -498,6 +745,24 @@ export class AdlMidi {
         });
     }
 
+    /**
+     * Get the names of all instruments in a bank
+     *
+     * Names come from the loaded WOPL bank and from setInstrument(); the
+     * embedded banks have none.
+     * @param {BankId} [bankId] - Bank identifier
+     * @returns {Promise<string[]>} 128 names by program ('' where unknown)
+     */
+    async getInstrumentNames(bankId = { percussive: false, msb: 0, lsb: 0 }) {
+        const reqId = this.#nextRequestId++;
+        return new Promise((resolve) => {
+            this.#onceCorrelatedMessage('instrumentNames', reqId, /** @param {{names: string[]}} msg */(msg) => {
+                resolve(msg.names);
+            });
+            this.#send({ type: 'getInstrumentNames', bankId, reqId });
+        });
+    }
+
     /**
      * Set the number of emulated OPL3 chips
      * @param {number} chips - Number of chips (1-100)
@@ -839,6 +1104,28 @@ export class AdlMidi {
         });
     }
 
+    /**
+     * Export the loaded banks as a WOPL file
+     *
+     * Includes every melodic and percussion bank the synth holds, with any
+     * changes made by setInstrument(). The result can be saved as a .wopl
+     * file or loaded back with loadBankData().
+     * @returns {Promise<Uint8Array>} Complete WOPL file
+     */
+    async exportBank() {
+        const reqId = this.#nextRequestId++;
+        return new Promise((resolve, reject) => {
+            this.#onceCorrelatedMessage('bankExported', reqId, /** @param {{success: boolean, data?: Uint8Array, error?: string}} msg */(msg) => {
+                if (msg.success && msg.data) {
+                    resolve(msg.data);
+                } else {
+                    reject(new Error(msg.error || 'Failed to export bank'));
+                }
+            });
+            this.#send({ type: 'exportBank', reqId });
+        });
+    }
+
     /**
      * Remove a bank by its identifier
      * @param {BankId} bankId - Bank identifier
@@ -883,9 +1170,11 @@ export class AdlMidi {
     /**
      * Send a System Exclusive (SysEx) message
      * @param {Uint8Array|ArrayBuffer} data - SysEx message data
-     * @returns {Promise<void>} Resolves on success, rejects on failure
+     * @param {number} [when] - AudioContext time (seconds) to apply the message at;
+     *   omit to apply it at the next render quantum
+     * @returns {Promise<void>} Resolves once applied, rejects on failure
      */
-    async systemExclusive(data) {
+    async systemExclusive(data, when) {
         const bytes = data instanceof ArrayBuffer ? new Uint8Array(data) : data;
         const reqId = this.#nextRequestId++;
         return new Promise((resolve, reject) => {
@@ -896,7 +1185,7 @@ export class AdlMidi {
                     reject(new Error('Failed to send system exclusive message'));
                 }
             });
-            this.#send({ type: 'systemExclusive', data: Array.from(bytes), reqId });
+            this.#send({ type: 'systemExclusive', data: Array.from(bytes), reqId, when });
         });
     }
 
@@ -916,6 +1205,18 @@ export class AdlMidi {
         });
     }
 
+    /**
+     * Get the state of every chip channel, decoded from
+     * {@link describeChannels}, for voice-usage displays and allocation
+     * debugging
+     * @returns {Promise<import('./utils/opl3.js').ChipChannelState[]>} One
+     *   entry per chip channel, chip by chip
+     */
+    async getChannelStates() {
+        const { text, attr } = await this.describeChannels();
+        return decodeChannelStates(text, attr);
+    }
+
     /**
      * Reset the synthesizer
      * @returns {void}
@@ -932,9 +1233,15 @@ export class AdlMidi {
      * @returns {Promise<{duration: number}>} Resolves with file info when loaded
      */
     async loadMidi(arrayBuffer) {
+        // Read lyrics and markers now; the worklet only reports them as they play
+        const lyricFeed = LyricFeed.fromMidi(arrayBuffer);
+        const markers = readSmfMarkers(arrayBuffer);
+
         return new Promise((resolve, reject) => {
             this.#onceMessage('midiLoaded', /** @param {{success: boolean, duration: number, error?: string}} msg */(msg) => {
                 if (msg.success) {
+                    this.#lyricFeed = lyricFeed;
+                    this.#markers = markers;
                     resolve({ duration: msg.duration });
                 } else {
                     reject(new Error(msg.error || 'Failed to parse MIDI data'));
@@ -945,6 +1252,52 @@ export class AdlMidi {
         });
     }
 
+    /**
+     * Load a Creative Music File (CMF) for playback.
+     *
+     * The file's embedded instruments are written into a custom bank and the
+     * song is loaded as MIDI data that selects it. Loading an embedded bank
+     * with setBank() afterwards discards those instruments.
+     * @param {ArrayBuffer|Uint8Array} data - CMF file data
+     * @param {{bankId?: BankId}} [options] - Bank to hold the instruments
+     *   (default IMPORT_BANK_ID from formats/smf.js)
+     * @returns {Promise<{duration: number}>} Resolves with file info when loaded
+     */
+    async loadCMF(data, options = {}) {
+        return this.#loadConvertedSong(cmfToMidi(parseCMF(data), options));
+    }
+
+    /**
+     * Load an AdLib Visual Composer song (ROL) with its instrument bank (BNK).
+     *
+     * The timbres the song uses are written into a custom bank and the song
+     * is loaded as MIDI data that selects it. Timbres missing from the bank
+     * are reported in `missingInstruments` and those changes are skipped.
+     * @param {ArrayBuffer|Uint8Array} rolData - ROL file data
+     * @param {ArrayBuffer|Uint8Array} bnkData - BNK file data
+     * @param {{bankId?: BankId}} [options] - Bank to hold the instruments
+     *   (default IMPORT_BANK_ID from formats/smf.js)
+     * @returns {Promise<{duration: number, missingInstruments: string[]}>} Resolves with file info when loaded
+     */
+    async loadROL(rolData, bnkData, options = {}) {
+        const song = rolToMidi(parseROL(rolData), bnkData, options);
+        const info = await this.#loadConvertedSong(song);
+        return { ...info, missingInstruments: song.missingInstruments };
+    }
+
+    /**
+     * Fill a converted song's bank, then load its MIDI data
+     * @param {import('./formats/smf.js').ConvertedSong} song
+     * @returns {Promise<{duration: number}>}
+     */
+    async #loadConvertedSong(song) {
+        for (const { program, instrument } of song.instruments) {
+            // Converted instruments use the struct.js layout the processor encodes
+            await this.setInstrument(song.bankId, program, /** @type {any} */ (instrument));
+        }
+        return this.loadMidi(/** @type {ArrayBuffer} */ (song.midi.buffer));
+    }
+
     /**
      * Get the music title of the loaded MIDI file
      * @returns {Promise<string>}
@@ -1012,6 +1365,33 @@ export class AdlMidi {
         });
     }
 
+    /**
+     * Get the markers in the loaded file. Markers are read from the file
+     * when it is loaded; only Standard MIDI Files (and RMID) have them.
+     * @returns {Promise<Marker[]>} Markers sorted by position
+     */
+    async getMarkers() {
+        return this.#markers.map(marker => ({ ...marker }));
+    }
+
+    /**
+     * Seek to a marker
+     * @param {string|number} marker - Marker label (first match), or index
+     *   into {@link getMarkers}
+     * @returns {Promise<Marker>} The marker sought to
+     */
+    async seekToMarker(marker) {
+        const markers = await this.getMarkers();
+        const found = typeof marker === 'number'
+            ? markers[marker]
+            : markers.find(entry => entry.label === marker);
+        if (!found) {
+            throw new Error(`Marker not found: ${marker}`);
+        }
+        this.seek(found.positionSeconds);
+        return found;
+    }
+
     /**
      * Start or resume MIDI file playback
      * @returns {void}
@@ -1175,27 +1555,76 @@ export class AdlMidi {
 
     /**
      * Get the current playback state
-     * @returns {Promise<{position: number, duration: number, atEnd: boolean, playMode: string}>}
+     * @returns {Promise<PlaybackState>}
      */
     async getPlaybackState() {
         return new Promise((resolve) => {
-            this.#onceMessage('state', /** @param {{position: number, duration: number, atEnd: boolean, playMode: string}} msg */(msg) => {
-                resolve({
-                    position: msg.position,
-                    duration: msg.duration,
-                    atEnd: msg.atEnd,
-                    playMode: msg.playMode
-                });
+            this.#onceMessage('state', /** @param {PlaybackState & {type: string}} msg */(msg) => {
+                const { type: _type, ...state } = msg;
+                resolve(state);
             });
 
             this.#send({ type: 'getState' });
         });
     }
 
+    /**
+     * Have the worklet push playback state at a fixed rate while a file
+     * plays, plus once after play, stop, seek, tempo and loop changes and
+     * when the song ends. Updates go to {@link onPlaybackState} handlers.
+     * @param {number} interval - Seconds between updates; 0 stops pushing
+     * @returns {void}
+     */
+    setPlaybackStateInterval(interval) {
+        this.#send({ type: 'setStateInterval', interval });
+    }
+
+    /**
+     * Song position at an AudioContext time, interpolated from the latest
+     * playback state. Accurate to the sample between pushed updates, so a
+     * requestAnimationFrame loop can draw a smooth cursor without polling.
+     *
+     * Pass `audioContext.getOutputTimestamp().contextTime` instead of the
+     * default to account for output latency.
+     *
+     * @example
+     * ```javascript
+     * synth.setPlaybackStateInterval(0.25);
+     * const draw = () => {
+     *   cursor.style.left = `${synth.positionAtTime() / duration * 100}%`;
+     *   requestAnimationFrame(draw);
+     * };
+     * draw();
+     * ```
+     *
+     * @param {number} [time] - AudioContext time; defaults to `currentTime`
+     * @returns {number} Position in seconds (0 if no state has been received)
+     */
+    positionAtTime(time = this.ctx?.currentTime ?? 0) {
+        const state = this.#lastState;
+        if (!state) return 0;
+        if (state.playMode !== 'file' || state.atEnd) return state.position;
+        // Workers that predate pushed state answer getState without a timestamp
+        if (state.time === undefined) return state.position;
+
+        const position = state.position + Math.max(0, time - state.time) * state.tempo;
+        if (!state.loopEnabled) {
+            return Math.min(position, state.duration);
+        }
+
+        // Without loop points the whole song loops
+        const loopStart = state.loopStart >= 0 ? state.loopStart : 0;
+        const loopEnd = state.loopEnd >= 0 ? state.loopEnd : state.duration;
+        if (position < loopEnd || loopEnd <= loopStart) {
+            return Math.min(position, state.duration);
+        }
+        return loopStart + (position - loopStart) % (loopEnd - loopStart);
+    }
+
     /**
      * Register a handler for playback state updates
-     * Useful for progress tracking during playback
-     * @param {function({position: number, duration: number, atEnd: boolean, playMode: string}): void} handler
+     * Useful for progress tracking during playback; see {@link setPlaybackStateInterval}
+     * @param {function(PlaybackState): void} handler
      * @returns {function(): void} Unsubscribe function
      */
     onPlaybackState(handler) {
@@ -1227,11 +1656,131 @@ export class AdlMidi {
         };
     }
 
+    /**
+     * Register a handler for notes reached during file playback.
+     *
+     * The worklet batches events and posts them about every 23ms, so they
+     * arrive shortly after being rendered. Each carries the AudioContext
+     * `time` of the block it was rendered in; compare it with
+     * `audioContext.currentTime` to line visuals up with what is heard.
+     * Note-ons with velocity 0 are reported as note-offs. Events are read
+     * from the file, so only Standard MIDI Files (and RMID) report them.
+     *
+     * @example
+     * ```javascript
+     * synth.onNote(({ channel, note, on, time }) => {
+     *   const delay = Math.max(0, time - synth.audioContext.currentTime) * 1000;
+     *   setTimeout(() => pianoRoll.setKey(channel, note, on), delay);
+     * });
+     * ```
+     *
+     * @param {function(NoteEvent): void} handler
+     * @returns {function(): void} Unsubscribe function
+     */
+    onNote(handler) {
+        return this.#subscribePlaybackEvent(PLAYBACK_EVENT_LISTS.notes, handler);
+    }
+
+    /**
+     * Register a handler for channel and SysEx messages reached during file
+     * playback, notes included. Delivered like {@link onNote}.
+     * @param {function(MidiEvent): void} handler
+     * @returns {function(): void} Unsubscribe function
+     */
+    onMidiEvent(handler) {
+        return this.#subscribePlaybackEvent(PLAYBACK_EVENT_LISTS.midiEvents, handler);
+    }
+
+    /**
+     * Register a handler for meta events (tempo, lyrics, markers, text)
+     * reached during file playback. Delivered like {@link onNote}.
+     * @param {function(MetaEvent): void} handler
+     * @returns {function(): void} Unsubscribe function
+     */
+    onMetaEvent(handler) {
+        return this.#subscribePlaybackEvent(PLAYBACK_EVENT_LISTS.metaEvents, handler);
+    }
+
+    /**
+     * Get the lyrics of the loaded MIDI file, for prerendering a karaoke
+     * display. Syllables come from lyric events, or from the text events of
+     * .kar files, with line and paragraph breaks decoded.
+     * @returns {Lyric[]} Lyrics in song order; empty if the file has none
+     */
+    getLyrics() {
+        return this.#lyricFeed.lyrics;
+    }
+
+    /**
+     * Register a handler for lyrics reached during file playback. Each
+     * event carries its index in {@link getLyrics} so a prerendered display
+     * can highlight it. Delivered like {@link onNote}.
+     *
+     * @example
+     * ```javascript
+     * const spans = synth.getLyrics().map(renderSyllable);
+     * synth.onLyric(({ index, time }) => {
+     *   const delay = Math.max(0, time - synth.audioContext.currentTime) * 1000;
+     *   setTimeout(() => spans[index].classList.add('sung'), delay);
+     * });
+     * ```
+     *
+     * @param {function(LyricEvent): void} handler
+     * @returns {function(): void} Unsubscribe function
+     */
+    onLyric(handler) {
+        return this.#subscribePlaybackEvent(PLAYBACK_EVENT_LISTS.lyrics, handler);
+    }
+
+    /**
+     * Register a handler for output levels.
+     *
+     * The worklet meters while anything is subscribed and posts peak and RMS
+     * levels per output channel once per interval. Levels are taken before
+     * the node's output, so gain applied downstream is not included.
+     *
+     * @example
+     * ```javascript
+     * synth.onLevels(({ channels }) => {
+     *   const db = 20 * Math.log10(Math.max(channels[0].rms, channels[1].rms));
+     *   meter.value = Math.max(-48, db);
+     * });
+     * ```
+     *
+     * @param {function(Levels): void} handler
+     * @param {{interval?: number}} [options] - Seconds between updates
+     *   (default 0.05); the latest subscription's interval applies
+     * @returns {function(): void} Unsubscribe function
+     */
+    onLevels(handler, options = {}) {
+        const { interval = 0.05 } = options;
+        if (!this.#messageHandlers.has('levels')) {
+            this.#messageHandlers.set('levels', new Set());
+        }
+        this.#messageHandlers.get('levels')?.add(handler);
+        this.#levelsInterval = interval;
+        this.#send({ type: 'setLevelsInterval', interval });
+
+        // Return unsubscribe function
+        return () => {
+            const handlers = this.#messageHandlers.get('levels');
+            handlers?.delete(handler);
+            if (!handlers || handlers.size === 0) {
+                this.#levelsInterval = 0;
+                this.#send({ type: 'setLevelsInterval', interval: 0 });
+            }
+        };
+    }
+
     /**
      * Close the synthesizer and release resources
      * @returns {void}
      */
     close() {
+        // Closing twice is harmless, so bindings closed by the caller stay listed
+        this.#midiBindings.forEach(binding => binding.close());
+        this.#midiBindings.clear();
+
         if (this.node) {
             this.node.disconnect();
             this.node = null;
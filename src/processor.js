@@ -14,16 +14,32 @@ import {
     SIZEOF_ADL_INSTRUMENT,
     SIZEOF_ADL_BANK,
     SIZEOF_ADL_BANK_ID,
+    SIZEOF_ADLMIDI_AUDIO_FORMAT,
     decodeOperator,
     encodeOperator,
     defaultOperator,
     decodeInstrument,
     encodeInstrument,
+    encodeAudioFormat,
 } from './utils/struct.js';
+import { SampleFormat } from './utils/constants.js';
+import { parseWOPL, encodeWOPL, createWoplBankSet, InstrumentNameTable, WOPL_LATEST_VERSION } from './utils/wopl.js';
+import { readSmfMarkers } from './formats/smf.js';
+import { PlaybackEventFeed } from './formats/events.js';
+import { LyricFeed } from './formats/lyrics.js';
 
 const SAMPLE_RATE = 44100;
 const CHANNELS = 2;
-const BYTES_PER_SAMPLE = 2; // Int16
+const BYTES_PER_SAMPLE = 4; // Room for Float32 as well as Int16
+const EVENT_FLUSH_FRAMES = 1024; // ~23ms at 44.1kHz between playbackEvents posts
+
+// Messages that accept a `when` timestamp (AudioContext time) and are
+// applied on that exact sample instead of at the next render quantum
+const SCHEDULABLE_MESSAGES = new Set([
+    'noteOn', 'noteOff', 'pitchBend', 'controlChange', 'programChange',
+    'noteAfterTouch', 'channelAfterTouch', 'bankChange', 'bankChangeMSB',
+    'bankChangeLSB', 'resetState', 'panic', 'systemExclusive', 'rawOPL3',
+]);
 
 class AdlMidiProcessor extends AudioWorkletProcessor {
     constructor(options) {
@@ -36,6 +52,31 @@ class AdlMidiProcessor extends AudioWorkletProcessor {
         this.playMode = 'realtime'; // 'realtime' or 'file'
         this.sampleRate = options.processorOptions?.sampleRate || SAMPLE_RATE;
         this.cachedHeapBuffer = null; // Track heap buffer for view caching
+        this.formatPtr = null; // ADLMIDI_AudioFormat for the Float32 path
+        this.instrumentNames = new InstrumentNameTable(); // ADL_Instrument has no names
+
+        // Timed messages waiting for their sample, sorted by frame
+        this.scheduled = [];
+
+        // File playback events (see setPlaybackEvents)
+        this.eventFeed = PlaybackEventFeed.fromMidi(new Uint8Array(0));
+        this.lyricFeed = LyricFeed.fromMidi(new Uint8Array(0));
+        this.eventBatch = null; // Null while nobody is subscribed
+        this.eventTime = null; // AudioContext time of the segment being rendered
+        this.eventFlushFrame = 0;
+
+        // Pushed playback state (see setStateInterval)
+        this.stateIntervalFrames = 0;
+        this.nextStateFrame = 0;
+        this.statePending = false;
+        this.tempo = 1.0;
+        this.loopEnabled = false;
+        this.markers = [];
+
+        // Level metering (see setLevelsInterval)
+        this.levelsIntervalFrames = 0;
+        this.nextLevelsFrame = 0;
+        this.levels = null;
 
         // Synth settings with defaults (can be overridden via processorOptions or messages)
         this.settings = {
@@ -46,6 +87,7 @@ class AdlMidiProcessor extends AudioWorkletProcessor {
             deepVibrato: false,       // Deep vibrato
             deepTremolo: false,       // Deep tremolo
             emulator: undefined,      // Emulator core (undefined = libADLMIDI default)
+            sampleFormat: SampleFormat.S16, // Output path (S16 clips, F32 keeps headroom)
             ...options.processorOptions?.settings
         };
 
@@ -87,13 +129,18 @@ class AdlMidiProcessor extends AudioWorkletProcessor {
             this.bufferSize = FRAMES * CHANNELS * BYTES_PER_SAMPLE;
             this.bufferPtr = this.adl._malloc(this.bufferSize);
 
+            // Float32 output is written planar: left at +0, right after it
+            this.formatPtr = this.adl._malloc(SIZEOF_ADLMIDI_AUDIO_FORMAT);
+            this.adl.HEAPU8.set(encodeAudioFormat(SampleFormat.F32, 4, 4), this.formatPtr);
+
             // Verify HEAP16 is available (required for audio output)
             if (!this.adl.HEAP16) {
                 throw new Error('HEAP16 is not available after initialization');
             }
 
             this.ready = true;
-            this.port.postMessage({ type: 'ready' });
+            // Tell the main thread that `when` timestamps are honoured (see scheduleMessage)
+            this.port.postMessage({ type: 'ready', scheduling: true });
         } catch (error) {
             console.error('Failed to initialize WASM:', error);
             this.port.postMessage({ type: 'error', message: error.message });
@@ -118,6 +165,7 @@ class AdlMidiProcessor extends AudioWorkletProcessor {
         }
         if (settings.bank !== undefined) {
             this.adl._adl_setBank(this.midi, settings.bank);
+            this.instrumentNames.clear();
         }
         if (settings.softPan !== undefined) {
             this.adl._adl_setSoftPanEnabled(this.midi, settings.softPan ? 1 : 0);
@@ -128,6 +176,11 @@ class AdlMidiProcessor extends AudioWorkletProcessor {
         if (settings.deepTremolo !== undefined) {
             this.adl._adl_setHTremolo(this.midi, settings.deepTremolo ? 1 : 0);
         }
+        if (settings.sampleFormat !== undefined) {
+            this.settings.sampleFormat = settings.sampleFormat === SampleFormat.F32
+                ? SampleFormat.F32
+                : SampleFormat.S16;
+        }
     }
 
     // ================== Instrument Editing API ==================
@@ -210,7 +263,9 @@ class AdlMidiProcessor extends AudioWorkletProcessor {
 
             let instrument = null;
             if (instResult === 0) {
-                instrument = this.readInstrumentFromMemory(instPtr);
+                const decoded = this.readInstrumentFromMemory(instPtr);
+                decoded.secondVoiceDetune = this.instrumentNames.restoreDetune(bankId, programNumber, decoded.secondVoiceDetune ?? 0);
+                instrument = { ...decoded, name: this.instrumentNames.get(bankId, programNumber) };
             }
 
             this.adl._free(bankIdPtr);
@@ -260,6 +315,10 @@ class AdlMidiProcessor extends AudioWorkletProcessor {
             // Per libADLMIDI docs: "Is recommended to call adl_reset() to apply changes to real-time"
             if (setResult === 0) {
                 this.adl._adl_reset(this.midi);
+                this.instrumentNames.setDetune(bankId, programNumber, instrument.secondVoiceDetune || 0);
+                if (typeof instrument.name === 'string') {
+                    this.instrumentNames.set(bankId, programNumber, instrument.name);
+                }
             }
 
             this.adl._free(bankIdPtr);
@@ -276,9 +335,62 @@ class AdlMidiProcessor extends AudioWorkletProcessor {
         }
     }
 
+    /**
+     * Export all banks libADLMIDI holds as a WOPL file
+     */
+    exportBank() {
+        try {
+            const bank = {
+                version: WOPL_LATEST_VERSION,
+                deepTremolo: this.adl._adl_getHTremolo(this.midi) !== 0,
+                deepVibrato: this.adl._adl_getHVibrato(this.midi) !== 0,
+                volumeModel: this.adl._adl_getVolumeRangeModel(this.midi),
+                melodic: [],
+                percussion: [],
+            };
+
+            const bankPtr = this.adl._malloc(AdlMidiProcessor.SIZEOF_ADL_BANK);
+            const idPtr = this.adl._malloc(AdlMidiProcessor.SIZEOF_ADL_BANK_ID);
+            const bankIds = [];
+            let result = this.adl._adl_getFirstBank(this.midi, bankPtr);
+            while (result === 0) {
+                if (this.adl._adl_getBankId(this.midi, bankPtr, idPtr) === 0) {
+                    bankIds.push({
+                        percussive: this.adl.HEAPU8[idPtr],
+                        msb: this.adl.HEAPU8[idPtr + 1],
+                        lsb: this.adl.HEAPU8[idPtr + 2],
+                    });
+                }
+                result = this.adl._adl_getNextBank(this.midi, bankPtr);
+            }
+            this.adl._free(bankPtr);
+            this.adl._free(idPtr);
+
+            for (const bankId of this.instrumentNames.sortBankIds(bankIds)) {
+                const set = createWoplBankSet(this.instrumentNames.getBankName(bankId), bankId.msb, bankId.lsb);
+                for (let program = 0; program < 128; program++) {
+                    const { instrument } = this.getInstrument(bankId, program);
+                    if (instrument) {
+                        set.instruments[program] = instrument;
+                    }
+                }
+                (bankId.percussive ? bank.percussion : bank.melodic).push(set);
+            }
+
+            return { success: true, data: encodeWOPL(bank) };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
     handleMessage(msg) {
         if (!this.ready && msg.type !== 'ping') return;
 
+        if (msg.when !== undefined && SCHEDULABLE_MESSAGES.has(msg.type)) {
+            this.scheduleMessage(msg);
+            return;
+        }
+
         switch (msg.type) {
             case 'ping':
                 this.port.postMessage({ type: 'pong', ready: this.ready });
@@ -345,6 +457,9 @@ class AdlMidiProcessor extends AudioWorkletProcessor {
 
             case 'setBank': {
                 const result = this.adl._adl_setBank(this.midi, msg.bank);
+                if (result === 0) {
+                    this.instrumentNames.clear();
+                }
                 this.port.postMessage({ type: 'bankSet', success: result === 0, bank: msg.bank });
                 break;
             }
@@ -524,22 +639,31 @@ class AdlMidiProcessor extends AudioWorkletProcessor {
                 // If at end, rewind first so play works as expected
                 if (this.adl._adl_atEnd(this.midi) !== 0) {
                     this.adl._adl_positionRewind(this.midi);
+                    this.seekFeeds(0);
                 }
                 this.playMode = 'file';
+                this.statePending = true;
                 break;
 
             case 'stop':
+                this.flushPlaybackEvents();
                 this.playMode = 'realtime';
                 this.adl._adl_positionRewind(this.midi);
+                this.seekFeeds(0);
                 this.adl._adl_panic(this.midi);
+                this.statePending = true;
                 break;
 
             case 'seek':
                 this.adl._adl_positionSeek(this.midi, msg.position);
+                this.seekFeeds(msg.position);
+                this.statePending = true;
                 break;
 
             case 'setLoopEnabled':
                 this.adl._adl_setLoopEnabled(this.midi, msg.enabled ? 1 : 0);
+                this.loopEnabled = Boolean(msg.enabled);
+                this.statePending = true;
                 break;
 
             case 'setLoopCount':
@@ -584,16 +708,21 @@ class AdlMidiProcessor extends AudioWorkletProcessor {
 
             case 'setTempo':
                 this.adl._adl_setTempo(this.midi, msg.tempo);
+                this.tempo = msg.tempo;
+                this.statePending = true;
                 break;
 
             case 'getState':
-                this.port.postMessage({
-                    type: 'state',
-                    position: this.adl._adl_positionTell(this.midi),
-                    duration: this.adl._adl_totalTimeLength(this.midi),
-                    atEnd: this.adl._adl_atEnd(this.midi) !== 0,
-                    playMode: this.playMode
-                });
+                this.postState(currentFrame);
+                break;
+
+            case 'setLevelsInterval':
+                this.setLevelsInterval(msg.interval);
+                break;
+
+            case 'setStateInterval':
+                this.stateIntervalFrames = Math.max(0, Math.round(msg.interval * this.sampleRate));
+                this.nextStateFrame = 0;
                 break;
 
             case 'reset':
@@ -652,6 +781,9 @@ class AdlMidiProcessor extends AudioWorkletProcessor {
                 if (bankResult === 0) {
                     success = this.adl._adl_removeBank(this.midi, bankPtr) === 0;
                 }
+                if (success) {
+                    this.instrumentNames.removeBank(msg.bankId);
+                }
 
                 this.adl._free(bankIdPtr);
                 this.adl._free(bankPtr);
@@ -680,6 +812,9 @@ class AdlMidiProcessor extends AudioWorkletProcessor {
                         this.adl._adl_removeBank(this.midi, bankPtr);
                     }
                 }
+                if (success) {
+                    this.instrumentNames.removeBank(msg.bankId);
+                }
 
                 this.adl._free(bankIdPtr);
                 this.adl._free(bankPtr);
@@ -688,6 +823,16 @@ class AdlMidiProcessor extends AudioWorkletProcessor {
                 break;
             }
 
+            case 'getInstrumentNames':
+                this.port.postMessage({ type: 'instrumentNames', names: this.instrumentNames.getAll(msg.bankId), reqId: msg.reqId });
+                break;
+
+            case 'exportBank': {
+                const result = this.exportBank();
+                this.port.postMessage({ type: 'bankExported', ...result, reqId: msg.reqId }, result.data ? [result.data.buffer] : []);
+                break;
+            }
+
             // ================== SysEx ==================
 
             case 'systemExclusive': {
@@ -707,6 +852,10 @@ class AdlMidiProcessor extends AudioWorkletProcessor {
                 this.adl._adl_rt_rawOPL3(this.midi, msg.chipId, msg.reg, msg.value);
                 break;
 
+            case 'cancelScheduled':
+                this.scheduled = [];
+                break;
+
             case 'reserveChipChannels': {
                 const result = this.adl._adl_reserveChipChannels(this.midi, msg.chipId, msg.channelMask);
                 this.port.postMessage({ type: 'chipChannelsReserved', success: result === 0, chipId: msg.chipId, reqId: msg.reqId });
@@ -719,6 +868,12 @@ class AdlMidiProcessor extends AudioWorkletProcessor {
                 break;
             }
 
+            // ================== Playback Events ==================
+
+            case 'setPlaybackEvents':
+                this.setPlaybackEvents(msg.enabled);
+                break;
+
             // ================== Debug / Diagnostics ==================
 
             case 'describeChannels': {
@@ -739,6 +894,86 @@ class AdlMidiProcessor extends AudioWorkletProcessor {
         }
     }
 
+    /**
+     * Queue a message for the sample its `when` timestamp falls on.
+     * Messages for the same frame keep their arrival order; timestamps in
+     * the past are applied at the start of the next block.
+     */
+    scheduleMessage(msg) {
+        const { when, ...rest } = msg;
+        const frame = Math.round(when * this.sampleRate);
+
+        let i = this.scheduled.length;
+        while (i > 0 && this.scheduled[i - 1].frame > frame) {
+            i--;
+        }
+        this.scheduled.splice(i, 0, { frame, msg: rest });
+    }
+
+    /**
+     * Start or stop batching file playback events. While enabled, the events
+     * and lyrics the song position passes are posted as playbackEvents.
+     */
+    setPlaybackEvents(enabled) {
+        if (enabled && !this.eventBatch) {
+            // The feeds only follow playback while enabled; catch them up
+            this.seekFeeds(this.adl._adl_positionTell(this.midi));
+            this.eventBatch = { notes: [], midiEvents: [], metaEvents: [], lyrics: [] };
+        } else if (!enabled) {
+            this.eventBatch = null;
+        }
+    }
+
+    /**
+     * Post pending playback events to the main thread
+     */
+    flushPlaybackEvents() {
+        const batch = this.eventBatch;
+        if (!batch || (batch.notes.length === 0 && batch.midiEvents.length === 0 &&
+            batch.metaEvents.length === 0 && batch.lyrics.length === 0)) {
+            return;
+        }
+        this.port.postMessage({ type: 'playbackEvents', ...batch });
+        this.eventBatch = { notes: [], midiEvents: [], metaEvents: [], lyrics: [] };
+    }
+
+    /**
+     * Move the event and lyric feeds to a song position after a seek or rewind
+     */
+    seekFeeds(position) {
+        this.eventFeed.seek(position);
+        this.lyricFeed.seek(position);
+    }
+
+    /**
+     * Post the playback state. `frame` is the output frame the position
+     * belongs to, so the main thread can interpolate from it.
+     */
+    postState(frame) {
+        const position = this.adl._adl_positionTell(this.midi);
+
+        let marker = null;
+        for (const entry of this.markers) {
+            if (entry.positionSeconds > position) break;
+            marker = entry.label;
+        }
+
+        this.port.postMessage({
+            type: 'state',
+            position,
+            duration: this.adl._adl_totalTimeLength(this.midi),
+            atEnd: this.adl._adl_atEnd(this.midi) !== 0,
+            playMode: this.playMode,
+            tempo: this.tempo,
+            loopEnabled: this.loopEnabled,
+            loopStart: this.adl._adl_loopStartTime(this.midi),
+            loopEnd: this.adl._adl_loopEndTime(this.midi),
+            marker,
+            time: frame / this.sampleRate
+        });
+        this.statePending = false;
+    }
+
     loadMidiData(arrayBuffer) {
         try {
             const data = new Uint8Array(arrayBuffer);
@@ -749,6 +984,13 @@ class AdlMidiProcessor extends AudioWorkletProcessor {
             this.adl._free(dataPtr);
 
             if (result === 0) {
+                this.markers = readSmfMarkers(data);
+                const loopStart = this.adl._adl_loopStartTime(this.midi);
+                const loopEnd = this.adl._adl_loopEndTime(this.midi);
+                this.eventFeed = PlaybackEventFeed.fromMidi(data);
+                this.eventFeed.setLoop(loopStart, loopEnd);
+                this.lyricFeed = LyricFeed.fromMidi(data);
+                this.lyricFeed.setLoop(loopStart, loopEnd);
                 const duration = this.adl._adl_totalTimeLength(this.midi);
                 this.port.postMessage({
                     type: 'midiLoaded',
@@ -801,6 +1043,11 @@ class AdlMidiProcessor extends AudioWorkletProcessor {
             this.adl._free(dataPtr);
 
             if (result === 0) {
+                try {
+                    this.instrumentNames.loadBank(parseWOPL(data));
+                } catch {
+                    this.instrumentNames.clear();
+                }
                 this.port.postMessage({ type: 'bankLoaded', success: true });
             } else {
                 this.port.postMessage({
@@ -829,34 +1076,39 @@ class AdlMidiProcessor extends AudioWorkletProcessor {
         const frames = left.length;
 
         try {
-            // Generate audio (16-bit stereo interleaved)
-            const sampleCount = frames * 2;
-
-            // Use adl_play for file playback mode, adl_generate for real-time
-            if (this.playMode === 'file') {
-                this.adl._adl_play(this.midi, sampleCount, this.bufferPtr);
+            // Split the block at scheduled messages so each lands on its exact sample
+            const blockStart = currentFrame;
+            let offset = 0;
+            while (offset < frames) {
+                while (this.scheduled.length > 0 && this.scheduled[0].frame <= blockStart + offset) {
+                    this.handleMessage(this.scheduled.shift().msg);
+                }
 
-                // When song ends, silence notes and switch to realtime mode
-                if (this.adl._adl_atEnd(this.midi) !== 0) {
-                    this.adl._adl_panic(this.midi);
-                    this.playMode = 'realtime';
-                    this.port.postMessage({ type: 'playbackEnded' });
+                let end = frames;
+                if (this.scheduled.length > 0) {
+                    end = Math.min(frames, this.scheduled[0].frame - blockStart);
                 }
-            } else {
-                this.adl._adl_generate(this.midi, sampleCount, this.bufferPtr);
+                this.eventTime = (blockStart + offset) / this.sampleRate;
+                this.renderSegment(left, right, offset, end - offset);
+                offset = end;
             }
+            this.eventTime = null;
 
-            // Convert from Int16 to Float32
-            // Cache the view - only recreate if WASM heap has grown
-            const currentBuffer = this.adl.HEAP16.buffer;
-            if (this.cachedHeapBuffer !== currentBuffer) {
-                this.cachedHeapBuffer = currentBuffer;
+            if (this.eventBatch && blockStart + frames >= this.eventFlushFrame) {
+                this.flushPlaybackEvents();
+                this.eventFlushFrame = blockStart + frames + EVENT_FLUSH_FRAMES;
             }
-            const heap16 = new Int16Array(currentBuffer, this.bufferPtr, sampleCount);
 
-            for (let i = 0; i < frames; i++) {
-                left[i] = heap16[i * 2] / 32768.0;
-                right[i] = heap16[i * 2 + 1] / 32768.0;
+            if (this.levels && blockStart + frames >= this.nextLevelsFrame) {
+                this.postLevels(blockStart + frames);
+                this.nextLevelsFrame = blockStart + frames + this.levelsIntervalFrames;
+            }
+
+            // Push state while playing, and once after anything that changes it
+            if (this.stateIntervalFrames > 0 && (this.statePending ||
+                (this.playMode === 'file' && blockStart + frames >= this.nextStateFrame))) {
+                this.postState(blockStart + frames);
+                this.nextStateFrame = blockStart + frames + this.stateIntervalFrames;
             }
         } catch (e) {
             // Report errors to main thread instead of silently swallowing
@@ -865,6 +1117,136 @@ class AdlMidiProcessor extends AudioWorkletProcessor {
 
         return true;
     }
+
+    /**
+     * Generate a run of frames into the output channels
+     * @param {Float32Array} left
+     * @param {Float32Array} right
+     * @param {number} offset - First output frame to write
+     * @param {number} frames - Number of frames to generate
+     */
+    renderSegment(left, right, offset, frames) {
+        const sampleCount = frames * 2;
+        const float = this.settings.sampleFormat === SampleFormat.F32;
+        const rightPtr = this.bufferPtr + frames * 4;
+
+        // Use adl_play for file playback mode, adl_generate for real-time
+        if (this.playMode === 'file') {
+            if (float) {
+                this.adl._adl_playFormat(this.midi, sampleCount, this.bufferPtr, rightPtr, this.formatPtr);
+            } else {
+                this.adl._adl_play(this.midi, sampleCount, this.bufferPtr);
+            }
+
+            if (this.eventBatch) {
+                const position = this.adl._adl_positionTell(this.midi);
+                this.eventFeed.advance(position, this.eventBatch, this.eventTime);
+                this.eventBatch.lyrics.push(...this.lyricFeed.advance(position, this.eventTime));
+            }
+
+            // When song ends, silence notes and switch to realtime mode
+            if (this.adl._adl_atEnd(this.midi) !== 0) {
+                this.adl._adl_panic(this.midi);
+                this.playMode = 'realtime';
+                this.flushPlaybackEvents();
+                this.statePending = true;
+                this.port.postMessage({ type: 'playbackEnded' });
+            }
+        } else if (float) {
+            this.adl._adl_generateFormat(this.midi, sampleCount, this.bufferPtr, rightPtr, this.formatPtr);
+        } else {
+            this.adl._adl_generate(this.midi, sampleCount, this.bufferPtr);
+        }
+
+        // Cache the view - only recreate if WASM heap has grown
+        const currentBuffer = this.adl.HEAP16.buffer;
+        if (this.cachedHeapBuffer !== currentBuffer) {
+            this.cachedHeapBuffer = currentBuffer;
+        }
+
+        if (float) {
+            left.set(new Float32Array(currentBuffer, this.bufferPtr, frames), offset);
+            right.set(new Float32Array(currentBuffer, rightPtr, frames), offset);
+        } else {
+            // Convert from Int16 to Float32 (16-bit stereo interleaved)
+            const heap16 = new Int16Array(currentBuffer, this.bufferPtr, sampleCount);
+
+            for (let i = 0; i < frames; i++) {
+                left[offset + i] = heap16[i * 2] / 32768.0;
+                right[offset + i] = heap16[i * 2 + 1] / 32768.0;
+            }
+        }
+
+        if (this.levels) {
+            this.measureOutputLevel(0, left, offset, frames);
+            this.measureOutputLevel(1, right, offset, frames);
+            this.levels.frames += frames;
+        }
+    }
+
+    /**
+     * Start or stop level metering
+     * @param {number} interval - Seconds between levels posts; 0 stops metering
+     */
+    setLevelsInterval(interval) {
+        this.levelsIntervalFrames = Math.max(0, Math.round(interval * this.sampleRate));
+        if (this.levelsIntervalFrames === 0) {
+            this.levels = null;
+            return;
+        }
+
+        if (!this.levels) {
+            this.levels = { frames: 0, peak: [0, 0], sumSquares: [0, 0] };
+        }
+        this.resetLevels();
+        this.nextLevelsFrame = currentFrame + this.levelsIntervalFrames;
+    }
+
+    /**
+     * Start a new metering window, reusing the accumulator
+     */
+    resetLevels() {
+        const levels = this.levels;
+        levels.frames = 0;
+        levels.peak.fill(0);
+        levels.sumSquares.fill(0);
+    }
+
+    /**
+     * Accumulate peak and energy of one rendered output channel
+     * @param {number} ch - Output channel index
+     * @param {Float32Array} samples
+     * @param {number} offset
+     * @param {number} frames
+     */
+    measureOutputLevel(ch, samples, offset, frames) {
+        const levels = this.levels;
+        let peak = levels.peak[ch];
+        let sumSquares = 0;
+        for (let i = offset; i < offset + frames; i++) {
+            const sample = samples[i];
+            sumSquares += sample * sample;
+            const magnitude = Math.abs(sample);
+            if (magnitude > peak) peak = magnitude;
+        }
+        levels.peak[ch] = peak;
+        levels.sumSquares[ch] += sumSquares;
+    }
+
+    /**
+     * Post the levels measured since the last post and start a new window
+     */
+    postLevels(frame) {
+        const { frames, peak, sumSquares } = this.levels;
+        const level = (value, energy) => ({ peak: value, rms: frames > 0 ? Math.sqrt(energy / frames) : 0 });
+
+        this.port.postMessage({
+            type: 'levels',
+            time: frame / this.sampleRate,
+            channels: peak.map((value, ch) => level(value, sumSquares[ch]))
+        });
+        this.resetLevels();
+    }
 }
 
 registerProcessor('adl-midi-processor', AdlMidiProcessor);
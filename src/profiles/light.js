@@ -89,7 +89,7 @@ export {
 } from '../utils/struct.js';
 
 // Re-export enums
-export { Emulator, TrackOption } from '../utils/constants.js';
+export { Emulator, TrackOption, SampleFormat, ChannelState } from '../utils/constants.js';
 
 // Re-export OPL3 register helpers
 export {
@@ -51,3 +51,37 @@ export const TrackOption = Object.freeze({
     /** Solo the track (mute all others) */
     SOLO: 3,
 });
+
+/**
+ * Output sample formats for the synthesizer's audio path.
+ * Values match libADLMIDI's ADLMIDI_SampleType.
+ * @readonly
+ * @enum {number}
+ */
+export const SampleFormat = Object.freeze({
+    /** 16-bit integer output, clipped to full scale (libADLMIDI default) */
+    S16: 0,
+    /** 32-bit float output straight from the mixer; keeps headroom above full scale */
+    F32: 2,
+});
+
+/**
+ * Chip channel states reported by getChannelStates(), decoded from
+ * libADLMIDI's adl_describeChannels() characters.
+ * @readonly
+ * @enum {string}
+ */
+export const ChannelState = Object.freeze({
+    /** Not playing ('-') */
+    OFF: 'off',
+    /** Playing a 2-op voice ('+') */
+    TWO_OP: '2op',
+    /** Playing half of a 4-op voice ('#') */
+    FOUR_OP: '4op',
+    /** Playing a rhythm-mode percussion voice ('r') */
+    RHYTHM: 'rhythm',
+    /** Shared by several notes through auto-arpeggio ('@') */
+    ARPEGGIO: 'arpeggio',
+    /** Playing, in a way this version doesn't recognise */
+    ON: 'on',
+});
@@ -0,0 +1,589 @@
+/**
+ * OPL instrument format conversion
+ *
+ * Converts patches from other OPL tools into the {@link Instrument} typedef
+ * used by getInstrument()/setInstrument(): AdLib BNK, SBI, IBK, DMX OP2
+ * (GENMIDI), Apogee TMB, AdLib Tracker 2 A2I and OPL3 Bank Editor OPLI.
+ * SBI, OP2 and OPLI can be written back.
+ *
+ * @module utils/instruments
+ */
+
+import { decodeOperator, encodeOperator, defaultInstrument } from './struct.js';
+import { readWoplInstrument, writeWoplInstrument, woplInstrumentSize, WOPL_LATEST_VERSION } from './wopl.js';
+
+/**
+ * @typedef {import('./struct.js').Instrument} Instrument
+ */
+
+/**
+ * An instrument from an AdLib BNK bank
+ * @typedef {Object} BnkInstrument
+ * @property {string} name - Instrument name (up to 8 characters)
+ * @property {boolean} percussive - True if meant for a rhythm-mode voice
+ * @property {number} voiceNumber - Rhythm voice the instrument was made for
+ * @property {Instrument} instrument - Converted instrument
+ */
+
+/**
+ * An instrument from a single-instrument file or an instrument bank
+ * @typedef {Object} NamedInstrument
+ * @property {string} name - Instrument name ('' if the format has none)
+ * @property {Instrument} instrument - Converted instrument
+ */
+
+/**
+ * A General MIDI bank: melodic instruments by program, percussion by key
+ * @typedef {Object} InstrumentBank
+ * @property {NamedInstrument[]} melodic - 128 instruments by program
+ * @property {NamedInstrument[]} percussion - 128 instruments by MIDI key;
+ *   keys the format doesn't cover hold blank instruments
+ */
+
+/** Size of an AdLib BNK instrument record */
+const BNK_RECORD_SIZE = 30;
+
+/** Size of an AdLib BNK name list entry */
+const BNK_NAME_SIZE = 12;
+
+/**
+ * Size of an SBI register record: the 11 register bytes, then percussion
+ * voice, transpose, percussion pitch and two reserved bytes
+ */
+const SBI_RECORD_SIZE = 16;
+
+/** SBI file: signature, 32-byte name, register record (the last bytes may be missing) */
+const SBI_NAME_SIZE = 32;
+const SBI_MIN_SIZE = 4 + SBI_NAME_SIZE + 11;
+const SBI_SIZE = 4 + SBI_NAME_SIZE + SBI_RECORD_SIZE;
+
+/** IBK file: signature, 128 register records, 128 names of 9 bytes */
+const IBK_NAME_SIZE = 9;
+const IBK_SIZE = 4 + 128 * SBI_RECORD_SIZE + 128 * IBK_NAME_SIZE;
+
+/** IBK/SBI percussion voices (bass drum to hi-hat) map to rhythm modes 1-5 */
+const SBI_FIRST_PERCUSSION_VOICE = 6;
+
+/** DMX GENMIDI lump: signature, 175 instrument records, 175 names */
+const OP2_MAGIC = '#OPL_II#';
+const OP2_INSTRUMENTS = 175;
+const OP2_RECORD_SIZE = 36;
+const OP2_NAME_SIZE = 32;
+const OP2_SIZE = OP2_MAGIC.length + OP2_INSTRUMENTS * (OP2_RECORD_SIZE + OP2_NAME_SIZE);
+
+/** First MIDI key of the GENMIDI percussion instruments (records 128-174) */
+const OP2_FIRST_PERCUSSION_KEY = 35;
+
+/** GENMIDI instrument flags */
+const OP2_FIXED_PITCH = 0x01;
+const OP2_DOUBLE_VOICE = 0x04;
+
+/** Apogee TMB: 128 melodic then 128 percussion records, no header */
+const TMB_RECORD_SIZE = 13;
+const TMB_SIZE = 256 * TMB_RECORD_SIZE;
+
+/** OPL3 Bank Editor instrument: signature, version, percussion flag, WOPL record */
+const OPLI_MAGIC = 'WOPL3-INST\0';
+const OPLI_HEADER_SIZE = 14;
+
+/** AdLib Tracker 2 instrument signatures */
+const A2I_MAGIC = '_A2ins_';
+const A2F_MAGIC = '_a2ins_w/fm-macro_';
+
+/** A2I versions stored without compression (older headers have a one-byte length) */
+const A2I_STORED_VERSIONS = Object.freeze({ 4: 1, 8: 2 });
+
+/** A2I instrument data: 11 register bytes (SBI order), panning, fine tune */
+const A2I_INSTRUMENT_SIZE = 13;
+
+/**
+ * Build a 2-op instrument from the SBI register layout shared by SBI, IBK
+ * and CMF: modulator/carrier pairs for registers 20h, 40h, 60h, 80h and E0h,
+ * followed by the C0h feedback/connection byte.
+ *
+ * @param {Uint8Array | number[]} regs - At least 11 bytes of register data
+ * @returns {Instrument} Converted instrument
+ */
+export function instrumentFromSbiRegisters(regs) {
+    const inst = defaultInstrument();
+    inst.isBlank = false;
+    inst.operators[0] = decodeOperator([regs[1], regs[3], regs[5], regs[7], regs[9]]);
+    inst.operators[1] = decodeOperator([regs[0], regs[2], regs[4], regs[6], regs[8]]);
+    inst.feedback1 = (regs[10] >> 1) & 0x07;
+    inst.connection1 = regs[10] & 0x01;
+    return inst;
+}
+
+/**
+ * Parse an AdLib instrument bank (BNK, as used by AdLib Visual Composer).
+ *
+ * @param {ArrayBuffer|Uint8Array} data - BNK file data
+ * @returns {BnkInstrument[]} Instruments in name list order
+ * @throws {Error} If the data is not a BNK file
+ */
+export function parseBNK(data) {
+    const bytes = data instanceof ArrayBuffer ? new Uint8Array(data) : data;
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+    if (bytes.length < 28 || String.fromCharCode(...bytes.slice(2, 8)) !== 'ADLIB-') {
+        throw new Error('Not an AdLib BNK file');
+    }
+
+    const numEntries = view.getUint16(10, true);
+    const namesOffset = view.getUint32(12, true);
+    const dataOffset = view.getUint32(16, true);
+
+    /** @type {BnkInstrument[]} */
+    const instruments = [];
+    for (let i = 0; i < numEntries; i++) {
+        const entry = namesOffset + i * BNK_NAME_SIZE;
+        if (entry + BNK_NAME_SIZE > bytes.length) break;
+
+        const index = view.getUint16(entry, true);
+        const record = dataOffset + index * BNK_RECORD_SIZE;
+        if (record + BNK_RECORD_SIZE > bytes.length) continue;
+
+        instruments.push({
+            name: readFixedString(bytes, entry + 3, 9),
+            percussive: bytes[record] !== 0,
+            voiceNumber: bytes[record + 1],
+            instrument: instrumentFromAdlibRecord(bytes.subarray(record + 2, record + BNK_RECORD_SIZE)),
+        });
+    }
+
+    return instruments;
+}
+
+/**
+ * Parse a Sound Blaster instrument (SBI) file.
+ *
+ * @param {ArrayBuffer|Uint8Array} data - SBI file data
+ * @returns {NamedInstrument}
+ * @throws {Error} If the data is not an SBI file
+ */
+export function parseSBI(data) {
+    const bytes = data instanceof ArrayBuffer ? new Uint8Array(data) : data;
+    if (bytes.length < SBI_MIN_SIZE || !hasSignature(bytes, 'SBI\x1A')) {
+        throw new Error('Not an SBI file');
+    }
+
+    const record = new Uint8Array(SBI_RECORD_SIZE);
+    record.set(bytes.subarray(4 + SBI_NAME_SIZE, 4 + SBI_NAME_SIZE + SBI_RECORD_SIZE));
+    return {
+        name: readFixedString(bytes, 4, SBI_NAME_SIZE),
+        instrument: instrumentFromSbiRecord(record),
+    };
+}
+
+/**
+ * Parse a Sound Blaster instrument bank (IBK): 128 SBI instruments.
+ *
+ * Instruments made for rhythm-mode voices get the matching rhythm mode.
+ *
+ * @param {ArrayBuffer|Uint8Array} data - IBK file data
+ * @returns {NamedInstrument[]} 128 instruments
+ * @throws {Error} If the data is not an IBK file
+ */
+export function parseIBK(data) {
+    const bytes = data instanceof ArrayBuffer ? new Uint8Array(data) : data;
+    if (bytes.length < IBK_SIZE || !hasSignature(bytes, 'IBK\x1A')) {
+        throw new Error('Not an IBK file');
+    }
+
+    const namesOffset = 4 + 128 * SBI_RECORD_SIZE;
+    /** @type {NamedInstrument[]} */
+    const instruments = [];
+    for (let i = 0; i < 128; i++) {
+        const record = 4 + i * SBI_RECORD_SIZE;
+        instruments.push({
+            name: readFixedString(bytes, namesOffset + i * IBK_NAME_SIZE, IBK_NAME_SIZE),
+            instrument: instrumentFromSbiRecord(bytes.subarray(record, record + SBI_RECORD_SIZE)),
+        });
+    }
+    return instruments;
+}
+
+/**
+ * Parse a DMX OP2 bank (the GENMIDI lump of Doom and other DMX games).
+ *
+ * Double-voice instruments become pseudo 4-op instruments. The 47
+ * percussion instruments cover MIDI keys 35-81 and play their fixed note.
+ *
+ * @param {ArrayBuffer|Uint8Array} data - OP2 file or GENMIDI lump data
+ * @returns {InstrumentBank}
+ * @throws {Error} If the data is not an OP2 bank
+ */
+export function parseOP2(data) {
+    const bytes = data instanceof ArrayBuffer ? new Uint8Array(data) : data;
+    if (bytes.length < OP2_SIZE || !hasSignature(bytes, OP2_MAGIC)) {
+        throw new Error('Not a DMX OP2 bank');
+    }
+
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const namesOffset = OP2_MAGIC.length + OP2_INSTRUMENTS * OP2_RECORD_SIZE;
+    const bank = createInstrumentBank();
+
+    for (let i = 0; i < OP2_INSTRUMENTS; i++) {
+        const record = OP2_MAGIC.length + i * OP2_RECORD_SIZE;
+        const flags = view.getUint16(record, true);
+        const fineTune = bytes[record + 2];
+        const fixedNote = bytes[record + 3];
+
+        const inst = defaultInstrument();
+        inst.isBlank = false;
+        inst.isPseudo4op = !!(flags & OP2_DOUBLE_VOICE);
+        inst.secondVoiceDetune = fineTune - 128;
+        if (flags & OP2_FIXED_PITCH) {
+            inst.percussionKey = fixedNote;
+        }
+
+        // Each voice: modulator 20h/60h/80h/E0h/KSL/TL, C0h, carrier likewise, unused, note offset
+        for (let voice = 0; voice < 2; voice++) {
+            const v = record + 4 + voice * 16;
+            inst.operators[voice * 2 + 1] = decodeOperator([bytes[v], (bytes[v + 4] & 0xC0) | (bytes[v + 5] & 0x3F), bytes[v + 1], bytes[v + 2], bytes[v + 3]]);
+            inst.operators[voice * 2] = decodeOperator([bytes[v + 7], (bytes[v + 11] & 0xC0) | (bytes[v + 12] & 0x3F), bytes[v + 8], bytes[v + 9], bytes[v + 10]]);
+            const noteOffset = view.getInt16(v + 14, true);
+            if (voice === 0) {
+                inst.feedback1 = (bytes[v + 6] >> 1) & 0x07;
+                inst.connection1 = bytes[v + 6] & 0x01;
+                inst.noteOffset1 = noteOffset;
+            } else {
+                inst.feedback2 = (bytes[v + 6] >> 1) & 0x07;
+                inst.connection2 = bytes[v + 6] & 0x01;
+                inst.noteOffset2 = noteOffset;
+            }
+        }
+
+        const entry = { name: readFixedString(bytes, namesOffset + i * OP2_NAME_SIZE, OP2_NAME_SIZE), instrument: inst };
+        if (i < 128) {
+            bank.melodic[i] = entry;
+        } else {
+            bank.percussion[OP2_FIRST_PERCUSSION_KEY + i - 128] = entry;
+        }
+    }
+
+    return bank;
+}
+
+/**
+ * Parse an Apogee Sound System timbre bank (TMB).
+ *
+ * TMB files have no signature or names; any data of the right size is
+ * accepted.
+ *
+ * @param {ArrayBuffer|Uint8Array} data - TMB file data
+ * @returns {InstrumentBank}
+ * @throws {Error} If the data is not the size of a TMB file
+ */
+export function parseTMB(data) {
+    const bytes = data instanceof ArrayBuffer ? new Uint8Array(data) : data;
+    if (bytes.length !== TMB_SIZE) {
+        throw new Error('Not an Apogee TMB file');
+    }
+
+    const bank = createInstrumentBank();
+    for (let i = 0; i < 256; i++) {
+        // SBI register order, then percussion note and transpose
+        const record = bytes.subarray(i * TMB_RECORD_SIZE, (i + 1) * TMB_RECORD_SIZE);
+        const inst = instrumentFromSbiRegisters(record);
+        inst.percussionKey = record[11];
+        inst.noteOffset1 = toInt8(record[12]);
+        (i < 128 ? bank.melodic : bank.percussion)[i & 0x7F] = { name: '', instrument: inst };
+    }
+    return bank;
+}
+
+/**
+ * Parse an OPL3 Bank Editor instrument file (OPLI).
+ *
+ * @param {ArrayBuffer|Uint8Array} data - OPLI file data
+ * @returns {NamedInstrument & {percussive: boolean}}
+ * @throws {Error} If the data is not an OPLI file or is a newer version
+ */
+export function parseOPLI(data) {
+    const bytes = data instanceof ArrayBuffer ? new Uint8Array(data) : data;
+    if (bytes.length < OPLI_HEADER_SIZE || !hasSignature(bytes, OPLI_MAGIC)) {
+        throw new Error('Not an OPLI file');
+    }
+
+    const version = bytes[11] | (bytes[12] << 8);
+    if (version < 1 || version > WOPL_LATEST_VERSION) {
+        throw new Error(`Unsupported OPLI version: ${version}`);
+    }
+    if (bytes.length < OPLI_HEADER_SIZE + woplInstrumentSize(version)) {
+        throw new Error('OPLI file is truncated');
+    }
+
+    const { name, ...instrument } = readWoplInstrument(bytes, OPLI_HEADER_SIZE, version);
+    return { name, percussive: bytes[13] !== 0, instrument };
+}
+
+/**
+ * Parse an AdLib Tracker 2 instrument (A2I).
+ *
+ * Only the uncompressed A2I versions are read. The compressed versions
+ * and A2F instruments (which add FM macros, always compressed) are
+ * recognised and rejected.
+ *
+ * @param {ArrayBuffer|Uint8Array} data - A2I file data
+ * @returns {NamedInstrument}
+ * @throws {Error} If the data is not an A2I file, is compressed, or is truncated
+ */
+export function parseA2I(data) {
+    const bytes = data instanceof ArrayBuffer ? new Uint8Array(data) : data;
+    if (hasSignature(bytes, A2F_MAGIC)) {
+        throw new Error('A2F instruments are compressed, which is not supported');
+    }
+    if (bytes.length < 11 || !hasSignature(bytes, A2I_MAGIC)) {
+        throw new Error('Not an A2I file');
+    }
+
+    const version = bytes[9];
+    const lengthSize = A2I_STORED_VERSIONS[/** @type {keyof typeof A2I_STORED_VERSIONS} */ (version)];
+    if (!lengthSize) {
+        throw new Error(`A2I version ${version} is compressed, which is not supported`);
+    }
+
+    // Header: signature, CRC16, version, data length
+    const start = 10 + lengthSize;
+    const length = lengthSize === 1 ? bytes[10] : bytes[10] | (bytes[11] << 8);
+    if (length < A2I_INSTRUMENT_SIZE + 1 || bytes.length < start + length) {
+        throw new Error('A2I file is truncated');
+    }
+
+    // Instrument data is followed by the name as a length-prefixed string
+    const nameOffset = start + A2I_INSTRUMENT_SIZE;
+    const nameLength = Math.min(bytes[nameOffset], length - A2I_INSTRUMENT_SIZE - 1);
+    return {
+        name: String.fromCharCode(...bytes.subarray(nameOffset + 1, nameOffset + 1 + nameLength)),
+        instrument: instrumentFromSbiRegisters(bytes.subarray(start, start + 11)),
+    };
+}
+
+/**
+ * Write an instrument as a Sound Blaster instrument (SBI) file.
+ *
+ * @param {NamedInstrument} entry - Instrument and name (up to 32 characters)
+ * @returns {Uint8Array} Complete SBI file
+ * @throws {Error} If the instrument is 4-op or pseudo 4-op; SBI holds one 2-op voice
+ */
+export function encodeSBI(entry) {
+    const { instrument: inst } = entry;
+    if (inst.is4op || inst.isPseudo4op) {
+        throw new Error('SBI cannot hold 4-op or pseudo 4-op instruments');
+    }
+
+    const bytes = new Uint8Array(SBI_SIZE);
+    bytes.set([0x53, 0x42, 0x49, 0x1A]);
+    writeFixedString(bytes, 4, SBI_NAME_SIZE, entry.name);
+    bytes.set(sbiRecordFromInstrument(inst), 4 + SBI_NAME_SIZE);
+    return bytes;
+}
+
+/**
+ * Write a bank as a DMX OP2 file (a complete 175-instrument GENMIDI lump).
+ *
+ * Pseudo 4-op instruments become double-voice instruments; instruments with
+ * a percussion key play it as their fixed note. Percussion instruments are
+ * taken for MIDI keys 35-81; blank instruments are written as empty records.
+ *
+ * @param {InstrumentBank} bank - Melodic instruments by program, percussion by key
+ * @returns {Uint8Array} Complete OP2 data
+ * @throws {Error} If an instrument is 4-op, or a percussion instrument is
+ *   outside the keys OP2 covers
+ */
+export function encodeOP2(bank) {
+    bank.percussion.forEach((entry, key) => {
+        const outside = key < OP2_FIRST_PERCUSSION_KEY || key >= OP2_FIRST_PERCUSSION_KEY + OP2_INSTRUMENTS - 128;
+        if (entry && !entry.instrument.isBlank && outside) {
+            throw new Error(`OP2 has no percussion instrument for key ${key}`);
+        }
+    });
+
+    const bytes = new Uint8Array(OP2_SIZE);
+    const view = new DataView(bytes.buffer);
+    bytes.set(Array.from(OP2_MAGIC, c => c.charCodeAt(0)));
+    const namesOffset = OP2_MAGIC.length + OP2_INSTRUMENTS * OP2_RECORD_SIZE;
+
+    for (let i = 0; i < OP2_INSTRUMENTS; i++) {
+        const entry = i < 128 ? bank.melodic[i] : bank.percussion[OP2_FIRST_PERCUSSION_KEY + i - 128];
+        if (!entry) continue;
+
+        const inst = entry.instrument;
+        writeFixedString(bytes, namesOffset + i * OP2_NAME_SIZE, OP2_NAME_SIZE, entry.name);
+        if (inst.isBlank) continue;
+        if (inst.is4op) {
+            const where = i < 128 ? `program ${i}` : `percussion key ${OP2_FIRST_PERCUSSION_KEY + i - 128}`;
+            throw new Error(`OP2 cannot hold 4-op instruments (${where})`);
+        }
+
+        const record = OP2_MAGIC.length + i * OP2_RECORD_SIZE;
+        view.setUint16(record, (inst.percussionKey ? OP2_FIXED_PITCH : 0) | (inst.isPseudo4op ? OP2_DOUBLE_VOICE : 0), true);
+        bytes[record + 2] = Math.max(0, Math.min(255, (inst.secondVoiceDetune || 0) + 128));
+        bytes[record + 3] = inst.percussionKey || 0;
+
+        const voices = inst.isPseudo4op ? 2 : 1;
+        for (let voice = 0; voice < voices; voice++) {
+            const v = record + 4 + voice * 16;
+            const mod = encodeOperator(inst.operators[voice * 2 + 1]);
+            const car = encodeOperator(inst.operators[voice * 2]);
+            const feedback = voice === 0 ? inst.feedback1 : inst.feedback2;
+            const connection = voice === 0 ? inst.connection1 : inst.connection2;
+            bytes.set([mod[0], mod[2], mod[3], mod[4], mod[1] & 0xC0, mod[1] & 0x3F], v);
+            bytes[v + 6] = (((feedback || 0) & 0x07) << 1) | ((connection || 0) & 0x01);
+            bytes.set([car[0], car[2], car[3], car[4], car[1] & 0xC0, car[1] & 0x3F], v + 7);
+            view.setInt16(v + 14, (voice === 0 ? inst.noteOffset1 : inst.noteOffset2) || 0, true);
+        }
+    }
+
+    return bytes;
+}
+
+/**
+ * Write an instrument as an OPL3 Bank Editor instrument file (OPLI).
+ *
+ * OPLI holds everything an {@link Instrument} does, including 4-op and
+ * pseudo 4-op voices and note delays.
+ *
+ * @param {NamedInstrument & {percussive?: boolean}} entry - Instrument, name
+ *   (up to 32 characters) and whether it is a percussion instrument
+ * @returns {Uint8Array} Complete OPLI file
+ */
+export function encodeOPLI(entry) {
+    const bytes = new Uint8Array(OPLI_HEADER_SIZE + woplInstrumentSize(WOPL_LATEST_VERSION));
+    bytes.set(Array.from(OPLI_MAGIC, c => c.charCodeAt(0)));
+    bytes[11] = WOPL_LATEST_VERSION & 0xFF;
+    bytes[12] = WOPL_LATEST_VERSION >> 8;
+    bytes[13] = entry.percussive ? 1 : 0;
+    writeWoplInstrument(bytes, OPLI_HEADER_SIZE, { ...entry.instrument, name: entry.name }, WOPL_LATEST_VERSION);
+    return bytes;
+}
+
+/**
+ * Convert an SBI register record, including the rhythm voice, transpose
+ * and percussion pitch that SBI and IBK store after the registers
+ * @param {Uint8Array} rec - 16 bytes of record data
+ * @returns {Instrument}
+ */
+function instrumentFromSbiRecord(rec) {
+    const inst = instrumentFromSbiRegisters(rec);
+    const voice = rec[11];
+    if (voice >= SBI_FIRST_PERCUSSION_VOICE && voice < SBI_FIRST_PERCUSSION_VOICE + 5) {
+        inst.rhythmMode = voice - SBI_FIRST_PERCUSSION_VOICE + 1;
+    }
+    inst.noteOffset1 = toInt8(rec[12]);
+    inst.percussionKey = rec[13];
+    return inst;
+}
+
+/**
+ * Build an SBI register record; the reverse of {@link instrumentFromSbiRecord}
+ * @param {Instrument} inst
+ * @returns {Uint8Array} 16 bytes of record data
+ */
+function sbiRecordFromInstrument(inst) {
+    const mod = encodeOperator(inst.operators[1]);
+    const car = encodeOperator(inst.operators[0]);
+    const rec = new Uint8Array(SBI_RECORD_SIZE);
+    for (let i = 0; i < 5; i++) {
+        rec[i * 2] = mod[i];
+        rec[i * 2 + 1] = car[i];
+    }
+    rec[10] = (((inst.feedback1 || 0) & 0x07) << 1) | ((inst.connection1 || 0) & 0x01);
+    rec[11] = inst.rhythmMode ? inst.rhythmMode + SBI_FIRST_PERCUSSION_VOICE - 1 : 0;
+    rec[12] = (inst.noteOffset1 || 0) & 0xFF;
+    rec[13] = inst.percussionKey || 0;
+    return rec;
+}
+
+/**
+ * Create a bank of blank instruments
+ * @returns {InstrumentBank}
+ */
+function createInstrumentBank() {
+    /** @returns {NamedInstrument[]} */
+    const blanks = () => Array.from({ length: 128 }, () => ({ name: '', instrument: defaultInstrument() }));
+    return { melodic: blanks(), percussion: blanks() };
+}
+
+/**
+ * Convert an AdLib instrument record: two 13-byte operator parameter lists
+ * (modulator, then carrier) followed by the two waveform bytes. Used by BNK
+ * banks and INS files.
+ *
+ * @param {Uint8Array} rec - 28 bytes of record data
+ * @returns {Instrument}
+ */
+function instrumentFromAdlibRecord(rec) {
+    // Parameter order: KSL, MULT, FB, AR, SL, EG, DR, RR, TL, AM, VIB, KSR, FM
+    /** @param {number} o @param {number} wave */
+    const operator = (o, wave) => ({
+        am: !!rec[o + 9],
+        vibrato: !!rec[o + 10],
+        sustaining: !!rec[o + 5],
+        ksr: !!rec[o + 11],
+        freqMult: rec[o + 1] & 0x0F,
+        keyScaleLevel: rec[o] & 0x03,
+        totalLevel: rec[o + 8] & 0x3F,
+        attack: rec[o + 3] & 0x0F,
+        decay: rec[o + 6] & 0x0F,
+        sustain: rec[o + 4] & 0x0F,
+        release: rec[o + 7] & 0x0F,
+        waveform: wave & 0x07,
+    });
+
+    const inst = defaultInstrument();
+    inst.isBlank = false;
+    inst.operators[0] = operator(13, rec[27]);
+    inst.operators[1] = operator(0, rec[26]);
+    // Feedback and connection come from the modulator; FM=1 means frequency modulation
+    inst.feedback1 = rec[2] & 0x07;
+    inst.connection1 = rec[12] ? 0 : 1;
+    return inst;
+}
+
+/**
+ * Write a null-padded single-byte string, truncated to the field
+ * @param {Uint8Array} bytes
+ * @param {number} offset
+ * @param {number} length - Field length
+ * @param {string} text
+ */
+function writeFixedString(bytes, offset, length, text) {
+    for (let i = 0; i < length && i < text.length; i++) {
+        bytes[offset + i] = text.charCodeAt(i) & 0xFF;
+    }
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @param {string} signature
+ * @returns {boolean} True if the data starts with the signature
+ */
+function hasSignature(bytes, signature) {
+    return bytes.length >= signature.length
+        && String.fromCharCode(...bytes.subarray(0, signature.length)) === signature;
+}
+
+/**
+ * @param {number} byte
+ * @returns {number} The byte as a signed 8-bit value
+ */
+function toInt8(byte) {
+    return byte > 127 ? byte - 256 : byte;
+}
+
+/**
+ * Read a null-padded single-byte string
+ * @param {Uint8Array} bytes
+ * @param {number} offset
+ * @param {number} length - Maximum length
+ * @returns {string}
+ */
+function readFixedString(bytes, offset, length) {
+    let text = '';
+    for (let i = 0; i < length && bytes[offset + i]; i++) {
+        text += String.fromCharCode(bytes[offset + i]);
+    }
+    return text;
+}
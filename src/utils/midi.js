@@ -0,0 +1,222 @@
+/**
+ * Raw MIDI byte-stream parsing.
+ *
+ * Pure-JS, no WASM dependency. Turns bytes from Web MIDI, serial ports or
+ * files into complete messages and dispatches them; used by AdlMidi.sendMidi()
+ * and AdlMidiCore.sendMidi(). Also defines the events reported during file
+ * playback (see formats/events).
+ *
+ * @module midi
+ */
+
+/** Data bytes following each channel message status (by high nibble) */
+const CHANNEL_DATA_LENGTH = Object.freeze({
+    0x8: 2, 0x9: 2, 0xA: 2, 0xB: 2, 0xC: 1, 0xD: 1, 0xE: 2,
+});
+
+/** Data bytes following system common statuses (F1-F6) */
+const SYSTEM_DATA_LENGTH = Object.freeze({
+    0xF1: 1, 0xF2: 2, 0xF3: 1, 0xF4: 0, 0xF5: 0, 0xF6: 0,
+});
+
+/**
+ * Incremental MIDI byte-stream parser.
+ *
+ * Keeps state between chunks, so messages and SysEx dumps may be split
+ * across calls. Running status is expanded. Real-time bytes (F8-FF) are
+ * passed through as one-byte messages wherever they appear, even inside
+ * another message. System common messages are consumed and not reported.
+ *
+ * @example
+ * ```javascript
+ * const parser = new MidiStreamParser();
+ * for (const message of parser.push(bytes)) {
+ *   console.log(message[0].toString(16), message.length);
+ * }
+ * ```
+ */
+export class MidiStreamParser {
+    /** @type {number} */
+    #runningStatus = 0;
+    /** @type {number[]} */
+    #message = [];
+    /** @type {number} */
+    #expected = 0;
+    /** @type {number[]|null} */
+    #sysex = null;
+
+    /**
+     * Feed bytes to the parser.
+     *
+     * @param {Uint8Array|ArrayLike<number>} bytes - Raw MIDI bytes
+     * @returns {number[][]} Complete messages, status byte first. SysEx
+     *   messages include the F0 and F7 bytes.
+     */
+    push(bytes) {
+        /** @type {number[][]} */
+        const messages = [];
+
+        for (let i = 0; i < bytes.length; i++) {
+            const byte = bytes[i] & 0xFF;
+
+            if (byte >= 0xF8) {
+                messages.push([byte]);
+                continue;
+            }
+
+            if (byte === 0xF0) {
+                this.#sysex = [byte];
+                this.#runningStatus = 0;
+                this.#expected = 0;
+                continue;
+            }
+
+            if (this.#sysex) {
+                if (byte < 0x80) {
+                    this.#sysex.push(byte);
+                    continue;
+                }
+                // F7 ends the dump; any other status also ends it (unterminated)
+                this.#sysex.push(0xF7);
+                messages.push(this.#sysex);
+                this.#sysex = null;
+                if (byte === 0xF7) continue;
+            }
+
+            if (byte >= 0x80) {
+                if (byte >= 0xF0) {
+                    // System common cancels running status
+                    this.#runningStatus = 0;
+                    this.#message = [byte];
+                    this.#expected = SYSTEM_DATA_LENGTH[/** @type {keyof typeof SYSTEM_DATA_LENGTH} */ (byte)] ?? 0;
+                } else {
+                    this.#runningStatus = byte;
+                    this.#message = [byte];
+                    this.#expected = CHANNEL_DATA_LENGTH[/** @type {keyof typeof CHANNEL_DATA_LENGTH} */ (byte >> 4)];
+                }
+                continue;
+            }
+
+            // Data byte
+            if (this.#expected === 0) {
+                if (!this.#runningStatus) continue; // Stray data byte
+                this.#message = [this.#runningStatus];
+                this.#expected = CHANNEL_DATA_LENGTH[/** @type {keyof typeof CHANNEL_DATA_LENGTH} */ (this.#runningStatus >> 4)];
+            }
+            this.#message.push(byte);
+            this.#expected--;
+
+            if (this.#expected === 0 && this.#message[0] < 0xF0) {
+                messages.push(this.#message);
+                this.#message = [];
+            }
+        }
+
+        return messages;
+    }
+
+    /**
+     * Drop any partial message and the running status
+     */
+    reset() {
+        this.#runningStatus = 0;
+        this.#message = [];
+        this.#expected = 0;
+        this.#sysex = null;
+    }
+}
+
+/**
+ * Receivers for the messages {@link dispatchMidiMessage} understands
+ * @typedef {Object} MidiMessageHandlers
+ * @property {(channel: number, note: number, velocity: number) => void} noteOn
+ * @property {(channel: number, note: number) => void} noteOff - Also receives note-ons with velocity 0
+ * @property {(channel: number, note: number, pressure: number) => void} noteAfterTouch
+ * @property {(channel: number, controller: number, value: number) => void} controlChange
+ * @property {(channel: number, program: number) => void} programChange
+ * @property {(channel: number, pressure: number) => void} channelAfterTouch
+ * @property {(channel: number, value: number) => void} pitchBend - 14-bit value (0-16383)
+ * @property {(data: Uint8Array) => void} systemExclusive - Complete dump, F0 to F7
+ * @property {() => void} reset - System Reset (FFh)
+ */
+
+/**
+ * Hand one message from {@link MidiStreamParser} to the matching handler.
+ * Other real-time and system common messages are ignored.
+ *
+ * @param {number[]} message - Complete message, status byte first
+ * @param {MidiMessageHandlers} handlers
+ */
+export function dispatchMidiMessage(message, handlers) {
+    const [status, data1, data2] = message;
+    const channel = status & 0x0F;
+
+    switch (status & 0xF0) {
+        case 0x80:
+            handlers.noteOff(channel, data1);
+            break;
+        case 0x90:
+            if (data2 > 0) {
+                handlers.noteOn(channel, data1, data2);
+            } else {
+                handlers.noteOff(channel, data1);
+            }
+            break;
+        case 0xA0:
+            handlers.noteAfterTouch(channel, data1, data2);
+            break;
+        case 0xB0:
+            handlers.controlChange(channel, data1, data2);
+            break;
+        case 0xC0:
+            handlers.programChange(channel, data1);
+            break;
+        case 0xD0:
+            handlers.channelAfterTouch(channel, data1);
+            break;
+        case 0xE0:
+            handlers.pitchBend(channel, (data2 << 7) | data1);
+            break;
+        default:
+            if (status === 0xF0) {
+                handlers.systemExclusive(new Uint8Array(message));
+            } else if (status === 0xFF) {
+                handlers.reset();
+            }
+    }
+}
+
+/**
+ * Note on or off reached during file playback
+ * @typedef {Object} NoteEvent
+ * @property {number} channel - MIDI channel (0-15)
+ * @property {number} note - MIDI note number (0-127)
+ * @property {number} velocity - Note-on velocity; 0 for note-off
+ * @property {boolean} on - True for note-on, false for note-off
+ * @property {number} [time] - AudioContext time of the block the event was
+ *   rendered in (AdlMidi only)
+ */
+
+/**
+ * Channel or SysEx message reached during file playback
+ * @typedef {Object} MidiEvent
+ * @property {number[]} data - Complete message, status byte first. SysEx
+ *   messages include the F0 and F7 bytes.
+ * @property {number} [time] - As for {@link NoteEvent}
+ */
+
+/**
+ * Meta event reached during file playback
+ * @typedef {Object} MetaEvent
+ * @property {number} type - Meta event type (0x05 lyric, 0x06 marker, 0x51 tempo, ...)
+ * @property {number[]} data - Event payload
+ * @property {number} [time] - As for {@link NoteEvent}
+ */
+
+/**
+ * Events collected from one stretch of file playback
+ * @typedef {Object} PlaybackEvents
+ * @property {NoteEvent[]} notes - Note-ons and note-offs
+ * @property {MidiEvent[]} midiEvents - All channel and SysEx messages, notes included
+ * @property {MetaEvent[]} metaEvents - Meta events
+ */
@@ -8,6 +8,8 @@
  * @module opl3
  */
 
+import { ChannelState } from './constants.js';
+
 /** Total per-chip channels including rhythm-mode percussion */
 export const CHANNELS_PER_CHIP = 23;
 
@@ -248,3 +250,48 @@ export function channelMask(...channels) {
     }
     return mask >>> 0;
 }
+
+/** adl_describeChannels() characters by state */
+const DESCRIBE_STATES = Object.freeze({
+    '-': ChannelState.OFF,
+    '+': ChannelState.TWO_OP,
+    '#': ChannelState.FOUR_OP,
+    'r': ChannelState.RHYTHM,
+    '@': ChannelState.ARPEGGIO,
+});
+
+/**
+ * State of one chip channel
+ * @typedef {Object} ChipChannelState
+ * @property {number} chip - Zero-based chip index
+ * @property {number} channel - Channel within the chip (0-22; 18-22 are rhythm-mode percussion)
+ * @property {string} state - One of {@link ChannelState}
+ * @property {number|null} midiChannel - MIDI channel (0-15) of the note
+ *   using the channel, or null when it is off
+ */
+
+/**
+ * Decode the output of adl_describeChannels() into per-chip channel states.
+ *
+ * libADLMIDI writes one character per chip channel, chips in order, and an
+ * attribute byte per channel whose low nibble is the owning MIDI channel.
+ * It does not report sustain-pedal holds separately from playing notes.
+ *
+ * @param {string} text - Channel state characters
+ * @param {Uint8Array|ArrayLike<number>} attr - Attribute bytes, one per character
+ * @returns {ChipChannelState[]} One entry per chip channel
+ */
+export function decodeChannelStates(text, attr) {
+    /** @type {ChipChannelState[]} */
+    const states = [];
+    for (let i = 0; i < text.length; i++) {
+        const state = DESCRIBE_STATES[/** @type {keyof typeof DESCRIBE_STATES} */ (text[i])] ?? ChannelState.ON;
+        states.push({
+            chip: Math.floor(i / CHANNELS_PER_CHIP),
+            channel: i % CHANNELS_PER_CHIP,
+            state,
+            midiChannel: state === ChannelState.OFF ? null : (attr[i] ?? 0) & 0x0F,
+        });
+    }
+    return states;
+}
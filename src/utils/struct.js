@@ -24,6 +24,9 @@ export const SIZEOF_ADL_BANK_ID = 4;
 /** Offset where operators start within ADL_Instrument */
 export const OPERATOR_OFFSET = 14;
 
+/** Size of ADLMIDI_AudioFormat struct (int type, unsigned containerSize, unsigned sampleOffset) */
+export const SIZEOF_ADLMIDI_AUDIO_FORMAT = 12;
+
 // =============================================================================
 // Operator Encoding/Decoding
 // =============================================================================
@@ -147,6 +150,8 @@ export function defaultOperator() {
  * @property {[Operator, Operator, Operator, Operator]} operators - Four operators
  * @property {number} [delayOnMs] - Delay before note-on (ms)
  * @property {number} [delayOffMs] - Delay before note-off (ms)
+ * @property {string} [name] - Instrument name. Not part of ADL_Instrument:
+ *   the encoder ignores it and AdlMidi/AdlMidiCore keep it on the JS side.
  */
 
 /**
@@ -286,3 +291,23 @@ export function defaultInstrument() {
         delayOffMs: 0
     };
 }
+
+// =============================================================================
+// Audio Format
+// =============================================================================
+
+/**
+ * Encode an ADLMIDI_AudioFormat struct for adl_playFormat()/adl_generateFormat()
+ * @param {number} type - Sample type (see SampleFormat)
+ * @param {number} containerSize - Bytes per sample
+ * @param {number} sampleOffset - Bytes between consecutive samples of one channel
+ * @returns {Uint8Array} 12 bytes of format data
+ */
+export function encodeAudioFormat(type, containerSize, sampleOffset) {
+    const bytes = new Uint8Array(SIZEOF_ADLMIDI_AUDIO_FORMAT);
+    const view = new DataView(bytes.buffer);
+    view.setInt32(0, type, true);
+    view.setUint32(4, containerSize, true);
+    view.setUint32(8, sampleOffset, true);
+    return bytes;
+}
@@ -0,0 +1,95 @@
+/**
+ * RIFF WAV encoding for rendered audio.
+ *
+ * Pure-JS, no WASM dependency. Used by AdlMidiCore.renderToWav().
+ *
+ * @module wav
+ */
+
+/** WAVE_FORMAT_PCM */
+const FORMAT_PCM = 1;
+
+/** WAVE_FORMAT_IEEE_FLOAT */
+const FORMAT_IEEE_FLOAT = 3;
+
+/**
+ * Options for {@link encodeWav}
+ * @typedef {Object} WavOptions
+ * @property {16|32} [bitDepth=16] - 16 for integer PCM, 32 for IEEE float
+ */
+
+/**
+ * Encode planar audio as a RIFF WAV file.
+ *
+ * 16-bit output clips samples to -1..+1. 32-bit output is stored as IEEE
+ * float with the `fact` chunk non-PCM formats require.
+ *
+ * @param {Float32Array[]} channelData - One array per channel, all the same length
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {WavOptions} [options]
+ * @returns {Uint8Array} Complete WAV file
+ */
+export function encodeWav(channelData, sampleRate, options = {}) {
+    const { bitDepth = 16 } = options;
+    if (bitDepth !== 16 && bitDepth !== 32) {
+        throw new Error(`Unsupported WAV bit depth: ${bitDepth}`);
+    }
+
+    const float = bitDepth === 32;
+    const numChannels = channelData.length;
+    const numFrames = numChannels > 0 ? channelData[0].length : 0;
+    const bytesPerSample = bitDepth / 8;
+    const blockAlign = numChannels * bytesPerSample;
+    const dataSize = numFrames * blockAlign;
+
+    // fmt chunk grows by the cbSize field and a fact chunk follows for float
+    const fmtSize = float ? 18 : 16;
+    const headerSize = 12 + 8 + fmtSize + (float ? 12 : 0) + 8;
+
+    const bytes = new Uint8Array(headerSize + dataSize);
+    const view = new DataView(bytes.buffer);
+    let pos = 0;
+
+    const writeTag = (/** @type {string} */ tag) => {
+        for (let i = 0; i < 4; i++) bytes[pos++] = tag.charCodeAt(i);
+    };
+    const u16 = (/** @type {number} */ value) => { view.setUint16(pos, value, true); pos += 2; };
+    const u32 = (/** @type {number} */ value) => { view.setUint32(pos, value, true); pos += 4; };
+
+    writeTag('RIFF');
+    u32(bytes.length - 8);
+    writeTag('WAVE');
+
+    writeTag('fmt ');
+    u32(fmtSize);
+    u16(float ? FORMAT_IEEE_FLOAT : FORMAT_PCM);
+    u16(numChannels);
+    u32(sampleRate);
+    u32(sampleRate * blockAlign);
+    u16(blockAlign);
+    u16(bitDepth);
+    if (float) {
+        u16(0);                                 // cbSize
+        writeTag('fact');
+        u32(4);
+        u32(numFrames);
+    }
+
+    writeTag('data');
+    u32(dataSize);
+
+    for (let i = 0; i < numFrames; i++) {
+        for (let ch = 0; ch < numChannels; ch++) {
+            const sample = channelData[ch][i];
+            if (float) {
+                view.setFloat32(pos, sample, true);
+            } else {
+                const clipped = Math.max(-1, Math.min(1, sample));
+                view.setInt16(pos, Math.round(clipped * 32767), true);
+            }
+            pos += bytesPerSample;
+        }
+    }
+
+    return bytes;
+}
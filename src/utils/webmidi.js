@@ -0,0 +1,230 @@
+/**
+ * Web MIDI input binding.
+ *
+ * Connects MIDIInput ports to a synth's sendMidi(), with per-input channel
+ * filtering and remapping, and follows devices as they are plugged in and
+ * out. Use AdlMidi.bindMidiInputs() rather than constructing this directly.
+ *
+ * @module webmidi
+ */
+
+import { MidiStreamParser } from './midi.js';
+
+/** Controller number for the sustain pedal */
+const CC_SUSTAIN = 64;
+
+/** Controller number for All Notes Off */
+const CC_ALL_NOTES_OFF = 123;
+
+/**
+ * Minimal synth interface the binding drives
+ * @typedef {Object} MidiInputTarget
+ * @property {(bytes: Uint8Array|ArrayLike<number>) => void} sendMidi
+ * @property {(channel: number, controller: number, value: number) => void} controlChange
+ */
+
+/**
+ * Channel routing for one input
+ * @typedef {Object} MidiInputRoute
+ * @property {number[]} [channels] - Source channels (0-15) to accept; all if omitted
+ * @property {number[]} [channelMap] - Destination channel for each source
+ *   channel, indexed by source channel; unmapped channels pass unchanged
+ */
+
+/**
+ * Options for {@link MidiInputBinding}
+ * @typedef {Object} MidiInputBindingOptions
+ * @property {(input: MIDIInput) => boolean} [filter] - Which inputs to bind,
+ *   checked for present and hot-plugged devices; all inputs if omitted
+ * @property {MidiInputRoute} [route] - Routing for inputs without their own entry in `routes`
+ * @property {Record<string, MidiInputRoute>} [routes] - Routing per input, keyed by input id or name
+ * @property {(data: Uint8Array, input: MIDIInput) => void} [onMessage] - Called
+ *   with every message received from a bound input, after it is sent to the synth
+ * @property {(input: MIDIInput, connected: boolean) => void} [onChange] - Called
+ *   when an input is bound or unbound (including hot-plug)
+ */
+
+/**
+ * Live binding between Web MIDI inputs and a synth.
+ *
+ * Inputs are bound when the binding is created and whenever a matching
+ * device connects; disconnected inputs are unbound and their destination
+ * channels get a sustain release and an All Notes Off so nothing hangs. System messages (SysEx,
+ * reset) pass through unchanged but are dropped when a `channels` filter is
+ * set, since they cannot be attributed to a channel.
+ *
+ * @example
+ * ```javascript
+ * const binding = await synth.bindMidiInputs({
+ *   routes: { 'Keystation 49': { channelMap: [2] } },   // play channel 1 as channel 3
+ * });
+ * // ... later
+ * binding.close();
+ * ```
+ */
+export class MidiInputBinding {
+    /** @type {MidiInputTarget} */
+    #synth;
+    /** @type {MIDIAccess} */
+    #access;
+    /** @type {MidiInputBindingOptions} */
+    #options;
+    /** @type {Map<string, {input: MIDIInput, listener: (event: Event) => void}>} */
+    #bound = new Map();
+    /** @type {(event: Event) => void} */
+    #onStateChange;
+    /** @type {boolean} */
+    #closed = false;
+
+    /**
+     * @param {MidiInputTarget} synth - Synth to drive
+     * @param {MIDIAccess} access - Web MIDI access object
+     * @param {MidiInputBindingOptions} [options]
+     */
+    constructor(synth, access, options = {}) {
+        this.#synth = synth;
+        this.#access = access;
+        this.#options = options;
+
+        this.#onStateChange = (event) => {
+            const port = /** @type {MIDIConnectionEvent} */ (event).port;
+            if (!port || port.type !== 'input') return;
+            const input = /** @type {MIDIInput} */ (port);
+
+            if (input.state === 'connected') {
+                this.bind(input);
+            } else {
+                this.unbind(input);
+            }
+        };
+        access.addEventListener('statechange', this.#onStateChange);
+
+        access.inputs.forEach((input) => {
+            if (input.state === 'connected') {
+                this.bind(input);
+            }
+        });
+    }
+
+    /**
+     * Currently bound inputs
+     * @returns {MIDIInput[]}
+     */
+    get inputs() {
+        return Array.from(this.#bound.values(), entry => entry.input);
+    }
+
+    /**
+     * Bind an input, if the filter accepts it and it is not bound yet
+     * @param {MIDIInput} input
+     * @returns {boolean} True if the input is bound after the call
+     */
+    bind(input) {
+        if (this.#closed) return false;
+        if (this.#bound.has(input.id)) return true;
+        if (this.#options.filter && !this.#options.filter(input)) return false;
+
+        // Each port keeps its own running status and SysEx state
+        const parser = new MidiStreamParser();
+        const listener = (/** @type {Event} */ event) => {
+            const data = /** @type {MIDIMessageEvent} */ (event).data;
+            if (!data) return;
+            for (const message of parser.push(data)) {
+                this.#forward(message, input);
+            }
+            this.#options.onMessage?.(data, input);
+        };
+
+        input.addEventListener('midimessage', listener);
+        // addEventListener doesn't open the port implicitly like onmidimessage does
+        input.open?.().catch(() => {});
+        this.#bound.set(input.id, { input, listener });
+        this.#options.onChange?.(input, true);
+        return true;
+    }
+
+    /**
+     * Unbind an input and release any notes it left playing
+     * @param {MIDIInput} input
+     */
+    unbind(input) {
+        const entry = this.#bound.get(input.id);
+        if (!entry) return;
+
+        entry.input.removeEventListener('midimessage', entry.listener);
+        this.#bound.delete(input.id);
+
+        const route = this.#routeFor(input);
+        const channels = new Set();
+        for (let ch = 0; ch < 16; ch++) {
+            if (!route.channels || route.channels.includes(ch)) {
+                channels.add(route.channelMap?.[ch] ?? ch);
+            }
+        }
+        // Release the pedal first: All Notes Off leaves sustained notes ringing
+        for (const ch of channels) {
+            this.#synth.controlChange(ch, CC_SUSTAIN, 0);
+            this.#synth.controlChange(ch, CC_ALL_NOTES_OFF, 0);
+        }
+
+        this.#options.onChange?.(input, false);
+    }
+
+    /**
+     * Replace the routing for one input
+     * @param {string} key - Input id or name
+     * @param {MidiInputRoute|undefined} route - New routing, or undefined to
+     *   fall back to the default route
+     */
+    setRoute(key, route) {
+        const routes = { ...this.#options.routes };
+        if (route) {
+            routes[key] = route;
+        } else {
+            delete routes[key];
+        }
+        this.#options = { ...this.#options, routes };
+    }
+
+    /**
+     * Unbind every input and stop following hot-plug events
+     */
+    close() {
+        if (this.#closed) return;
+        for (const { input } of [...this.#bound.values()]) {
+            this.unbind(input);
+        }
+        this.#access.removeEventListener('statechange', this.#onStateChange);
+        this.#closed = true;
+    }
+
+    /**
+     * @param {MIDIInput} input
+     * @returns {MidiInputRoute}
+     */
+    #routeFor(input) {
+        const { routes = {}, route = {} } = this.#options;
+        return routes[input.id] ?? (input.name ? routes[input.name] : undefined) ?? route;
+    }
+
+    /**
+     * Filter, remap and send one complete message
+     * @param {number[]} message
+     * @param {MIDIInput} input
+     */
+    #forward(message, input) {
+        const route = this.#routeFor(input);
+        const status = message[0];
+
+        if (status < 0xF0) {
+            const channel = status & 0x0F;
+            if (route.channels && !route.channels.includes(channel)) return;
+            const target = route.channelMap?.[channel] ?? channel;
+            message[0] = (status & 0xF0) | (target & 0x0F);
+        } else if (route.channels) {
+            return;
+        }
+
+        this.#synth.sendMidi(message);
+    }
+}
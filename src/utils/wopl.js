@@ -0,0 +1,455 @@
+/**
+ * WOPL bank file reading and writing.
+ *
+ * Pure-JS, no WASM dependency. Parses WOPL versions 1-3 (the bank format
+ * of libADLMIDI and OPL3 Bank Editor) into a JS bank model and writes it
+ * back, so banks edited with setInstrument() can be saved. Instruments use
+ * the {@link Instrument} layout from struct.js plus a name. Also keeps the
+ * instrument and bank names, bank order and exact detunes libADLMIDI drops
+ * when it loads a bank.
+ *
+ * @module wopl
+ */
+
+import {
+    SIZEOF_ADL_INSTRUMENT,
+    SIZEOF_ADL_OPERATOR,
+    OPERATOR_OFFSET,
+    decodeInstrument,
+    encodeInstrument,
+    defaultInstrument,
+} from './struct.js';
+
+/** File signature, NUL included */
+const WOPL_MAGIC = 'WOPL3-BANK\0';
+
+/** Newest WOPL version this module reads and the default it writes */
+export const WOPL_LATEST_VERSION = 3;
+
+/** Header: magic, version, bank counts, flags, volume model */
+const HEADER_SIZE = 19;
+
+/** Bank metadata (v2+): name, LSB, MSB */
+const BANK_META_SIZE = 34;
+
+/** Name field length in bank metadata and instruments */
+const NAME_SIZE = 32;
+
+/** Instrument record size before and from version 3 (which adds delays) */
+const INSTRUMENT_SIZE_V2 = 62;
+const INSTRUMENT_SIZE_V3 = 66;
+
+/** Programs per bank */
+const PROGRAMS = 128;
+
+/** Global bank flags */
+const FLAG_DEEP_TREMOLO = 0x01;
+const FLAG_DEEP_VIBRATO = 0x02;
+
+/**
+ * Instrument with the name stored in the bank (always present)
+ * @typedef {import('./struct.js').Instrument & {name: string}} WoplInstrument
+ */
+
+/**
+ * One melodic or percussion bank of 128 instruments
+ * @typedef {Object} WoplBankSet
+ * @property {string} name - Bank name (up to 32 bytes)
+ * @property {number} msb - Bank select MSB
+ * @property {number} lsb - Bank select LSB
+ * @property {WoplInstrument[]} instruments - 128 instruments by program
+ *   (percussion banks: by MIDI key)
+ */
+
+/**
+ * Parsed WOPL bank file
+ * @typedef {Object} WoplBank
+ * @property {number} version - File version read (1-3)
+ * @property {boolean} deepTremolo - Deep tremolo enabled
+ * @property {boolean} deepVibrato - Deep vibrato enabled
+ * @property {number} volumeModel - Volume model (see setVolumeRangeModel())
+ * @property {WoplBankSet[]} melodic - Melodic banks
+ * @property {WoplBankSet[]} percussion - Percussion banks
+ */
+
+/**
+ * Parse a WOPL bank file.
+ *
+ * Version 1 files carry no bank names or MIDI bank numbers; their banks
+ * are numbered by position, as libADLMIDI does.
+ *
+ * @param {ArrayBuffer|Uint8Array} data - WOPL file data
+ * @returns {WoplBank}
+ * @throws {Error} If the data is not a WOPL bank, is a newer version, or is truncated
+ */
+export function parseWOPL(data) {
+    const bytes = data instanceof ArrayBuffer ? new Uint8Array(data) : data;
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+    if (bytes.length < HEADER_SIZE || String.fromCharCode(...bytes.subarray(0, WOPL_MAGIC.length)) !== WOPL_MAGIC) {
+        throw new Error('Not a WOPL bank');
+    }
+
+    const version = view.getUint16(11, true);
+    if (version < 1 || version > WOPL_LATEST_VERSION) {
+        throw new Error(`Unsupported WOPL version: ${version}`);
+    }
+
+    // Bank counts are big-endian, unlike the version
+    const melodicCount = view.getUint16(13);
+    const percussionCount = view.getUint16(15);
+    const flags = bytes[17];
+    const volumeModel = bytes[18];
+
+    const instrumentSize = woplInstrumentSize(version);
+    const metaSize = version >= 2 ? (melodicCount + percussionCount) * BANK_META_SIZE : 0;
+    const expected = HEADER_SIZE + metaSize + (melodicCount + percussionCount) * PROGRAMS * instrumentSize;
+    if (bytes.length < expected) {
+        throw new Error('WOPL bank is truncated');
+    }
+
+    let pos = HEADER_SIZE;
+
+    /**
+     * @param {number} count
+     * @returns {WoplBankSet[]}
+     */
+    const readMeta = (count) => {
+        /** @type {WoplBankSet[]} */
+        const sets = [];
+        for (let i = 0; i < count; i++) {
+            if (version >= 2) {
+                sets.push({
+                    name: readName(bytes, pos),
+                    lsb: bytes[pos + NAME_SIZE],
+                    msb: bytes[pos + NAME_SIZE + 1],
+                    instruments: [],
+                });
+                pos += BANK_META_SIZE;
+            } else {
+                sets.push({ name: '', lsb: i & 0xFF, msb: (i >> 8) & 0xFF, instruments: [] });
+            }
+        }
+        return sets;
+    };
+
+    const melodic = readMeta(melodicCount);
+    const percussion = readMeta(percussionCount);
+
+    for (const set of [...melodic, ...percussion]) {
+        for (let program = 0; program < PROGRAMS; program++) {
+            set.instruments.push(readWoplInstrument(bytes, pos, version));
+            pos += instrumentSize;
+        }
+    }
+
+    return {
+        version,
+        deepTremolo: !!(flags & FLAG_DEEP_TREMOLO),
+        deepVibrato: !!(flags & FLAG_DEEP_VIBRATO),
+        volumeModel,
+        melodic,
+        percussion,
+    };
+}
+
+/**
+ * Write a bank as a WOPL file.
+ *
+ * Banks with fewer than 128 instruments are padded with blank ones.
+ * Instrument flag bits libADLMIDI doesn't use are not kept by parseWOPL(),
+ * so they are written as zero.
+ * Writing version 1 drops bank names and MIDI bank numbers; versions
+ * before 3 drop note-on/off delays.
+ *
+ * @param {WoplBank} bank - Bank to write
+ * @param {{version?: number}} [options] - File version to write (default: latest)
+ * @returns {Uint8Array} Complete WOPL file
+ * @throws {Error} If the version is not supported
+ */
+export function encodeWOPL(bank, options = {}) {
+    const { version = WOPL_LATEST_VERSION } = options;
+    if (version < 1 || version > WOPL_LATEST_VERSION) {
+        throw new Error(`Unsupported WOPL version: ${version}`);
+    }
+
+    const sets = [...bank.melodic, ...bank.percussion];
+    const instrumentSize = woplInstrumentSize(version);
+    const metaSize = version >= 2 ? sets.length * BANK_META_SIZE : 0;
+    const bytes = new Uint8Array(HEADER_SIZE + metaSize + sets.length * PROGRAMS * instrumentSize);
+    const view = new DataView(bytes.buffer);
+
+    for (let i = 0; i < WOPL_MAGIC.length; i++) {
+        bytes[i] = WOPL_MAGIC.charCodeAt(i);
+    }
+    view.setUint16(11, version, true);
+    view.setUint16(13, bank.melodic.length);
+    view.setUint16(15, bank.percussion.length);
+    bytes[17] = (bank.deepTremolo ? FLAG_DEEP_TREMOLO : 0) | (bank.deepVibrato ? FLAG_DEEP_VIBRATO : 0);
+    bytes[18] = bank.volumeModel & 0xFF;
+
+    let pos = HEADER_SIZE;
+    if (version >= 2) {
+        for (const set of sets) {
+            writeName(bytes, pos, set.name);
+            bytes[pos + NAME_SIZE] = set.lsb & 0xFF;
+            bytes[pos + NAME_SIZE + 1] = set.msb & 0xFF;
+            pos += BANK_META_SIZE;
+        }
+    }
+
+    for (const set of sets) {
+        for (let program = 0; program < PROGRAMS; program++) {
+            const instrument = set.instruments[program] ?? { ...defaultInstrument(), name: '' };
+            writeWoplInstrument(bytes, pos, instrument, version);
+            pos += instrumentSize;
+        }
+    }
+
+    return bytes;
+}
+
+/**
+ * Create an empty bank set: 128 blank instruments
+ * @param {string} [name='']
+ * @param {number} [msb=0]
+ * @param {number} [lsb=0]
+ * @returns {WoplBankSet}
+ */
+export function createWoplBankSet(name = '', msb = 0, lsb = 0) {
+    return {
+        name,
+        msb,
+        lsb,
+        instruments: Array.from({ length: PROGRAMS }, () => ({ ...defaultInstrument(), name: '' })),
+    };
+}
+
+/**
+ * Names of the instruments and banks loaded into a synth.
+ *
+ * ADL_Instrument has no name field, so AdlMidi and AdlMidiCore keep names
+ * here, filled from loaded WOPL banks and from setInstrument(), and read
+ * back by getInstrument(), getInstrumentNames() and exportBank().
+ *
+ * The table also remembers the order banks were loaded in, which
+ * libADLMIDI's bank list doesn't keep, and each instrument's second voice
+ * detune, which libADLMIDI keeps only to even steps.
+ */
+export class InstrumentNameTable {
+    /** @type {Map<string, {name: string, instruments: string[], detunes: (number|null)[]}>} */
+    #banks = new Map();
+
+    /**
+     * Forget all names, as when a different bank is selected
+     */
+    clear() {
+        this.#banks.clear();
+    }
+
+    /**
+     * Replace all names with those of a parsed WOPL bank
+     * @param {WoplBank} bank
+     */
+    loadBank(bank) {
+        this.clear();
+        bank.melodic.forEach(set => this.#setBank({ percussive: 0, msb: set.msb, lsb: set.lsb }, set));
+        bank.percussion.forEach(set => this.#setBank({ percussive: 1, msb: set.msb, lsb: set.lsb }, set));
+    }
+
+    /**
+     * Forget the names of one bank
+     * @param {{percussive: boolean|number, msb: number, lsb: number}} bankId
+     */
+    removeBank(bankId) {
+        this.#banks.delete(bankKey(bankId));
+    }
+
+    /**
+     * @param {{percussive: boolean|number, msb: number, lsb: number}} bankId
+     * @returns {string} Bank name, or '' if unknown
+     */
+    getBankName(bankId) {
+        return this.#banks.get(bankKey(bankId))?.name ?? '';
+    }
+
+    /**
+     * @param {{percussive: boolean|number, msb: number, lsb: number}} bankId
+     * @param {number} program - Program number (0-127)
+     * @returns {string} Instrument name, or '' if unknown
+     */
+    get(bankId, program) {
+        return this.#banks.get(bankKey(bankId))?.instruments[program] ?? '';
+    }
+
+    /**
+     * @param {{percussive: boolean|number, msb: number, lsb: number}} bankId
+     * @returns {string[]} 128 instrument names by program ('' where unknown)
+     */
+    getAll(bankId) {
+        return this.#banks.get(bankKey(bankId))?.instruments.slice() ?? new Array(PROGRAMS).fill('');
+    }
+
+    /**
+     * @param {{percussive: boolean|number, msb: number, lsb: number}} bankId
+     * @param {number} program - Program number (0-127)
+     * @param {string} name - Instrument name
+     */
+    set(bankId, program, name) {
+        this.#getOrCreateBank(bankId).instruments[program] = name;
+    }
+
+    /**
+     * Remember the detune an instrument was given
+     * @param {{percussive: boolean|number, msb: number, lsb: number}} bankId
+     * @param {number} program - Program number (0-127)
+     * @param {number} detune - Second voice detune as set
+     */
+    setDetune(bankId, program, detune) {
+        this.#getOrCreateBank(bankId).detunes[program] = detune;
+    }
+
+    /**
+     * Undo libADLMIDI's rounding of a detune read back from the synth
+     * @param {{percussive: boolean|number, msb: number, lsb: number}} bankId
+     * @param {number} program - Program number (0-127)
+     * @param {number} detune - Second voice detune from adl_getInstrument()
+     * @returns {number} The detune as set, if it rounds to `detune`, otherwise `detune`
+     */
+    restoreDetune(bankId, program, detune) {
+        const kept = this.#banks.get(bankKey(bankId))?.detunes[program] ?? null;
+        return kept !== null && (kept & ~1) === detune ? kept : detune;
+    }
+
+    /**
+     * Sort bank IDs into the order their banks were loaded. Banks the table
+     * doesn't know follow, by MSB then LSB.
+     * @template {{percussive: boolean|number, msb: number, lsb: number}} T
+     * @param {T[]} bankIds
+     * @returns {T[]} Sorted copy
+     */
+    sortBankIds(bankIds) {
+        const order = new Map(Array.from(this.#banks.keys(), (key, index) => [key, index]));
+        const rank = (/** @type {T} */ bankId) => order.get(bankKey(bankId)) ?? order.size;
+        return bankIds.slice().sort((a, b) =>
+            rank(a) - rank(b) || (a.msb || 0) - (b.msb || 0) || (a.lsb || 0) - (b.lsb || 0));
+    }
+
+    /**
+     * @param {{percussive: boolean|number, msb: number, lsb: number}} bankId
+     */
+    #getOrCreateBank(bankId) {
+        const key = bankKey(bankId);
+        let bank = this.#banks.get(key);
+        if (!bank) {
+            bank = { name: '', instruments: new Array(PROGRAMS).fill(''), detunes: new Array(PROGRAMS).fill(null) };
+            this.#banks.set(key, bank);
+        }
+        return bank;
+    }
+
+    /**
+     * @param {{percussive: number, msb: number, lsb: number}} bankId
+     * @param {WoplBankSet} set
+     */
+    #setBank(bankId, set) {
+        this.#banks.set(bankKey(bankId), {
+            name: set.name,
+            instruments: Array.from({ length: PROGRAMS }, (_, program) => set.instruments[program]?.name ?? ''),
+            detunes: Array.from({ length: PROGRAMS }, (_, program) => set.instruments[program]?.secondVoiceDetune ?? null),
+        });
+    }
+}
+
+/**
+ * @param {{percussive: boolean|number, msb: number, lsb: number}} bankId
+ * @returns {string} Map key for a bank
+ */
+function bankKey(bankId) {
+    return `${bankId.percussive ? 1 : 0}:${bankId.msb || 0}:${bankId.lsb || 0}`;
+}
+
+/**
+ * Size of a WOPL instrument record
+ * @param {number} version - File version
+ * @returns {number}
+ */
+export function woplInstrumentSize(version) {
+    return version >= 3 ? INSTRUMENT_SIZE_V3 : INSTRUMENT_SIZE_V2;
+}
+
+/**
+ * Read a WOPL instrument record through the ADL_Instrument decoder.
+ * WOPL stores the same fields as ADL_Instrument, big-endian and after a
+ * name. OPLI instrument files use the same record.
+ * @param {Uint8Array} bytes
+ * @param {number} pos - Record offset
+ * @param {number} version - File version
+ * @returns {WoplInstrument}
+ */
+export function readWoplInstrument(bytes, pos, version) {
+    const adl = new Uint8Array(SIZEOF_ADL_INSTRUMENT);
+    const adlView = new DataView(adl.buffer);
+    const view = new DataView(bytes.buffer, bytes.byteOffset + pos, INSTRUMENT_SIZE_V2);
+
+    adlView.setInt16(4, view.getInt16(32), true);          // note_offset1
+    adlView.setInt16(6, view.getInt16(34), true);          // note_offset2
+    adl.set(bytes.subarray(pos + 36, pos + 42), 8);        // velocity offset .. fb_conn2
+    adl.set(bytes.subarray(pos + 42, pos + 42 + 4 * SIZEOF_ADL_OPERATOR), OPERATOR_OFFSET);
+    if (version >= 3) {
+        const delays = new DataView(bytes.buffer, bytes.byteOffset + pos + 62, 4);
+        adlView.setUint16(34, delays.getUint16(0), true);  // delay_on_ms
+        adlView.setUint16(36, delays.getUint16(2), true);  // delay_off_ms
+    }
+
+    return { ...decodeInstrument(adl), name: readName(bytes, pos) };
+}
+
+/**
+ * Write a WOPL instrument record through the ADL_Instrument encoder.
+ * The record must already be zeroed.
+ * @param {Uint8Array} bytes
+ * @param {number} pos - Record offset
+ * @param {import('./struct.js').Instrument} instrument
+ * @param {number} version - File version
+ */
+export function writeWoplInstrument(bytes, pos, instrument, version) {
+    const adl = encodeInstrument(instrument);
+    const adlView = new DataView(adl.buffer);
+    const view = new DataView(bytes.buffer, bytes.byteOffset + pos, woplInstrumentSize(version));
+
+    writeName(bytes, pos, instrument.name ?? '');
+    view.setInt16(32, adlView.getInt16(4, true));
+    view.setInt16(34, adlView.getInt16(6, true));
+    bytes.set(adl.subarray(8, 14), pos + 36);
+    bytes.set(adl.subarray(OPERATOR_OFFSET, OPERATOR_OFFSET + 4 * SIZEOF_ADL_OPERATOR), pos + 42);
+    if (version >= 3) {
+        view.setUint16(62, adlView.getUint16(34, true));
+        view.setUint16(64, adlView.getUint16(36, true));
+    }
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @param {number} offset
+ * @returns {string} NUL-terminated name
+ */
+function readName(bytes, offset) {
+    let text = '';
+    for (let i = 0; i < NAME_SIZE && bytes[offset + i]; i++) {
+        text += String.fromCharCode(bytes[offset + i]);
+    }
+    return text;
+}
+
+/**
+ * Write a name, truncated to the field; a full-length name has no NUL
+ * @param {Uint8Array} bytes
+ * @param {number} offset
+ * @param {string} name
+ */
+function writeName(bytes, offset, name) {
+    for (let i = 0; i < NAME_SIZE && i < name.length; i++) {
+        bytes[offset + i] = name.charCodeAt(i) & 0xFF;
+    }
+}
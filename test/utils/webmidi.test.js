@@ -0,0 +1,250 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { MidiInputBinding } from '../../src/utils/webmidi.js';
+
+/** MIDIInput stand-in: an EventTarget that can play messages */
+class FakeInput extends EventTarget {
+    #listeners = 0;
+
+    constructor(id, name, state = 'connected') {
+        super();
+        this.id = id;
+        this.name = name;
+        this.type = 'input';
+        this.state = state;
+        this.openCount = 0;
+    }
+
+    open() {
+        this.openCount++;
+        return Promise.resolve(this);
+    }
+
+    /** Deliver bytes as a midimessage event */
+    play(...bytes) {
+        const event = new Event('midimessage');
+        Object.defineProperty(event, 'data', { value: Uint8Array.from(bytes) });
+        this.dispatchEvent(event);
+    }
+
+    get listenerCount() {
+        return this.#listeners;
+    }
+
+    addEventListener(type, listener) {
+        if (type === 'midimessage') this.#listeners++;
+        super.addEventListener(type, listener);
+    }
+
+    removeEventListener(type, listener) {
+        if (type === 'midimessage') this.#listeners--;
+        super.removeEventListener(type, listener);
+    }
+}
+
+/** MIDIAccess stand-in with hot-plug helpers */
+class FakeAccess extends EventTarget {
+    constructor(inputs = []) {
+        super();
+        this.inputs = new Map(inputs.map(input => [input.id, input]));
+    }
+
+    plug(input) {
+        input.state = 'connected';
+        this.inputs.set(input.id, input);
+        this.#stateChange(input);
+    }
+
+    unplug(input) {
+        input.state = 'disconnected';
+        this.inputs.delete(input.id);
+        this.#stateChange(input);
+    }
+
+    #stateChange(port) {
+        const event = new Event('statechange');
+        Object.defineProperty(event, 'port', { value: port });
+        this.dispatchEvent(event);
+    }
+}
+
+/** Synth stand-in recording what the binding sends */
+function createSynth() {
+    return {
+        sent: [],
+        controls: [],
+        sendMidi(bytes) {
+            this.sent.push(Array.from(bytes));
+        },
+        controlChange(channel, controller, value) {
+            this.controls.push([channel, controller, value]);
+        },
+    };
+}
+
+test('binds connected inputs on creation and opens them', () => {
+    const keys = new FakeInput('1', 'Keys');
+    const pads = new FakeInput('2', 'Pads', 'disconnected');
+    const binding = new MidiInputBinding(createSynth(), new FakeAccess([keys, pads]));
+
+    assert.deepEqual(binding.inputs, [keys]);
+    assert.equal(keys.openCount, 1);
+    assert.equal(pads.openCount, 0);
+});
+
+test('forwards messages from bound inputs', () => {
+    const synth = createSynth();
+    const keys = new FakeInput('1', 'Keys');
+    const received = [];
+    new MidiInputBinding(synth, new FakeAccess([keys]), {
+        onMessage: (data, input) => received.push([Array.from(data), input]),
+    });
+
+    keys.play(0x90, 60, 100);
+    // Running status: a second note-on without its status byte
+    keys.play(64, 90);
+
+    assert.deepEqual(synth.sent, [[0x90, 60, 100], [0x90, 64, 90]]);
+    assert.deepEqual(received, [[[0x90, 60, 100], keys], [[64, 90], keys]]);
+});
+
+test('bind is idempotent and honours the filter', () => {
+    const keys = new FakeInput('1', 'Keys');
+    const pads = new FakeInput('2', 'Pads');
+    const binding = new MidiInputBinding(createSynth(), new FakeAccess([keys, pads]), {
+        filter: input => input.name === 'Keys',
+    });
+
+    assert.equal(binding.bind(keys), true);
+    assert.equal(binding.bind(pads), false);
+    assert.deepEqual(binding.inputs, [keys]);
+    assert.equal(keys.listenerCount, 1);
+});
+
+test('unbind stops forwarding and releases sustain before All Notes Off', () => {
+    const synth = createSynth();
+    const keys = new FakeInput('1', 'Keys');
+    const changes = [];
+    const binding = new MidiInputBinding(synth, new FakeAccess([keys]), {
+        route: { channels: [0, 9] },
+        onChange: (input, connected) => changes.push([input.id, connected]),
+    });
+
+    binding.unbind(keys);
+    keys.play(0x90, 60, 100);
+
+    assert.deepEqual(synth.sent, []);
+    assert.equal(keys.listenerCount, 0);
+    assert.deepEqual(binding.inputs, []);
+    assert.deepEqual(synth.controls, [[0, 64, 0], [0, 123, 0], [9, 64, 0], [9, 123, 0]]);
+    assert.deepEqual(changes, [['1', true], ['1', false]]);
+});
+
+test('unbind releases the remapped destination channels', () => {
+    const synth = createSynth();
+    const keys = new FakeInput('1', 'Keys');
+    const binding = new MidiInputBinding(synth, new FakeAccess([keys]), {
+        route: { channels: [0], channelMap: [5] },
+    });
+
+    binding.unbind(keys);
+
+    assert.deepEqual(synth.controls, [[5, 64, 0], [5, 123, 0]]);
+});
+
+test('follows inputs as they are plugged in and out', () => {
+    const synth = createSynth();
+    const access = new FakeAccess();
+    const binding = new MidiInputBinding(synth, access, {
+        filter: input => input.name !== 'Ignored',
+    });
+
+    const keys = new FakeInput('1', 'Keys', 'disconnected');
+    access.plug(keys);
+    access.plug(new FakeInput('2', 'Ignored', 'disconnected'));
+    assert.deepEqual(binding.inputs, [keys]);
+
+    keys.play(0x80, 60, 0);
+    assert.deepEqual(synth.sent, [[0x80, 60, 0]]);
+
+    access.unplug(keys);
+    assert.deepEqual(binding.inputs, []);
+    assert.equal(synth.controls.length, 32);
+    assert.deepEqual(synth.controls.slice(0, 2), [[0, 64, 0], [0, 123, 0]]);
+});
+
+test('close unbinds everything and ignores later hot-plugs', () => {
+    const synth = createSynth();
+    const keys = new FakeInput('1', 'Keys');
+    const access = new FakeAccess([keys]);
+    const binding = new MidiInputBinding(synth, access);
+
+    binding.close();
+    assert.deepEqual(binding.inputs, []);
+    assert.equal(keys.listenerCount, 0);
+
+    access.plug(new FakeInput('2', 'Pads', 'disconnected'));
+    assert.deepEqual(binding.inputs, []);
+    assert.equal(binding.bind(keys), false);
+});
+
+test('a channel filter drops other channels and system messages', () => {
+    const synth = createSynth();
+    const keys = new FakeInput('1', 'Keys');
+    new MidiInputBinding(synth, new FakeAccess([keys]), { route: { channels: [1] } });
+
+    keys.play(0x90, 60, 100);
+    keys.play(0x91, 62, 100);
+    keys.play(0xF0, 0x7E, 0x7F, 0x09, 0x01, 0xF7);
+
+    assert.deepEqual(synth.sent, [[0x91, 62, 100]]);
+});
+
+test('system messages pass through without a channel filter', () => {
+    const synth = createSynth();
+    const keys = new FakeInput('1', 'Keys');
+    new MidiInputBinding(synth, new FakeAccess([keys]), { route: { channelMap: [3] } });
+
+    keys.play(0xF0, 0x7E, 0x7F, 0x09, 0x01, 0xF7);
+
+    assert.deepEqual(synth.sent, [[0xF0, 0x7E, 0x7F, 0x09, 0x01, 0xF7]]);
+});
+
+test('remaps channels per input, by id or name', () => {
+    const synth = createSynth();
+    const keys = new FakeInput('1', 'Keys');
+    const pads = new FakeInput('2', 'Pads');
+    const drums = new FakeInput('3', 'Drums');
+    new MidiInputBinding(synth, new FakeAccess([keys, pads, drums]), {
+        route: { channelMap: [9] },
+        routes: { '1': { channelMap: [2] }, 'Pads': { channelMap: [4, 5] } },
+    });
+
+    keys.play(0x90, 60, 100);
+    pads.play(0x91, 60, 100);
+    pads.play(0x92, 60, 100);
+    drums.play(0xB0, 7, 100);
+
+    assert.deepEqual(synth.sent, [
+        [0x92, 60, 100],
+        [0x95, 60, 100],
+        [0x92, 60, 100],
+        [0xB9, 7, 100],
+    ]);
+});
+
+test('setRoute changes routing of a bound input', () => {
+    const synth = createSynth();
+    const keys = new FakeInput('1', 'Keys');
+    const binding = new MidiInputBinding(synth, new FakeAccess([keys]));
+
+    binding.setRoute('Keys', { channels: [0], channelMap: [7] });
+    keys.play(0x90, 60, 100);
+    keys.play(0x91, 60, 100);
+
+    binding.setRoute('Keys', undefined);
+    keys.play(0x91, 60, 100);
+
+    assert.deepEqual(synth.sent, [[0x97, 60, 100], [0x91, 60, 100]]);
+});